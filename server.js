@@ -5,6 +5,8 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const Database = require('better-sqlite3');
+const sharp = require('sharp');
 
 const app = express();
 const server = http.createServer(app);
@@ -12,13 +14,28 @@ const wss = new WebSocket.Server({ server });
 
 const PORT = 3000;
 const DB_FILE = 'database.json';
+const SQLITE_FILE = 'database.sqlite';
+const RECOVERY_DIR = 'recovery';
+const QUARANTINE_DIR = path.join(RECOVERY_DIR, 'quarantine');
+const MAX_GOOD_COPIES = 5; // Rolling last-known-good copies of the JSON database
+const GOOD_COPY_INTERVAL_MS = 30 * 60 * 1000; // Minimum age of the newest copy before another is stored
+const SNAPSHOTS_DIR = 'backups';
+const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const AUDIT_FILE = 'audit.jsonl';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // 'json' or 'sqlite'
 const UPLOADS_DIR = 'uploads';
-const EXCHANGE_RATE = 4100; // 1 EUR = 4100 UGX
+const RECEIPTS_DIR = 'receipts'; // Not served statically; see the receipt routes
+const RECEIPT_THUMBNAILS_DIR = path.join(RECEIPTS_DIR, 'thumbnails');
+const EXCHANGE_RATE = 4100; // Fallback 1 EUR = 4100 UGX when no rate is stored
 
 // Ensure uploads directory exists
 if (!fs.existsSync(UPLOADS_DIR)) {
     fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 }
+if (!fs.existsSync(RECEIPT_THUMBNAILS_DIR)) {
+    fs.mkdirSync(RECEIPT_THUMBNAILS_DIR, { recursive: true });
+}
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -43,14 +60,61 @@ const upload = multer({
         } else if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
                    file.mimetype === 'application/vnd.ms-excel') {
             cb(null, true);
+        } else if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
+            cb(null, true);
+        } else if (['text/xml', 'application/xml', 'text/plain'].includes(file.mimetype) ||
+                   ['.xml', '.sta', '.mt940', '.txt'].includes(path.extname(file.originalname).toLowerCase())) {
+            // Bank statements (CAMT.053, MT940)
+            cb(null, true);
+        } else {
+            cb(new Error('Only image, Excel, CSV and bank statement files are allowed'), false);
+        }
+    }
+});
+
+const receiptUpload = multer({
+    storage: multer.diskStorage({
+        destination: function (req, file, cb) {
+            cb(null, RECEIPTS_DIR);
+        },
+        filename: function (req, file, cb) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const filename = 'receipt-' + uniqueSuffix + path.extname(file.originalname).toLowerCase();
+            // Remembered so a request that fails part-way can remove what it already wrote
+            (req.receiptFilenames = req.receiptFilenames || []).push(filename);
+            cb(null, filename);
+        }
+    }),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (RECEIPT_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
         } else {
-            cb(new Error('Only image and Excel files are allowed'), false);
+            cb(new Error('Receipts must be images (JPEG, PNG, GIF, WebP, HEIC) or PDF files'), false);
         }
     }
 });
 
+// Runs receiptUpload for the "receipts" field; a rejected file, a file over
+// the size limit or too many files answer 400 and leave nothing behind
+function acceptReceipts(req, res, next) {
+    receiptUpload.array('receipts', 10)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        deleteReceiptFiles((req.receiptFilenames || []).map(filename => ({ filename })));
+        const message = error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? 'Upload at most 10 receipts at a time in the "receipts" field'
+            : error.message;
+        res.status(400).json({ success: false, message });
+    });
+}
+
 // Middleware
 app.use(express.json({ limit: '50mb' }));
+app.use(serializeWrites);
 app.use(express.static('public'));
 app.use('/uploads', express.static(UPLOADS_DIR));
 
@@ -59,12 +123,19 @@ wss.on('connection', (ws) => {
     console.log('New client connected');
     
     // Send current database to new client
-    const database = loadDatabase();
-    ws.send(JSON.stringify({
-        type: 'database_loaded',
-        data: database,
-        message: 'Database loaded successfully'
-    }));
+    try {
+        const database = loadDatabase();
+        ws.send(JSON.stringify({
+            type: 'database_loaded',
+            data: database,
+            message: 'Database loaded successfully'
+        }));
+    } catch (error) {
+        ws.send(JSON.stringify({
+            type: 'database_error',
+            message: error.message
+        }));
+    }
 
     ws.on('close', () => {
         console.log('Client disconnected');
@@ -83,26 +154,31 @@ function broadcast(message) {
 // Database functions
 function loadDatabase() {
     try {
-        if (fs.existsSync(DB_FILE)) {
-            const data = fs.readFileSync(DB_FILE, 'utf8');
-            return JSON.parse(data);
-        } else {
-            const emptyDatabase = createEmptyDatabase();
-            saveDatabase(emptyDatabase);
-            return emptyDatabase;
+        const data = dataStore.load();
+        if (data) {
+            return data;
         }
+        const emptyDatabase = createEmptyDatabase();
+        saveDatabase(emptyDatabase);
+        return emptyDatabase;
     } catch (error) {
         console.error('Error loading database:', error);
-        return createEmptyDatabase();
+        // Never fall back to an empty database here: the next save would wipe every record
+        const recovered = dataStore.recover ? dataStore.recover(error) : null;
+        if (recovered) {
+            return recovered;
+        }
+        throw new Error(`Database could not be loaded: ${error.message}`);
     }
 }
 
 function saveDatabase(data) {
     try {
         data.last_updated = new Date().toISOString();
+        ensureStableIds(data);
         // Recalculate all metadata before saving
         data = recalculateAllMetadata(data);
-        fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+        dataStore.save(data);
         return true;
     } catch (error) {
         console.error('Error saving database:', error);
@@ -110,11 +186,808 @@ function saveDatabase(data) {
     }
 }
 
+// ===== STORAGE BACKENDS =====
+// Each backend exposes load() returning the database document (or null when
+// nothing has been stored yet), save(data) persisting the whole document, and
+// lock()/unlock() around a load -> change -> save (see WRITE SERIALIZATION).
+
+function isValidDatabaseDocument(data) {
+    return !!data && typeof data === 'object' && !Array.isArray(data) &&
+        !!data.sponsorship_programs && typeof data.sponsorship_programs === 'object' &&
+        !!data.sponsorship_registry && typeof data.sponsorship_registry === 'object';
+}
+
+function fileTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Write to a temporary file, flush it to disk and rename it over the target so
+// readers only ever see the old or the new file, never a truncated one.
+function writeFileAtomic(file, contents) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+}
+
+function createJsonStorage(file) {
+    const baseName = path.basename(file, '.json');
+
+    const readDocument = (source) => {
+        const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+        if (!isValidDatabaseDocument(data)) {
+            throw new Error(`${source} does not contain a sponsorship database`);
+        }
+        return data;
+    };
+
+    // Newest first
+    const listGoodCopies = () => {
+        if (!fs.existsSync(RECOVERY_DIR)) {
+            return [];
+        }
+        return fs.readdirSync(RECOVERY_DIR)
+            .filter(name => name.startsWith(`${baseName}-`) && name.endsWith('.good.json'))
+            .sort()
+            .reverse()
+            .map(name => path.join(RECOVERY_DIR, name));
+    };
+
+    // Copies are spaced out so that the rolling set covers hours of history
+    // rather than the last few saves
+    const storeGoodCopy = (contents) => {
+        const newest = listGoodCopies()[0];
+        if (newest && Date.now() - fs.statSync(newest).mtimeMs < GOOD_COPY_INTERVAL_MS) {
+            return;
+        }
+        fs.mkdirSync(RECOVERY_DIR, { recursive: true });
+        writeFileAtomic(path.join(RECOVERY_DIR, `${baseName}-${fileTimestamp()}.good.json`), contents);
+        listGoodCopies().slice(MAX_GOOD_COPIES).forEach(copy => fs.unlinkSync(copy));
+    };
+
+    const hasQuarantinedCopies = () => fs.existsSync(QUARANTINE_DIR) &&
+        fs.readdirSync(QUARANTINE_DIR).some(name => name.startsWith(`${baseName}-`));
+
+    const quarantine = () => {
+        fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+        const target = path.join(QUARANTINE_DIR, `${baseName}-${fileTimestamp()}.corrupt.json`);
+        fs.renameSync(file, target);
+        console.warn(`⚠️ Quarantined corrupt database to ${target}`);
+        return target;
+    };
+
+    // Quarantine the damaged file and restore the newest copy that still parses
+    const recover = (reason) => {
+        console.error(`Database file ${file} is unreadable:`, reason && reason.message ? reason.message : reason);
+        if (fs.existsSync(file)) {
+            quarantine();
+        }
+        for (const copy of listGoodCopies()) {
+            try {
+                const data = readDocument(copy);
+                writeFileAtomic(file, fs.readFileSync(copy, 'utf8'));
+                console.warn(`♻️ Recovered database from ${copy}`);
+                return data;
+            } catch (error) {
+                console.warn(`Skipping unusable recovery copy ${copy}:`, error.message);
+            }
+        }
+        return null;
+    };
+
+    // Highest audit id written so far; read from the file once, then counted here
+    let lastAuditId = null;
+
+    return {
+        name: 'json',
+        location: file,
+        load() {
+            if (!fs.existsSync(file)) {
+                // Only a fresh install has no file yet; anything else is recovered
+                // (or refused) like a corrupt file rather than started empty
+                if (listGoodCopies().length > 0 || hasQuarantinedCopies()) {
+                    throw new Error(`${file} is missing`);
+                }
+                return null;
+            }
+            return readDocument(file);
+        },
+        save(data) {
+            const contents = JSON.stringify(data, null, 2);
+            writeFileAtomic(file, contents);
+            storeGoodCopy(contents);
+        },
+        recover,
+        // The JSON file belongs to a single server process; writers in this
+        // process are already serialized, so there is nothing to lock on disk
+        lock() {},
+        unlock() {},
+        // The audit trail is append-only and lives outside the database
+        // document, so restores and imports never rewrite history.
+        appendAudit(entry) {
+            if (lastAuditId === null) {
+                lastAuditId = this.readAudit().reduce((max, existing) => Math.max(max, existing.id), 0);
+            }
+            lastAuditId += 1;
+            const stored = { id: lastAuditId, ...entry };
+            fs.appendFileSync(AUDIT_FILE, JSON.stringify(stored) + '\n');
+            return stored;
+        },
+        readAudit() {
+            if (!fs.existsSync(AUDIT_FILE)) {
+                return [];
+            }
+            return fs.readFileSync(AUDIT_FILE, 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        },
+        // Startup check: remove stale temp files and make sure the file on disk is usable
+        verify() {
+            const directory = path.dirname(path.resolve(file));
+            fs.readdirSync(directory)
+                .filter(name => name.startsWith(`${path.basename(file)}.`) && name.endsWith('.tmp'))
+                .forEach(name => fs.unlinkSync(path.join(directory, name)));
+
+            if (!fs.existsSync(file)) {
+                // A missing file is only acceptable on a fresh install
+                if (listGoodCopies().length > 0) {
+                    return recover(new Error('database file is missing')) ?
+                        { ok: true, recovered: true } :
+                        { ok: false, error: 'Database file is missing and no recovery copy is usable' };
+                }
+                if (hasQuarantinedCopies()) {
+                    return { ok: false, error: 'Database file is missing and only quarantined copies exist' };
+                }
+                return { ok: true, fresh: true };
+            }
+
+            try {
+                const contents = fs.readFileSync(file, 'utf8');
+                const data = JSON.parse(contents);
+                if (!isValidDatabaseDocument(data)) {
+                    throw new Error('missing sponsorship_programs or sponsorship_registry');
+                }
+                if (listGoodCopies().length === 0) {
+                    storeGoodCopy(contents);
+                }
+                return { ok: true };
+            } catch (error) {
+                return recover(error) ?
+                    { ok: true, recovered: true } :
+                    { ok: false, error: `Database file is corrupt (${error.message}) and no recovery copy is usable` };
+            }
+        }
+    };
+}
+
+const SQLITE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS programs (
+        code TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        program_name TEXT,
+        metadata TEXT
+    );
+    CREATE TABLE IF NOT EXISTS students (
+        rowid INTEGER PRIMARY KEY AUTOINCREMENT,
+        record_key TEXT,
+        program TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        serial_number INTEGER,
+        full_name TEXT,
+        sponsorship_package TEXT,
+        record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_students_program ON students (program, position);
+    CREATE TABLE IF NOT EXISTS registry_programs (
+        code TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        metadata TEXT
+    );
+    CREATE TABLE IF NOT EXISTS registry_entries (
+        rowid INTEGER PRIMARY KEY AUTOINCREMENT,
+        record_key TEXT,
+        program TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        cid INTEGER,
+        full_name TEXT,
+        sponsor TEXT,
+        amount REAL,
+        sponsorship_status TEXT,
+        category TEXT,
+        record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_registry_program ON registry_entries (program, position);
+    CREATE TABLE IF NOT EXISTS expenses (
+        rowid INTEGER PRIMARY KEY AUTOINCREMENT,
+        record_key TEXT,
+        position INTEGER NOT NULL,
+        id INTEGER,
+        date TEXT,
+        category TEXT,
+        amount REAL,
+        currency TEXT,
+        record TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        rowid INTEGER PRIMARY KEY AUTOINCREMENT,
+        record_key TEXT,
+        position INTEGER NOT NULL,
+        id INTEGER,
+        record TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS storage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        actor TEXT,
+        entity TEXT NOT NULL,
+        entity_id TEXT,
+        program TEXT,
+        operation TEXT NOT NULL,
+        changes TEXT,
+        details TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log (entity, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log (timestamp);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`;
+
+// Top-level keys that live in their own tables; everything else is kept as a
+// JSON document in the documents table.
+const SQLITE_TABLE_KEYS = ['sponsorship_programs', 'sponsorship_registry', 'daily_expenses', 'events', 'system_settings'];
+
+// Tables holding one row per record. record_key identifies a row across saves
+// so that a save only touches the records that were added, changed or removed.
+const SQLITE_RECORD_TABLES = ['students', 'registry_entries', 'expenses', 'events'];
+
+function createSqliteStorage(file, legacyJsonFile) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    // Another process holding the write lock is waited for rather than failed
+    db.pragma('busy_timeout = 5000');
+    db.exec(SQLITE_SCHEMA);
+
+    // Stores created before record keys existed get a placeholder key per row;
+    // the next save replaces those rows with keyed ones
+    SQLITE_RECORD_TABLES.forEach(table => {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        if (!columns.includes('record_key')) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN record_key TEXT; UPDATE ${table} SET record_key = 'row-' || rowid;`);
+        }
+        db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_key ON ${table} (record_key)`);
+    });
+
+    const statements = {
+        getMeta: db.prepare('SELECT value FROM storage_meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT OR REPLACE INTO storage_meta (key, value) VALUES (?, ?)'),
+        programs: db.prepare('SELECT * FROM programs ORDER BY position'),
+        students: db.prepare('SELECT record FROM students WHERE program = ? ORDER BY position'),
+        registryPrograms: db.prepare('SELECT * FROM registry_programs ORDER BY position'),
+        registryEntries: db.prepare('SELECT record FROM registry_entries WHERE program = ? ORDER BY position'),
+        expenses: db.prepare('SELECT record FROM expenses ORDER BY position'),
+        events: db.prepare('SELECT record FROM events ORDER BY position'),
+        settings: db.prepare('SELECT key, value FROM settings'),
+        documents: db.prepare('SELECT key, value FROM documents'),
+        insertAudit: db.prepare(`INSERT INTO audit_log (timestamp, actor, entity, entity_id, program, operation, changes, details)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+        audit: db.prepare('SELECT * FROM audit_log ORDER BY id')
+    };
+
+    // Each writer compares the rows it is given with the stored ones and only
+    // upserts the rows that differ and deletes the keys that are gone
+    const createTableWriter = (table, keyColumn, columns) => {
+        const allColumns = [keyColumn, ...columns];
+        const stored = db.prepare(`SELECT ${allColumns.join(', ')} FROM ${table}`).raw();
+        const upsert = db.prepare(`INSERT INTO ${table} (${allColumns.join(', ')})
+            VALUES (${allColumns.map(() => '?').join(', ')})
+            ON CONFLICT (${keyColumn}) DO UPDATE SET ${columns.map(column => `${column} = excluded.${column}`).join(', ')}`);
+        const remove = db.prepare(`DELETE FROM ${table} WHERE ${keyColumn} = ?`);
+
+        return (rows) => {
+            const existing = new Map(stored.all().map(([key, ...values]) => [key, JSON.stringify(values)]));
+            rows.forEach(([key, ...values]) => {
+                if (existing.get(key) !== JSON.stringify(values)) {
+                    upsert.run(key, ...values);
+                }
+                existing.delete(key);
+            });
+            existing.forEach((values, key) => remove.run(key));
+        };
+    };
+
+    const writers = {
+        programs: createTableWriter('programs', 'code', ['position', 'program_name', 'metadata']),
+        students: createTableWriter('students', 'record_key',
+            ['program', 'position', 'serial_number', 'full_name', 'sponsorship_package', 'record']),
+        registryPrograms: createTableWriter('registry_programs', 'code', ['position', 'metadata']),
+        registryEntries: createTableWriter('registry_entries', 'record_key',
+            ['program', 'position', 'cid', 'full_name', 'sponsor', 'amount', 'sponsorship_status', 'category', 'record']),
+        expenses: createTableWriter('expenses', 'record_key', ['position', 'id', 'date', 'category', 'amount', 'currency', 'record']),
+        events: createTableWriter('events', 'record_key', ['position', 'id', 'record']),
+        settings: createTableWriter('settings', 'key', ['value']),
+        documents: createTableWriter('documents', 'key', ['value'])
+    };
+
+    const toNumber = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    };
+
+    // Records are keyed by their stable id; records without one (or sharing
+    // one) fall back to their position
+    const recordKeys = () => {
+        const seen = new Set();
+        return (record, fallback) => {
+            const id = record && record.id !== undefined && record.id !== null && record.id !== '' ? String(record.id) : fallback;
+            const key = seen.has(id) ? `${id}@${fallback}` : id;
+            seen.add(key);
+            return key;
+        };
+    };
+
+    const writeAll = db.transaction((data) => {
+        const programRows = [];
+        const studentRows = [];
+        const studentKey = recordKeys();
+        Object.entries(data.sponsorship_programs || {}).forEach(([code, program], position) => {
+            const { students = [], ...programFields } = program;
+            programRows.push([code, position, programFields.program_name || null, JSON.stringify(programFields)]);
+            students.forEach((student, index) => {
+                studentRows.push([
+                    studentKey(student, `${code}:${index}`), code, index, toNumber(student.serial_number),
+                    student.full_name || null, student.sponsorship_package || null, JSON.stringify(student)
+                ]);
+            });
+        });
+        writers.programs(programRows);
+        writers.students(studentRows);
+
+        const registryRows = [];
+        const entryRows = [];
+        const entryKey = recordKeys();
+        Object.entries(data.sponsorship_registry || {}).forEach(([code, registry], position) => {
+            const { students = [], ...registryFields } = registry;
+            registryRows.push([code, position, JSON.stringify(registryFields)]);
+            students.forEach((entry, index) => {
+                entryRows.push([
+                    entryKey(entry, `${code}:${index}`), code, index, toNumber(entry.cid), entry.full_name || null,
+                    entry.sponsor || null, toNumber(entry.amount), entry.sponsorship_status || null,
+                    entry.category || null, JSON.stringify(entry)
+                ]);
+            });
+        });
+        writers.registryPrograms(registryRows);
+        writers.registryEntries(entryRows);
+
+        const expenseKey = recordKeys();
+        writers.expenses((data.daily_expenses || []).map((expense, index) => [
+            expenseKey(expense, `expense:${index}`), index, toNumber(expense.id), expense.date || null,
+            expense.category || null, toNumber(expense.amount), expense.currency || null, JSON.stringify(expense)
+        ]));
+
+        const eventKey = recordKeys();
+        writers.events((data.events || []).map((event, index) => [
+            eventKey(event, `event:${index}`), index, toNumber(event.id), JSON.stringify(event)
+        ]));
+
+        writers.settings(Object.entries(data.system_settings || {}).map(([key, value]) => [key, JSON.stringify(value)]));
+
+        writers.documents(Object.entries(data)
+            .filter(([key]) => !SQLITE_TABLE_KEYS.includes(key))
+            .map(([key, value]) => [key, JSON.stringify(value)]));
+
+        statements.setMeta.run('initialized', 'true');
+    });
+
+    const readAll = () => {
+        const data = {
+            sponsorship_programs: {},
+            sponsorship_registry: {}
+        };
+
+        statements.programs.all().forEach(row => {
+            data.sponsorship_programs[row.code] = {
+                ...JSON.parse(row.metadata || '{}'),
+                students: statements.students.all(row.code).map(s => JSON.parse(s.record))
+            };
+        });
+
+        statements.registryPrograms.all().forEach(row => {
+            data.sponsorship_registry[row.code] = {
+                ...JSON.parse(row.metadata || '{}'),
+                students: statements.registryEntries.all(row.code).map(s => JSON.parse(s.record))
+            };
+        });
+
+        data.daily_expenses = statements.expenses.all().map(row => JSON.parse(row.record));
+        data.events = statements.events.all().map(row => JSON.parse(row.record));
+
+        const settingsRows = statements.settings.all();
+        if (settingsRows.length > 0) {
+            data.system_settings = {};
+            settingsRows.forEach(row => {
+                data.system_settings[row.key] = JSON.parse(row.value);
+            });
+        }
+
+        statements.documents.all().forEach(row => {
+            data[row.key] = JSON.parse(row.value);
+        });
+
+        return data;
+    };
+
+    // One-time migration: seed an empty SQLite store from the legacy JSON file
+    if (!statements.getMeta.get('initialized') && legacyJsonFile && fs.existsSync(legacyJsonFile)) {
+        const legacyData = JSON.parse(fs.readFileSync(legacyJsonFile, 'utf8'));
+        writeAll.immediate(legacyData);
+        statements.setMeta.run('migrated_from', legacyJsonFile);
+        statements.setMeta.run('migrated_at', new Date().toISOString());
+        console.log(`📦 Migrated ${legacyJsonFile} into ${file}`);
+    }
+
+    return {
+        name: 'sqlite',
+        location: file,
+        load() {
+            if (!statements.getMeta.get('initialized')) {
+                return null;
+            }
+            return readAll();
+        },
+        save(data) {
+            writeAll.immediate(data);
+        },
+        // BEGIN IMMEDIATE takes SQLite's write lock before the document is
+        // read, so a second server process on the same file cannot load the
+        // same state and overwrite this change; saves inside run as savepoints
+        lock() {
+            db.exec('BEGIN IMMEDIATE');
+        },
+        unlock() {
+            if (db.inTransaction) {
+                db.exec('COMMIT');
+            }
+        },
+        appendAudit(entry) {
+            const info = statements.insertAudit.run(
+                entry.timestamp, entry.actor, entry.entity, entry.entity_id, entry.program, entry.operation,
+                JSON.stringify(entry.changes || []), JSON.stringify(entry.details || null)
+            );
+            return { id: Number(info.lastInsertRowid), ...entry };
+        },
+        readAudit() {
+            return statements.audit.all().map(row => ({
+                ...row,
+                changes: JSON.parse(row.changes || '[]'),
+                details: JSON.parse(row.details || 'null')
+            }));
+        },
+        verify() {
+            const result = db.pragma('quick_check', { simple: true });
+            return result === 'ok' ? { ok: true } : { ok: false, error: `SQLite integrity check failed: ${result}` };
+        }
+    };
+}
+
+function createStorage(backend) {
+    switch (backend) {
+        case 'json':
+            return createJsonStorage(DB_FILE);
+        case 'sqlite':
+            return createSqliteStorage(SQLITE_FILE, DB_FILE);
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+const dataStore = createStorage(STORAGE_BACKEND);
+
+// ===== WRITE SERIALIZATION =====
+// Routes load the whole document, change it and save it back, so two writers
+// must never overlap or the later save drops the earlier change. Mutating
+// requests and the schedulers take turns through writeQueue, and each turn
+// holds the storage lock from before its first load until it has finished.
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let writeQueue = Promise.resolve();
+
+// Runs task(done) once every earlier writer has called its done
+function queueWrite(task) {
+    const turn = writeQueue.then(() => new Promise(done => task(done)));
+    writeQueue = turn.catch(() => {});
+    return turn;
+}
+
+function unlockStorage() {
+    try {
+        dataStore.unlock();
+    } catch (error) {
+        console.error('Error releasing the database lock:', error);
+    }
+}
+
+// Runs a synchronous load -> change -> save under the write lock; resolves with its result
+function withWriteLock(task) {
+    return queueWrite(done => {
+        try {
+            dataStore.lock();
+        } catch (error) {
+            done();
+            throw error;
+        }
+        try {
+            return task();
+        } finally {
+            unlockStorage();
+            done();
+        }
+    });
+}
+
+// Middleware: a mutating request keeps the lock until its response is sent or the client goes away
+function serializeWrites(req, res, next) {
+    if (READ_ONLY_METHODS.includes(req.method)) {
+        return next();
+    }
+    queueWrite(done => {
+        let released = false;
+        const release = () => {
+            if (!released) {
+                released = true;
+                unlockStorage();
+                done();
+            }
+        };
+        res.once('finish', release);
+        res.once('close', release);
+        try {
+            dataStore.lock();
+        } catch (error) {
+            console.error('Database is busy:', error);
+            return res.status(503).json({ success: false, message: 'Database is busy, please try again' });
+        }
+        next();
+    });
+}
+
+// ===== SERVER-SIDE SNAPSHOTS =====
+// Snapshots are full copies of the database document stored as
+// backups/<timestamp>_<reason>.json. The file name doubles as the snapshot id.
+
+const DEFAULT_BACKUP_SETTINGS = {
+    enabled: true,
+    interval_hours: 24,
+    keep_last: 30,
+    max_age_days: 180
+};
+
+function getBackupSettings(database) {
+    return { ...DEFAULT_BACKUP_SETTINGS, ...((database.system_settings && database.system_settings.backups) || {}) };
+}
+
+function validateBackupSettings(settings) {
+    if (typeof settings.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    for (const field of ['interval_hours', 'keep_last', 'max_age_days']) {
+        if (!Number.isInteger(settings[field]) || settings[field] < 1) {
+            return `${field} must be a positive whole number`;
+        }
+    }
+    return null;
+}
+
+function isValidSnapshotId(id) {
+    return /^[\w-]+$/.test(id || '');
+}
+
+function parseSnapshotId(id) {
+    const [stamp, reason = 'manual'] = id.split('_');
+    // Undo the ':' and '.' replacement done by fileTimestamp()
+    const iso = stamp.replace(/^(\d{4}-\d{2}-\d{2}T)(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1$2:$3:$4.$5Z');
+    return { id, created_at: iso, reason };
+}
+
+function listSnapshots() {
+    if (!fs.existsSync(SNAPSHOTS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(SNAPSHOTS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => {
+            const id = path.basename(name, '.json');
+            return {
+                ...parseSnapshotId(id),
+                size: fs.statSync(path.join(SNAPSHOTS_DIR, name)).size
+            };
+        })
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+function readSnapshot(id) {
+    if (!isValidSnapshotId(id)) {
+        return null;
+    }
+    const file = path.join(SNAPSHOTS_DIR, `${id}.json`);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createSnapshot(reason = 'manual', database = loadDatabase()) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    const id = `${fileTimestamp()}_${reason.replace(/[^\w-]/g, '-')}`;
+    writeFileAtomic(path.join(SNAPSHOTS_DIR, `${id}.json`), JSON.stringify(database, null, 2));
+    applySnapshotRetention(getBackupSettings(database));
+    console.log(`🗄️ Snapshot created: ${id}`);
+    return { ...parseSnapshotId(id), size: fs.statSync(path.join(SNAPSHOTS_DIR, `${id}.json`)).size };
+}
+
+// Keep the newest keep_last snapshots and drop anything older than max_age_days
+function applySnapshotRetention(settings) {
+    const cutoff = Date.now() - settings.max_age_days * 24 * 60 * 60 * 1000;
+    listSnapshots().forEach((snapshot, index) => {
+        const tooMany = index >= settings.keep_last;
+        const tooOld = new Date(snapshot.created_at).getTime() < cutoff;
+        if (tooMany || tooOld) {
+            fs.unlinkSync(path.join(SNAPSHOTS_DIR, `${snapshot.id}.json`));
+        }
+    });
+}
+
+function runScheduledSnapshot() {
+    try {
+        const database = loadDatabase();
+        const settings = getBackupSettings(database);
+        if (!settings.enabled) {
+            return;
+        }
+        const lastScheduled = listSnapshots().find(snapshot => snapshot.reason === 'scheduled');
+        const dueAt = lastScheduled ?
+            new Date(lastScheduled.created_at).getTime() + settings.interval_hours * 60 * 60 * 1000 : 0;
+        if (Date.now() >= dueAt) {
+            createSnapshot('scheduled', database);
+        }
+    } catch (error) {
+        console.error('Scheduled snapshot failed:', error);
+    }
+}
+
+// Scheduled jobs wait for their turn like requests do
+function runScheduledWrite(task) {
+    withWriteLock(task).catch(error => console.error(`${task.name} could not take the database lock:`, error));
+}
+
+function startSnapshotScheduler() {
+    runScheduledWrite(runScheduledSnapshot);
+    setInterval(() => runScheduledWrite(runScheduledSnapshot), SNAPSHOT_CHECK_INTERVAL_MS);
+}
+
+function startTrashPurgeScheduler() {
+    runScheduledWrite(purgeExpiredTrash);
+    setInterval(() => runScheduledWrite(purgeExpiredTrash), TRASH_PURGE_INTERVAL_MS);
+}
+
+// Field-level differences between two values; nested plain objects are walked
+// and reported with dotted paths.
+function diffFields(before, after, prefix = '') {
+    const changes = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+        const field = prefix ? `${prefix}.${key}` : key;
+        const oldValue = before ? before[key] : undefined;
+        const newValue = after ? after[key] : undefined;
+        if (isObject(oldValue) && isObject(newValue)) {
+            changes.push(...diffFields(oldValue, newValue, field));
+        } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue });
+        }
+    });
+
+    return changes;
+}
+
+function diffRecordLists(beforeList, afterList, keyOf) {
+    const beforeMap = new Map((beforeList || []).map(record => [String(keyOf(record)), record]));
+    const afterMap = new Map((afterList || []).map(record => [String(keyOf(record)), record]));
+    const result = { added: [], removed: [], changed: [] };
+
+    afterMap.forEach((record, key) => {
+        if (!beforeMap.has(key)) {
+            result.added.push(record);
+        } else {
+            const changes = diffFields(beforeMap.get(key), record);
+            if (changes.length > 0) {
+                result.changed.push({ key, changes });
+            }
+        }
+    });
+    beforeMap.forEach((record, key) => {
+        if (!afterMap.has(key)) {
+            result.removed.push(record);
+        }
+    });
+
+    return result;
+}
+
+// Compare a snapshot with the live database, collection by collection
+function diffDatabases(snapshot, live) {
+    const sections = {};
+    const programs = new Set([
+        ...Object.keys(snapshot.sponsorship_programs || {}),
+        ...Object.keys(live.sponsorship_programs || {})
+    ]);
+    const registries = new Set([
+        ...Object.keys(snapshot.sponsorship_registry || {}),
+        ...Object.keys(live.sponsorship_registry || {})
+    ]);
+
+    programs.forEach(program => {
+        sections[`students.${program}`] = diffRecordLists(
+            snapshot.sponsorship_programs?.[program]?.students,
+            live.sponsorship_programs?.[program]?.students,
+            student => student.id || student.serial_number
+        );
+    });
+    registries.forEach(program => {
+        sections[`registry.${program}`] = diffRecordLists(
+            snapshot.sponsorship_registry?.[program]?.students,
+            live.sponsorship_registry?.[program]?.students,
+            sponsor => sponsor.id || sponsor.cid
+        );
+    });
+    sections.expenses = diffRecordLists(snapshot.daily_expenses, live.daily_expenses, expense => expense.id);
+    sections.events = diffRecordLists(snapshot.events, live.events, event => event.id);
+    sections.payments = diffRecordLists(snapshot.payments, live.payments, payment => payment.id);
+    sections.budgets = diffRecordLists(snapshot.budgets, live.budgets, budget => budget.id);
+    sections.statement_lines = diffRecordLists(snapshot.statement_lines, live.statement_lines, line => line.id);
+    sections.accounts = diffRecordLists(snapshot.accounts, live.accounts, account => account.id);
+    sections.transfers = diffRecordLists(snapshot.transfers, live.transfers, transfer => transfer.id);
+
+    const settingsChanges = diffFields(snapshot.system_settings, live.system_settings);
+    sections.settings = { added: [], removed: [], changed: settingsChanges.length > 0 ? [{ key: 'system_settings', changes: settingsChanges }] : [] };
+
+    const summary = { added: 0, removed: 0, changed: 0 };
+    Object.values(sections).forEach(section => {
+        summary.added += section.added.length;
+        summary.removed += section.removed.length;
+        summary.changed += section.changed.length;
+    });
+
+    return { summary, sections };
+}
+
 function createEmptyDatabase() {
     return {
         sponsorship_programs: {
             "CH": {
-                "program_name": "CH FINANCIAL ANALYSIS REPORT TERM III 2025",
+                "program_name": "CH FINANCIAL ANALYSIS REPORT",
                 "students": [],
                 "metadata": {
                     "total_students": 0,
@@ -124,7 +997,7 @@ function createEmptyDatabase() {
                 }
             },
             "YSP": {
-                "program_name": "YSP FINANCIAL ANALYSIS REPORT Term III 2025",
+                "program_name": "YSP FINANCIAL ANALYSIS REPORT",
                 "students": [],
                 "metadata": {
                     "total_students": 0,
@@ -134,7 +1007,7 @@ function createEmptyDatabase() {
                 }
             },
             "ICCSP": {
-                "program_name": "ICCSP FINANCIAL ANALYSIS REPORT TERM III 2025",
+                "program_name": "ICCSP FINANCIAL ANALYSIS REPORT",
                 "students": [],
                 "metadata": {
                     "total_students": 0,
@@ -144,7 +1017,7 @@ function createEmptyDatabase() {
                 }
             },
             "OTM_GA": {
-                "program_name": "OTM-GA FINANCIAL ANALYSIS REPORT TERM III 2025",
+                "program_name": "OTM-GA FINANCIAL ANALYSIS REPORT",
                 "students": [],
                 "metadata": {
                     "total_students": 0,
@@ -163,6 +1036,16 @@ function createEmptyDatabase() {
         financial_review: {},
         daily_expenses: [],
         events: [],
+        trash: [],
+        id_counters: {},
+        exchange_rates: [],
+        payments: [],
+        budgets: [],
+        periods: [{ ...standardPeriod(termKeyForDate(todayISO())), status: 'open' }],
+        statement_lines: [],
+        accounts: [],
+        transfers: [],
+        current_period: termKeyForDate(todayISO()),
         system_settings: {
             organization: {
                 name: "Sponsorship Pro",
@@ -177,7 +1060,13 @@ function createEmptyDatabase() {
                 email: true,
                 event_reminders: true,
                 low_balance: true
-            }
+            },
+            backups: { ...DEFAULT_BACKUP_SETTINGS },
+            trash: { ...DEFAULT_TRASH_SETTINGS },
+            arrears: { ...DEFAULT_ARREARS_SETTINGS },
+            expense_approval: cloneRecord(DEFAULT_EXPENSE_APPROVAL_SETTINGS),
+            chart_of_accounts: cloneRecord(DEFAULT_CHART_OF_ACCOUNTS),
+            cost_model: cloneRecord(DEFAULT_COST_MODEL)
         },
         metadata: {
             source_files: [],
@@ -190,13 +1079,635 @@ function createEmptyDatabase() {
                 total_monthly_funding_ugx: 0
             }
         },
+        schema_version: CURRENT_SCHEMA_VERSION,
         last_updated: new Date().toISOString()
     };
 }
 
-// Enhanced financial calculations
-function recalculateAllMetadata(database) {
-    let totalStudents = 0;
+// ===== SCHEMA VERSIONING =====
+// The database document carries a schema_version. Migrations run in order at
+// startup (and on restored snapshots) to bring older documents up to date.
+// Add new migrations to the end of SCHEMA_MIGRATIONS and never edit old ones.
+
+// Migrations must give the same result whenever an old file is upgraded, so
+// they never call the live helpers, which change with the features they
+// serve. Logic a migration needs is copied here or into the migration as it
+// was when the migration was written.
+const MIGRATION_TODAY = () => new Date().toISOString().split('T')[0];
+const migrationNameKey = name => String(name || '').toLowerCase().split(/\s+/).filter(Boolean).sort().join(' ');
+
+function migrationNextId(db, entity, prefix) {
+    db.id_counters = db.id_counters || {};
+    db.id_counters[entity] = (db.id_counters[entity] || 0) + 1;
+    return `${prefix}-${String(db.id_counters[entity]).padStart(5, '0')}`;
+}
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in top-level sections missing from older files (events, settings, metadata)',
+        migrate(db) {
+            // The version 1 shape is frozen here; later changes to createEmptyDatabase()
+            // belong to their own migrations
+            const programMetadata = () => ({ total_students: 0, sponsorship_types: {}, monthly_costs_ugx: 0, monthly_costs_eur: 0 });
+            const registryMetadata = () => ({ total_students: 0, active_students: 0, total_monthly_funding: 0 });
+            const empty = {
+                sponsorship_programs: {
+                    CH: { program_name: 'CH FINANCIAL ANALYSIS REPORT TERM III 2025', students: [], metadata: programMetadata() },
+                    YSP: { program_name: 'YSP FINANCIAL ANALYSIS REPORT Term III 2025', students: [], metadata: programMetadata() },
+                    ICCSP: { program_name: 'ICCSP FINANCIAL ANALYSIS REPORT TERM III 2025', students: [], metadata: programMetadata() },
+                    OTM_GA: { program_name: 'OTM-GA FINANCIAL ANALYSIS REPORT TERM III 2025', students: [], metadata: programMetadata() }
+                },
+                sponsorship_registry: {
+                    CH: { students: [], metadata: registryMetadata() },
+                    YSP: { students: [], metadata: registryMetadata() },
+                    ICCSP: { students: [], metadata: registryMetadata() },
+                    OTM_GA: { students: [], metadata: registryMetadata() }
+                },
+                financial_review: {},
+                system_settings: {
+                    organization: { name: 'Sponsorship Pro', currency: 'EUR', logo: null },
+                    forex: { manual_rate: 4100, auto_update: false },
+                    notifications: { email: true, event_reminders: true, low_balance: true },
+                    backups: { enabled: true, interval_hours: 24, keep_last: 30, max_age_days: 180 }
+                },
+                metadata: {
+                    source_files: [],
+                    extraction_date: new Date().toISOString().split('T')[0],
+                    currency_conversion_rate: { euro_to_ugx: 4100 },
+                    programs_summary: {
+                        total_students_across_all_programs: 0,
+                        total_active_sponsorships: 0,
+                        total_monthly_funding_euros: 0,
+                        total_monthly_funding_ugx: 0
+                    }
+                }
+            };
+            ['sponsorship_programs', 'sponsorship_registry', 'financial_review', 'metadata'].forEach(key => {
+                if (!db[key] || typeof db[key] !== 'object') {
+                    db[key] = empty[key];
+                }
+            });
+            ['daily_expenses', 'events'].forEach(key => {
+                if (!Array.isArray(db[key])) {
+                    db[key] = [];
+                }
+            });
+            db.system_settings = db.system_settings || {};
+            Object.entries(empty.system_settings).forEach(([section, defaults]) => {
+                db.system_settings[section] = { ...defaults, ...(db.system_settings[section] || {}) };
+            });
+            Object.entries(db.sponsorship_programs).forEach(([program, programData]) => {
+                programData.students = programData.students || [];
+                programData.metadata = programData.metadata || {};
+                if (!db.sponsorship_registry[program]) {
+                    db.sponsorship_registry[program] = { students: [], metadata: {} };
+                }
+            });
+            Object.values(db.sponsorship_registry).forEach(registry => {
+                registry.students = registry.students || [];
+                registry.metadata = registry.metadata || {};
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Convert legacy source_files strings into import records',
+        migrate(db) {
+            db.metadata.source_files = (db.metadata.source_files || []).map(entry => (
+                typeof entry === 'string' ?
+                    { filename: entry, import_date: db.metadata.extraction_date || null, type: 'legacy', records: null } :
+                    entry
+            ));
+            db.metadata.currency_conversion_rate = db.metadata.currency_conversion_rate || { euro_to_ugx: 4100 };
+        }
+    },
+    {
+        version: 3,
+        description: 'Add the trash bin for soft-deleted records',
+        migrate(db) {
+            db.trash = Array.isArray(db.trash) ? db.trash : [];
+            db.system_settings.trash = { retention_days: 30, ...(db.system_settings.trash || {}) };
+        }
+    },
+    {
+        version: 4,
+        description: 'Give students, sponsorships and expenses permanent ids and link the registry by student id',
+        migrate(db) {
+            // Expenses used to point at a serial_number without a program; re-resolve them by name
+            const allStudents = Object.values(db.sponsorship_programs).flatMap(program => program.students || []);
+            // Keep the display numbers as they were, since serial_number and cid are renumbered later
+            allStudents.forEach(student => {
+                if (student.id === undefined && student.serial_number !== undefined) {
+                    student.legacy_id = student.serial_number;
+                }
+            });
+            Object.values(db.sponsorship_registry).flatMap(registry => registry.students || []).forEach(entry => {
+                if (entry.id === undefined && entry.cid !== undefined) {
+                    entry.legacy_id = entry.cid;
+                }
+            });
+
+            // Permanent ids for students, sponsorships and expenses, trashed ones included
+            const prefixes = { student: 'STU', sponsorship: 'SPN', expense: 'EXP' };
+            const isId = (value, entity) => typeof value === 'string' && new RegExp(`^${prefixes[entity]}-\\d+$`).test(value);
+            const trashed = entity => (db.trash || []).filter(t => t.entity === entity).map(t => t.record);
+            const collections = {
+                student: allStudents,
+                sponsorship: Object.values(db.sponsorship_registry).flatMap(registry => registry.students || []),
+                expense: db.daily_expenses || []
+            };
+            db.id_counters = db.id_counters || {};
+            Object.entries(collections).forEach(([entity, records]) => {
+                const all = [...records, ...trashed(entity)];
+                all.forEach(record => {
+                    if (isId(record.id, entity)) {
+                        db.id_counters[entity] = Math.max(db.id_counters[entity] || 0, parseInt(record.id.split('-')[1]));
+                    }
+                });
+                const seen = new Set();
+                all.forEach(record => {
+                    if (!isId(record.id, entity) || seen.has(record.id)) {
+                        if (record.id !== undefined && record.id !== null && !isId(record.id, entity)) {
+                            record.legacy_id = record.id;
+                        }
+                        record.id = migrationNextId(db, entity, prefixes[entity]);
+                    }
+                    seen.add(record.id);
+                });
+            });
+
+            // Registry entries point at their student by id, matched by exact or word-order-insensitive name
+            Object.entries(db.sponsorship_registry).forEach(([program, registry]) => {
+                const students = db.sponsorship_programs[program]?.students || [];
+                (registry.students || []).forEach(entry => {
+                    let student = entry.student_id ? students.find(s => s.id === entry.student_id) : null;
+                    if (!student && entry.full_name) {
+                        student = students.find(s => s.full_name === entry.full_name) ||
+                            students.find(s => migrationNameKey(s.full_name) === migrationNameKey(entry.full_name));
+                    }
+                    if (student) {
+                        entry.student_id = student.id;
+                        entry.full_name = student.full_name;
+                    } else if (entry.student_id && !students.some(s => s.id === entry.student_id)) {
+                        entry.student_id = null;
+                    }
+                });
+            });
+
+            db.daily_expenses.forEach(expense => {
+                if (typeof expense.studentId === 'number') {
+                    const student = allStudents.find(s => expense.studentName && migrationNameKey(s.full_name) === migrationNameKey(expense.studentName));
+                    expense.studentId = student ? student.id : null;
+                }
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Add the date-effective exchange rate table, seeded with the rate in use so far',
+        migrate(db) {
+            if (!Array.isArray(db.exchange_rates)) {
+                db.exchange_rates = [{
+                    id: 1,
+                    base: 'EUR',
+                    quote: 'UGX',
+                    rate: db.metadata.currency_conversion_rate?.euro_to_ugx || db.system_settings.forex?.manual_rate || 4100,
+                    effective_date: db.metadata.extraction_date || MIGRATION_TODAY(),
+                    source: 'migration'
+                }];
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Store the currency on every sponsorship amount and expense',
+        migrate(db) {
+            Object.values(db.sponsorship_registry).forEach(registry => {
+                (registry.students || []).forEach(sponsor => {
+                    sponsor.currency = sponsor.currency || 'EUR';
+                });
+            });
+            (db.daily_expenses || []).forEach(expense => {
+                expense.currency = expense.currency || 'UGX';
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Add the sponsor payment ledger, seeded with the cash received in the legacy financial review',
+        migrate(db) {
+            if (Array.isArray(db.payments)) {
+                return;
+            }
+            db.payments = [];
+            Object.entries(db.financial_review || {}).forEach(([key, review]) => {
+                // Review blocks are named "<PROGRAM>_Financial_Review" and cover August 2024
+                const program = key.replace(/_Financial_Review$/, '');
+                const registry = db.sponsorship_registry[program]?.students || [];
+                (review.students || []).forEach(row => {
+                    const amount = parseFloat(row.cash_received_aug_2024) || 0;
+                    if (amount <= 0) {
+                        return;
+                    }
+                    const sponsorship = registry.find(entry => migrationNameKey(entry.full_name) === migrationNameKey(row.full_name));
+                    db.payments.push({
+                        id: migrationNextId(db, 'payment', 'PAY'),
+                        sponsorship_id: sponsorship ? sponsorship.id : null,
+                        program,
+                        student_id: sponsorship ? sponsorship.student_id || null : null,
+                        full_name: row.full_name,
+                        sponsor: sponsorship ? sponsorship.sponsor : null,
+                        date: '2024-08-31',
+                        amount,
+                        currency: sponsorship?.currency || 'EUR',
+                        method: 'other',
+                        reference: key,
+                        notes: 'Imported from the August 2024 financial review',
+                        version: 1
+                    });
+                });
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Add program budgets per term and expense category',
+        migrate(db) {
+            db.budgets = Array.isArray(db.budgets) ? db.budgets : [];
+        }
+    },
+    {
+        version: 9,
+        description: 'Move the term out of program names into a period table with the current term open',
+        migrate(db) {
+            if (Array.isArray(db.periods)) {
+                return;
+            }
+            // "CH FINANCIAL ANALYSIS REPORT TERM III 2025" -> program "CH FINANCIAL ANALYSIS REPORT", period 2025-T3
+            const romanTerms = ['I', 'II', 'III'];
+            const termDates = { 1: ['01-01', '04-30'], 2: ['05-01', '08-31'], 3: ['09-01', '12-31'] };
+            let current = null;
+            Object.values(db.sponsorship_programs).forEach(program => {
+                const match = String(program.program_name || '').match(/\s+TERM\s+(I{1,3})\s+(\d{4})\s*$/i);
+                if (match) {
+                    current = current || `${match[2]}-T${romanTerms.indexOf(match[1].toUpperCase()) + 1}`;
+                    program.program_name = program.program_name.slice(0, match.index).trim();
+                }
+            });
+            if (!current) {
+                const [year, month] = (db.metadata.extraction_date || MIGRATION_TODAY()).split('-').map(Number);
+                current = `${year}-T${month <= 4 ? 1 : month <= 8 ? 2 : 3}`;
+            }
+            const [year, term] = current.split('-T');
+            db.periods = [{
+                id: current,
+                name: `Term ${romanTerms[term - 1]} ${year}`,
+                start_date: `${year}-${termDates[term][0]}`,
+                end_date: `${year}-${termDates[term][1]}`,
+                months: 4,
+                status: 'open'
+            }];
+            db.current_period = current;
+        }
+    },
+    {
+        version: 10,
+        description: 'Link expenses to students by name and queue ambiguous ones for manual matching',
+        migrate(db) {
+            const students = Object.entries(db.sponsorship_programs || {})
+                .flatMap(([program, programData]) => (programData.students || []).map(student => ({ student, program })));
+            (db.daily_expenses || []).forEach(expense => {
+                if (expense.student_match) {
+                    return;
+                }
+                const byId = expense.studentId ? students.find(candidate => candidate.student.id === expense.studentId) : null;
+                if (byId) {
+                    expense.program = byId.program;
+                    expense.studentName = expense.studentName || byId.student.full_name;
+                    expense.student_match = 'auto';
+                    return;
+                }
+                expense.studentId = null;
+                if (!String(expense.studentName || '').trim()) {
+                    expense.student_match = 'none';
+                    return;
+                }
+                // Only a single exact (word-order-insensitive) match links; anything else waits for a person
+                const key = migrationNameKey(expense.studentName);
+                const exact = students.filter(candidate => (!expense.program || candidate.program === expense.program) &&
+                    migrationNameKey(candidate.student.full_name) === key);
+                if (exact.length === 1) {
+                    expense.studentId = exact[0].student.id;
+                    expense.program = exact[0].program;
+                    expense.student_match = 'auto';
+                } else {
+                    expense.student_match = 'pending';
+                }
+            });
+        }
+    },
+    {
+        version: 11,
+        description: 'Add the configurable cost model, seeded with the previous fixed line items',
+        migrate(db) {
+            db.system_settings = db.system_settings || {};
+            if (!db.system_settings.cost_model) {
+                db.system_settings.cost_model = {
+                    months_per_term: 3,
+                    components: [
+                        { key: 'termly_school_fees', label: 'Termly school fees', frequency: 'termly', category: 'school' },
+                        { key: 'direct_spending_school_fees_ugx_monthly', label: 'Direct school spending', frequency: 'monthly', category: 'school' },
+                        { key: 'food', label: 'Food', frequency: 'monthly', category: 'food' },
+                        { key: 'average_medical', label: 'Medical', frequency: 'monthly', category: 'medical' },
+                        { key: 'school_personal_requirements_transport', label: 'Personal requirements & transport', frequency: 'monthly', category: 'transport' },
+                        { key: 'admin_utilities', label: 'Admin & utilities', frequency: 'monthly', category: 'admin' }
+                    ],
+                    packages: {}
+                };
+            }
+        }
+    },
+    {
+        version: 12,
+        description: 'Add imported bank and mobile-money statement lines for reconciliation',
+        migrate(db) {
+            if (!Array.isArray(db.statement_lines)) {
+                db.statement_lines = [];
+            }
+        }
+    },
+    {
+        version: 13,
+        description: 'Add the expense approval workflow; existing expenses count as approved',
+        migrate(db) {
+            db.system_settings = db.system_settings || {};
+            if (!db.system_settings.expense_approval) {
+                db.system_settings.expense_approval = { approvers: [] };
+            }
+            (db.daily_expenses || []).forEach(expense => {
+                if (!expense.status) {
+                    expense.status_history = expense.status_history || [];
+                    expense.status_history.push({
+                        from: null, to: 'approved', by: 'migration', at: new Date().toISOString(), comment: 'Recorded before the approval workflow'
+                    });
+                    expense.status = 'approved';
+                }
+            });
+        }
+    },
+    {
+        version: 14,
+        description: 'Add cash book accounts and transfers between them',
+        migrate(db) {
+            ['accounts', 'transfers'].forEach(key => {
+                if (!Array.isArray(db[key])) {
+                    db[key] = [];
+                }
+            });
+        }
+    },
+    {
+        version: 15,
+        description: 'Add the default chart of accounts for the general ledger export',
+        migrate(db) {
+            db.system_settings = db.system_settings || {};
+            if (!db.system_settings.chart_of_accounts) {
+                db.system_settings.chart_of_accounts = {
+                    base_currency: null,
+                    accounts: [
+                        { code: '1000', name: 'Cash and bank', type: 'asset' },
+                        { code: '1090', name: 'Unallocated cash', type: 'asset' },
+                        { code: '3000', name: 'Opening balance equity', type: 'equity' },
+                        { code: '3100', name: 'Accumulated surplus', type: 'equity' },
+                        { code: '4000', name: 'Sponsorship income', type: 'income' },
+                        { code: '6100', name: 'Food', type: 'expense' },
+                        { code: '6200', name: 'Medical', type: 'expense' },
+                        { code: '6300', name: 'School fees', type: 'expense' },
+                        { code: '6400', name: 'Transport', type: 'expense' },
+                        { code: '6500', name: 'Administration', type: 'expense' },
+                        { code: '6900', name: 'Other expenses', type: 'expense' },
+                        { code: '7900', name: 'Exchange differences', type: 'expense' }
+                    ],
+                    mappings: {
+                        sponsor_income: { default: '4000', programs: {} },
+                        expense_categories: { default: '6900', categories: { food: '6100', medical: '6200', school: '6300', transport: '6400', admin: '6500' } },
+                        cash_accounts: { default: '1000', accounts: {} },
+                        unallocated_cash: '1090',
+                        opening_balance_equity: '3000',
+                        accumulated_surplus: '3100',
+                        exchange_differences: '7900'
+                    }
+                };
+            }
+        }
+    },
+    {
+        version: 16,
+        description: 'Book approved expenses against an expenses payable account until they are paid',
+        migrate(db) {
+            const chart = db.system_settings && db.system_settings.chart_of_accounts;
+            if (!chart || !chart.mappings || chart.mappings.expenses_payable) {
+                return;
+            }
+            const accounts = chart.accounts || [];
+            let payable = accounts.find(account => account.type === 'liability' && /payable/i.test(account.name || ''));
+            if (!payable) {
+                // 2000 unless a chart already uses it for something else
+                let code = 2000;
+                while (accounts.some(account => String(account.code) === String(code))) {
+                    code += 10;
+                }
+                payable = { code: String(code), name: 'Expenses payable', type: 'liability' };
+                accounts.push(payable);
+                chart.accounts = accounts;
+            }
+            chart.mappings.expenses_payable = payable.code;
+        }
+    },
+    {
+        version: 17,
+        description: 'Charge terms for the cost model months per term instead of their calendar months',
+        migrate(db) {
+            // Months worked out from the dates were never chosen by anyone; closed periods keep what they charged
+            (db.periods || []).forEach(period => {
+                if (period.status === 'closed' || !/^\d{4}-\d{2}/.test(period.start_date || '') || !/^\d{4}-\d{2}/.test(period.end_date || '')) {
+                    return;
+                }
+                const [startYear, startMonth] = period.start_date.split('-').map(Number);
+                const [endYear, endMonth] = period.end_date.split('-').map(Number);
+                if (Number(period.months) === (endYear - startYear) * 12 + (endMonth - startMonth) + 1) {
+                    period.months = null;
+                }
+            });
+        }
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// Applies every pending migration to the document in place; returns the versions applied
+function migrateDatabaseDocument(db) {
+    const applied = [];
+    const startVersion = db.schema_version || 0;
+
+    if (startVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Database schema version ${startVersion} is newer than this server supports (${CURRENT_SCHEMA_VERSION})`);
+    }
+
+    SCHEMA_MIGRATIONS
+        .filter(migration => migration.version > startVersion)
+        .forEach(migration => {
+            migration.migrate(db);
+            db.schema_version = migration.version;
+            applied.push({ version: migration.version, description: migration.description });
+        });
+
+    return applied;
+}
+
+function runStartupMigrations() {
+    // Another server process on the same store must not migrate it at the same time
+    dataStore.lock();
+    try {
+        const database = loadDatabase();
+        if ((database.schema_version || 0) >= CURRENT_SCHEMA_VERSION) {
+            return;
+        }
+
+        createSnapshot('pre-migration', database);
+        const applied = migrateDatabaseDocument(database);
+        if (!saveDatabase(database)) {
+            throw new Error('Failed to save migrated database');
+        }
+        applied.forEach(migration => {
+            console.log(`🧬 Applied schema migration ${migration.version}: ${migration.description}`);
+        });
+    } finally {
+        unlockStorage();
+    }
+}
+
+// Expected shape of each collection. Each check returns a problem description
+// (or null) and, where possible, a repair that fixes the record in place.
+function validateDatabaseDocument(db) {
+    const issues = [];
+    const report = (pathName, problem, repair) => {
+        issues.push({ path: pathName, problem, repairable: !!repair, repair });
+    };
+    const isNumeric = value => value === undefined || value === null || value === '' || !isNaN(parseFloat(value));
+    const empty = createEmptyDatabase();
+
+    if ((db.schema_version || 0) !== CURRENT_SCHEMA_VERSION) {
+        report('schema_version', `expected ${CURRENT_SCHEMA_VERSION}, found ${db.schema_version || 0}`,
+            () => migrateDatabaseDocument(db));
+    }
+
+    ['sponsorship_programs', 'sponsorship_registry', 'financial_review', 'system_settings', 'metadata'].forEach(key => {
+        if (!db[key] || typeof db[key] !== 'object' || Array.isArray(db[key])) {
+            report(key, 'missing or not an object', () => { db[key] = empty[key]; });
+        }
+    });
+    ['daily_expenses', 'events', 'trash', 'exchange_rates', 'payments', 'budgets', 'periods', 'statement_lines', 'accounts', 'transfers'].forEach(key => {
+        if (!Array.isArray(db[key])) {
+            report(key, 'missing or not an array', () => { db[key] = []; });
+        }
+    });
+    if (Array.isArray(db.periods) && !db.periods.some(period => period.id === db.current_period && period.status === 'open')) {
+        report('current_period', `"${db.current_period}" is not an open period`);
+    }
+
+    Object.entries(db.sponsorship_programs || {}).forEach(([program, programData]) => {
+        if (!Array.isArray(programData.students)) {
+            report(`sponsorship_programs.${program}.students`, 'missing or not an array', () => { programData.students = []; });
+            return;
+        }
+        programData.students.forEach((student, index) => {
+            const base = `sponsorship_programs.${program}.students[${index}]`;
+            if (!student.full_name) {
+                report(`${base}.full_name`, 'missing student name');
+            }
+            if (!student.financial_data || typeof student.financial_data !== 'object') {
+                report(`${base}.financial_data`, 'missing or not an object', () => { student.financial_data = {}; });
+            }
+        });
+    });
+
+    Object.entries(db.sponsorship_registry || {}).forEach(([program, registry]) => {
+        if (!Array.isArray(registry.students)) {
+            report(`sponsorship_registry.${program}.students`, 'missing or not an array', () => { registry.students = []; });
+            return;
+        }
+        registry.students.forEach((sponsor, index) => {
+            const base = `sponsorship_registry.${program}.students[${index}]`;
+            if (!isNumeric(sponsor.amount)) {
+                report(`${base}.amount`, `not a number: ${JSON.stringify(sponsor.amount)}`, () => { sponsor.amount = 0; });
+            } else if (typeof sponsor.amount === 'string') {
+                report(`${base}.amount`, 'stored as text', () => { sponsor.amount = parseFloat(sponsor.amount) || 0; });
+            }
+            if (!sponsor.currency) {
+                report(`${base}.currency`, 'missing currency', () => { sponsor.currency = DEFAULT_SPONSORSHIP_CURRENCY; });
+            }
+            if (!sponsor.student_id) {
+                report(`${base}.student_id`, `sponsorship for "${sponsor.full_name}" is not linked to a student`);
+            }
+            if (sponsor.sponsorship_status && !['active', 'inactive'].includes(sponsor.sponsorship_status)) {
+                report(`${base}.sponsorship_status`, `unknown status "${sponsor.sponsorship_status}"`);
+            }
+        });
+    });
+
+    (Array.isArray(db.daily_expenses) ? db.daily_expenses : []).forEach((expense, index) => {
+        const base = `daily_expenses[${index}]`;
+        if (expense.id === undefined || expense.id === null) {
+            report(`${base}.id`, 'missing id');
+        }
+        if (!isNumeric(expense.amount) || typeof expense.amount === 'string') {
+            report(`${base}.amount`, `not a number: ${JSON.stringify(expense.amount)}`,
+                () => { expense.amount = parseFloat(expense.amount) || 0; });
+        }
+        if (!expense.date) {
+            report(`${base}.date`, 'missing date');
+        }
+        if (!expense.currency) {
+            report(`${base}.currency`, 'missing currency', () => { expense.currency = DEFAULT_EXPENSE_CURRENCY; });
+        }
+        if (!EXPENSE_STATUSES.includes(expense.status)) {
+            report(`${base}.status`, `unknown approval status: ${JSON.stringify(expense.status)}`);
+        }
+    });
+
+    (Array.isArray(db.events) ? db.events : []).forEach((event, index) => {
+        if (event.id === undefined || event.id === null) {
+            report(`events[${index}].id`, 'missing id');
+        }
+    });
+
+    return issues;
+}
+
+// Runs every available repair; returns the issues that were fixed and those left
+function repairDatabaseDocument(db) {
+    const repaired = [];
+    validateDatabaseDocument(db).forEach(issue => {
+        if (issue.repair) {
+            issue.repair();
+            repaired.push(issue);
+        }
+    });
+    return { repaired, remaining: validateDatabaseDocument(db) };
+}
+
+function serializeIssues(issues) {
+    return issues.map(({ path: pathName, problem, repairable }) => ({ path: pathName, problem, repairable }));
+}
+
+// Enhanced financial calculations. Saves use today's rates; reports for another
+// date recalculate a copy with the rates in effect on that date.
+function recalculateAllMetadata(database, date = todayISO()) {
+    const exchangeRate = getExchangeRate(database, 'EUR', 'UGX', date);
+    const costModel = getCostModel(database);
+    let totalStudents = 0;
     let totalActiveSponsorships = 0;
     let totalMonthlyFundingEUR = 0;
     
@@ -218,7 +1729,8 @@ function recalculateAllMetadata(database) {
             // Calculate program financials
             let programMonthlyCostUGX = 0;
             program.students.forEach(student => {
-                const financials = calculateStudentFinancials(student.financial_data || {});
+                const financials = calculateStudentFinancials(student.financial_data || {}, exchangeRate.rate,
+                    costModel, student.sponsorship_package);
                 programMonthlyCostUGX += financials.monthly_output_ugx;
                 
                 // Update student financial data with calculated values
@@ -226,13 +1738,14 @@ function recalculateAllMetadata(database) {
             });
             
             program.metadata.monthly_costs_ugx = programMonthlyCostUGX;
-            program.metadata.monthly_costs_eur = programMonthlyCostUGX / EXCHANGE_RATE;
+            program.metadata.monthly_costs_eur = programMonthlyCostUGX / exchangeRate.rate;
         }
     });
     
     // Calculate registry-level metadata
     Object.entries(database.sponsorship_registry).forEach(([programName, registry]) => {
         if (registry.students) {
+            resolveShareAllocations(database, programName, date);
             registry.metadata = registry.metadata || {};
             registry.metadata.total_students = registry.students.length;
             
@@ -247,12 +1760,16 @@ function recalculateAllMetadata(database) {
             );
             registry.metadata.inactive_students = inactiveStudents.length;
             
-            const programFunding = activeStudents.reduce((sum, student) => {
-                return sum + (parseFloat(student.amount) || 0);
-            }, 0);
+            const programFunding = sumInCurrency(database, activeStudents, 'EUR', date);
             
-            registry.metadata.total_monthly_funding = programFunding;
-            totalMonthlyFundingEUR += programFunding;
+            registry.metadata.total_monthly_funding = programFunding.total;
+            registry.metadata.monthly_funding_by_currency = programFunding.by_currency;
+            totalMonthlyFundingEUR += programFunding.total;
+            
+            if (database.sponsorship_programs[programName]) {
+                database.sponsorship_programs[programName].metadata.funding_coverage =
+                    summarizeCoverage(calculateStudentCoverage(database, programName, date));
+            }
         }
     });
     
@@ -261,176 +1778,518 @@ function recalculateAllMetadata(database) {
         total_students_across_all_programs: totalStudents,
         total_active_sponsorships: totalActiveSponsorships,
         total_monthly_funding_euros: totalMonthlyFundingEUR,
-        total_monthly_funding_ugx: totalMonthlyFundingEUR * EXCHANGE_RATE
+        total_monthly_funding_ugx: totalMonthlyFundingEUR * exchangeRate.rate
+    };
+    database.metadata.currency_conversion_rate = {
+        euro_to_ugx: exchangeRate.rate,
+        effective_date: exchangeRate.effective_date,
+        source: exchangeRate.source
     };
     
     return database;
 }
 
-function calculateStudentFinancials(financialData) {
-    const result = { ...financialData };
+function calculateStudentFinancials(financialData, exchangeRate = EXCHANGE_RATE, costModel = DEFAULT_COST_MODEL, packageName = null) {
+    const { data: result, errors } = resolveFormulaFields(financialData);
+    errors.forEach(error => console.warn(`Formula error in ${error.field} (${error.formula}): ${error.code} ${error.message}`));
     
     // Ensure all values are numbers
     Object.keys(result).forEach(key => {
-        if (typeof result[key] === 'string' && result[key].startsWith('=')) {
-            result[key] = evaluateFormula(result[key], result);
-        } else if (result[key] === null || result[key] === undefined) {
+        if (result[key] === null || result[key] === undefined) {
             result[key] = 0;
         } else if (typeof result[key] === 'string') {
             result[key] = parseFloat(result[key]) || 0;
         }
     });
     
-    // Calculate monthly costs in UGX
-    const termlyFeesMonthly = (result.termly_school_fees || 0) / 3;
-    const directSpending = result.direct_spending_school_fees_ugx_monthly || 0;
-    const food = result.food || 0;
-    const medical = result.average_medical || 0;
-    const transport = result.school_personal_requirements_transport || 0;
-    const admin = result.admin_utilities || 0;
-    
-    result.monthly_output_ugx = termlyFeesMonthly + directSpending + food + medical + transport + admin;
-    result.monthly_output_euro = result.monthly_output_ugx / EXCHANGE_RATE;
+    // Calculate monthly costs in UGX from the cost components that apply to the package
+    result.monthly_output_ugx = monthlyCostByComponent(result, costModel, packageName)
+        .reduce((sum, component) => sum + component.monthly_ugx, 0);
+    result.monthly_output_euro = result.monthly_output_ugx / exchangeRate;
     
     // Calculate cash received in UGX
-    result.cash_received_ugx = (result.cash_received_euro || 0) * EXCHANGE_RATE;
+    result.cash_received_ugx = (result.cash_received_euro || 0) * exchangeRate;
     
     // Calculate balance
     result.plus_minus_diff_ugx = result.cash_received_ugx - result.monthly_output_ugx;
-    result.plus_minus_diff_euro = result.plus_minus_diff_ugx / EXCHANGE_RATE;
+    result.plus_minus_diff_euro = result.plus_minus_diff_ugx / exchangeRate;
     
     return result;
 }
 
-function evaluateFormula(formula, data) {
-    try {
-        let expression = formula.substring(1);
-        const replacements = {
-            '\\$E\\$3': data.termly_school_fees || 0,
-            '\\$D\\$3': data.termly_school_fees || 0,
-            'D3': data.termly_school_fees || 0,
-            'E3': data.direct_spending_school_fees_ugx_monthly || 0,
-            'F3': data.direct_spending_school_fees_euros_monthly || 0,
-            'G3': data.food || 0,
-            'H3': data.average_medical || 0,
-            'I3': data.school_personal_requirements_transport || 0,
-            'J3': data.admin_utilities || 0
-        };
-        
-        Object.entries(replacements).forEach(([pattern, value]) => {
-            expression = expression.replace(new RegExp(pattern, 'g'), value);
-        });
-        
-        expression = expression
-            .replace(/(\d+)%/g, '$1/100')
-            .replace(/SUM\(([^)]+)\)/g, (match, range) => {
-                const parts = range.split(':');
-                return parts.reduce((sum, part) => sum + (parseFloat(data[part]) || 0), 0);
-            });
-        
-        const result = Function('"use strict"; return (' + expression + ')')();
-        return typeof result === 'number' ? result : 0;
-    } catch (error) {
-        console.warn('Error evaluating formula:', formula, error);
-        return 0;
-    }
-}
+// ===== FORMULA ENGINE =====
+// Evaluates the subset of Excel formulas used in the financial workbooks
+// without executing code: numbers, + - * / ^, postfix %, comparisons, SUM,
+// ROUND and IF over named financial_data fields and A1-style cell references.
+// Failures throw an error whose `code` is the Excel-style error value
+// (#NAME?, #REF!, #DIV/0!, #VALUE!, #NUM!, #CIRC!).
 
-// ===== ENHANCED IMPORT PROCESSING FUNCTIONS =====
+// Column layout of the legacy financial analysis sheets, used when a formula
+// arrives without its worksheet (API edits, JSON imports)
+const FORMULA_COLUMNS = {
+    D: 'termly_school_fees',
+    E: 'direct_spending_school_fees_ugx_monthly',
+    F: 'direct_spending_school_fees_euros_monthly',
+    G: 'food',
+    H: 'average_medical',
+    I: 'school_personal_requirements_transport',
+    J: 'admin_utilities'
+};
 
-function processExcelImport(fileBuffer, importType) {
-    try {
-        console.log('Processing Excel import for type:', importType);
-        
-        // Read Excel file
-        const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
-        const result = {
-            type: importType,
-            data: {},
-            metadata: {
-                source_file: 'uploaded_file.xlsx',
-                import_date: new Date().toISOString(),
-                sheets_processed: workbook.SheetNames,
-                total_records: 0
-            }
-        };
+const FORMULA_FUNCTIONS = ['SUM', 'ROUND', 'IF'];
 
-        // Process based on import type
-        switch (importType) {
-            case 'students':
-                result.data = processStudentsData(workbook);
-                break;
-            case 'sponsors':
-                result.data = processSponsorsData(workbook);
-                break;
-            case 'expenses':
-                result.data = processExpensesData(workbook);
-                break;
-            case 'all':
-                result.data = processAllData(workbook);
-                break;
-            default:
-                throw new Error(`Unknown import type: ${importType}`);
-        }
+// Largest range SUM walks; the workbooks only sum across a few columns of one row
+const MAX_FORMULA_RANGE_CELLS = 10000;
 
-        // Calculate total records
-        result.metadata.total_records = calculateTotalRecords(result.data);
-        
-        console.log('Import processing completed successfully');
-        return result;
+const FORMULA_TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+)|(\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?)(?![A-Za-z0-9_.(])|([A-Za-z_][A-Za-z0-9_.]*)|(<>|<=|>=|[-+*/^%(),;=<>]))/y;
 
-    } catch (error) {
-        console.error('Error processing Excel import:', error);
-        throw new Error(`Failed to process Excel file: ${error.message}`);
-    }
+function formulaError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
 }
 
-function processStudentsData(workbook) {
-    const programs = ['CH', 'YSP', 'ICCSP', 'OTM_GA'];
-    const studentsData = { sponsorship_programs: {} };
-
-    programs.forEach(program => {
-        const sheet = workbook.Sheets[program];
-        studentsData.sponsorship_programs[program] = {
-            program_name: `${program} FINANCIAL ANALYSIS REPORT`,
-            students: [],
-            metadata: {
-                total_students: 0,
-                sponsorship_types: {},
-                monthly_costs_ugx: 0,
-                monthly_costs_eur: 0
+function tokenizeFormula(text) {
+    const tokens = [];
+    FORMULA_TOKEN_PATTERN.lastIndex = 0;
+    while (FORMULA_TOKEN_PATTERN.lastIndex < text.length) {
+        const position = FORMULA_TOKEN_PATTERN.lastIndex;
+        const match = FORMULA_TOKEN_PATTERN.exec(text);
+        if (!match) {
+            const rest = text.slice(position).trim();
+            if (!rest) {
+                break;
             }
-        };
+            if (rest.startsWith('"')) {
+                throw formulaError('#VALUE!', 'Text values are not supported');
+            }
+            throw formulaError('#VALUE!', `Unexpected character "${rest[0]}" at position ${text.length - rest.length + 1}`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'ref', text: match[2].toUpperCase() });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'name', text: match[3] });
+        } else {
+            tokens.push({ type: 'op', text: match[4] });
+        }
+    }
+    return tokens;
+}
 
-        if (sheet) {
-            const jsonData = XLSX.utils.sheet_to_json(sheet);
-            console.log(`Processing ${program} students:`, jsonData.length);
-            
-            studentsData.sponsorship_programs[program].students = jsonData.map((row, index) => {
-                // Calculate financial data
-                const financialData = {
-                    termly_school_fees: parseFloat(row['Termly Fees (UGX)']) || 0,
-                    direct_spending_school_fees_ugx_monthly: parseFloat(row['Direct Spending (UGX)']) || 0,
-                    food: parseFloat(row['Food (UGX)']) || 0,
-                    average_medical: parseFloat(row['Medical (UGX)']) || 0,
-                    school_personal_requirements_transport: parseFloat(row['Transport (UGX)']) || 0,
-                    admin_utilities: parseFloat(row['Admin (UGX)']) || 0,
-                    cash_received_euro: parseFloat(row['Cash Received (EUR)']) || 0
-                };
+function parseCellRef(text) {
+    const match = text.match(/^\$?([A-Z]{1,3})\$?(\d+)$/);
+    return { column: match[1], row: parseInt(match[2]) };
+}
 
-                // Calculate derived financial values
-                const calculatedFinancials = calculateStudentFinancials(financialData);
+// Recursive descent over Excel precedence: comparison < + - < * / < ^ < unary - < %
+function parseFormula(formula) {
+    const tokens = tokenizeFormula(String(formula).replace(/^=/, ''));
+    let position = 0;
 
-                return {
-                    serial_number: index + 1,
-                    full_name: row['Full Name'] || row['Student Name'] || `Student ${index + 1}`,
-                    sponsorship_package: row['Sponsorship Package'] || row['Package'] || 'Day',
-                    financial_data: calculatedFinancials,
-                    notes: row['Notes'] || ''
-                };
-            });
-        } else {
-            console.log(`No sheet found for program: ${program}`);
+    const peek = () => tokens[position];
+    const isOp = (...ops) => Boolean(peek()) && peek().type === 'op' && ops.includes(peek().text);
+    const expect = op => {
+        if (!isOp(op)) {
+            throw formulaError('#VALUE!', peek() ? `Expected "${op}" before "${peek().text || peek().value}"` : `Expected "${op}" at end of formula`);
+        }
+        position++;
+    };
+    const binaryLevel = (ops, next) => () => {
+        let node = next();
+        while (isOp(...ops)) {
+            const op = tokens[position++].text;
+            node = { type: 'binary', op, left: node, right: next() };
+        }
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) {
+            throw formulaError('#VALUE!', 'Formula ends unexpectedly');
+        }
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'ref') {
+            const [from, to] = token.text.split(':');
+            return to ? { type: 'range', from: parseCellRef(from), to: parseCellRef(to) } : { type: 'ref', ...parseCellRef(from) };
+        }
+        if (token.type === 'name') {
+            const upper = token.text.toUpperCase();
+            if (isOp('(')) {
+                position++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseComparison());
+                    while (isOp(',', ';')) {
+                        position++;
+                        args.push(parseComparison());
+                    }
+                }
+                expect(')');
+                if (!FORMULA_FUNCTIONS.includes(upper)) {
+                    throw formulaError('#NAME?', `Unknown function ${upper}`);
+                }
+                return { type: 'call', name: upper, args };
+            }
+            if (upper === 'TRUE' || upper === 'FALSE') {
+                return { type: 'number', value: upper === 'TRUE' ? 1 : 0 };
+            }
+            return { type: 'name', name: token.text };
+        }
+        if (token.text === '(') {
+            const node = parseComparison();
+            expect(')');
+            return node;
+        }
+        throw formulaError('#VALUE!', `Unexpected "${token.text}"`);
+    };
+    const parsePercent = () => {
+        let node = parsePrimary();
+        while (isOp('%')) {
+            position++;
+            node = { type: 'percent', operand: node };
+        }
+        return node;
+    };
+    const parseUnary = () => {
+        if (isOp('-', '+')) {
+            const op = tokens[position++].text;
+            const operand = parseUnary();
+            return op === '-' ? { type: 'negate', operand } : operand;
+        }
+        return parsePercent();
+    };
+    const parsePower = binaryLevel(['^'], parseUnary);
+    const parseMultiplicative = binaryLevel(['*', '/'], parsePower);
+    const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+    const parseComparison = binaryLevel(['=', '<>', '<', '>', '<=', '>='], parseAdditive);
+
+    if (tokens.length === 0) {
+        throw formulaError('#VALUE!', 'Formula is empty');
+    }
+    const ast = parseComparison();
+    if (position < tokens.length) {
+        throw formulaError('#VALUE!', `Unexpected "${peek().text || peek().value}"`);
+    }
+    return ast;
+}
+
+function evaluateFormulaNode(node, context) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'name':
+            return context.resolveName(node.name);
+        case 'ref':
+            return context.resolveCell(node.column, node.row);
+        case 'range':
+            throw formulaError('#VALUE!', 'Ranges are only allowed inside SUM');
+        case 'negate':
+            return -evaluateFormulaNode(node.operand, context);
+        case 'percent':
+            return evaluateFormulaNode(node.operand, context) / 100;
+        case 'binary': {
+            const left = evaluateFormulaNode(node.left, context);
+            const right = evaluateFormulaNode(node.right, context);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/':
+                    if (right === 0) {
+                        throw formulaError('#DIV/0!', 'Division by zero');
+                    }
+                    return left / right;
+                case '^': return Math.pow(left, right);
+                case '=': return left === right ? 1 : 0;
+                case '<>': return left !== right ? 1 : 0;
+                case '<': return left < right ? 1 : 0;
+                case '>': return left > right ? 1 : 0;
+                case '<=': return left <= right ? 1 : 0;
+                case '>=': return left >= right ? 1 : 0;
+            }
+            break;
+        }
+        case 'call':
+            return evaluateFormulaFunction(node, context);
+    }
+    throw formulaError('#VALUE!', `Unsupported expression ${node.type}`);
+}
+
+function evaluateFormulaFunction(node, context) {
+    const args = node.args;
+    switch (node.name) {
+        case 'SUM':
+            return args.reduce((sum, arg) => {
+                if (arg.type !== 'range') {
+                    return sum + evaluateFormulaNode(arg, context);
+                }
+                const fromColumn = XLSX.utils.decode_col(arg.from.column);
+                const toColumn = XLSX.utils.decode_col(arg.to.column);
+                const cells = (Math.abs(arg.to.row - arg.from.row) + 1) * (Math.abs(toColumn - fromColumn) + 1);
+                if (cells > MAX_FORMULA_RANGE_CELLS) {
+                    throw formulaError('#REF!', `Range ${arg.from.column}${arg.from.row}:${arg.to.column}${arg.to.row} ` +
+                        `covers ${cells} cells (at most ${MAX_FORMULA_RANGE_CELLS})`);
+                }
+                for (let row = Math.min(arg.from.row, arg.to.row); row <= Math.max(arg.from.row, arg.to.row); row++) {
+                    for (let column = Math.min(fromColumn, toColumn); column <= Math.max(fromColumn, toColumn); column++) {
+                        sum += context.resolveCell(XLSX.utils.encode_col(column), row);
+                    }
+                }
+                return sum;
+            }, 0);
+        case 'ROUND': {
+            if (args.length !== 2) {
+                throw formulaError('#VALUE!', 'ROUND expects 2 arguments');
+            }
+            const value = evaluateFormulaNode(args[0], context);
+            const factor = Math.pow(10, Math.trunc(evaluateFormulaNode(args[1], context)));
+            // Excel rounds halves away from zero, at 15 significant digits
+            return Math.sign(value) * Math.round(parseFloat((Math.abs(value) * factor).toPrecision(15))) / factor;
+        }
+        case 'IF':
+            if (args.length < 2 || args.length > 3) {
+                throw formulaError('#VALUE!', 'IF expects 2 or 3 arguments');
+            }
+            if (evaluateFormulaNode(args[0], context) !== 0) {
+                return evaluateFormulaNode(args[1], context);
+            }
+            return args.length === 3 ? evaluateFormulaNode(args[2], context) : 0;
+    }
+    throw formulaError('#NAME?', `Unknown function ${node.name}`);
+}
+
+// Evaluates "=..." against one record's fields; throws a formula error on failure.
+// Fields holding formulas themselves are evaluated on demand. Options:
+//   field     - the field the formula belongs to (for circular references)
+//   columns   - column letter -> field for cell references (FORMULA_COLUMNS)
+//   row       - the formula's worksheet row; without it any row means "this row"
+//   cellValue - (column, row) -> number for references to other rows
+function evaluateFormula(formula, data, options = {}) {
+    const columns = options.columns || FORMULA_COLUMNS;
+    const evaluating = new Set(options.field ? [options.field] : []);
+    const knownFields = new Set([...Object.keys(data), ...Object.values(columns)]);
+
+    const fieldValue = field => {
+        const value = data[field];
+        if (typeof value === 'string' && value.startsWith('=')) {
+            if (evaluating.has(field)) {
+                throw formulaError('#CIRC!', `Circular reference through ${field}`);
+            }
+            evaluating.add(field);
+            const result = evaluateFormulaNode(parseFormula(value), context);
+            evaluating.delete(field);
+            return result;
+        }
+        if (value === null || value === undefined || value === '') {
+            return 0;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw formulaError('#VALUE!', `${field} is not a number`);
+        }
+        return number;
+    };
+
+    const context = {
+        resolveName(name) {
+            if (!knownFields.has(name)) {
+                throw formulaError('#NAME?', `Unknown name ${name}`);
+            }
+            return fieldValue(name);
+        },
+        resolveCell(column, row) {
+            if (options.row && row !== options.row) {
+                const value = options.cellValue ? options.cellValue(column, row) : undefined;
+                if (value === undefined) {
+                    throw formulaError('#REF!', `${column}${row} is outside this row and has no numeric value`);
+                }
+                return value;
+            }
+            if (!columns[column]) {
+                throw formulaError('#REF!', `Column ${column} does not hold a known field`);
+            }
+            return fieldValue(columns[column]);
+        }
+    };
+
+    const result = evaluateFormulaNode(parseFormula(formula), context);
+    if (!Number.isFinite(result)) {
+        throw formulaError('#NUM!', 'Result is not a finite number');
+    }
+    return result;
+}
+
+// Replaces every formula field with its value; failed cells become 0 and are
+// listed in `errors` as { field, formula, code, message }
+function resolveFormulaFields(financialData, options = {}) {
+    const data = { ...financialData };
+    const errors = [];
+    Object.entries(financialData).forEach(([field, value]) => {
+        if (typeof value === 'string' && value.startsWith('=')) {
+            try {
+                data[field] = evaluateFormula(value, financialData, { ...options, field });
+            } catch (error) {
+                data[field] = 0;
+                errors.push({ field, formula: value, code: error.code || '#VALUE!', message: error.message });
+            }
+        }
+    });
+    return { data, errors };
+}
+
+function describeFormulaErrors(errors) {
+    return 'Formula errors: ' + errors
+        .map(error => `${error.cell || error.field} ${error.formula} -> ${error.code} ${error.message}`)
+        .join('; ');
+}
+
+// ===== ENHANCED IMPORT PROCESSING FUNCTIONS =====
+
+function processExcelImport(fileBuffer, importType) {
+    try {
+        console.log('Processing Excel import for type:', importType);
+        
+        // Read Excel file
+        const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
+        const result = {
+            type: importType,
+            data: {},
+            metadata: {
+                source_file: 'uploaded_file.xlsx',
+                import_date: new Date().toISOString(),
+                sheets_processed: workbook.SheetNames,
+                total_records: 0,
+                formula_errors: []
+            }
+        };
+
+        // Process based on import type
+        switch (importType) {
+            case 'students':
+                result.data = processStudentsData(workbook, result.metadata.formula_errors);
+                break;
+            case 'sponsors':
+                result.data = processSponsorsData(workbook);
+                break;
+            case 'expenses':
+                result.data = processExpensesData(workbook);
+                break;
+            case 'all':
+                result.data = processAllData(workbook, result.metadata.formula_errors);
+                break;
+            default:
+                throw new Error(`Unknown import type: ${importType}`);
+        }
+
+        // Calculate total records
+        result.metadata.total_records = calculateTotalRecords(result.data);
+        
+        console.log('Import processing completed successfully');
+        return result;
+
+    } catch (error) {
+        console.error('Error processing Excel import:', error);
+        throw new Error(`Failed to process Excel file: ${error.message}`);
+    }
+}
+
+// Student sheet headers and the financial_data field each column fills
+const STUDENT_IMPORT_FIELDS = {
+    'Termly Fees (UGX)': 'termly_school_fees',
+    'Direct Spending (UGX)': 'direct_spending_school_fees_ugx_monthly',
+    'Food (UGX)': 'food',
+    'Medical (UGX)': 'average_medical',
+    'Transport (UGX)': 'school_personal_requirements_transport',
+    'Admin (UGX)': 'admin_utilities',
+    'Cash Received (EUR)': 'cash_received_euro'
+};
+
+// Column letter -> financial_data field, from the sheet's header row
+function studentSheetColumns(sheet) {
+    const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+    const columns = {};
+    for (let column = range.s.c; column <= range.e.c; column++) {
+        const header = sheet[XLSX.utils.encode_cell({ r: range.s.r, c: column })];
+        const field = header && STUDENT_IMPORT_FIELDS[String(header.v).trim()];
+        if (field) {
+            columns[XLSX.utils.encode_col(column)] = field;
+        }
+    }
+    return columns;
+}
+
+// Figures for one sheet row; formula cells without a usable cached result are
+// evaluated against the same row, other rows resolve to their cached numbers
+function readStudentFinancials(sheet, sheetRow, columns) {
+    const financialData = Object.fromEntries(Object.values(STUDENT_IMPORT_FIELDS).map(field => [field, 0]));
+    Object.entries(columns).forEach(([column, field]) => {
+        const cell = sheet[`${column}${sheetRow}`];
+        if (!cell) {
+            return;
+        }
+        if (cell.f && (cell.v === undefined || cell.t === 'e')) {
+            financialData[field] = `=${cell.f}`;
+        } else {
+            financialData[field] = parseFloat(cell.v) || 0;
+        }
+    });
+    return resolveFormulaFields(financialData, {
+        row: sheetRow,
+        columns,
+        cellValue: (column, row) => {
+            const cell = sheet[`${column}${row}`];
+            return cell && typeof cell.v === 'number' && cell.t !== 'e' ? cell.v : undefined;
+        }
+    });
+}
+
+function processStudentsData(workbook, formulaErrors = []) {
+    const programs = ['CH', 'YSP', 'ICCSP', 'OTM_GA'];
+    const studentsData = { sponsorship_programs: {} };
+
+    programs.forEach(program => {
+        const sheet = workbook.Sheets[program];
+        studentsData.sponsorship_programs[program] = {
+            program_name: `${program} FINANCIAL ANALYSIS REPORT`,
+            students: [],
+            metadata: {
+                total_students: 0,
+                sponsorship_types: {},
+                monthly_costs_ugx: 0,
+                monthly_costs_eur: 0
+            }
+        };
+
+        if (sheet) {
+            const jsonData = XLSX.utils.sheet_to_json(sheet);
+            const columns = studentSheetColumns(sheet);
+            const columnOf = Object.fromEntries(Object.entries(columns).map(([column, field]) => [field, column]));
+            console.log(`Processing ${program} students:`, jsonData.length);
+            
+            studentsData.sponsorship_programs[program].students = jsonData.map((row, index) => {
+                // Calculate financial data (__rowNum__ is the zero-based sheet row)
+                const sheetRow = row.__rowNum__ + 1;
+                const { data: financialData, errors } = readStudentFinancials(sheet, sheetRow, columns);
+                errors.forEach(error => formulaErrors.push({ sheet: program, cell: `${columnOf[error.field]}${sheetRow}`, ...error }));
+
+                // Calculate derived financial values
+                const calculatedFinancials = calculateStudentFinancials(financialData);
+
+                return {
+                    serial_number: index + 1,
+                    full_name: row['Full Name'] || row['Student Name'] || `Student ${index + 1}`,
+                    sponsorship_package: row['Sponsorship Package'] || row['Package'] || 'Day',
+                    financial_data: calculatedFinancials,
+                    notes: row['Notes'] || ''
+                };
+            });
+        } else {
+            console.log(`No sheet found for program: ${program}`);
         }
     });
 
@@ -474,7 +2333,8 @@ function processSponsorsData(workbook) {
                 cid: index + 1,
                 full_name: row['Sponsored Student'] || row['Student Name'] || '',
                 sponsor: row['Sponsor Name'] || row['Sponsor'] || `Sponsor ${index + 1}`,
-                amount: parseFloat(row['Amount (EUR)']) || 0,
+                amount: parseFloat(row['Amount'] ?? row['Amount (EUR)']) || 0,
+                currency: String(row['Currency'] || DEFAULT_SPONSORSHIP_CURRENCY).trim().toUpperCase(),
                 sponsorship_status: (row['Status'] || 'active').toLowerCase(),
                 category: row['Category'] || 'Individual',
                 start_date: formatDate(row['Start Date']) || new Date().toISOString().split('T')[0],
@@ -507,22 +2367,21 @@ function processExpensesData(workbook) {
     const jsonData = XLSX.utils.sheet_to_json(sheet);
     console.log('Processing expenses:', jsonData.length);
 
-    const expenses = jsonData.map((row, index) => ({
-        id: index + 1,
+    const expenses = jsonData.map(row => ({
         date: formatDate(row['Date']) || new Date().toISOString().split('T')[0],
-        studentId: null, // Will be linked during database integration
+        studentId: null, // Resolved from studentName by linkExpenseToStudent during integration
         studentName: row['Student'] || '',
         category: (row['Category'] || 'other').toLowerCase(),
-        amount: parseFloat(row['Amount (UGX)']) || 0,
+        amount: parseFloat(row['Amount'] ?? row['Amount (UGX)']) || 0,
         description: row['Description'] || '',
-        currency: 'UGX'
+        currency: String(row['Currency'] || DEFAULT_EXPENSE_CURRENCY).trim().toUpperCase()
     }));
 
     return { daily_expenses: expenses };
 }
 
-function processAllData(workbook) {
-    const students = processStudentsData(workbook);
+function processAllData(workbook, formulaErrors = []) {
+    const students = processStudentsData(workbook, formulaErrors);
     const sponsors = processSponsorsData(workbook);
     const expenses = processExpensesData(workbook);
 
@@ -611,6 +2470,9 @@ function integrateImportedData(database, importedData, importType, mergeStrategy
                 throw new Error(`Unknown import type: ${importType}`);
         }
 
+        // New expenses, and new students for expenses waiting in the match queue
+        linkPendingExpenses(result);
+
         // Update metadata and source files
         if (!result.metadata.source_files) {
             result.metadata.source_files = [];
@@ -645,7 +2507,14 @@ function integrateStudentsData(database, importedData, mergeStrategy) {
         const importedStudents = importedProgram.students;
         
         if (mergeStrategy === 'replace') {
-            // Replace all students in the program
+            // Replace all students in the program, keeping the permanent id of students that stay
+            const previousStudents = database.sponsorship_programs[program].students;
+            importedStudents.forEach(importedStudent => {
+                const previous = findStudentByName(previousStudents, importedStudent.full_name);
+                if (previous && !importedStudent.id) {
+                    importedStudent.id = previous.id;
+                }
+            });
             database.sponsorship_programs[program].students = importedStudents;
         } else if (mergeStrategy === 'merge') {
             // Merge students, updating existing and adding new
@@ -661,6 +2530,7 @@ function integrateStudentsData(database, importedData, mergeStrategy) {
                     existingStudents[existingIndex] = {
                         ...existingStudents[existingIndex],
                         ...importedStudent,
+                        id: existingStudents[existingIndex].id, // Keep permanent id
                         serial_number: existingStudents[existingIndex].serial_number // Keep original serial number
                     };
                 } else {
@@ -694,7 +2564,17 @@ function integrateSponsorsData(database, importedData, mergeStrategy) {
         const importedSponsors = importedRegistry.students;
         
         if (mergeStrategy === 'replace') {
-            // Replace all sponsors in the program
+            // Replace all sponsors in the program, keeping the permanent id of sponsorships that stay
+            const previousSponsors = database.sponsorship_registry[program].students;
+            importedSponsors.forEach(importedSponsor => {
+                const previous = previousSponsors.find(s =>
+                    nameKey(s.full_name) === nameKey(importedSponsor.full_name) && s.sponsor === importedSponsor.sponsor
+                );
+                if (previous && !importedSponsor.id) {
+                    importedSponsor.id = previous.id;
+                    importedSponsor.student_id = previous.student_id;
+                }
+            });
             database.sponsorship_registry[program].students = importedSponsors;
         } else if (mergeStrategy === 'merge') {
             // Merge sponsors, updating existing and adding new
@@ -702,7 +2582,7 @@ function integrateSponsorsData(database, importedData, mergeStrategy) {
             
             importedSponsors.forEach(importedSponsor => {
                 const existingIndex = existingSponsors.findIndex(s => 
-                    s.full_name === importedSponsor.full_name && s.sponsor === importedSponsor.sponsor
+                    nameKey(s.full_name) === nameKey(importedSponsor.full_name) && s.sponsor === importedSponsor.sponsor
                 );
                 
                 if (existingIndex >= 0) {
@@ -710,6 +2590,8 @@ function integrateSponsorsData(database, importedData, mergeStrategy) {
                     existingSponsors[existingIndex] = {
                         ...existingSponsors[existingIndex],
                         ...importedSponsor,
+                        id: existingSponsors[existingIndex].id, // Keep permanent id
+                        student_id: existingSponsors[existingIndex].student_id,
                         cid: existingSponsors[existingIndex].cid // Keep original cid
                     };
                 } else {
@@ -730,44 +2612,88 @@ function integrateSponsorsData(database, importedData, mergeStrategy) {
     });
 }
 
+// Imported expenses go to an approver like any other new expense
+function submitImportedExpense(database, expense) {
+    delete expense.status;
+    delete expense.status_history;
+    recordExpenseTransition(expense, 'draft', { by: 'import' });
+    recordExpenseTransition(expense, 'submitted', { by: 'import' });
+    expense.approver = (eligibleApprovers(database, expense)[0] || {}).name || null;
+}
+
+// An imported row that matches an existing expense keeps its workflow state and
+// receipts. Changing a field the approval vouched for sends a submitted or
+// approved expense back to its approver; a paid expense keeps its paid values.
+function carryOverExpenseWorkflow(database, previous, importedExpense) {
+    ['status', 'status_history', 'approver', 'reviewed_by', 'receipts'].forEach(field => {
+        if (previous[field] !== undefined) {
+            importedExpense[field] = Array.isArray(previous[field]) ? [...previous[field]] : previous[field];
+        }
+    });
+    const changed = APPROVED_EXPENSE_FIELDS.filter(field =>
+        importedExpense[field] !== undefined && String(importedExpense[field]) !== String(previous[field]));
+    if (changed.length === 0 || ['draft', 'rejected'].includes(previous.status)) {
+        return;
+    }
+    if (previous.status === 'paid') {
+        changed.forEach(field => { importedExpense[field] = previous[field]; });
+        return;
+    }
+    const comment = `Changed by import: ${changed.join(', ')}`;
+    recordExpenseTransition(importedExpense, 'draft', { by: 'import', comment });
+    recordExpenseTransition(importedExpense, 'submitted', { by: 'import', comment });
+    importedExpense.approver = (eligibleApprovers(database, importedExpense)[0] || {}).name || null;
+    delete importedExpense.reviewed_by;
+}
+
 function integrateExpensesData(database, importedData, mergeStrategy) {
     const importedExpenses = importedData.daily_expenses || [];
     
+    const sameExpense = (a, b) => a.date === b.date && a.studentName === b.studentName && a.description === b.description;
+    
     if (mergeStrategy === 'replace') {
-        // Replace all expenses
+        // Replace all expenses, keeping the permanent id of expenses that stay
+        importedExpenses.forEach(importedExpense => {
+            const previous = database.daily_expenses.find(e => sameExpense(e, importedExpense));
+            if (previous && !importedExpense.id) {
+                importedExpense.id = previous.id;
+            }
+            if (previous) {
+                carryOverExpenseWorkflow(database, previous, importedExpense);
+            } else {
+                submitImportedExpense(database, importedExpense);
+            }
+        });
         database.daily_expenses = importedExpenses;
     } else if (mergeStrategy === 'merge') {
         // Merge expenses based on date, student, and description
         const existingExpenses = database.daily_expenses;
         
         importedExpenses.forEach(importedExpense => {
-            const existingIndex = existingExpenses.findIndex(e => 
-                e.date === importedExpense.date &&
-                e.studentName === importedExpense.studentName &&
-                e.description === importedExpense.description
-            );
+            const existingIndex = existingExpenses.findIndex(e => sameExpense(e, importedExpense));
             
             if (existingIndex >= 0) {
                 // Update existing expense
-                existingExpenses[existingIndex] = {
-                    ...existingExpenses[existingIndex],
+                const previous = existingExpenses[existingIndex];
+                const merged = {
+                    ...previous,
                     ...importedExpense,
-                    id: existingExpenses[existingIndex].id // Keep original id
+                    id: previous.id // Keep original id
                 };
+                carryOverExpenseWorkflow(database, previous, merged);
+                existingExpenses[existingIndex] = merged;
             } else {
-                // Add new expense
-                importedExpense.id = existingExpenses.length > 0 ? 
-                    Math.max(...existingExpenses.map(e => e.id)) + 1 : 1;
+                // Add new expense; the permanent id is assigned on save
+                delete importedExpense.id;
+                submitImportedExpense(database, importedExpense);
                 existingExpenses.push(importedExpense);
             }
         });
     } else if (mergeStrategy === 'append') {
-        // Append all new expenses
-        const maxId = database.daily_expenses.length > 0 ? 
-            Math.max(...database.daily_expenses.map(e => e.id)) : 0;
-        
-        importedExpenses.forEach((expense, index) => {
-            expense.id = maxId + index + 1;
+        // Append all new expenses; permanent ids are assigned on save
+        importedExpenses.forEach(expense => {
+            delete expense.id;
+            submitImportedExpense(database, expense);
             database.daily_expenses.push(expense);
         });
     }
@@ -781,1073 +2707,7942 @@ function integrateAllData(database, importedData, mergeStrategy) {
     integrateExpensesData(database, importedData, mergeStrategy);
 }
 
-// ===== ROUTES =====
+// ===== EXCHANGE RATES =====
+// database.exchange_rates holds dated rates: { id, base, quote, rate, effective_date, source }
+// meaning 1 base = rate quote from effective_date on. A conversion uses the
+// newest rate in force on the given date; dates before the first entry use
+// the earliest known rate. Pairs without a direct rate are crossed through a
+// currency both sides have a rate for (e.g. USD -> UGX -> EUR).
 
-// Serve main page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+const DEFAULT_CURRENCY = 'EUR';
 
-// ===== CORE DATA ROUTES =====
+function todayISO() {
+    return new Date().toISOString().split('T')[0];
+}
 
-// Get complete database
-app.get('/api/data', (req, res) => {
-    const database = loadDatabase();
-    res.json({
-        success: true,
-        data: database,
-        message: 'Data loaded successfully'
-    });
-});
+// YYYY-MM with a month from 01 to 12
+function isValidMonth(month) {
+    return typeof month === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(month);
+}
 
-// Get financial summary
-app.get('/api/financial-summary', (req, res) => {
-    const database = loadDatabase();
-    const summary = calculateFinancialSummary(database);
-    res.json({
-        success: true,
-        data: summary,
-        message: 'Financial summary loaded successfully'
-    });
-});
+// YYYY-MM-DD naming a day that exists (no 2026-02-30 or 2026-13-45)
+function isValidISODate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
 
-// Get funding gap analysis
-app.get('/api/funding-gap', (req, res) => {
-    const database = loadDatabase();
-    const gap = calculateFundingGap(database);
-    res.json({
-        success: true,
-        data: gap,
-        message: 'Funding gap analysis loaded successfully'
-    });
-});
+function findDirectRate(rates, base, quote, date) {
+    const candidates = rates
+        .filter(r => r.base === base && r.quote === quote)
+        .sort((a, b) => a.effective_date.localeCompare(b.effective_date) || a.id - b.id);
+    if (candidates.length === 0) {
+        return null;
+    }
+    const inForce = candidates.filter(r => r.effective_date <= date);
+    return inForce.length > 0 ? inForce[inForce.length - 1] : candidates[0];
+}
 
-// Get specific program
-app.get('/api/programs/:program', (req, res) => {
-    const program = req.params.program;
-    const database = loadDatabase();
-    const programData = database.sponsorship_programs[program] || {};
-    res.json({
-        success: true,
-        data: programData,
-        message: `Program ${program} loaded successfully`
-    });
-});
+function findRate(rates, from, to, date) {
+    const direct = findDirectRate(rates, from, to, date);
+    if (direct) {
+        return { rate: direct.rate, effective_date: direct.effective_date, source: direct.source || 'table' };
+    }
+    const inverse = findDirectRate(rates, to, from, date);
+    if (inverse) {
+        return { rate: 1 / inverse.rate, effective_date: inverse.effective_date, source: inverse.source || 'table' };
+    }
+    return null;
+}
 
-// Create or update program
-app.post('/api/programs/:program', (req, res) => {
-    const program = req.params.program;
-    const programData = req.body;
-    
-    let database = loadDatabase();
-    
-    if (!database.sponsorship_programs[program]) {
-        database.sponsorship_programs[program] = {
-            program_name: programData.program_name || `${program} FINANCIAL ANALYSIS REPORT`,
-            students: [],
-            metadata: { total_students: 0, sponsorship_types: {} }
-        };
+// Returns { from, to, rate, effective_date, source } or throws when no rate is known
+function getExchangeRate(database, from, to, date = todayISO()) {
+    from = String(from || DEFAULT_CURRENCY).toUpperCase();
+    to = String(to || DEFAULT_CURRENCY).toUpperCase();
+    if (from === to) {
+        return { from, to, rate: 1, effective_date: null, source: 'identity' };
     }
-    
-    // Update program data
+
+    const rates = database.exchange_rates || [];
+    const found = findRate(rates, from, to, date);
+    if (found) {
+        return { from, to, ...found };
+    }
+
+    const intermediates = new Set(rates.flatMap(r => [r.base, r.quote]));
+    for (const via of intermediates) {
+        if (via === from || via === to) continue;
+        const first = findRate(rates, from, via, date);
+        const second = first && findRate(rates, via, to, date);
+        if (second) {
+            return {
+                from,
+                to,
+                rate: first.rate * second.rate,
+                effective_date: [first.effective_date, second.effective_date].sort()[1],
+                source: `cross via ${via}`
+            };
+        }
+    }
+
+    // Legacy behaviour for EUR/UGX: the settings rate, then the built-in default
+    if ((from === 'EUR' && to === 'UGX') || (from === 'UGX' && to === 'EUR')) {
+        const manualRate = parseFloat(database.system_settings?.forex?.manual_rate) || EXCHANGE_RATE;
+        return {
+            from,
+            to,
+            rate: from === 'EUR' ? manualRate : 1 / manualRate,
+            effective_date: null,
+            source: database.system_settings?.forex?.manual_rate ? 'settings' : 'default'
+        };
+    }
+
+    throw new Error(`No exchange rate available for ${from}/${to} on ${date}`);
+}
+
+function convertAmount(database, amount, from, to, date = todayISO()) {
+    return (parseFloat(amount) || 0) * getExchangeRate(database, from, to, date).rate;
+}
+
+// Sponsorship amounts were historically EUR and expenses UGX; records
+// without a currency field keep that meaning
+const DEFAULT_SPONSORSHIP_CURRENCY = 'EUR';
+const DEFAULT_EXPENSE_CURRENCY = 'UGX';
+
+// Totals are reported in the organization currency unless a report asks for another
+function getReportingCurrency(database, requested) {
+    return String(requested || database.system_settings?.organization?.currency || DEFAULT_CURRENCY).toUpperCase();
+}
+
+// Returns an error message when a record's currency cannot be used for reporting
+function validateCurrency(database, currency) {
+    if (!/^[A-Z]{3}$/.test(String(currency || ''))) {
+        return `Invalid currency "${currency}" (expected a 3-letter ISO code such as EUR, USD, GBP)`;
+    }
+    try {
+        getExchangeRate(database, currency, DEFAULT_CURRENCY);
+        return null;
+    } catch (error) {
+        return `No exchange rate for ${currency}; add one under /api/exchange-rates first`;
+    }
+}
+
+// Checks ?currency= on report routes; a repeated parameter arrives as an array
+function validateReportCurrency(database, requested) {
+    if (requested === undefined || requested === '') {
+        return null;
+    }
+    if (typeof requested !== 'string') {
+        return 'currency can only be given once';
+    }
+    return validateCurrency(database, requested.toUpperCase());
+}
+
+// Sums { amount, currency } records into `target`, keeping the original
+// totals per currency alongside. Currencies without a rate are left out of
+// the total and listed in `unconverted` rather than failing the whole report.
+function sumInCurrency(database, records, target, date = todayISO(), defaultCurrency = DEFAULT_SPONSORSHIP_CURRENCY) {
+    const byCurrency = {};
+    records.forEach(record => {
+        const currency = String(record.currency || defaultCurrency).toUpperCase();
+        byCurrency[currency] = (byCurrency[currency] || 0) + (parseFloat(record.amount) || 0);
+    });
+
+    let total = 0;
+    const unconverted = [];
+    Object.entries(byCurrency).forEach(([currency, amount]) => {
+        try {
+            total += convertAmount(database, amount, currency, target, date);
+        } catch (error) {
+            unconverted.push(currency);
+        }
+    });
+    return { total, by_currency: byCurrency, unconverted };
+}
+
+// Adds or replaces the rate for a pair on a given day; returns the stored entry
+function upsertExchangeRate(database, { base, quote, rate, effective_date, source }) {
+    if (!database.exchange_rates) {
+        database.exchange_rates = [];
+    }
+    base = String(base || '').toUpperCase();
+    quote = String(quote || '').toUpperCase();
+    rate = parseFloat(rate);
+    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote) || base === quote) {
+        throw new Error(`Invalid currency pair ${base}/${quote}`);
+    }
+    if (!(rate > 0)) {
+        throw new Error(`Invalid rate for ${base}/${quote}: must be a positive number`);
+    }
+    if (!isValidISODate(effective_date)) {
+        throw new Error(`Invalid effective date "${effective_date}" (expected YYYY-MM-DD)`);
+    }
+
+    const existing = database.exchange_rates.find(r =>
+        r.base === base && r.quote === quote && r.effective_date === effective_date
+    );
+    if (existing) {
+        Object.assign(existing, { rate, source: source || existing.source });
+        return existing;
+    }
+    const entry = {
+        id: database.exchange_rates.length > 0 ? Math.max(...database.exchange_rates.map(r => r.id)) + 1 : 1,
+        base,
+        quote,
+        rate,
+        effective_date,
+        source: source || 'manual',
+        created_at: new Date().toISOString()
+    };
+    database.exchange_rates.push(entry);
+    return entry;
+}
+
+// CSV columns: date,base,quote,rate (base/quote default to EUR/UGX when absent)
+function parseExchangeRatesCsv(fileBuffer) {
+    const workbook = XLSX.read(fileBuffer, { type: 'buffer', raw: true });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    const normalize = row => Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [key.trim().toLowerCase().replace(/[\s_]+/g, ''), value])
+    );
+
+    return rows.map((row, index) => {
+        const fields = normalize(row);
+        const rawDate = String(fields.date || fields.effectivedate || '').trim();
+        // Day-first dates (18.10.2026, 18/10/2026) as exported by European banks
+        const dayFirst = rawDate.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+        return {
+            line: index + 2,
+            base: fields.base || fields.from || 'EUR',
+            quote: fields.quote || fields.to || 'UGX',
+            rate: fields.rate,
+            effective_date: dayFirst ?
+                `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}` :
+                formatDate(rawDate)
+        };
+    });
+}
+
+// ===== STABLE RECORD IDS =====
+// Students, sponsorships and expenses get a permanent id (e.g. STU-00042)
+// that never changes or gets reused. serial_number and cid are only display
+// order. Registry entries point at their student through student_id.
+
+const STABLE_ID_PREFIXES = {
+    student: 'STU',
+    sponsorship: 'SPN',
+    expense: 'EXP',
+    payment: 'PAY',
+    budget: 'BUD',
+    statement_line: 'STL',
+    receipt: 'RCP',
+    account: 'ACC',
+    transfer: 'TRF'
+};
+
+function isStableId(value, entity) {
+    return typeof value === 'string' && new RegExp(`^${STABLE_ID_PREFIXES[entity]}-\\d+$`).test(value);
+}
+
+function nextStableId(database, entity) {
+    database.id_counters = database.id_counters || {};
+    database.id_counters[entity] = (database.id_counters[entity] || 0) + 1;
+    return `${STABLE_ID_PREFIXES[entity]}-${String(database.id_counters[entity]).padStart(5, '0')}`;
+}
+
+// Case- and word-order-insensitive key, so "Destiny Adrian Lwanga" matches "LWANGA DESTINY ADRIAN"
+function nameKey(name) {
+    return String(name || '').toLowerCase().split(/\s+/).filter(Boolean).sort().join(' ');
+}
+
+function findStudentByName(students, fullName) {
+    return students.find(s => s.full_name === fullName) ||
+        students.find(s => nameKey(s.full_name) === nameKey(fullName));
+}
+
+// Route parameters accept the permanent id; plain numbers still resolve the
+// number a record had before ids existed (serial_number / cid / numeric
+// expense id), frozen in legacy_id.
+function findRecordIndex(records, param) {
+    const byId = records.findIndex(r => r.id === param);
+    if (byId !== -1 || !/^\d+$/.test(param)) {
+        return byId;
+    }
+    return records.findIndex(r => parseInt(r.legacy_id) === parseInt(param));
+}
+
+// Assigns ids to records that lack one (imports, legacy data, duplicates) and
+// links registry entries to their student
+function ensureStableIds(database) {
+    database.id_counters = database.id_counters || {};
+    const trashed = entity => (database.trash || []).filter(t => t.entity === entity).map(t => t.record);
+    const collections = {
+        student: Object.values(database.sponsorship_programs || {}).flatMap(p => p.students || []),
+        sponsorship: Object.values(database.sponsorship_registry || {}).flatMap(r => r.students || []),
+        expense: database.daily_expenses || [],
+        payment: database.payments || [],
+        budget: database.budgets || [],
+        statement_line: database.statement_lines || [],
+        receipt: [...(database.daily_expenses || []), ...trashed('expense')].flatMap(e => e.receipts || []),
+        account: database.accounts || [],
+        transfer: database.transfers || []
+    };
+
+    Object.entries(collections).forEach(([entity, records]) => {
+        const all = [...records, ...trashed(entity)];
+        // Never hand out a number that is already in use
+        all.forEach(record => {
+            if (isStableId(record.id, entity)) {
+                const number = parseInt(record.id.split('-')[1]);
+                database.id_counters[entity] = Math.max(database.id_counters[entity] || 0, number);
+            }
+        });
+        const seen = new Set();
+        all.forEach(record => {
+            if (!isStableId(record.id, entity) || seen.has(record.id)) {
+                if (record.id !== undefined && record.id !== null && !isStableId(record.id, entity)) {
+                    record.legacy_id = record.id;
+                }
+                record.id = nextStableId(database, entity);
+            }
+            seen.add(record.id);
+        });
+    });
+
+    Object.entries(database.sponsorship_registry || {}).forEach(([program, registry]) => {
+        const students = database.sponsorship_programs?.[program]?.students || [];
+        (registry.students || []).forEach(entry => {
+            let student = entry.student_id ? students.find(s => s.id === entry.student_id) : null;
+            if (!student && entry.full_name) {
+                student = findStudentByName(students, entry.full_name);
+            }
+            if (student) {
+                entry.student_id = student.id;
+                entry.full_name = student.full_name;
+            } else if (entry.student_id && !students.some(s => s.id === entry.student_id)) {
+                entry.student_id = null;
+            }
+        });
+    });
+
+    return database;
+}
+
+// ===== OPTIMISTIC CONCURRENCY =====
+// Every mutable record carries an integer `version`, exposed to clients as an
+// ETag. Updates may send If-Match; a stale tag gets a 409 with the server copy.
+
+function recordEtag(record) {
+    return `"${(record && record.version) || 0}"`;
+}
+
+function bumpVersion(record) {
+    record.version = (record.version || 0) + 1;
+    return record.version;
+}
+
+// Returns false (and sends the 409) when the client's If-Match is stale
+function checkIfMatch(req, res, record) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch || ifMatch.trim() === '*') {
+        return true;
+    }
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (tags.includes(recordEtag(record))) {
+        return true;
+    }
+    res.status(409).set('ETag', recordEtag(record)).json({
+        success: false,
+        conflict: true,
+        data: record,
+        version: record.version || 0,
+        message: 'This record was changed by someone else since you loaded it'
+    });
+    return false;
+}
+
+// ===== AUDIT TRAIL =====
+// Every mutation writes one append-only entry with the acting user and a
+// field-level before/after diff. Clients identify the user with X-User.
+
+const AUDIT_IGNORED_FIELDS = ['version'];
+
+// The name a client says it is acting as. It is a label for the audit trail and
+// notifications, not an authenticated identity: any caller can send any name.
+function getActor(req) {
+    return (req.get('X-User') || '').trim() || 'anonymous';
+}
+
+function cloneRecord(record) {
+    return record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+}
+
+function recordAudit(req, { entity, entityId = null, program = null, operation, before = null, after = null, details = null }) {
+    try {
+        const changes = diffFields(before || {}, after || {})
+            .filter(change => !AUDIT_IGNORED_FIELDS.includes(change.field));
+        return dataStore.appendAudit({
+            timestamp: new Date().toISOString(),
+            actor: req ? getActor(req) : 'system',
+            entity,
+            entity_id: entityId === null ? null : String(entityId),
+            program,
+            operation,
+            changes,
+            details
+        });
+    } catch (error) {
+        // The change itself is already saved; losing the entry must not fail the request
+        console.error('Failed to write audit entry:', error);
+        return null;
+    }
+}
+
+// Program records embed their students; those are audited individually
+function programAuditFields(programData) {
+    const fields = cloneRecord(programData);
+    delete fields.students;
+    delete fields.metadata;
+    return fields;
+}
+
+function filterAuditEntries(entries, filters) {
+    const from = filters.from ? new Date(filters.from).toISOString() : null;
+    // A bare date as upper bound includes the whole day
+    const to = filters.to ?
+        (/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? `${filters.to}T23:59:59.999Z` : new Date(filters.to).toISOString()) :
+        null;
+
+    return entries.filter(entry => (
+        (!filters.entity || entry.entity === filters.entity) &&
+        (!filters.entity_id || entry.entity_id === String(filters.entity_id)) &&
+        (!filters.program || entry.program === filters.program) &&
+        (!filters.user || entry.actor === filters.user) &&
+        (!filters.operation || entry.operation === filters.operation) &&
+        (!from || entry.timestamp >= from) &&
+        (!to || entry.timestamp <= to)
+    ));
+}
+
+// ===== TRASH BIN =====
+// Deleting a student, sponsorship, expense or event moves it into
+// database.trash. Trashed records are outside their collections, so they
+// never count toward totals, and they can be restored until purged.
+
+const DEFAULT_TRASH_SETTINGS = {
+    retention_days: 30
+};
+
+// Permanent deletion (and shortening the retention) is enabled by the server's
+// environment, not per request: there are no user accounts, so no request can
+// prove who sent it
+function isTrashPurgeAllowed() {
+    return process.env.ALLOW_TRASH_PURGE === 'true';
+}
+
+const TRASH_PURGE_DISABLED_MESSAGE = 'Permanent deletion is disabled on this server (start it with ALLOW_TRASH_PURGE=true); ' +
+    'trashed items are removed after the retention period';
+
+const TRASH_COLLECTIONS = {
+    student: { key: 'id', order: 'serial_number', collection: (db, program) => db.sponsorship_programs[program]?.students },
+    sponsorship: { key: 'id', order: 'cid', collection: (db, program) => db.sponsorship_registry[program]?.students },
+    expense: { key: 'id', collection: db => db.daily_expenses },
+    event: { key: 'id', collection: db => db.events },
+    payment: { key: 'id', collection: db => db.payments },
+    budget: { key: 'id', collection: db => db.budgets },
+    account: { key: 'id', collection: db => db.accounts },
+    transfer: { key: 'id', collection: db => db.transfers }
+};
+
+function moveToTrash(database, entity, record, { program = null, deletedBy }) {
+    if (!database.trash) {
+        database.trash = [];
+    }
+    const entry = {
+        trash_id: database.trash.length > 0 ? Math.max(...database.trash.map(t => t.trash_id)) + 1 : 1,
+        entity,
+        program,
+        record,
+        deleted_by: deletedBy,
+        deleted_at: new Date().toISOString()
+    };
+    database.trash.push(entry);
+    return entry;
+}
+
+// Puts a trashed record back; a key taken in the meantime is replaced with the next free one
+function restoreFromTrash(database, entry) {
+    const config = TRASH_COLLECTIONS[entry.entity];
+    const collection = config && config.collection(database, entry.program);
+    if (!collection) {
+        throw new Error(`Cannot restore ${entry.entity}: ${entry.program ? `program ${entry.program}` : 'collection'} no longer exists`);
+    }
+
+    const record = entry.record;
+    if (collection.some(existing => existing[config.key] === record[config.key])) {
+        record[config.key] = STABLE_ID_PREFIXES[entry.entity] ?
+            nextStableId(database, entry.entity) :
+            (collection.length > 0 ? Math.max(...collection.map(r => parseInt(r[config.key]) || 0)) + 1 : 1);
+    }
+    if (config.order) {
+        // Restored records go to the end of the display order
+        record[config.order] = collection.length + 1;
+    }
+    collection.push(record);
+    database.trash = database.trash.filter(t => t.trash_id !== entry.trash_id);
+    return record;
+}
+
+function getTrashSettings(database) {
+    return { ...DEFAULT_TRASH_SETTINGS, ...((database.system_settings && database.system_settings.trash) || {}) };
+}
+
+function validateTrashSettings(settings) {
+    if (!Number.isInteger(settings.retention_days) || settings.retention_days < 1) {
+        return 'retention_days must be a positive whole number';
+    }
+    return null;
+}
+
+function findExpiredTrash(database) {
+    const retentionDays = getTrashSettings(database).retention_days;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return (database.trash || []).filter(entry => entry.deleted_at < cutoff);
+}
+
+function purgeExpiredTrash() {
+    try {
+        const database = loadDatabase();
+        const expired = findExpiredTrash(database);
+        if (expired.length === 0) {
+            return;
+        }
+        const expiredIds = expired.map(entry => entry.trash_id);
+        database.trash = database.trash.filter(entry => !expiredIds.includes(entry.trash_id));
+        if (saveDatabase(database)) {
+            deletePurgedReceiptFiles(expired);
+            recordAudit(null, { entity: 'trash', operation: 'purge', details: { reason: 'retention', trash_ids: expiredIds } });
+            console.log(`🗑️ Purged ${expired.length} expired trash item(s)`);
+        }
+    } catch (error) {
+        console.error('Trash purge failed:', error);
+    }
+}
+
+// ===== PAYMENT LEDGER =====
+// database.payments records money actually received against a sponsorship:
+// { id, sponsorship_id, program, student_id, full_name, sponsor, date, amount,
+// currency, method, reference, notes }. Program, student and sponsor are copied onto the payment
+// so the ledger still reconciles after a sponsorship is deleted.
+
+const PAYMENT_METHODS = ['bank_transfer', 'mobile_money', 'cash', 'cheque', 'card', 'other'];
+const RECONCILIATION_GROUPS = ['sponsor', 'student', 'program', 'sponsorship'];
+// Widest reconciliation report; each month is a column in every row
+const MAX_RECONCILIATION_MONTHS = 120;
+
+function findSponsorship(database, sponsorshipId) {
+    for (const [program, registry] of Object.entries(database.sponsorship_registry || {})) {
+        const entry = (registry.students || []).find(s => s.id === sponsorshipId);
+        if (entry) {
+            return { program, entry };
+        }
+    }
+    return null;
+}
+
+function isActiveSponsorship(entry) {
+    return entry.sponsorship_status === 'active' || !entry.sponsorship_status;
+}
+
+function monthOf(date) {
+    return String(date).slice(0, 7);
+}
+
+function lastDayOfMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+}
+
+function monthsBetween(from, to) {
+    const months = [];
+    let [year, month] = from.split('-').map(Number);
+    const [endYear, endMonth] = to.split('-').map(Number);
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        months.push(`${year}-${String(month).padStart(2, '0')}`);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return months;
+}
+
+// A sponsorship pledges its amount every month from its start date on. Inactive
+// sponsorships stop pledging after end_date, or pledge nothing if none is recorded.
+function isPledgedInMonth(entry, month) {
+    if (entry.start_date && monthOf(entry.start_date) > month) {
+        return false;
+    }
+    if (!isActiveSponsorship(entry)) {
+        return Boolean(entry.end_date) && monthOf(entry.end_date) >= month;
+    }
+    return true;
+}
+
+// Returns an error message for an invalid payment, or null
+function validatePayment(database, payment) {
+    if (!payment.sponsorship_id || !findSponsorship(database, payment.sponsorship_id)) {
+        return `Sponsorship "${payment.sponsorship_id}" not found`;
+    }
+    if (!isValidISODate(payment.date)) {
+        return `Invalid payment date "${payment.date}" (expected YYYY-MM-DD)`;
+    }
+    if (!(parseFloat(payment.amount) > 0)) {
+        return 'Payment amount must be a positive number';
+    }
+    if (!PAYMENT_METHODS.includes(payment.method)) {
+        return `Unknown payment method "${payment.method}" (expected one of ${PAYMENT_METHODS.join(', ')})`;
+    }
+    if (payment.account_id && !findAccount(database, payment.account_id)) {
+        return `Account "${payment.account_id}" not found`;
+    }
+    return validateCurrency(database, payment.currency);
+}
+
+// Copies program, student, sponsor name and default currency from the sponsorship onto a payment
+function linkPaymentToSponsorship(database, payment) {
+    const { program, entry } = findSponsorship(database, payment.sponsorship_id);
+    payment.program = program;
+    payment.student_id = entry.student_id || null;
+    payment.full_name = entry.full_name;
+    payment.sponsor = entry.sponsor;
+    payment.currency = String(payment.currency || entry.currency || DEFAULT_SPONSORSHIP_CURRENCY).toUpperCase();
+    return payment;
+}
+
+// Money received in a calendar month, each payment converted at its own date
+function sumReceivedInMonth(database, month, target) {
+    const payments = (database.payments || []).filter(p => monthOf(p.date) === month);
+    const byCurrency = {};
+    const unconverted = new Set();
+    let total = 0;
+    payments.forEach(payment => {
+        const currency = payment.currency || DEFAULT_SPONSORSHIP_CURRENCY;
+        byCurrency[currency] = (byCurrency[currency] || 0) + (parseFloat(payment.amount) || 0);
+        try {
+            total += convertAmount(database, payment.amount, currency, target, payment.date);
+        } catch (error) {
+            unconverted.add(currency);
+        }
+    });
+    return { total, by_currency: byCurrency, unconverted: [...unconverted] };
+}
+
+// Fills in a missing end (this month) and start (twelve months up to the end)
+function reconciliationRange({ from, to } = {}) {
+    to = to || monthOf(todayISO());
+    if (!from) {
+        const [year, month] = to.split('-').map(Number);
+        from = month === 12 ? `${year}-01` : `${year - 1}-${String(month + 1).padStart(2, '0')}`;
+    }
+    return { from, to };
+}
+
+// Returns an error message for a month range the report cannot cover, or null
+function validateReconciliationRange({ from, to }) {
+    if (from > to) {
+        return `from (${from}) must not be after to (${to})`;
+    }
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    if ((toYear - fromYear) * 12 + (toMonth - fromMonth) + 1 > MAX_RECONCILIATION_MONTHS) {
+        return `The reconciliation can cover at most ${MAX_RECONCILIATION_MONTHS} months`;
+    }
+    return null;
+}
+
+// Pledged vs received per month, grouped by sponsor, student, program or sponsorship.
+// Pledges convert at the month end, payments at their own date.
+function buildReconciliation(database, { from, to, groupBy = 'sponsor', currency } = {}) {
+    const reportingCurrency = getReportingCurrency(database, currency);
+    ({ from, to } = reconciliationRange({ from, to }));
+    const months = monthsBetween(from, to);
+    const rows = {};
+    const unconverted = new Set();
+
+    const convert = (amount, code, date) => {
+        try {
+            return convertAmount(database, amount, code, reportingCurrency, date);
+        } catch (error) {
+            unconverted.add(code);
+            return 0;
+        }
+    };
+
+    const rowFor = ({ program, sponsorshipId, studentId, fullName, sponsor }) => {
+        const keys = {
+            sponsor: String(sponsor || 'Unknown sponsor').trim().toLowerCase(),
+            student: studentId || nameKey(fullName),
+            program,
+            sponsorship: sponsorshipId || `unlinked:${program}:${nameKey(fullName)}`
+        };
+        const key = keys[groupBy];
+        if (!rows[key]) {
+            rows[key] = {
+                key,
+                sponsor: groupBy === 'sponsor' || groupBy === 'sponsorship' ? sponsor || 'Unknown sponsor' : undefined,
+                program: groupBy === 'program' || groupBy === 'sponsorship' ? program : undefined,
+                student_id: groupBy === 'student' || groupBy === 'sponsorship' ? studentId || null : undefined,
+                full_name: groupBy === 'student' || groupBy === 'sponsorship' ? fullName : undefined,
+                months: Object.fromEntries(months.map(month => [month, { pledged: 0, received: 0 }]))
+            };
+        }
+        return rows[key];
+    };
+
+    Object.entries(database.sponsorship_registry || {}).forEach(([program, registry]) => {
+        (registry.students || []).forEach(entry => {
+            months.forEach(month => {
+                if (isPledgedInMonth(entry, month)) {
+                    const row = rowFor({
+                        program,
+                        sponsorshipId: entry.id,
+                        studentId: entry.student_id,
+                        fullName: entry.full_name,
+                        sponsor: entry.sponsor
+                    });
+                    row.months[month].pledged += convert(entry.amount, entry.currency || DEFAULT_SPONSORSHIP_CURRENCY, lastDayOfMonth(month));
+                }
+            });
+        });
+    });
+
+    (database.payments || []).forEach(payment => {
+        const month = monthOf(payment.date);
+        if (!months.includes(month)) {
+            return;
+        }
+        const sponsorship = payment.sponsorship_id ? findSponsorship(database, payment.sponsorship_id) : null;
+        const row = rowFor({
+            program: payment.program,
+            sponsorshipId: payment.sponsorship_id,
+            studentId: payment.student_id,
+            fullName: payment.full_name,
+            sponsor: sponsorship ? sponsorship.entry.sponsor : payment.sponsor
+        });
+        row.months[month].received += convert(payment.amount, payment.currency || DEFAULT_SPONSORSHIP_CURRENCY, payment.date);
+    });
+
+    const totals = { months: {}, pledged: 0, received: 0 };
+    const result = Object.values(rows).map(row => {
+        row.pledged = 0;
+        row.received = 0;
+        Object.entries(row.months).forEach(([month, figures]) => {
+            figures.difference = figures.received - figures.pledged;
+            row.pledged += figures.pledged;
+            row.received += figures.received;
+            totals.months[month] = totals.months[month] || { pledged: 0, received: 0 };
+            totals.months[month].pledged += figures.pledged;
+            totals.months[month].received += figures.received;
+        });
+        row.difference = row.received - row.pledged;
+        totals.pledged += row.pledged;
+        totals.received += row.received;
+        return row;
+    });
+    Object.values(totals.months).forEach(figures => {
+        figures.difference = figures.received - figures.pledged;
+    });
+    totals.difference = totals.received - totals.pledged;
+
+    return {
+        group_by: groupBy,
+        from,
+        to,
+        months,
+        reporting_currency: reportingCurrency,
+        unconverted_currencies: [...unconverted],
+        rows: result.sort((a, b) => a.difference - b.difference),
+        totals
+    };
+}
+
+// ===== ARREARS =====
+// Each month's pledge falls due on the last day of that month. Payments received
+// against a sponsorship settle its oldest open months first; whatever is left
+// open is aged from its due date into the buckets below. Only the last
+// lookback_months (and nothing before tracking_start, when set) are chased;
+// the registry flags sponsorships whose oldest open pledge passes flag_after_days.
+
+const DEFAULT_ARREARS_SETTINGS = {
+    flag_after_days: 30,
+    lookback_months: 12,
+    tracking_start: null
+};
+
+const ARREARS_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+function getArrearsSettings(database) {
+    return { ...DEFAULT_ARREARS_SETTINGS, ...((database.system_settings && database.system_settings.arrears) || {}) };
+}
+
+function validateArrearsSettings(settings) {
+    if (!Number.isInteger(settings.lookback_months) || settings.lookback_months < 1) {
+        return 'lookback_months must be a positive whole number';
+    }
+    if (!Number.isInteger(settings.flag_after_days) || settings.flag_after_days < 0) {
+        return 'flag_after_days must be a whole number of days, 0 or more';
+    }
+    if (settings.tracking_start !== null && !isValidISODate(settings.tracking_start)) {
+        return 'tracking_start must be a date (YYYY-MM-DD) or null';
+    }
+    return null;
+}
+
+function addMonths(month, count) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + count, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.floor((Date.parse(toDate) - Date.parse(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
+function arrearsBucket(daysOverdue) {
+    if (daysOverdue <= 30) return '0-30';
+    if (daysOverdue <= 60) return '31-60';
+    if (daysOverdue <= 90) return '61-90';
+    return '90+';
+}
+
+function emptyBuckets() {
+    return Object.fromEntries(ARREARS_BUCKETS.map(bucket => [bucket, 0]));
+}
+
+// Open pledge months for one sponsorship as of a date, in the sponsorship's own currency
+function calculateSponsorshipArrears(database, entry, asOf, settings = getArrearsSettings(database)) {
+    const currency = entry.currency || DEFAULT_SPONSORSHIP_CURRENCY;
+    const firstMonth = [
+        addMonths(monthOf(asOf), -(settings.lookback_months - 1)),
+        entry.start_date ? monthOf(entry.start_date) : null,
+        settings.tracking_start ? monthOf(settings.tracking_start) : null
+    ].filter(Boolean).sort().pop();
+
+    const dueMonths = monthsBetween(firstMonth, monthOf(asOf))
+        .filter(month => lastDayOfMonth(month) <= asOf && isPledgedInMonth(entry, month));
+
+    let available = (database.payments || [])
+        .filter(p => p.sponsorship_id === entry.id && p.date >= `${firstMonth}-01` && p.date <= asOf)
+        .reduce((sum, payment) => {
+            try {
+                return sum + convertAmount(database, payment.amount, payment.currency || currency, currency, payment.date);
+            } catch (error) {
+                return sum;
+            }
+        }, 0);
+
+    const open = [];
+    dueMonths.forEach(month => {
+        const pledged = parseFloat(entry.amount) || 0;
+        const settled = Math.min(available, pledged);
+        available -= settled;
+        if (pledged - settled > 0.005) {
+            const dueDate = lastDayOfMonth(month);
+            open.push({ month, due_date: dueDate, outstanding: pledged - settled, days_overdue: daysBetween(dueDate, asOf) });
+        }
+    });
+
+    return {
+        currency,
+        outstanding: open.reduce((sum, item) => sum + item.outstanding, 0),
+        days_overdue: open.length > 0 ? open[0].days_overdue : 0,
+        open_months: open,
+        credit: available
+    };
+}
+
+// Aged arrears per sponsorship, with roll-ups per sponsor, program and affected student
+function buildArrearsReport(database, { asOf = todayISO(), currency, program } = {}) {
+    const reportingCurrency = getReportingCurrency(database, currency);
+    const settings = getArrearsSettings(database);
+    const sponsorships = [];
+    const unconverted = new Set();
+
+    Object.entries(database.sponsorship_registry || {}).forEach(([programName, registry]) => {
+        if (program && programName !== program) {
+            return;
+        }
+        (registry.students || []).forEach(entry => {
+            const arrears = calculateSponsorshipArrears(database, entry, asOf, settings);
+            if (arrears.outstanding <= 0) {
+                return;
+            }
+            let rate = 0;
+            try {
+                rate = getExchangeRate(database, arrears.currency, reportingCurrency, asOf).rate;
+            } catch (error) {
+                unconverted.add(arrears.currency);
+            }
+            const buckets = emptyBuckets();
+            arrears.open_months.forEach(item => {
+                buckets[arrearsBucket(item.days_overdue)] += item.outstanding * rate;
+            });
+            sponsorships.push({
+                sponsorship_id: entry.id,
+                program: programName,
+                sponsor: entry.sponsor,
+                student_id: entry.student_id || null,
+                full_name: entry.full_name,
+                currency: arrears.currency,
+                outstanding_original: arrears.outstanding,
+                outstanding: arrears.outstanding * rate,
+                days_overdue: arrears.days_overdue,
+                months_open: arrears.open_months.length,
+                flagged: arrears.days_overdue > settings.flag_after_days,
+                buckets
+            });
+        });
+    });
+
+    const rollUp = (keyOf, describe) => {
+        const groups = {};
+        sponsorships.forEach(item => {
+            const key = keyOf(item);
+            if (!groups[key]) {
+                groups[key] = { ...describe(item), sponsorships: 0, outstanding: 0, days_overdue: 0, buckets: emptyBuckets() };
+            }
+            const group = groups[key];
+            group.sponsorships += 1;
+            group.outstanding += item.outstanding;
+            group.days_overdue = Math.max(group.days_overdue, item.days_overdue);
+            ARREARS_BUCKETS.forEach(bucket => { group.buckets[bucket] += item.buckets[bucket]; });
+        });
+        return Object.values(groups).sort((a, b) => b.outstanding - a.outstanding);
+    };
+
+    const bySponsor = rollUp(item => String(item.sponsor || '').trim().toLowerCase(), item => ({ sponsor: item.sponsor, programs: [] }));
+    bySponsor.forEach(group => {
+        group.programs = [...new Set(sponsorships
+            .filter(item => String(item.sponsor || '').trim().toLowerCase() === String(group.sponsor || '').trim().toLowerCase())
+            .map(item => item.program))];
+    });
+
+    const affectedStudents = rollUp(item => item.student_id || `${item.program}:${nameKey(item.full_name)}`,
+        item => ({ student_id: item.student_id, full_name: item.full_name, program: item.program, sponsors: [] }));
+    affectedStudents.forEach(group => {
+        group.sponsors = sponsorships
+            .filter(item => (item.student_id || `${item.program}:${nameKey(item.full_name)}`) ===
+                (group.student_id || `${group.program}:${nameKey(group.full_name)}`))
+            .map(item => item.sponsor);
+    });
+
+    const totals = { outstanding: 0, buckets: emptyBuckets() };
+    sponsorships.forEach(item => {
+        totals.outstanding += item.outstanding;
+        ARREARS_BUCKETS.forEach(bucket => { totals.buckets[bucket] += item.buckets[bucket]; });
+    });
+
+    return {
+        as_of: asOf,
+        reporting_currency: reportingCurrency,
+        flag_after_days: settings.flag_after_days,
+        buckets: ARREARS_BUCKETS,
+        unconverted_currencies: [...unconverted],
+        totals,
+        by_sponsor: bySponsor,
+        by_program: rollUp(item => item.program, item => ({ program: item.program })),
+        affected_students: affectedStudents,
+        sponsorships: sponsorships.sort((a, b) => b.days_overdue - a.days_overdue)
+    };
+}
+
+function arrearsReportWorkbook(report) {
+    const wb = XLSX.utils.book_new();
+    const bucketColumns = item => Object.fromEntries(
+        ARREARS_BUCKETS.map(bucket => [`${bucket} days (${report.reporting_currency})`, Math.round(item.buckets[bucket] * 100) / 100])
+    );
+    const total = item => ({ [`Total (${report.reporting_currency})`]: Math.round(item.outstanding * 100) / 100 });
+
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.by_sponsor.map(group => ({
+        'Sponsor': group.sponsor,
+        'Programs': group.programs.join(', '),
+        'Sponsorships': group.sponsorships,
+        'Oldest (days)': group.days_overdue,
+        ...bucketColumns(group),
+        ...total(group)
+    }))), 'By Sponsor');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.by_program.map(group => ({
+        'Program': group.program,
+        'Sponsorships': group.sponsorships,
+        'Oldest (days)': group.days_overdue,
+        ...bucketColumns(group),
+        ...total(group)
+    }))), 'By Program');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.affected_students.map(group => ({
+        'Student ID': group.student_id || '',
+        'Student': group.full_name,
+        'Program': group.program,
+        'Sponsors': group.sponsors.join(', '),
+        'Oldest (days)': group.days_overdue,
+        ...bucketColumns(group),
+        ...total(group)
+    }))), 'Affected Students');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(report.sponsorships.map(item => ({
+        'Sponsorship ID': item.sponsorship_id,
+        'Program': item.program,
+        'Sponsor': item.sponsor,
+        'Student': item.full_name,
+        'Currency': item.currency,
+        'Outstanding': Math.round(item.outstanding_original * 100) / 100,
+        'Months Open': item.months_open,
+        'Oldest (days)': item.days_overdue,
+        ...bucketColumns(item),
+        ...total(item)
+    }))), 'Sponsorships');
+    return wb;
+}
+
+// ===== ACADEMIC PERIODS =====
+// database.periods lists reporting periods { id, name, start_date, end_date,
+// months, status } with status planned, open or closed; database.current_period
+// is the open one. months is null unless a period overrides the cost model's
+// months_per_term; closing records the months it charged. Students'
+// financial_data always holds the open period.
+// Closing a period freezes each student's figures into
+// financial_periods[periodId], stores the program totals on the period and
+// opens the next one with balances carried forward. Standard terms are keyed
+// "YYYY-T1".."YYYY-T3" and follow the school calendar below.
+
+const STANDARD_TERM_DATES = {
+    T1: ['01-01', '04-30'],
+    T2: ['05-01', '08-31'],
+    T3: ['09-01', '12-31']
+};
+
+const ROMAN_TERMS = ['I', 'II', 'III'];
+const PROGRAM_NAME_TERM_PATTERN = /\s+TERM\s+(I{1,3})\s+(\d{4})\s*$/i;
+
+function termKeyForDate(date) {
+    const [year, month] = date.split('-').map(Number);
+    return `${year}-T${month <= 4 ? 1 : month <= 8 ? 2 : 3}`;
+}
+
+// Period fields for a standard "YYYY-Tn" key, or null for any other id
+function standardPeriod(key) {
+    const match = String(key || '').match(/^(\d{4})-T([1-3])$/);
+    if (!match) {
+        return null;
+    }
+    const [start, end] = STANDARD_TERM_DATES[`T${match[2]}`];
+    return {
+        id: key,
+        name: `Term ${ROMAN_TERMS[match[2] - 1]} ${match[1]}`,
+        start_date: `${match[1]}-${start}`,
+        end_date: `${match[1]}-${end}`,
+        months: null
+    };
+}
+
+function nextStandardTermKey(key) {
+    const match = String(key || '').match(/^(\d{4})-T([1-3])$/);
+    if (!match) {
+        return null;
+    }
+    return match[2] === '3' ? `${Number(match[1]) + 1}-T1` : `${match[1]}-T${Number(match[2]) + 1}`;
+}
+
+function findPeriod(database, periodId) {
+    return (database.periods || []).find(period => period.id === periodId) || null;
+}
+
+function getCurrentPeriod(database) {
+    return findPeriod(database, database.current_period);
+}
+
+// Months of planned cost a period is charged when it closes. Termly fees enter
+// monthly_output_ugx divided by the cost model's months_per_term, so a term is
+// charged exactly that many months unless the period sets its own months.
+function periodMonths(database, period) {
+    return Number(period.months) || Number(getCostModel(database).months_per_term) || DEFAULT_COST_MODEL.months_per_term;
+}
+
+function periodDates(database, periodId) {
+    const period = findPeriod(database, periodId) || standardPeriod(periodId);
+    return period ? { start_date: period.start_date, end_date: period.end_date } : null;
+}
+
+// Returns an error message for an invalid period, or null
+function validatePeriod(database, period) {
+    if (!/^[\w-]+$/.test(period.id || '')) {
+        return 'A period needs an id made of letters, digits, "-" or "_" (e.g. 2026-T1)';
+    }
+    if (![period.start_date, period.end_date].every(isValidISODate)) {
+        return 'start_date and end_date must be dates in YYYY-MM-DD format';
+    }
+    if (period.months !== null && period.months !== undefined && !(Number.isInteger(period.months) && period.months > 0)) {
+        return 'months must be a positive whole number, or empty to follow the cost model\'s months per term';
+    }
+    if (period.start_date > period.end_date) {
+        return 'start_date must not be after end_date';
+    }
+    const overlapping = (database.periods || []).find(other => other.id !== period.id &&
+        other.start_date <= period.end_date && period.start_date <= other.end_date);
+    if (overlapping) {
+        return `Dates overlap period ${overlapping.id} (${overlapping.start_date} to ${overlapping.end_date})`;
+    }
+    return period.fee_increases === undefined ? null : validateFeeIncreases(database, period.fee_increases);
+}
+
+function createPeriod(database, fields) {
+    const period = {
+        ...standardPeriod(fields.id),
+        ...fields,
+        status: fields.status || 'planned',
+        version: 1
+    };
+    period.name = period.name || period.id;
+    period.months = period.months ? Number(period.months) : null;
+    return period;
+}
+
+// Payments recorded in [from, to] per student id, in UGX at each payment's date.
+// The student comes from the sponsorship, so links made after payment count.
+function receivedByStudent(database, from, to) {
+    const received = {};
+    const unconverted = new Set();
+    (database.payments || []).filter(payment => payment.date >= from && payment.date <= to).forEach(payment => {
+        const sponsorship = payment.sponsorship_id ? findSponsorship(database, payment.sponsorship_id) : null;
+        const studentId = (sponsorship && sponsorship.entry.student_id) || payment.student_id;
+        if (!studentId) {
+            return;
+        }
+        const currency = payment.currency || DEFAULT_SPONSORSHIP_CURRENCY;
+        try {
+            received[studentId] = (received[studentId] || 0) + convertAmount(database, payment.amount, currency, 'UGX', payment.date);
+        } catch (error) {
+            unconverted.add(currency);
+        }
+    });
+    return { received, unconverted: [...unconverted] };
+}
+
+// Freezes the open period and opens `next`; returns { closed, opened }.
+// Each student's closing balance is the balance brought forward plus the
+// payments recorded in the period less the planned cost for its months.
+function closePeriod(database, period, next, closedBy) {
+    const closingRate = getExchangeRate(database, 'EUR', 'UGX', period.end_date);
+    const costModel = getCostModel(database);
+    const months = periodMonths(database, period);
+    const { received, unconverted } = receivedByStudent(database, period.start_date, period.end_date);
+
+    Object.values(database.sponsorship_programs).forEach(programData => {
+        (programData.students || []).forEach(student => {
+            const financialData = calculateStudentFinancials(student.financial_data || {}, closingRate.rate,
+                costModel, student.sponsorship_package);
+            const receivedUgx = received[student.id] || 0;
+            const closingBalance = (financialData.balance_brought_forward_ugx || 0) + receivedUgx -
+                (financialData.monthly_output_ugx || 0) * months;
+            student.financial_periods = student.financial_periods || {};
+            student.financial_periods[period.id] = {
+                sponsorship_package: student.sponsorship_package,
+                financial_data: financialData,
+                received_ugx: receivedUgx,
+                closing_balance_ugx: closingBalance
+            };
+            // The student carries into the next period with the same figures and its balance
+            student.financial_data = { ...student.financial_data, balance_brought_forward_ugx: closingBalance };
+        });
+    });
+
+    period.frozen = {
+        exchange_rate: closingRate,
+        cost_model: cloneRecord(costModel),
+        programs: Object.fromEntries(Object.entries(database.sponsorship_programs)
+            .map(([program, programData]) => [program, cloneRecord(programData.metadata || {})])),
+        registry: Object.fromEntries(Object.entries(database.sponsorship_registry)
+            .map(([program, registry]) => [program, cloneRecord(registry.metadata || {})])),
+        programs_summary: cloneRecord(database.metadata.programs_summary || {}),
+        financial_summary: calculateFinancialSummary(database, period.end_date),
+        unconverted_currencies: unconverted
+    };
+    period.months = months;
+    period.status = 'closed';
+    period.closed_at = new Date().toISOString();
+    period.closed_by = closedBy;
+    bumpVersion(period);
+
+    let opened = findPeriod(database, next.id);
+    if (!opened) {
+        opened = createPeriod(database, next);
+        database.periods.push(opened);
+    }
+    opened.status = 'open';
+    opened.opened_from = period.id;
+    database.current_period = opened.id;
+    applyFeeIncreases(database, opened);
+
+    return { closed: period, opened };
+}
+
+// The database as it stood in a period: closed periods swap in the frozen
+// student figures and program totals, the open period is the live data
+function databaseForPeriod(database, period) {
+    if (period.status !== 'closed') {
+        return database;
+    }
+    const view = cloneRecord(database);
+    Object.entries(view.sponsorship_programs).forEach(([program, programData]) => {
+        programData.students = (programData.students || [])
+            .filter(student => student.financial_periods && student.financial_periods[period.id])
+            .map(student => ({
+                ...student,
+                sponsorship_package: student.financial_periods[period.id].sponsorship_package,
+                financial_data: student.financial_periods[period.id].financial_data
+            }));
+        programData.metadata = period.frozen?.programs?.[program] || programData.metadata;
+    });
+    Object.entries(view.sponsorship_registry).forEach(([program, registry]) => {
+        registry.metadata = period.frozen?.registry?.[program] || registry.metadata;
+    });
+    view.metadata.programs_summary = period.frozen?.programs_summary || view.metadata.programs_summary;
+    return view;
+}
+
+// Reports accept ?period=<id>: closed periods report from their frozen figures
+// as of the period end, the open period as of today (kept within its dates).
+// Returns { database, date, period } or { error }.
+function resolveReportScope(req, database, defaultPeriodId = null) {
+    const periodId = req.query.period || defaultPeriodId;
+    const today = todayISO();
+    // Stored metadata is calculated at today's rates
+    const atDate = date => (date === today ? database : recalculateAllMetadata(cloneRecord(database), date));
+    if (!periodId) {
+        const date = req.query.date || today;
+        return { database: atDate(date), date, period: null };
+    }
+    const period = findPeriod(database, periodId);
+    if (!period) {
+        return { error: `Period ${periodId} not found` };
+    }
+    const defaultDate = period.status === 'closed' ? period.end_date :
+        today < period.start_date ? period.start_date :
+        today > period.end_date ? period.end_date : today;
+    const date = req.query.date || defaultDate;
+    return { database: databaseForPeriod(atDate(date), period), date, period };
+}
+
+function periodSummary(period) {
+    if (!period) {
+        return null;
+    }
+    const { frozen, ...summary } = period;
+    return summary;
+}
+
+// ===== COST MODEL =====
+// Monthly student cost is the sum of admin-defined components, each a numeric
+// financial_data field. Termly components are divided by months_per_term and
+// annual ones by 12. A package template restricts which components apply to
+// students on that package and supplies default amounts for new students;
+// packages without a template use every component.
+
+const COST_FREQUENCIES = ['monthly', 'termly', 'annual'];
+
+const DEFAULT_COST_MODEL = {
+    months_per_term: 3,
+    components: [
+        { key: 'termly_school_fees', label: 'Termly school fees', frequency: 'termly', category: 'school' },
+        { key: 'direct_spending_school_fees_ugx_monthly', label: 'Direct school spending', frequency: 'monthly', category: 'school' },
+        { key: 'food', label: 'Food', frequency: 'monthly', category: 'food' },
+        { key: 'average_medical', label: 'Medical', frequency: 'monthly', category: 'medical' },
+        { key: 'school_personal_requirements_transport', label: 'Personal requirements & transport', frequency: 'monthly', category: 'transport' },
+        { key: 'admin_utilities', label: 'Admin & utilities', frequency: 'monthly', category: 'admin' }
+    ],
+    packages: {}
+};
+
+// Fields calculateStudentFinancials derives; they cannot be cost components
+const DERIVED_FINANCIAL_FIELDS = ['monthly_output_ugx', 'monthly_output_euro', 'cash_received_ugx',
+    'plus_minus_diff_ugx', 'plus_minus_diff_euro', 'cash_received_euro', 'balance_brought_forward_ugx'];
+
+function getCostModel(database) {
+    return { ...DEFAULT_COST_MODEL, ...((database.system_settings && database.system_settings.cost_model) || {}) };
+}
+
+// A package label belongs to a package name when it equals it or starts with it
+// as a word (case-insensitive), so "Boarding Rena" is a "Boarding" package
+function packageLabelMatches(packageName, name) {
+    const label = String(packageName || '').trim().toLowerCase();
+    const key = String(name || '').trim().toLowerCase();
+    return Boolean(label) && Boolean(key) && (label === key || label.startsWith(`${key} `));
+}
+
+// Template for a package label: exact name first, then the longest matching name
+function findPackageTemplate(costModel, packageName) {
+    const label = String(packageName || '').trim().toLowerCase();
+    if (!label) {
+        return null;
+    }
+    let best = null;
+    Object.entries(costModel.packages || {}).forEach(([name, template]) => {
+        const key = name.trim().toLowerCase();
+        if (packageLabelMatches(label, key) && (!best || key === label || (best.key !== label && key.length > best.key.length))) {
+            best = { key, name, ...template };
+        }
+    });
+    return best;
+}
+
+function monthlyCostByComponent(financialData, costModel = DEFAULT_COST_MODEL, packageName = null) {
+    const template = findPackageTemplate(costModel, packageName);
+    const included = template && Array.isArray(template.components) ? template.components : null;
+    const monthsPerTerm = Number(costModel.months_per_term) || DEFAULT_COST_MODEL.months_per_term;
+
+    return (costModel.components || [])
+        .filter(component => !included || included.includes(component.key))
+        .map(component => {
+            const amount = Number(financialData[component.key]) || 0;
+            const divisor = component.frequency === 'termly' ? monthsPerTerm :
+                component.frequency === 'annual' ? 12 : 1;
+            return {
+                key: component.key,
+                label: component.label,
+                category: component.category,
+                monthly_ugx: amount / divisor
+            };
+        });
+}
+
+// Fills financial_data fields the caller left empty from the package template
+function applyPackageDefaults(financialData, costModel, packageName) {
+    const template = findPackageTemplate(costModel, packageName);
+    const result = { ...financialData };
+    Object.entries((template && template.defaults) || {}).forEach(([key, amount]) => {
+        if (result[key] === undefined || result[key] === null || result[key] === '') {
+            result[key] = amount;
+        }
+    });
+    return result;
+}
+
+function validateCostModel(costModel) {
+    const monthsPerTerm = Number(costModel.months_per_term);
+    if (!Number.isFinite(monthsPerTerm) || monthsPerTerm <= 0) {
+        return 'months_per_term must be a positive number';
+    }
+    if (!Array.isArray(costModel.components) || costModel.components.length === 0) {
+        return 'At least one cost component is required';
+    }
+    const keys = new Set();
+    for (const component of costModel.components) {
+        if (!component || !/^[a-z][a-z0-9_]*$/.test(component.key || '')) {
+            return `Invalid component key: ${component && component.key}`;
+        }
+        if (keys.has(component.key)) {
+            return `Duplicate component key: ${component.key}`;
+        }
+        if (DERIVED_FINANCIAL_FIELDS.includes(component.key)) {
+            return `${component.key} is calculated and cannot be a cost component`;
+        }
+        if (!COST_FREQUENCIES.includes(component.frequency)) {
+            return `Invalid frequency for ${component.key}. Use one of: ${COST_FREQUENCIES.join(', ')}`;
+        }
+        if (!BUDGET_CATEGORIES[component.category]) {
+            return `Invalid category for ${component.key}. Use one of: ${Object.keys(BUDGET_CATEGORIES).join(', ')}`;
+        }
+        keys.add(component.key);
+    }
+    for (const [name, template] of Object.entries(costModel.packages || {})) {
+        if (!name.trim() || !template || typeof template !== 'object') {
+            return `Invalid package template: ${name}`;
+        }
+        const unknown = [...(template.components || []), ...Object.keys(template.defaults || {})]
+            .find(key => !keys.has(key));
+        if (unknown) {
+            return `Package ${name} references unknown component ${unknown}`;
+        }
+        if (template.components !== undefined && template.components !== null && !Array.isArray(template.components)) {
+            return `Package ${name} components must be a list of component keys`;
+        }
+        const badDefault = Object.entries(template.defaults || {})
+            .find(([, amount]) => !Number.isFinite(Number(amount)) || Number(amount) < 0);
+        if (badDefault) {
+            return `Package ${name} default for ${badDefault[0]} must be a non-negative number`;
+        }
+    }
+    return null;
+}
+
+// ===== PROGRAM BUDGETS =====
+// database.budgets plans spending per program, term and expense category:
+// { id, program, term, start_date, end_date, category, amount, currency, notes }.
+// The term is a period id; its dates come from the period (or the standard
+// school calendar for periods not created yet) and can be overridden per budget. Actuals are the daily_expenses of the
+// program's students in that category and date range.
+
+const BUDGET_CATEGORIES = {
+    food: 'Food',
+    medical: 'Medical',
+    transport: 'Transport',
+    school: 'School fees',
+    admin: 'Admin'
+};
+
+// Expenses belong to the program of the student they were spent on
+function expenseProgram(database, expense) {
+    if (expense.program) {
+        return expense.program;
+    }
+    for (const [program, programData] of Object.entries(database.sponsorship_programs || {})) {
+        if ((programData.students || []).some(student => student.id === expense.studentId)) {
+            return program;
+        }
+    }
+    return null;
+}
+
+// Returns an error message for an invalid budget, or null
+function validateBudget(database, budget) {
+    if (!database.sponsorship_programs[budget.program]) {
+        return `Program ${budget.program} not found`;
+    }
+    if (!BUDGET_CATEGORIES[budget.category]) {
+        return `Unknown budget category "${budget.category}" (expected one of ${Object.keys(BUDGET_CATEGORIES).join(', ')})`;
+    }
+    if (!budget.term) {
+        return 'A budget needs a term';
+    }
+    if (![budget.start_date, budget.end_date].every(isValidISODate)) {
+        return `Term "${budget.term}" needs start_date and end_date (YYYY-MM-DD) unless it is a period or written as YYYY-T1, YYYY-T2 or YYYY-T3`;
+    }
+    if (budget.start_date > budget.end_date) {
+        return 'start_date must not be after end_date';
+    }
+    if (!(parseFloat(budget.amount) >= 0)) {
+        return 'Budget amount must be zero or a positive number';
+    }
+    const duplicate = (database.budgets || []).find(other => other.id !== budget.id &&
+        other.program === budget.program && other.term === budget.term && other.category === budget.category);
+    if (duplicate) {
+        return `A ${budget.category} budget for ${budget.program} ${budget.term} already exists (${duplicate.id})`;
+    }
+    return validateCurrency(database, budget.currency);
+}
+
+function expensesForBudget(database, budget) {
+    return (database.daily_expenses || []).filter(expense =>
+        isCountedExpense(expense) &&
+        (expense.category || 'other') === budget.category &&
+        expense.date >= budget.start_date && expense.date <= budget.end_date &&
+        expenseProgram(database, expense) === budget.program
+    );
+}
+
+// Budget vs actual per program, term and category. Spending in a category with no
+// budget for a budgeted program-term shows up as an unbudgeted row.
+function buildBudgetVariance(database, { program, term, currency } = {}) {
+    const budgets = (database.budgets || []).filter(budget =>
+        (!program || budget.program === program) && (!term || budget.term === term)
+    );
+    const unconverted = new Set();
+    const convert = (amount, from, to, date) => {
+        try {
+            return convertAmount(database, amount, from, to, date);
+        } catch (error) {
+            unconverted.add(from);
+            return 0;
+        }
+    };
+
+    const periods = {};
+    budgets.forEach(budget => {
+        const key = `${budget.program}|${budget.term}`;
+        periods[key] = periods[key] || {
+            program: budget.program,
+            term: budget.term,
+            start_date: budget.start_date,
+            end_date: budget.end_date,
+            currency: getReportingCurrency(database, currency || budget.currency),
+            budgets: []
+        };
+        periods[key].budgets.push(budget);
+    });
+
+    const rows = [];
+    Object.values(periods).forEach(period => {
+        Object.keys(BUDGET_CATEGORIES).concat('other').forEach(category => {
+            const budget = period.budgets.find(b => b.category === category);
+            const scope = budget || { ...period, category };
+            const expenses = expensesForBudget(database, scope);
+            if (!budget && expenses.length === 0) {
+                return;
+            }
+            const budgeted = budget ? convert(budget.amount, budget.currency, period.currency, period.start_date) : 0;
+            const actual = expenses.reduce((sum, expense) =>
+                sum + convert(expense.amount, expense.currency || DEFAULT_EXPENSE_CURRENCY, period.currency, expense.date), 0);
+            rows.push({
+                budget_id: budget ? budget.id : null,
+                program: period.program,
+                term: period.term,
+                start_date: scope.start_date,
+                end_date: scope.end_date,
+                category,
+                category_label: BUDGET_CATEGORIES[category] || 'Other',
+                currency: period.currency,
+                budget: budgeted,
+                actual,
+                difference: budgeted - actual,
+                percent_used: budgeted > 0 ? Math.round((actual / budgeted) * 1000) / 10 : null,
+                expense_count: expenses.length,
+                unbudgeted: !budget
+            });
+        });
+    });
+
+    const totals = {};
+    rows.forEach(row => {
+        const key = `${row.program}|${row.term}`;
+        totals[key] = totals[key] || { program: row.program, term: row.term, currency: row.currency, budget: 0, actual: 0 };
+        totals[key].budget += row.budget;
+        totals[key].actual += row.actual;
+    });
+    Object.values(totals).forEach(total => {
+        total.difference = total.budget - total.actual;
+        total.percent_used = total.budget > 0 ? Math.round((total.actual / total.budget) * 1000) / 10 : null;
+    });
+
+    return {
+        rows,
+        totals: Object.values(totals),
+        unconverted_currencies: [...unconverted]
+    };
+}
+
+// ===== EXPENSE STUDENT LINKING =====
+// Expenses carry studentId plus the program of that student. Imports and new
+// expenses often only have a studentName; a name that matches exactly one
+// student links automatically, anything else waits in the manual-match queue.
+// student_match records how the link was made: auto, manual, pending or none
+// (reviewed and not spent on a student).
+
+function findStudentCandidates(database, name, program = null) {
+    const key = nameKey(name);
+    const words = key.split(' ').filter(Boolean);
+    const students = Object.entries(database.sponsorship_programs || {})
+        .filter(([programName]) => !program || programName === program)
+        .flatMap(([programName, programData]) => (programData.students || []).map(student => ({ student, program: programName })));
+
+    const exact = students.filter(candidate => nameKey(candidate.student.full_name) === key);
+    if (exact.length > 0 || words.length === 0) {
+        return { exact: true, candidates: exact };
+    }
+    // Partial names: every word of the shorter name appears in the longer one
+    const partial = students.filter(candidate => {
+        const other = nameKey(candidate.student.full_name).split(' ');
+        const [shorter, longer] = words.length <= other.length ? [words, other] : [other, words];
+        return shorter.every(word => longer.includes(word));
+    });
+    return { exact: false, candidates: partial };
+}
+
+function findStudentById(database, studentId) {
+    for (const [program, programData] of Object.entries(database.sponsorship_programs || {})) {
+        const student = (programData.students || []).find(s => s.id === studentId);
+        if (student) {
+            return { student, program };
+        }
+    }
+    return null;
+}
+
+// Links one expense in place and returns its student_match status
+function linkExpenseToStudent(database, expense) {
+    const byId = expense.studentId ? findStudentById(database, expense.studentId) : null;
+    if (byId) {
+        expense.program = byId.program;
+        expense.studentName = expense.studentName || byId.student.full_name;
+        expense.student_match = expense.student_match === 'manual' ? 'manual' : 'auto';
+        return expense.student_match;
+    }
+
+    expense.studentId = null;
+    if (!String(expense.studentName || '').trim()) {
+        expense.student_match = 'none';
+        return expense.student_match;
+    }
+
+    const { exact, candidates } = findStudentCandidates(database, expense.studentName, expense.program || null);
+    if (exact && candidates.length === 1) {
+        expense.studentId = candidates[0].student.id;
+        expense.program = candidates[0].program;
+        expense.student_match = 'auto';
+    } else {
+        expense.student_match = 'pending';
+    }
+    return expense.student_match;
+}
+
+// Retries the queue (and anything never linked), e.g. after students were imported
+function linkPendingExpenses(database) {
+    (database.daily_expenses || []).forEach(expense => {
+        if (!expense.student_match || expense.student_match === 'pending' ||
+            (expense.studentId && !findStudentById(database, expense.studentId))) {
+            linkExpenseToStudent(database, expense);
+        }
+    });
+}
+
+// Students a sponsorship without student_id could belong to. Names are often
+// spelled differently in the registry ("Alvin Atuhirwe" / "ATUHIRE ALVIN"), so
+// when no name matches, words sharing their first four letters count as a match.
+function findSponsorshipCandidates(database, program, entry) {
+    const { candidates } = findStudentCandidates(database, entry.full_name, program);
+    if (candidates.length > 0) {
+        return candidates;
+    }
+    const similar = (a, b) => a === b || (a.length >= 4 && b.length >= 4 && a.slice(0, 4) === b.slice(0, 4));
+    const words = nameKey(entry.full_name).split(' ').filter(Boolean);
+    return (database.sponsorship_programs[program]?.students || [])
+        .filter(student => {
+            const other = nameKey(student.full_name).split(' ');
+            const [shorter, longer] = words.length <= other.length ? [words, other] : [other, words];
+            return shorter.length > 0 && shorter.every(word => longer.some(candidate => similar(word, candidate)));
+        })
+        .map(student => ({ student, program }));
+}
+
+// Planned monthly cost per expense category, from the components calculateStudentFinancials uses
+function plannedMonthlyByCategory(financialData, costModel, packageName) {
+    const planned = Object.fromEntries(Object.keys(BUDGET_CATEGORIES).map(category => [category, 0]));
+    monthlyCostByComponent(financialData, costModel, packageName).forEach(component => {
+        planned[component.category] += component.monthly_ugx;
+    });
+    return planned;
+}
+
+// Actual recorded spend per student against monthly_output_ugx for the months in [from, to]
+function buildStudentCostReport(database, { from, to, program } = {}) {
+    const months = monthsBetween(monthOf(from), monthOf(to)).length;
+    const costModel = getCostModel(database);
+    const unconverted = new Set();
+    const students = {};
+
+    Object.entries(database.sponsorship_programs || {}).forEach(([programName, programData]) => {
+        if (program && programName !== program) {
+            return;
+        }
+        (programData.students || []).forEach(student => {
+            const financialData = student.financial_data || {};
+            const plannedMonthly = financialData.monthly_output_ugx || 0;
+            students[student.id] = {
+                student_id: student.id,
+                full_name: student.full_name,
+                program: programName,
+                sponsorship_package: student.sponsorship_package,
+                planned_monthly_ugx: plannedMonthly,
+                planned_ugx: plannedMonthly * months,
+                actual_ugx: 0,
+                expense_count: 0,
+                by_category: Object.fromEntries(Object.entries(plannedMonthlyByCategory(financialData, costModel, student.sponsorship_package))
+                    .map(([category, monthly]) => [category, { planned_ugx: monthly * months, actual_ugx: 0 }]))
+            };
+        });
+    });
+
+    (database.daily_expenses || []).forEach(expense => {
+        const row = students[expense.studentId];
+        if (!row || !isCountedExpense(expense) || expense.date < from || expense.date > to) {
+            return;
+        }
+        let amount = 0;
+        try {
+            amount = convertAmount(database, expense.amount, expense.currency || DEFAULT_EXPENSE_CURRENCY, 'UGX', expense.date);
+        } catch (error) {
+            unconverted.add(expense.currency);
+        }
+        const category = row.by_category[expense.category] ? expense.category : 'other';
+        row.by_category[category] = row.by_category[category] || { planned_ugx: 0, actual_ugx: 0 };
+        row.by_category[category].actual_ugx += amount;
+        row.actual_ugx += amount;
+        row.expense_count += 1;
+    });
+
+    const rows = Object.values(students).map(row => ({
+        ...row,
+        difference_ugx: row.planned_ugx - row.actual_ugx,
+        percent_of_plan: row.planned_ugx > 0 ? Math.round((row.actual_ugx / row.planned_ugx) * 1000) / 10 : null
+    }));
+
+    return {
+        from,
+        to,
+        months,
+        unconverted_currencies: [...unconverted],
+        rows: rows.sort((a, b) => a.difference_ugx - b.difference_ugx),
+        totals: {
+            planned_ugx: rows.reduce((sum, row) => sum + row.planned_ugx, 0),
+            actual_ugx: rows.reduce((sum, row) => sum + row.actual_ugx, 0)
+        }
+    };
+}
+
+// ===== EXPENSE APPROVAL =====
+// Expenses move draft -> submitted -> approved -> paid; a submitted expense can
+// be rejected (with a comment) or withdrawn to draft, and an approved one
+// reopened as a draft for corrections. Only approved and paid expenses count
+// toward totals. Each transition is appended to expense.status_history as
+// { from, to, by, at, comment }. system_settings.expense_approval.approvers
+// lists { name, programs, max_amount_ugx }: empty programs cover every program
+// and a null limit any amount. A submitted expense is assigned to the first
+// approver covering it; with no approvers configured anyone may approve.
+// The approver and self-approval checks compare names taken from X-User (see
+// getActor), which the server cannot verify. They keep the workflow honest and
+// catch mistakes such as approving under the wrong name, but a client that
+// sends someone else's name passes them; the status_history records what was
+// claimed, not who was authenticated.
+
+const EXPENSE_STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'paid'];
+const COUNTED_EXPENSE_STATUSES = ['approved', 'paid'];
+
+const EXPENSE_TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['approved', 'rejected', 'draft'],
+    rejected: ['draft', 'submitted'],
+    approved: ['paid', 'draft'],
+    paid: []
+};
+
+// Fields an approval vouches for; they can only change while the expense is a draft or rejected
+const APPROVED_EXPENSE_FIELDS = ['amount', 'currency', 'category', 'date', 'description'];
+
+const DEFAULT_EXPENSE_APPROVAL_SETTINGS = {
+    approvers: []
+};
+
+function getExpenseApprovalSettings(database) {
+    return { ...DEFAULT_EXPENSE_APPROVAL_SETTINGS, ...((database.system_settings && database.system_settings.expense_approval) || {}) };
+}
+
+function validateExpenseApprovalSettings(settings) {
+    if (!Array.isArray(settings.approvers)) {
+        return 'approvers must be a list';
+    }
+    const names = new Set();
+    for (const approver of settings.approvers) {
+        if (!approver || typeof approver.name !== 'string' || !approver.name.trim()) {
+            return 'Every approver needs a name';
+        }
+        if (names.has(approver.name)) {
+            return `Approver "${approver.name}" is listed twice`;
+        }
+        names.add(approver.name);
+        if (approver.programs !== undefined && (!Array.isArray(approver.programs) || approver.programs.some(p => typeof p !== 'string'))) {
+            return `programs for ${approver.name} must be a list of program names`;
+        }
+        if (approver.max_amount_ugx !== undefined && approver.max_amount_ugx !== null &&
+            (!Number.isFinite(parseFloat(approver.max_amount_ugx)) || parseFloat(approver.max_amount_ugx) < 0)) {
+            return `max_amount_ugx for ${approver.name} must be a non-negative number or null`;
+        }
+    }
+    return null;
+}
+
+function isCountedExpense(expense) {
+    return COUNTED_EXPENSE_STATUSES.includes(expense.status);
+}
+
+// Approvers whose programs and limit cover the expense, in configured order
+function eligibleApprovers(database, expense) {
+    const amountUgx = convertOrNull(database, parseFloat(expense.amount) || 0, expense.currency || DEFAULT_EXPENSE_CURRENCY, 'UGX', expense.date);
+    const program = expenseProgram(database, expense);
+    return getExpenseApprovalSettings(database).approvers.filter(approver =>
+        (!approver.programs || approver.programs.length === 0 || approver.programs.includes(program)) &&
+        (approver.max_amount_ugx === undefined || approver.max_amount_ugx === null ||
+            (amountUgx !== null && amountUgx <= parseFloat(approver.max_amount_ugx))));
+}
+
+function lastSubmission(expense) {
+    return [...(expense.status_history || [])].reverse().find(entry => entry.to === 'submitted') || null;
+}
+
+function expenseSubmittedBy(expense) {
+    const submission = lastSubmission(expense);
+    return submission ? submission.by : null;
+}
+
+function recordExpenseTransition(expense, to, { by, comment = null }) {
+    expense.status_history = expense.status_history || [];
+    expense.status_history.push({ from: expense.status || null, to, by, at: new Date().toISOString(), comment });
+    expense.status = to;
+}
+
+// Checks and applies a status change; returns { status, message } when it is not allowed
+function transitionExpense(database, expense, to, { by, comment = null, approver = null, accountId = null }) {
+    if (!EXPENSE_STATUSES.includes(to)) {
+        return { status: 400, message: `Status must be one of: ${EXPENSE_STATUSES.join(', ')}` };
+    }
+    if (!(EXPENSE_TRANSITIONS[expense.status] || []).includes(to)) {
+        return { status: 409, message: `A ${expense.status} expense cannot be moved to ${to}` };
+    }
+    if (to === 'rejected' && !String(comment || '').trim()) {
+        return { status: 400, message: 'A comment is required when rejecting an expense' };
+    }
+
+    const configured = getExpenseApprovalSettings(database).approvers.length > 0;
+    const eligible = eligibleApprovers(database, expense).map(a => a.name);
+    // `by` is the claimed X-User name, so these are workflow checks, not access control
+    if (to === 'approved' || to === 'rejected') {
+        if (configured && !eligible.includes(by)) {
+            return { status: 403, message: `${by} is not an approver for this expense` };
+        }
+        if (by === expenseSubmittedBy(expense)) {
+            return { status: 403, message: 'Expenses cannot be approved or rejected by the person who submitted them' };
+        }
+    }
+    if (to === 'submitted') {
+        if (configured && eligible.length === 0) {
+            return { status: 400, message: 'No approver covers this expense\'s program and amount' };
+        }
+        if (approver && configured && !eligible.includes(approver)) {
+            return { status: 400, message: `${approver} is not an approver for this expense` };
+        }
+        expense.approver = approver || eligible[0] || null;
+    }
+    if (to === 'paid' && accountId) {
+        if (!findAccount(database, accountId)) {
+            return { status: 400, message: `Account "${accountId}" not found` };
+        }
+        expense.account_id = accountId;
+    }
+
+    recordExpenseTransition(expense, to, { by, comment: comment || null });
+    if (to === 'approved' || to === 'rejected') {
+        expense.reviewed_by = by;
+    }
+    return null;
+}
+
+// Submitted expenses waiting for `approver`: assigned ones plus unassigned ones they may approve
+function buildApprovalQueue(database, approver) {
+    const configured = getExpenseApprovalSettings(database).approvers.length > 0;
+    return (database.daily_expenses || [])
+        .filter(expense => expense.status === 'submitted' && (expense.approver ? expense.approver === approver :
+            !configured || eligibleApprovers(database, expense).some(a => a.name === approver)))
+        .map(expense => {
+            const submission = lastSubmission(expense);
+            return {
+                ...expense,
+                submitted_by: submission ? submission.by : null,
+                submitted_at: submission ? submission.at : null,
+                waiting_days: submission ? daysBetween(submission.at, new Date().toISOString()) : null,
+                amount_ugx: convertOrNull(database, parseFloat(expense.amount) || 0, expense.currency || DEFAULT_EXPENSE_CURRENCY, 'UGX', expense.date)
+            };
+        })
+        .sort((a, b) => String(a.submitted_at).localeCompare(String(b.submitted_at)));
+}
+
+// Tells connected clients that an expense needs approval or has been reviewed
+function notifyExpenseStatus(expense, by) {
+    if (expense.status === 'submitted') {
+        broadcast({
+            type: 'expense_approval_requested',
+            expenseId: expense.id,
+            approver: expense.approver,
+            submitted_by: by,
+            message: `Expense ${expense.id} (${expense.amount} ${expense.currency}) needs approval` + (expense.approver ? ` by ${expense.approver}` : '')
+        });
+    } else if (expense.status === 'approved' || expense.status === 'rejected') {
+        broadcast({
+            type: 'expense_reviewed',
+            expenseId: expense.id,
+            status: expense.status,
+            submitted_by: expenseSubmittedBy(expense),
+            reviewed_by: by,
+            message: `Expense ${expense.id} ${expense.status} by ${by}`
+        });
+    }
+}
+
+// ===== EXPENSE RECEIPTS =====
+// Receipt scans and PDFs live in RECEIPTS_DIR, outside the public uploads
+// folder; expense.receipts holds their metadata { id, filename, original_name,
+// mimetype, size, uploaded_at, uploaded_by }. Files stay on disk while the
+// expense is in the trash, so restoring it brings them back, and are deleted
+// when the expense is purged or the receipt removed.
+
+const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
+const THUMBNAIL_SIZES = [120, 240, 480];
+
+// Shown for PDFs and images sharp cannot decode (HEIC without libheif), labelled with the file type
+function documentThumbnailSvg(receipt) {
+    const label = receipt.mimetype === 'application/pdf' ? 'PDF' : receipt.mimetype.split('/')[1].toUpperCase();
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="240" height="240" viewBox="0 0 24 24">' +
+        '<path fill="#e5e7eb" stroke="#6b7280" stroke-width="0.6" d="M6 2h8l4 4v16H6z"/><path fill="#d1d5db" d="M14 2v4h4"/>' +
+        `<text x="12" y="16" font-family="sans-serif" font-size="4" text-anchor="middle" fill="#b91c1c">${label}</text></svg>`;
+}
+
+function receiptFilePath(receipt) {
+    return path.join(RECEIPTS_DIR, receipt.filename);
+}
+
+function receiptThumbnailPath(receipt, size) {
+    return path.join(RECEIPT_THUMBNAILS_DIR, `${path.parse(receipt.filename).name}-${size}.jpg`);
+}
+
+function findExpenseReceipt(database, expenseId, receiptId) {
+    const expense = (database.daily_expenses || []).find(e => e.id === expenseId);
+    const receipt = expense && (expense.receipts || []).find(r => r.id === receiptId);
+    return { expense, receipt };
+}
+
+// Builds the thumbnail once and caches it next to the others; null when the file is not a raster image
+async function receiptThumbnail(receipt, size) {
+    if (!receipt.mimetype.startsWith('image/')) {
+        return null;
+    }
+    const thumbnailPath = receiptThumbnailPath(receipt, size);
+    if (!fs.existsSync(thumbnailPath)) {
+        try {
+            await sharp(receiptFilePath(receipt))
+                .rotate()
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 75 })
+                .toFile(thumbnailPath);
+        } catch (error) {
+            console.warn(`Could not build thumbnail for receipt ${receipt.id}: ${error.message}`);
+            return null;
+        }
+    }
+    return thumbnailPath;
+}
+
+function deleteReceiptFiles(receipts) {
+    (receipts || []).forEach(receipt => {
+        [receiptFilePath(receipt), ...THUMBNAIL_SIZES.map(size => receiptThumbnailPath(receipt, size))].forEach(file => {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+    });
+}
+
+// Removes the files of expenses leaving the trash for good
+function deletePurgedReceiptFiles(trashEntries) {
+    trashEntries
+        .filter(entry => entry.entity === 'expense')
+        .forEach(entry => deleteReceiptFiles(entry.record.receipts));
+}
+
+function hasReceipt(expense) {
+    return (expense.receipts || []).length > 0;
+}
+
+// Expenses without any receipt, largest first: ?from=&to=&program=&category=&min_amount=
+function buildMissingReceiptsReport(database, { from, to, program, category, minAmount = 0 }) {
+    const unconverted = new Set();
+    const expenses = (database.daily_expenses || [])
+        .filter(expense => !hasReceipt(expense) &&
+            (!from || expense.date >= from) &&
+            (!to || expense.date <= to) &&
+            (!program || expense.program === program) &&
+            (!category || expense.category === category))
+        .map(expense => {
+            const currency = expense.currency || DEFAULT_EXPENSE_CURRENCY;
+            const amountUgx = convertOrNull(database, parseFloat(expense.amount) || 0, currency, 'UGX', expense.date);
+            if (amountUgx === null) {
+                unconverted.add(currency);
+            }
+            return {
+                id: expense.id,
+                date: expense.date,
+                category: expense.category,
+                description: expense.description,
+                studentName: expense.studentName || null,
+                program: expense.program || null,
+                amount: parseFloat(expense.amount) || 0,
+                currency,
+                amount_ugx: amountUgx
+            };
+        })
+        .filter(row => row.amount_ugx === null || row.amount_ugx >= minAmount)
+        .sort((a, b) => (b.amount_ugx || 0) - (a.amount_ugx || 0));
+
+    const inScope = (database.daily_expenses || []).filter(expense =>
+        (!from || expense.date >= from) && (!to || expense.date <= to) &&
+        (!program || expense.program === program) && (!category || expense.category === category));
+
+    return {
+        expenses,
+        summary: {
+            expense_count: inScope.length,
+            with_receipts: inScope.filter(hasReceipt).length,
+            missing: expenses.length,
+            missing_amount_ugx: expenses.reduce((sum, row) => sum + (row.amount_ugx || 0), 0)
+        },
+        unconverted_currencies: [...unconverted]
+    };
+}
+
+// ===== SPONSOR ALLOCATIONS =====
+// Each registry row allocates one sponsor to one student, so a student can have
+// several partial sponsors and a sponsor several students. A row pledges either
+// a fixed amount or share_percent of the student's monthly cost; for shares,
+// recalculation derives amount from monthly_output_ugx in the row's currency
+// (set share_percent to null to go back to a fixed amount). Coverage is a
+// student's allocations pledged this month, in EUR, over monthly_output_euro.
+
+const FUNDING_STATUSES = ['funded', 'partial', 'unsponsored'];
+
+// Returns an error message for an invalid allocation, or null
+// `entry` is the sponsorship as it will be saved. Active shares on one student
+// may not add up to more than 100 percent of the student's cost.
+function validateAllocation(database, program, entry) {
+    if (entry.share_percent !== undefined && entry.share_percent !== null) {
+        const share = Number(entry.share_percent);
+        if (!(share > 0 && share <= 100)) {
+            return 'share_percent must be greater than 0 and at most 100';
+        }
+        if (entry.student_id && isActiveSponsorship(entry)) {
+            const otherShares = (database.sponsorship_registry[program]?.students || [])
+                .filter(other => other.id !== entry.id && other.student_id === entry.student_id &&
+                    isShareAllocation(other) && isActiveSponsorship(other))
+                .reduce((sum, other) => sum + Number(other.share_percent), 0);
+            if (otherShares + share > 100) {
+                return `Shares for ${entry.full_name || entry.student_id} would add up to ${otherShares + share}% ` +
+                    `(other sponsorships already cover ${otherShares}%)`;
+            }
+        }
+    }
+    return null;
+}
+
+function isShareAllocation(entry) {
+    return entry.share_percent !== undefined && entry.share_percent !== null;
+}
+
+function resolveShareAllocations(database, program, date = todayISO()) {
+    const students = database.sponsorship_programs[program]?.students || [];
+    (database.sponsorship_registry[program]?.students || []).filter(isShareAllocation).forEach(entry => {
+        const student = students.find(s => s.id === entry.student_id);
+        if (!student) {
+            return;
+        }
+        try {
+            const monthlyCost = convertAmount(database, student.financial_data?.monthly_output_ugx || 0, 'UGX',
+                entry.currency || DEFAULT_SPONSORSHIP_CURRENCY, date);
+            entry.amount = Math.round(monthlyCost * Number(entry.share_percent)) / 100;
+        } catch (error) {
+            // Without a rate for the currency the last derived amount stands
+        }
+    });
+}
+
+// One row per student of the program: allocated_eur, coverage_percent, funding_status and allocations
+function calculateStudentCoverage(database, program, date = todayISO()) {
+    const month = monthOf(date);
+    const allocations = (database.sponsorship_registry[program]?.students || [])
+        .filter(entry => entry.student_id && isPledgedInMonth(entry, month));
+
+    return (database.sponsorship_programs[program]?.students || []).map(student => {
+        const studentAllocations = allocations.filter(entry => entry.student_id === student.id);
+        const allocated = sumInCurrency(database, studentAllocations, 'EUR', date);
+        const monthlyCost = student.financial_data?.monthly_output_euro || 0;
+        const fundingStatus = allocated.total <= 0 ? 'unsponsored' :
+            allocated.total + 0.005 >= monthlyCost ? 'funded' : 'partial';
+        return {
+            student_id: student.id,
+            monthly_output_euro: monthlyCost,
+            allocated_eur: allocated.total,
+            coverage_percent: monthlyCost > 0 ? allocated.total / monthlyCost * 100 : null,
+            funding_status: fundingStatus,
+            allocations: studentAllocations.map(entry => ({
+                sponsorship_id: entry.id,
+                sponsor: entry.sponsor,
+                amount: entry.amount,
+                currency: entry.currency || DEFAULT_SPONSORSHIP_CURRENCY,
+                share_percent: isShareAllocation(entry) ? entry.share_percent : null
+            })),
+            unconverted_currencies: allocated.unconverted
+        };
+    });
+}
+
+function summarizeCoverage(coverage) {
+    return Object.fromEntries(FUNDING_STATUSES.map(status =>
+        [status, coverage.filter(entry => entry.funding_status === status).length]));
+}
+
+// Allocations grouped by sponsor across programs
+function buildSponsorList(database, date = todayISO()) {
+    const sponsors = {};
+    Object.entries(database.sponsorship_registry || {}).forEach(([program, registry]) => {
+        (registry.students || []).forEach(entry => {
+            const key = nameKey(entry.sponsor);
+            if (!key) {
+                return;
+            }
+            const sponsor = sponsors[key] = sponsors[key] || { sponsor: entry.sponsor.trim(), programs: [], allocations: [] };
+            if (!sponsor.programs.includes(program)) {
+                sponsor.programs.push(program);
+            }
+            sponsor.allocations.push({ ...entry, program });
+        });
+    });
+
+    return Object.values(sponsors).map(sponsor => {
+        const pledged = sponsor.allocations.filter(entry => isPledgedInMonth(entry, monthOf(date)));
+        const monthly = sumInCurrency(database, pledged, 'EUR', date);
+        return {
+            sponsor: sponsor.sponsor,
+            programs: sponsor.programs,
+            student_count: new Set(sponsor.allocations.map(entry => entry.student_id || entry.full_name)).size,
+            active_allocations: pledged.length,
+            monthly_total_eur: monthly.total,
+            monthly_by_currency: monthly.by_currency,
+            allocations: sponsor.allocations.map(entry => ({
+                sponsorship_id: entry.id,
+                program: entry.program,
+                student_id: entry.student_id,
+                full_name: entry.full_name,
+                amount: entry.amount,
+                currency: entry.currency || DEFAULT_SPONSORSHIP_CURRENCY,
+                share_percent: isShareAllocation(entry) ? entry.share_percent : null,
+                sponsorship_status: entry.sponsorship_status
+            }))
+        };
+    }).sort((a, b) => b.monthly_total_eur - a.monthly_total_eur);
+}
+
+// ===== FUNDING FORECAST =====
+// Projects each program's monthly income and cost from the current figures.
+// Sponsorships pledge between their start and end dates and stop when their
+// student finishes school; students cost nothing after their
+// expected_completion_date. Planned periods may carry fee_increases
+// [{ percent, components?, programs? }] that take effect from the period's
+// start (components default to the cost model's termly ones) and are written
+// into the students' figures when the period opens. Amounts are converted at
+// today's exchange rates.
+
+const MAX_FORECAST_MONTHS = 24;
+
+function validateFeeIncreases(database, feeIncreases) {
+    if (!Array.isArray(feeIncreases)) {
+        return 'fee_increases must be a list of { percent, components, programs }';
+    }
+    const componentKeys = getCostModel(database).components.map(component => component.key);
+    for (const increase of feeIncreases) {
+        const percent = Number(increase && increase.percent);
+        if (!Number.isFinite(percent) || percent <= -100) {
+            return 'Each fee increase needs a percent greater than -100';
+        }
+        const unknownComponent = (increase.components || []).find(key => !componentKeys.includes(key));
+        if (unknownComponent) {
+            return `Unknown cost component ${unknownComponent}`;
+        }
+        const unknownProgram = (increase.programs || []).find(program => !database.sponsorship_programs[program]);
+        if (unknownProgram) {
+            return `Program ${unknownProgram} not found`;
+        }
+    }
+    return null;
+}
+
+// Flattened fee increases of the given periods: { month, period_id, percent, components, programs }
+function scheduledFeeIncreases(periods, costModel) {
+    const termlyKeys = costModel.components
+        .filter(component => component.frequency === 'termly')
+        .map(component => component.key);
+    return periods
+        .filter(period => Array.isArray(period.fee_increases))
+        .flatMap(period => period.fee_increases.map(increase => ({
+            month: monthOf(period.start_date),
+            period_id: period.id,
+            percent: Number(increase.percent),
+            components: increase.components && increase.components.length > 0 ? increase.components : termlyKeys,
+            programs: increase.programs && increase.programs.length > 0 ? increase.programs : null
+        })))
+        .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+function feeIncreaseApplies(increase, program, componentKey) {
+    return increase.components.includes(componentKey) && (!increase.programs || increase.programs.includes(program));
+}
+
+// Raises the affected financial_data fields of every student when `period` opens
+function applyFeeIncreases(database, period) {
+    if (!Array.isArray(period.fee_increases) || period.fee_increases.length === 0 || period.fee_increases_applied_at) {
+        return;
+    }
+    const increases = scheduledFeeIncreases([period], getCostModel(database));
+    Object.entries(database.sponsorship_programs).forEach(([program, programData]) => {
+        (programData.students || []).forEach(student => {
+            const financialData = student.financial_data || {};
+            increases.forEach(increase => {
+                increase.components.forEach(key => {
+                    if (feeIncreaseApplies(increase, program, key) && typeof financialData[key] === 'number') {
+                        financialData[key] = financialData[key] * (1 + increase.percent / 100);
+                    }
+                });
+            });
+        });
+    });
+    period.fee_increases_applied_at = new Date().toISOString();
+}
+
+function hasFinishedSchool(student, month) {
+    return Boolean(student && student.expected_completion_date) && monthOf(student.expected_completion_date) < month;
+}
+
+// Adds EUR figures, running totals and the first deficit month to forecast rows
+// that carry income_eur and costs_ugx
+function summarizeForecastRows(rows, rate) {
+    let cumulativeNetUGX = 0;
+    let cumulativeShortfallUGX = 0;
+    let firstDeficitMonth = null;
+    rows.forEach(row => {
+        row.income_ugx = row.income_eur * rate;
+        row.costs_eur = row.costs_ugx / rate;
+        row.net_ugx = row.income_ugx - row.costs_ugx;
+        row.net_eur = row.net_ugx / rate;
+        cumulativeNetUGX += row.net_ugx;
+        cumulativeShortfallUGX += Math.max(0, -row.net_ugx);
+        row.cumulative_net_ugx = cumulativeNetUGX;
+        row.cumulative_net_eur = cumulativeNetUGX / rate;
+        row.cumulative_shortfall_ugx = cumulativeShortfallUGX;
+        row.cumulative_shortfall_eur = cumulativeShortfallUGX / rate;
+        if (!firstDeficitMonth && row.net_ugx < 0) {
+            firstDeficitMonth = row.month;
+        }
+    });
+    return {
+        first_deficit_month: firstDeficitMonth,
+        cumulative_shortfall_ugx: cumulativeShortfallUGX,
+        cumulative_shortfall_eur: cumulativeShortfallUGX / rate,
+        months: rows
+    };
+}
+
+function buildFundingForecast(database, { from, months = 12, program } = {}) {
+    const today = todayISO();
+    const exchangeRate = getExchangeRate(database, 'EUR', 'UGX', today);
+    const costModel = getCostModel(database);
+    const increases = scheduledFeeIncreases((database.periods || []).filter(period => period.status === 'planned'), costModel);
+    const horizon = Array.from({ length: months }, (_, index) => addMonths(from, index));
+    const to = horizon[horizon.length - 1];
+    const inHorizon = date => Boolean(date) && monthOf(date) >= from && monthOf(date) <= to;
+    const unconverted = new Set();
+    const events = [];
+
+    increases.filter(increase => increase.month >= from && increase.month <= to).forEach(increase => {
+        events.push({ month: increase.month, type: 'fee_increase', period_id: increase.period_id,
+            percent: increase.percent, components: increase.components, programs: increase.programs });
+    });
+
+    const programs = Object.entries(database.sponsorship_programs || {})
+        .filter(([programName]) => !program || programName === program)
+        .map(([programName, programData]) => {
+            const students = programData.students || [];
+            const sponsorships = (database.sponsorship_registry[programName]?.students || []);
+            const studentsById = Object.fromEntries(students.map(student => [student.id, student]));
+            const componentCosts = students.map(student => ({
+                student,
+                components: monthlyCostByComponent(student.financial_data || {}, costModel, student.sponsorship_package)
+            }));
+
+            students.filter(student => inHorizon(student.expected_completion_date)).forEach(student => {
+                events.push({ month: monthOf(student.expected_completion_date), type: 'student_finishes',
+                    program: programName, student_id: student.id, full_name: student.full_name });
+            });
+            sponsorships.forEach(entry => {
+                if (inHorizon(entry.start_date) && monthOf(entry.start_date) > from) {
+                    events.push({ month: monthOf(entry.start_date), type: 'sponsorship_starts', program: programName,
+                        sponsorship_id: entry.id, sponsor: entry.sponsor, full_name: entry.full_name });
+                }
+                if (inHorizon(entry.end_date)) {
+                    events.push({ month: monthOf(entry.end_date), type: 'sponsorship_ends', program: programName,
+                        sponsorship_id: entry.id, sponsor: entry.sponsor, full_name: entry.full_name });
+                }
+            });
+
+            const rows = horizon.map(month => {
+                // Looking ahead, an active sponsorship with an agreed end_date stops there too
+                const pledged = sponsorships.filter(entry =>
+                    isPledgedInMonth(entry, month) && !(entry.end_date && monthOf(entry.end_date) < month) &&
+                    !hasFinishedSchool(studentsById[entry.student_id], month));
+                const income = sumInCurrency(database, pledged, 'EUR', today);
+                income.unconverted.forEach(currency => unconverted.add(currency));
+
+                let costsUGX = 0;
+                let studentCount = 0;
+                componentCosts.forEach(({ student, components }) => {
+                    if (hasFinishedSchool(student, month)) {
+                        return;
+                    }
+                    studentCount++;
+                    components.forEach(component => {
+                        const factor = increases
+                            .filter(increase => increase.month <= month && feeIncreaseApplies(increase, programName, component.key))
+                            .reduce((product, increase) => product * (1 + increase.percent / 100), 1);
+                        costsUGX += component.monthly_ugx * factor;
+                    });
+                });
+
+                return {
+                    month,
+                    students: studentCount,
+                    sponsorships: pledged.length,
+                    income_eur: income.total,
+                    costs_ugx: costsUGX
+                };
+            });
+
+            return { program: programName, ...summarizeForecastRows(rows, exchangeRate.rate) };
+        });
+
+    const totalRows = horizon.map((month, index) => ({
+        month,
+        students: programs.reduce((sum, entry) => sum + entry.months[index].students, 0),
+        sponsorships: programs.reduce((sum, entry) => sum + entry.months[index].sponsorships, 0),
+        income_eur: programs.reduce((sum, entry) => sum + entry.months[index].income_eur, 0),
+        costs_ugx: programs.reduce((sum, entry) => sum + entry.months[index].costs_ugx, 0)
+    }));
+
+    return {
+        from,
+        to,
+        months: horizon.length,
+        as_of: today,
+        exchange_rate: exchangeRate,
+        unconverted_currencies: [...unconverted],
+        programs,
+        totals: summarizeForecastRows(totalRows, exchangeRate.rate),
+        events: events.sort((a, b) => a.month.localeCompare(b.month))
+    };
+}
+
+// ===== SCENARIOS =====
+// What-if simulation on a copy of the database; nothing is saved. A scenario
+// may contain:
+//   exchange_rate                  - EUR -> UGX rate to use instead of today's
+//   exchange_rate_change_percent   - or a change to today's rate (-10 = euro drops 10%)
+//   component_changes  - [{ component, percent | value, programs?, packages? }]
+//   add_students       - [{ program, full_name?, sponsorship_package, financial_data?,
+//                          count?, sponsorship?: { amount, currency, sponsor } }]
+//   remove_students    - student ids; their sponsorships end with them
+//   lost_sponsors      - sponsor names whose sponsorships all end
+//   remove_sponsorships - sponsorship ids
+
+const MAX_SCENARIO_STUDENTS = 500; // Students add_students may add in one scenario, over all entries
+
+function validateScenario(database, scenario) {
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+        return 'A scenario must be an object of overrides';
+    }
+    if (scenario.exchange_rate !== undefined && !(Number(scenario.exchange_rate) > 0)) {
+        return 'exchange_rate must be a positive number';
+    }
+    if (scenario.exchange_rate_change_percent !== undefined &&
+        !(Number(scenario.exchange_rate_change_percent) > -100)) {
+        return 'exchange_rate_change_percent must be a number greater than -100';
+    }
+    const componentKeys = getCostModel(database).components.map(component => component.key);
+    for (const change of scenario.component_changes || []) {
+        if (!componentKeys.includes(change.component)) {
+            return `Unknown cost component ${change.component}`;
+        }
+        if ((change.percent === undefined) === (change.value === undefined)) {
+            return `Change to ${change.component} needs either percent or value`;
+        }
+        if (change.percent !== undefined && !(Number(change.percent) > -100)) {
+            return `percent for ${change.component} must be greater than -100`;
+        }
+        if (change.value !== undefined && !(Number(change.value) >= 0)) {
+            return `value for ${change.component} must be a non-negative number`;
+        }
+        const unknownProgram = (change.programs || []).find(program => !database.sponsorship_programs[program]);
+        if (unknownProgram) {
+            return `Program ${unknownProgram} not found`;
+        }
+    }
+    let addedStudents = 0;
+    for (const addition of scenario.add_students || []) {
+        if (!database.sponsorship_programs[addition.program]) {
+            return `Program ${addition.program} not found`;
+        }
+        if (addition.count !== undefined && !(parseInt(addition.count) >= 1)) {
+            return 'count must be a whole number of at least 1';
+        }
+        addedStudents += addition.count === undefined ? 1 : parseInt(addition.count);
+        if (addedStudents > MAX_SCENARIO_STUDENTS) {
+            return `A scenario can add at most ${MAX_SCENARIO_STUDENTS} students`;
+        }
+        const formulaErrors = resolveFormulaFields(addition.financial_data || {}).errors;
+        if (formulaErrors.length > 0) {
+            return describeFormulaErrors(formulaErrors);
+        }
+        if (addition.sponsorship) {
+            if (!(parseFloat(addition.sponsorship.amount) > 0)) {
+                return 'A new sponsorship needs a positive amount';
+            }
+            const currencyError = addition.sponsorship.currency &&
+                validateCurrency(database, String(addition.sponsorship.currency).toUpperCase());
+            if (currencyError) {
+                return currencyError;
+            }
+        }
+    }
+    const missingStudent = (scenario.remove_students || []).find(studentId => !findStudentById(database, studentId));
+    if (missingStudent) {
+        return `Student ${missingStudent} not found`;
+    }
+    const sponsors = new Set(Object.values(database.sponsorship_registry || {})
+        .flatMap(registry => (registry.students || []).map(entry => nameKey(entry.sponsor))));
+    const missingSponsor = (scenario.lost_sponsors || []).find(sponsor => !sponsors.has(nameKey(sponsor)));
+    if (missingSponsor) {
+        return `Sponsor "${missingSponsor}" not found`;
+    }
+    const missingSponsorship = (scenario.remove_sponsorships || []).find(id => !findSponsorship(database, id));
+    if (missingSponsorship) {
+        return `Sponsorship ${missingSponsorship} not found`;
+    }
+    return null;
+}
+
+// Applies a validated scenario to `database` in place; returns what changed
+function applyScenario(database, scenario) {
+    const applied = { students_changed: 0, students_added: 0, students_removed: 0, sponsorships_removed: 0 };
+    const costModel = getCostModel(database);
+
+    const liveRate = getExchangeRate(database, 'EUR', 'UGX');
+    let rate = liveRate.rate;
+    if (scenario.exchange_rate !== undefined) {
+        rate = Number(scenario.exchange_rate);
+    }
+    if (scenario.exchange_rate_change_percent !== undefined) {
+        rate = rate * (1 + Number(scenario.exchange_rate_change_percent) / 100);
+    }
+    if (rate !== liveRate.rate) {
+        upsertExchangeRate(database, { base: 'EUR', quote: 'UGX', rate, effective_date: todayISO(), source: 'scenario' });
+    }
+    applied.exchange_rate = { live: liveRate.rate, scenario: rate };
+
+    Object.entries(database.sponsorship_programs).forEach(([program, programData]) => {
+        (programData.students || []).forEach(student => {
+            let changed = false;
+            (scenario.component_changes || []).forEach(change => {
+                if ((change.programs && change.programs.length > 0 && !change.programs.includes(program)) ||
+                    (change.packages && change.packages.length > 0 &&
+                        !change.packages.some(name => packageLabelMatches(student.sponsorship_package, name)))) {
+                    return;
+                }
+                const financialData = student.financial_data = student.financial_data || {};
+                const current = Number(financialData[change.component]) || 0;
+                financialData[change.component] = change.value !== undefined ? Number(change.value) :
+                    current * (1 + Number(change.percent) / 100);
+                changed = true;
+            });
+            if (changed) {
+                applied.students_changed++;
+            }
+        });
+    });
+
+    const removedStudents = new Set(scenario.remove_students || []);
+    const lostSponsors = new Set((scenario.lost_sponsors || []).map(nameKey));
+    const removedSponsorships = new Set(scenario.remove_sponsorships || []);
+    Object.values(database.sponsorship_programs).forEach(programData => {
+        const before = programData.students.length;
+        programData.students = programData.students.filter(student => !removedStudents.has(student.id));
+        applied.students_removed += before - programData.students.length;
+    });
+    Object.values(database.sponsorship_registry).forEach(registry => {
+        const before = registry.students.length;
+        registry.students = registry.students.filter(entry => !removedStudents.has(entry.student_id) &&
+            !lostSponsors.has(nameKey(entry.sponsor)) && !removedSponsorships.has(entry.id));
+        applied.sponsorships_removed += before - registry.students.length;
+    });
+
+    (scenario.add_students || []).forEach((addition, index) => {
+        const count = parseInt(addition.count) || 1;
+        for (let copy = 1; copy <= count; copy++) {
+            const students = database.sponsorship_programs[addition.program].students;
+            const student = {
+                id: `SCENARIO-${index + 1}-${copy}`,
+                serial_number: students.length + 1,
+                full_name: addition.full_name || `Scenario student ${index + 1}.${copy}`,
+                sponsorship_package: addition.sponsorship_package || '',
+                financial_data: applyPackageDefaults(resolveFormulaFields(addition.financial_data || {}).data,
+                    costModel, addition.sponsorship_package)
+            };
+            students.push(student);
+            applied.students_added++;
+            if (addition.sponsorship) {
+                database.sponsorship_registry[addition.program] = database.sponsorship_registry[addition.program] ||
+                    { students: [], metadata: {} };
+                database.sponsorship_registry[addition.program].students.push({
+                    id: `${student.id}-SPN`,
+                    student_id: student.id,
+                    full_name: student.full_name,
+                    sponsor: addition.sponsorship.sponsor || 'Scenario sponsor',
+                    amount: parseFloat(addition.sponsorship.amount),
+                    currency: String(addition.sponsorship.currency || DEFAULT_SPONSORSHIP_CURRENCY).toUpperCase(),
+                    sponsorship_status: 'active'
+                });
+            }
+        }
+    });
+
+    return applied;
+}
+
+function fundingGapFigures(gap, studentCount) {
+    return {
+        students: studentCount,
+        income_eur: gap.incomeEUR,
+        income_ugx: gap.incomeUGX,
+        costs_eur: gap.costsEUR,
+        costs_ugx: gap.costsUGX,
+        deficit_eur: gap.deficitEUR,
+        deficit_ugx: gap.deficitUGX
+    };
+}
+
+function compareFigures(live, scenario) {
+    return Object.fromEntries(Object.keys(live).map(key => [key, scenario[key] - live[key]]));
+}
+
+// Runs the scenario against a copy of the data and compares it with the live figures
+function simulateScenario(database, scenario) {
+    const live = recalculateAllMetadata(cloneRecord(database));
+    const simulated = cloneRecord(database);
+    const applied = applyScenario(simulated, scenario);
+    recalculateAllMetadata(simulated);
+
+    const liveGap = calculateFundingGap(live);
+    const scenarioGap = calculateFundingGap(simulated);
+    const programs = liveGap.programs.map(liveProgram => {
+        const scenarioProgram = scenarioGap.programs.find(entry => entry.name === liveProgram.name);
+        const liveFigures = fundingGapFigures(liveProgram, live.sponsorship_programs[liveProgram.name].students.length);
+        const scenarioFigures = fundingGapFigures(scenarioProgram, simulated.sponsorship_programs[liveProgram.name].students.length);
+        return {
+            program: liveProgram.name,
+            live: liveFigures,
+            scenario: scenarioFigures,
+            change: compareFigures(liveFigures, scenarioFigures)
+        };
+    });
+    const sumFigures = side => Object.fromEntries(Object.keys(programs[0] ? programs[0][side] : {})
+        .map(key => [key, programs.reduce((sum, entry) => sum + entry[side][key], 0)]));
+    const liveTotals = sumFigures('live');
+    const scenarioTotals = sumFigures('scenario');
+
+    return {
+        applied,
+        programs,
+        totals: { live: liveTotals, scenario: scenarioTotals, change: compareFigures(liveTotals, scenarioTotals) },
+        live: { funding_gap: liveGap, programs_summary: live.metadata.programs_summary },
+        scenario: { funding_gap: scenarioGap, programs_summary: simulated.metadata.programs_summary }
+    };
+}
+
+// ===== CASH BOOK =====
+// database.accounts are the places money sits: { id, name, type, currency,
+// account_number, opening_balance, opening_date, active, reconciliations }.
+// Sponsor payments with an account_id credit that account and paid expenses
+// with one debit it; approved expenses not yet paid show as pending debits.
+// database.transfers move money between accounts: amount leaves the source in
+// its currency and to_amount arrives in the target's, so conversion and fees
+// are whatever actually happened. Entries in another currency than the
+// account's are converted at their date.
+
+const ACCOUNT_TYPES = ['bank', 'mobile_money', 'petty_cash'];
+
+function findAccount(database, accountId) {
+    return (database.accounts || []).find(account => account.id === accountId) || null;
+}
+
+// Statement lines carry the account number (IBAN, wallet number) they came from
+function findAccountByNumber(database, accountNumber) {
+    const normalize = value => String(value || '').replace(/\s+/g, '').toUpperCase();
+    return accountNumber ? (database.accounts || []).find(account =>
+        account.id === accountNumber || (account.account_number && normalize(account.account_number) === normalize(accountNumber))) || null : null;
+}
+
+function validateAccount(database, account) {
+    if (!String(account.name || '').trim()) {
+        return 'Account name is required';
+    }
+    const duplicate = (database.accounts || []).find(a => a.id !== account.id && a.name.toLowerCase() === String(account.name).trim().toLowerCase());
+    if (duplicate) {
+        return `An account named "${account.name}" already exists (${duplicate.id})`;
+    }
+    if (!ACCOUNT_TYPES.includes(account.type)) {
+        return `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+    }
+    if (!Number.isFinite(parseFloat(account.opening_balance))) {
+        return 'opening_balance must be a number';
+    }
+    if (!isValidISODate(account.opening_date)) {
+        return `Invalid opening date "${account.opening_date}" (expected YYYY-MM-DD)`;
+    }
+    return validateCurrency(database, account.currency);
+}
+
+function validateTransfer(database, transfer) {
+    const from = findAccount(database, transfer.from_account);
+    const to = findAccount(database, transfer.to_account);
+    if (!from || !to) {
+        return `Account "${!from ? transfer.from_account : transfer.to_account}" not found`;
+    }
+    if (from.id === to.id) {
+        return 'A transfer needs two different accounts';
+    }
+    if (from.active === false || to.active === false) {
+        return `Account ${from.active === false ? from.name : to.name} is closed`;
+    }
+    if (!isValidISODate(transfer.date)) {
+        return `Invalid transfer date "${transfer.date}" (expected YYYY-MM-DD)`;
+    }
+    if (!(parseFloat(transfer.amount) > 0) || !(parseFloat(transfer.to_amount) > 0)) {
+        return 'Transfer amounts must be positive numbers';
+    }
+    if (transfer.date < from.opening_date || transfer.date < to.opening_date) {
+        return 'Transfers cannot be dated before an account\'s opening date';
+    }
+    return null;
+}
+
+// Whether the received amount was given; a blank form field counts as not given
+function hasToAmount(transfer) {
+    return transfer.to_amount !== undefined && transfer.to_amount !== null && String(transfer.to_amount).trim() !== '';
+}
+
+// Fills in to_amount (and the implied rate) when only the sent amount is given
+function completeTransfer(database, transfer) {
+    const from = findAccount(database, transfer.from_account);
+    const to = findAccount(database, transfer.to_account);
+    transfer.amount = parseFloat(transfer.amount);
+    if (!hasToAmount(transfer)) {
+        transfer.to_amount = from.currency === to.currency ? transfer.amount :
+            Math.round(convertAmount(database, transfer.amount, from.currency, to.currency, transfer.date) * 100) / 100;
+    }
+    transfer.to_amount = parseFloat(transfer.to_amount);
+    transfer.from_currency = from.currency;
+    transfer.to_currency = to.currency;
+    transfer.rate = transfer.to_amount / transfer.amount;
+    return transfer;
+}
+
+function accountAmount(database, account, amount, currency, date, unconverted) {
+    if (String(currency).toUpperCase() === account.currency) {
+        return parseFloat(amount) || 0;
+    }
+    const converted = convertOrNull(database, parseFloat(amount) || 0, currency, account.currency, date);
+    if (converted === null) {
+        unconverted.add(currency);
+        return 0;
+    }
+    return converted;
+}
+
+// Every movement on an account in date order, as { date, type, id, description, credit, debit }
+function accountEntries(database, account, unconverted = new Set()) {
+    const entries = [];
+    (database.payments || []).filter(p => p.account_id === account.id).forEach(payment => {
+        entries.push({
+            date: payment.date,
+            type: 'payment',
+            id: payment.id,
+            description: `Sponsor payment: ${payment.sponsor || ''} for ${payment.full_name || ''}`.trim(),
+            reference: payment.reference || null,
+            credit: accountAmount(database, account, payment.amount, payment.currency, payment.date, unconverted),
+            debit: 0
+        });
+    });
+    (database.daily_expenses || []).filter(e => e.account_id === account.id && e.status === 'paid').forEach(expense => {
+        entries.push({
+            date: paidDate(expense),
+            type: 'expense',
+            id: expense.id,
+            description: expense.description || expense.category,
+            reference: expense.category || null,
+            credit: 0,
+            debit: accountAmount(database, account, expense.amount, expense.currency || DEFAULT_EXPENSE_CURRENCY, expense.date, unconverted)
+        });
+    });
+    (database.transfers || []).forEach(transfer => {
+        if (transfer.from_account === account.id || transfer.to_account === account.id) {
+            const outgoing = transfer.from_account === account.id;
+            const other = findAccount(database, outgoing ? transfer.to_account : transfer.from_account);
+            entries.push({
+                date: transfer.date,
+                type: outgoing ? 'transfer_out' : 'transfer_in',
+                id: transfer.id,
+                description: `Transfer ${outgoing ? 'to' : 'from'} ${other ? other.name : 'deleted account'}`,
+                reference: transfer.reference || null,
+                credit: outgoing ? 0 : transfer.to_amount,
+                debit: outgoing ? transfer.amount : 0
+            });
+        }
+    });
+    return entries.sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type) || String(a.id).localeCompare(String(b.id)));
+}
+
+// Expenses leave the account when they are marked paid, not on the date they were incurred
+function paidDate(expense) {
+    const payment = [...(expense.status_history || [])].reverse().find(entry => entry.to === 'paid');
+    return payment ? payment.at.split('T')[0] : expense.date;
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function accountBalance(database, account, asOf = todayISO()) {
+    return roundMoney(accountEntries(database, account)
+        .filter(entry => entry.date <= asOf && entry.date >= account.opening_date)
+        .reduce((balance, entry) => balance + entry.credit - entry.debit, parseFloat(account.opening_balance) || 0));
+}
+
+// Running-balance statement for [from, to]; entries before the opening date are left out
+function buildAccountStatement(database, account, { from, to }) {
+    const unconverted = new Set();
+    const start = from && from > account.opening_date ? from : account.opening_date;
+    const all = accountEntries(database, account, unconverted).filter(entry => entry.date >= account.opening_date);
+    let balance = parseFloat(account.opening_balance) || 0;
+    all.filter(entry => entry.date < start).forEach(entry => {
+        balance += entry.credit - entry.debit;
+    });
+    const openingBalance = roundMoney(balance);
+    const entries = all.filter(entry => entry.date >= start && entry.date <= to).map(entry => {
+        balance += entry.credit - entry.debit;
+        return { ...entry, credit: roundMoney(entry.credit), debit: roundMoney(entry.debit), balance: roundMoney(balance) };
+    });
+    const pending = (database.daily_expenses || [])
+        .filter(expense => expense.account_id === account.id && expense.status === 'approved')
+        .map(expense => ({
+            id: expense.id,
+            date: expense.date,
+            description: expense.description || expense.category,
+            amount: roundMoney(accountAmount(database, account, expense.amount, expense.currency || DEFAULT_EXPENSE_CURRENCY, expense.date, unconverted))
+        }));
+    const lastReconciliation = [...(account.reconciliations || [])].filter(r => r.date <= to).pop() || null;
+
+    return {
+        account: { id: account.id, name: account.name, type: account.type, currency: account.currency },
+        from: start,
+        to,
+        opening_balance: openingBalance,
+        total_credits: roundMoney(entries.reduce((sum, entry) => sum + entry.credit, 0)),
+        total_debits: roundMoney(entries.reduce((sum, entry) => sum + entry.debit, 0)),
+        closing_balance: roundMoney(balance),
+        entries,
+        pending_debits: pending,
+        balance_after_pending: roundMoney(balance - pending.reduce((sum, expense) => sum + expense.amount, 0)),
+        last_reconciliation: lastReconciliation,
+        unconverted_currencies: [...unconverted]
+    };
+}
+
+// Records a real (bank, wallet or counted cash) balance against the book balance on that date
+function reconcileAccount(database, account, { date, balance, by, notes = null }) {
+    const bookBalance = accountBalance(database, account, date);
+    const reconciliation = {
+        date,
+        actual_balance: roundMoney(parseFloat(balance)),
+        book_balance: bookBalance,
+        difference: roundMoney(parseFloat(balance) - bookBalance),
+        reconciled_by: by,
+        reconciled_at: new Date().toISOString(),
+        notes
+    };
+    account.reconciliations = [...(account.reconciliations || []), reconciliation]
+        .sort((a, b) => a.date.localeCompare(b.date));
+    return reconciliation;
+}
+
+function isAccountInUse(database, accountId) {
+    return (database.payments || []).some(p => p.account_id === accountId) ||
+        (database.daily_expenses || []).some(e => e.account_id === accountId) ||
+        (database.transfers || []).some(t => t.from_account === accountId || t.to_account === accountId);
+}
+
+// ===== GENERAL LEDGER =====
+// Double-entry journals derived from the payment ledger, counted expenses,
+// transfers and cash book opening balances, in the base currency at each
+// entry's date. Approving an expense books it against expenses payable;
+// paying it moves the liability to cash on the day it was paid. system_settings.chart_of_accounts holds the chart
+// ({ code, name, type }) and the mappings that pick an account: sponsor income
+// and expense categories by program / category, cash by cash book account, with
+// defaults for everything unmapped. Program codes are carried as cost centres.
+// Journals are rebuilt on demand, so fixing a mapping fixes every past entry.
+
+const GL_ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+// Column layouts: the general ledger itself, and the manual journal imports of Xero and QuickBooks Online
+const LEDGER_EXPORT_HEADERS = {
+    csv: ['Date', 'Journal', 'Source', 'Account Code', 'Account Name', 'Cost Centre', 'Description', 'Reference',
+        'Debit', 'Credit', 'Currency', 'Original Amount', 'Original Currency'],
+    xero: ['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount', 'TrackingName1', 'TrackingOption1'],
+    quickbooks: ['JournalNo', 'JournalDate', 'Currency', 'Memo', 'AccountName', 'Debits', 'Credits', 'Description', 'Name', 'Location', 'Class']
+};
+
+const DEFAULT_CHART_OF_ACCOUNTS = {
+    base_currency: null, // null uses the organization currency
+    accounts: [
+        { code: '1000', name: 'Cash and bank', type: 'asset' },
+        { code: '1090', name: 'Unallocated cash', type: 'asset' },
+        { code: '2000', name: 'Expenses payable', type: 'liability' },
+        { code: '3000', name: 'Opening balance equity', type: 'equity' },
+        { code: '3100', name: 'Accumulated surplus', type: 'equity' },
+        { code: '4000', name: 'Sponsorship income', type: 'income' },
+        { code: '6100', name: 'Food', type: 'expense' },
+        { code: '6200', name: 'Medical', type: 'expense' },
+        { code: '6300', name: 'School fees', type: 'expense' },
+        { code: '6400', name: 'Transport', type: 'expense' },
+        { code: '6500', name: 'Administration', type: 'expense' },
+        { code: '6900', name: 'Other expenses', type: 'expense' },
+        { code: '7900', name: 'Exchange differences', type: 'expense' }
+    ],
+    mappings: {
+        sponsor_income: { default: '4000', programs: {} },
+        expense_categories: { default: '6900', categories: { food: '6100', medical: '6200', school: '6300', transport: '6400', admin: '6500' } },
+        cash_accounts: { default: '1000', accounts: {} },
+        unallocated_cash: '1090',
+        expenses_payable: '2000',
+        opening_balance_equity: '3000',
+        accumulated_surplus: '3100',
+        exchange_differences: '7900'
+    }
+};
+
+function getChartOfAccounts(database) {
+    return (database.system_settings && database.system_settings.chart_of_accounts) || DEFAULT_CHART_OF_ACCOUNTS;
+}
+
+function ledgerBaseCurrency(database) {
+    return getChartOfAccounts(database).base_currency ||
+        (database.system_settings && database.system_settings.organization && database.system_settings.organization.currency) ||
+        DEFAULT_CURRENCY;
+}
+
+function validateChartOfAccounts(database, chart) {
+    if (!Array.isArray(chart.accounts) || chart.accounts.length === 0) {
+        return 'The chart of accounts needs at least one account';
+    }
+    const byCode = {};
+    for (const account of chart.accounts) {
+        if (!account || !String(account.code || '').trim() || !String(account.name || '').trim()) {
+            return 'Every account needs a code and a name';
+        }
+        if (byCode[account.code]) {
+            return `Account code ${account.code} is used twice`;
+        }
+        if (!GL_ACCOUNT_TYPES.includes(account.type)) {
+            return `Account ${account.code} has unknown type "${account.type}" (expected one of ${GL_ACCOUNT_TYPES.join(', ')})`;
+        }
+        byCode[account.code] = account;
+    }
+
+    const mappings = chart.mappings || {};
+    const checks = [
+        ['sponsor_income.default', mappings.sponsor_income?.default, 'income'],
+        ...Object.entries(mappings.sponsor_income?.programs || {}).map(([program, code]) => [`sponsor_income.programs.${program}`, code, 'income']),
+        ['expense_categories.default', mappings.expense_categories?.default, 'expense'],
+        ...Object.entries(mappings.expense_categories?.categories || {}).map(([category, code]) => [`expense_categories.categories.${category}`, code, 'expense']),
+        ['cash_accounts.default', mappings.cash_accounts?.default, 'asset'],
+        ...Object.entries(mappings.cash_accounts?.accounts || {}).map(([accountId, code]) => [`cash_accounts.accounts.${accountId}`, code, 'asset']),
+        ['unallocated_cash', mappings.unallocated_cash, 'asset'],
+        ['expenses_payable', mappings.expenses_payable, 'liability'],
+        ['opening_balance_equity', mappings.opening_balance_equity, 'equity'],
+        ['accumulated_surplus', mappings.accumulated_surplus, 'equity'],
+        ['exchange_differences', mappings.exchange_differences, null]
+    ];
+    for (const [mapping, code, type] of checks) {
+        if (!byCode[code]) {
+            return `Mapping ${mapping} points at unknown account "${code}"`;
+        }
+        if (type && byCode[code].type !== type) {
+            return `Mapping ${mapping} must use an ${type} account, ${code} is ${byCode[code].type}`;
+        }
+    }
+    if (chart.base_currency) {
+        return validateCurrency(database, chart.base_currency);
+    }
+    return null;
+}
+
+function cashLedgerCode(chart, accountId) {
+    if (!accountId) {
+        return chart.mappings.unallocated_cash;
+    }
+    return (chart.mappings.cash_accounts.accounts || {})[accountId] || chart.mappings.cash_accounts.default;
+}
+
+// Journals dated up to `to` (and from `from` when given) as
+// { journal, date, source, description, reference, lines: [{ code, debit, credit, cost_centre, amount, currency }] },
+// plus the records that could not be converted to the base currency
+function buildJournals(database, { from = null, to = todayISO() } = {}) {
+    const chart = getChartOfAccounts(database);
+    const base = ledgerBaseCurrency(database);
+    const journals = [];
+    const skipped = [];
+    const inRange = date => date <= to && (!from || date >= from);
+    const toBase = (amount, currency, date, source, id) => {
+        const converted = convertOrNull(database, parseFloat(amount) || 0, String(currency).toUpperCase(), base, date);
+        if (converted === null) {
+            skipped.push({ source, id, reason: `No ${currency}/${base} rate for ${date}` });
+        }
+        return converted === null ? null : roundMoney(converted);
+    };
+    const line = (code, debit, credit, costCentre, amount, currency) => ({ code, debit, credit, cost_centre: costCentre || null, amount, currency });
+
+    (database.accounts || []).filter(account => inRange(account.opening_date) && parseFloat(account.opening_balance)).forEach(account => {
+        const value = toBase(account.opening_balance, account.currency, account.opening_date, 'opening_balance', account.id);
+        if (value === null) {
+            return;
+        }
+        const cash = cashLedgerCode(chart, account.id);
+        const equity = chart.mappings.opening_balance_equity;
+        journals.push({
+            journal: `OB-${account.id}`,
+            date: account.opening_date,
+            source: 'opening_balance',
+            description: `Opening balance ${account.name}`,
+            reference: null,
+            lines: value >= 0 ?
+                [line(cash, value, 0, null, account.opening_balance, account.currency), line(equity, 0, value, null, account.opening_balance, account.currency)] :
+                [line(equity, -value, 0, null, account.opening_balance, account.currency), line(cash, 0, -value, null, account.opening_balance, account.currency)]
+        });
+    });
+
+    (database.payments || []).filter(payment => inRange(payment.date)).forEach(payment => {
+        const value = toBase(payment.amount, payment.currency, payment.date, 'payment', payment.id);
+        if (value === null) {
+            return;
+        }
+        const income = (chart.mappings.sponsor_income.programs || {})[payment.program] || chart.mappings.sponsor_income.default;
+        journals.push({
+            journal: payment.id,
+            date: payment.date,
+            source: 'payment',
+            description: `Sponsorship ${payment.sponsor || ''} for ${payment.full_name || ''}`.trim(),
+            reference: payment.reference || null,
+            lines: [
+                line(cashLedgerCode(chart, payment.account_id), value, 0, payment.program, payment.amount, payment.currency),
+                line(income, 0, value, payment.program, payment.amount, payment.currency)
+            ]
+        });
+    });
+
+    (database.daily_expenses || []).filter(expense => isCountedExpense(expense) && inRange(expense.date)).forEach(expense => {
+        const currency = expense.currency || DEFAULT_EXPENSE_CURRENCY;
+        const value = toBase(expense.amount, currency, expense.date, 'expense', expense.id);
+        if (value === null) {
+            return;
+        }
+        const program = expenseProgram(database, expense);
+        const category = (chart.mappings.expense_categories.categories || {})[expense.category] || chart.mappings.expense_categories.default;
+        const payable = chart.mappings.expenses_payable;
+        const description = [expense.description || expense.category, expense.studentName].filter(Boolean).join(' - ');
+        journals.push({
+            journal: expense.id,
+            date: expense.date,
+            source: 'expense',
+            description,
+            reference: expense.category || null,
+            lines: [
+                line(category, value, 0, program, expense.amount, currency),
+                line(payable, 0, value, program, expense.amount, currency)
+            ]
+        });
+
+        const paidOn = paidDate(expense);
+        if (expense.status !== 'paid' || !inRange(paidOn)) {
+            return;
+        }
+        const paid = toBase(expense.amount, currency, paidOn, 'expense_payment', expense.id);
+        if (paid === null) {
+            return;
+        }
+        const lines = [
+            line(payable, value, 0, program, expense.amount, currency),
+            line(cashLedgerCode(chart, expense.account_id), 0, paid, program, expense.amount, currency)
+        ];
+        // The rate can move between approval and payment
+        const difference = roundMoney(paid - value);
+        if (difference !== 0) {
+            lines.push(difference > 0 ?
+                line(chart.mappings.exchange_differences, difference, 0, program, difference, base) :
+                line(chart.mappings.exchange_differences, 0, -difference, program, -difference, base));
+        }
+        journals.push({
+            journal: `${expense.id}-PAY`,
+            date: paidOn,
+            source: 'expense_payment',
+            description: `Payment of ${description}`,
+            reference: expense.category || null,
+            lines
+        });
+    });
+
+    (database.transfers || []).filter(transfer => inRange(transfer.date)).forEach(transfer => {
+        const sent = toBase(transfer.amount, transfer.from_currency, transfer.date, 'transfer', transfer.id);
+        const received = toBase(transfer.to_amount, transfer.to_currency, transfer.date, 'transfer', transfer.id);
+        if (sent === null || received === null) {
+            return;
+        }
+        const lines = [
+            line(cashLedgerCode(chart, transfer.to_account), received, 0, null, transfer.to_amount, transfer.to_currency),
+            line(cashLedgerCode(chart, transfer.from_account), 0, sent, null, transfer.amount, transfer.from_currency)
+        ];
+        // Fees and the difference between the actual and the stored rate
+        const difference = roundMoney(sent - received);
+        if (difference !== 0) {
+            lines.push(difference > 0 ?
+                line(chart.mappings.exchange_differences, difference, 0, null, difference, base) :
+                line(chart.mappings.exchange_differences, 0, -difference, null, -difference, base));
+        }
+        journals.push({
+            journal: transfer.id,
+            date: transfer.date,
+            source: 'transfer',
+            description: `Transfer ${transfer.amount} ${transfer.from_currency} to ${transfer.to_amount} ${transfer.to_currency}`,
+            reference: transfer.reference || null,
+            lines
+        });
+    });
+
+    journals.sort((a, b) => a.date.localeCompare(b.date) || a.journal.localeCompare(b.journal));
+    return { base_currency: base, from, to, journals, skipped };
+}
+
+// Balances per account up to `to`. With `from`, income and expense before it
+// are closed into the accumulated surplus so the period's figures stand alone.
+function buildTrialBalance(database, { from = null, to = todayISO() } = {}) {
+    const chart = getChartOfAccounts(database);
+    const { base_currency, journals, skipped } = buildJournals(database, { to });
+    const types = Object.fromEntries(chart.accounts.map(account => [account.code, account]));
+    const totals = {};
+
+    journals.forEach(journal => {
+        journal.lines.forEach(entry => {
+            const account = types[entry.code];
+            const closed = from && journal.date < from && account && ['income', 'expense'].includes(account.type);
+            const code = closed ? chart.mappings.accumulated_surplus : entry.code;
+            totals[code] = totals[code] || { debit: 0, credit: 0 };
+            totals[code].debit += entry.debit;
+            totals[code].credit += entry.credit;
+        });
+    });
+
+    const rows = chart.accounts
+        .filter(account => totals[account.code])
+        .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }))
+        .map(account => {
+            const net = roundMoney(totals[account.code].debit - totals[account.code].credit);
+            return {
+                code: account.code,
+                name: account.name,
+                type: account.type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0
+            };
+        });
+    const totalDebit = roundMoney(rows.reduce((sum, row) => sum + row.debit, 0));
+    const totalCredit = roundMoney(rows.reduce((sum, row) => sum + row.credit, 0));
+
+    return {
+        base_currency,
+        from,
+        to,
+        rows,
+        total_debit: totalDebit,
+        total_credit: totalCredit,
+        balanced: totalDebit === totalCredit,
+        skipped
+    };
+}
+
+function accountName(chart, code) {
+    const account = chart.accounts.find(a => a.code === code);
+    return account ? account.name : code;
+}
+
+function ledgerCsv(database, ledger, format) {
+    const chart = getChartOfAccounts(database);
+    const rows = [];
+    ledger.journals.forEach(journal => {
+        journal.lines.forEach(entry => {
+            if (format === 'xero') {
+                rows.push({
+                    '*Narration': `${journal.journal} ${journal.description}`.trim(),
+                    '*Date': journal.date,
+                    'Description': journal.reference || journal.description,
+                    '*AccountCode': entry.code,
+                    '*TaxRate': 'Tax Exempt',
+                    '*Amount': roundMoney(entry.debit - entry.credit),
+                    'TrackingName1': entry.cost_centre ? 'Program' : '',
+                    'TrackingOption1': entry.cost_centre || ''
+                });
+            } else if (format === 'quickbooks') {
+                rows.push({
+                    'JournalNo': journal.journal,
+                    'JournalDate': journal.date,
+                    'Currency': ledger.base_currency,
+                    'Memo': journal.description,
+                    'AccountName': accountName(chart, entry.code),
+                    'Debits': entry.debit || '',
+                    'Credits': entry.credit || '',
+                    'Description': journal.reference || journal.description,
+                    'Name': '',
+                    'Location': '',
+                    'Class': entry.cost_centre || ''
+                });
+            } else {
+                rows.push({
+                    'Date': journal.date,
+                    'Journal': journal.journal,
+                    'Source': journal.source,
+                    'Account Code': entry.code,
+                    'Account Name': accountName(chart, entry.code),
+                    'Cost Centre': entry.cost_centre || '',
+                    'Description': journal.description,
+                    'Reference': journal.reference || '',
+                    'Debit': entry.debit,
+                    'Credit': entry.credit,
+                    'Currency': ledger.base_currency,
+                    'Original Amount': parseFloat(entry.amount) || 0,
+                    'Original Currency': entry.currency
+                });
+            }
+        });
+    });
+    return XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows, { header: LEDGER_EXPORT_HEADERS[format] }));
+}
+
+function trialBalanceCsv(trialBalance) {
+    const rows = trialBalance.rows.map(row => ({
+        'Account Code': row.code,
+        'Account Name': row.name,
+        'Type': row.type,
+        'Debit': row.debit,
+        'Credit': row.credit
+    }));
+    rows.push({ 'Account Code': '', 'Account Name': 'Total', 'Type': '', 'Debit': trialBalance.total_debit, 'Credit': trialBalance.total_credit });
+    return XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
+}
+
+// ===== BANK STATEMENTS =====
+// database.statement_lines holds imported bank and mobile-money statement lines:
+// { id, import_id, source_file, format, source, account, date, direction,
+// amount, currency, counterparty, reference, bank_reference, fingerprint,
+// status, match, suggestions }. direction is "in" or "out" and amount is
+// always positive; status is unmatched, matched or ignored. Incoming lines are
+// matched to sponsorship pledges and recorded in the payment ledger (or linked
+// to a payment already there), outgoing lines to daily_expenses. A line is
+// auto-matched only when its best candidate scores AUTO_MATCH_SCORE or more and
+// clearly beats the runner-up; everything else waits in the review queue.
+
+const STATEMENT_FORMATS = ['csv', 'camt053', 'mt940'];
+const STATEMENT_SOURCES = ['bank', 'mobile_money'];
+const AUTO_MATCH_SCORE = 70;
+const AUTO_MATCH_MARGIN = 15;
+const SUGGESTION_MIN_SCORE = 25;
+
+// Normalized CSV header -> line field, covering common bank and mobile-money exports
+const STATEMENT_CSV_COLUMNS = {
+    date: ['date', 'bookingdate', 'transactiondate', 'valuedate', 'buchungstag', 'buchungsdatum', 'valuta', 'datetime', 'completedat'],
+    amount: ['amount', 'betrag', 'transactionamount', 'umsatz'],
+    credit: ['credit', 'paidin', 'moneyin', 'deposit', 'received', 'haben'],
+    debit: ['debit', 'paidout', 'withdrawn', 'moneyout', 'withdrawal', 'sent', 'soll'],
+    direction: ['direction', 'type', 'transactiontype', 'creditdebit', 'sollhaben'],
+    currency: ['currency', 'ccy', 'waehrung', 'währung'],
+    counterparty: ['counterparty', 'name', 'payer', 'payee', 'beneficiary', 'sender', 'recipient', 'partner',
+        'auftraggeberempfaenger', 'auftraggeberempfänger', 'beguenstigterzahlungspflichtiger', 'begünstigterzahlungspflichtiger'],
+    reference: ['reference', 'purpose', 'verwendungszweck', 'description', 'narrative', 'details', 'memo', 'remarks'],
+    bank_reference: ['transactionid', 'tid', 'referenceno', 'receiptno', 'bankreference', 'externalid'],
+    account: ['account', 'iban', 'accountnumber', 'msisdn', 'wallet']
+};
+
+// "1.234,56", "1,234.56", "-70,00", "(70.00)", "50,000" -> number; a lone
+// separator followed by exactly three digits is a thousands separator
+function parseStatementAmount(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    let text = String(value ?? '').trim().replace(/[^\d,.\-()]/g, '');
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-') || text.endsWith('-');
+    text = text.replace(/[()-]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    const decimalSeparator = lastComma > lastDot ? ',' : '.';
+    const lastSeparator = Math.max(lastComma, lastDot);
+    const singleKind = lastComma === -1 || lastDot === -1;
+    if (lastSeparator !== -1 && singleKind && text.length - lastSeparator - 1 === 3) {
+        text = text.replace(/[.,]/g, '');
+    } else {
+        const thousands = decimalSeparator === ',' ? /\./g : /,/g;
+        text = text.replace(thousands, '').replace(',', '.');
+    }
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? (negative ? -number : number) : null;
+}
+
+// YYYY-MM-DD, YYYYMMDD, day-first DD.MM.YYYY / DD/MM/YYYY / DD-MM-YYYY (or YY) -> YYYY-MM-DD;
+// null when the text is not a date that exists
+function parseStatementDate(value) {
+    if (value instanceof Date) {
+        return value.toISOString().split('T')[0];
+    }
+    const text = String(value ?? '').trim();
+    let date = null;
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    const dayFirst = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})\b/);
+    if (iso) {
+        date = `${iso[1]}-${iso[2]}-${iso[3]}`;
+    } else if (compact) {
+        date = `${compact[1]}-${compact[2]}-${compact[3]}`;
+    } else if (dayFirst) {
+        const year = dayFirst[3].length === 2 ? `20${dayFirst[3]}` : dayFirst[3];
+        date = `${year}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+    }
+    return isValidISODate(date) ? date : null;
+}
+
+function statementDirection(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (/^(c|cr|crdt|credit|in|incoming|received|deposit|h|haben)\b/.test(text)) {
+        return 'in';
+    }
+    if (/^(d|dr|dbit|debit|out|outgoing|sent|payments?|withdraw|withdrawal|s|soll)\b/.test(text)) {
+        return 'out';
+    }
+    return null;
+}
+
+function decodeStatementText(buffer) {
+    const text = buffer.toString('utf8');
+    // Older German bank exports are Latin-1
+    return text.includes('�') ? buffer.toString('latin1') : text;
+}
+
+function detectStatementFormat(buffer, filename = '') {
+    const head = buffer.toString('utf8', 0, 4096);
+    const extension = path.extname(filename).toLowerCase();
+    if (extension === '.xml' || /<(\w+:)?BkToCstmrStmt\b/.test(head)) {
+        return 'camt053';
+    }
+    if (['.sta', '.mt940'].includes(extension) || (/^:20:/m.test(head) && /^:61:/m.test(head))) {
+        return 'mt940';
+    }
+    return 'csv';
+}
+
+// Returns { lines, errors }; the header row is the first one naming a date and an amount column
+function parseStatementCsv(buffer, defaults) {
+    const workbook = XLSX.read(decodeStatementText(buffer), { type: 'string', raw: true });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+    const normalize = header => String(header).trim().toLowerCase().replace(/[^a-z0-9äöü]/g, '');
+    const fieldFor = header => Object.keys(STATEMENT_CSV_COLUMNS).find(field => STATEMENT_CSV_COLUMNS[field].includes(normalize(header)));
+
+    const headerIndex = rows.findIndex(row => {
+        const fields = row.map(fieldFor);
+        return fields.includes('date') && (fields.includes('amount') || fields.includes('credit') || fields.includes('debit'));
+    });
+    if (headerIndex === -1) {
+        return { lines: [], errors: [{ line: 1, message: 'No header row with a date and an amount column found' }] };
+    }
+    const columns = {};
+    rows[headerIndex].forEach((header, index) => {
+        const field = fieldFor(header);
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+
+    const lines = [];
+    const errors = [];
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+        const lineNumber = headerIndex + offset + 2;
+        const cell = field => columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim();
+        if (row.every(value => String(value).trim() === '')) {
+            return;
+        }
+        const date = parseStatementDate(cell('date'));
+        let amount = columns.amount !== undefined ? parseStatementAmount(cell('amount')) : null;
+        if (amount === null) {
+            const credit = parseStatementAmount(cell('credit'));
+            const debit = parseStatementAmount(cell('debit'));
+            amount = credit ? Math.abs(credit) : debit ? -Math.abs(debit) : null;
+        }
+        if (!date || amount === null || amount === 0) {
+            errors.push({ line: lineNumber, message: !date ? `Invalid date "${cell('date')}"` : `Invalid amount "${cell('amount') || cell('credit') || cell('debit')}"` });
+            return;
+        }
+        const direction = statementDirection(cell('direction')) || (amount < 0 ? 'out' : 'in');
+        lines.push({
+            line: lineNumber,
+            date,
+            direction,
+            amount: Math.abs(amount),
+            currency: (cell('currency') || defaults.currency).toUpperCase(),
+            counterparty: cell('counterparty') || null,
+            reference: cell('reference') || null,
+            bank_reference: cell('bank_reference') || null,
+            account: cell('account') || defaults.account || null
+        });
+    });
+    return { lines, errors };
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+        .replace(/&amp;/g, '&');
+}
+
+// Inner XML of every <tag> (any namespace prefix); CAMT elements of one name do not nest
+function xmlBlocks(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+    return [...String(xml || '').matchAll(pattern)].map(match => match[1]);
+}
+
+function xmlText(xml, tag) {
+    const block = xmlBlocks(xml, tag)[0];
+    return block === undefined ? null : decodeXmlEntities(block.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()) || null;
+}
+
+// ISO 20022 CAMT.053 bank-to-customer statement; pending entries are skipped
+function parseCamt053(buffer) {
+    const xml = decodeStatementText(buffer);
+    const lines = [];
+    const errors = [];
+    xmlBlocks(xml, 'Stmt').forEach(statement => {
+        const accountBlock = xmlBlocks(statement, 'Acct')[0] || '';
+        const account = xmlText(accountBlock, 'IBAN') || xmlText(accountBlock, 'Othr');
+        xmlBlocks(statement, 'Ntry').forEach((entry, index) => {
+            if (/PDNG/.test(xmlText(entry, 'Sts') || '')) {
+                return;
+            }
+            const amountMatch = entry.match(/<(?:\w+:)?Amt\s[^>]*Ccy="([A-Z]{3})"[^>]*>\s*([\d.]+)\s*</);
+            const direction = statementDirection(xmlText(entry, 'CdtDbtInd'));
+            const date = parseStatementDate(xmlText(xmlBlocks(entry, 'BookgDt')[0], 'Dt') || xmlText(xmlBlocks(entry, 'BookgDt')[0], 'DtTm') ||
+                xmlText(xmlBlocks(entry, 'ValDt')[0], 'Dt'));
+            if (!amountMatch || !direction || !date) {
+                errors.push({ line: index + 1, message: `Entry ${index + 1} has no booking date, amount or credit/debit indicator` });
+                return;
+            }
+            const party = xmlBlocks(entry, direction === 'in' ? 'Dbtr' : 'Cdtr')[0];
+            const endToEnd = xmlText(entry, 'EndToEndId');
+            const remittance = xmlBlocks(entry, 'Ustrd').map(text => decodeXmlEntities(text.trim())).join(' ') ||
+                xmlText(xmlBlocks(entry, 'CdtrRefInf')[0], 'Ref');
+            lines.push({
+                line: index + 1,
+                date,
+                direction,
+                amount: parseFloat(amountMatch[2]),
+                currency: amountMatch[1],
+                counterparty: party ? xmlText(party, 'Nm') : null,
+                reference: [remittance, endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null, xmlText(entry, 'AddtlNtryInf')]
+                    .filter(Boolean).join(' ') || null,
+                bank_reference: xmlText(entry, 'AcctSvcrRef') || xmlText(entry, 'NtryRef'),
+                account
+            });
+        });
+    });
+    if (lines.length === 0 && errors.length === 0) {
+        errors.push({ line: 1, message: 'No statement entries found in CAMT.053 file' });
+    }
+    return { lines, errors };
+}
+
+// SWIFT MT940: :61: statement lines with their :86: information
+function parseMt940(buffer) {
+    const text = decodeStatementText(buffer).replace(/\r\n?/g, '\n');
+    const fields = [];
+    text.split('\n').forEach(row => {
+        const tag = row.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (tag) {
+            fields.push({ tag: tag[1], value: tag[2] });
+        } else if (fields.length > 0 && row.trim() !== '-' && row.trim() !== '') {
+            fields[fields.length - 1].value += `\n${row}`;
+        }
+    });
+
+    const lines = [];
+    const errors = [];
+    let account = null;
+    let currency = null;
+    let current = null;
+    fields.forEach((field, index) => {
+        if (field.tag === '25') {
+            account = field.value.trim();
+        } else if (field.tag === '60F' || field.tag === '60M') {
+            const opening = field.value.match(/^[CD]\d{6}([A-Z]{3})/);
+            currency = opening ? opening[1] : currency;
+        } else if (field.tag === '61') {
+            const match = field.value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)[NSF][A-Z0-9]{3}([^\n/]*)(?:\/\/([^\n]*))?/);
+            if (!match) {
+                errors.push({ line: index + 1, message: `Unreadable :61: line "${field.value.split('\n')[0]}"` });
+                current = null;
+                return;
+            }
+            const date = `20${match[1]}-${match[2]}-${match[3]}`;
+            if (!isValidISODate(date)) {
+                errors.push({ line: index + 1, message: `Invalid value date in :61: line "${field.value.split('\n')[0]}"` });
+                current = null;
+                return;
+            }
+            const mark = match[5];
+            current = {
+                line: index + 1,
+                date,
+                // RC/RD reverse a credit or debit
+                direction: (mark.endsWith('C') !== mark.startsWith('R')) ? 'in' : 'out',
+                amount: parseFloat(match[6].replace(',', '.')),
+                currency,
+                counterparty: null,
+                reference: match[7].trim() && match[7].trim() !== 'NONREF' ? match[7].trim() : null,
+                bank_reference: match[8] ? match[8].trim() : null,
+                account
+            };
+            lines.push(current);
+        } else if (field.tag === '86' && current) {
+            const info = field.value.replace(/\n/g, '');
+            if (/\?\d{2}/.test(info)) {
+                // Structured (German) layout: ?20-?29 purpose, ?32-?33 name
+                const parts = {};
+                info.split(/\?(?=\d{2})/).slice(1).forEach(part => {
+                    parts[part.slice(0, 2)] = (parts[part.slice(0, 2)] || '') + part.slice(2);
+                });
+                const purpose = Object.keys(parts).filter(code => code >= '20' && code <= '29').sort().map(code => parts[code]).join('');
+                current.reference = [purpose, current.reference].filter(Boolean).join(' ') || null;
+                current.counterparty = [parts['32'], parts['33']].filter(Boolean).join('') || null;
+            } else {
+                current.reference = [info.trim(), current.reference].filter(Boolean).join(' ') || null;
+            }
+            current = null;
+        }
+    });
+    if (lines.length === 0 && errors.length === 0) {
+        errors.push({ line: 1, message: 'No :61: statement lines found in MT940 file' });
+    }
+    return { lines, errors };
+}
+
+function parseStatementFile(buffer, format, defaults) {
+    switch (format) {
+        case 'camt053':
+            return parseCamt053(buffer);
+        case 'mt940':
+            return parseMt940(buffer);
+        default:
+            return parseStatementCsv(buffer, defaults);
+    }
+}
+
+function statementFingerprint(line) {
+    return [line.account || '', line.bank_reference ||
+        [line.date, line.direction, line.amount.toFixed(2), line.currency, line.reference || '', line.counterparty || ''].join('|')].join('#');
+}
+
+const MATCH_STOPWORDS = new Set(['und', 'and', 'the', 'von', 'van', 'der', 'die', 'das', 'mrs', 'ltd', 'gmbh', 'for', 'fuer', 'für']);
+
+function matchWords(text) {
+    return new Set(String(text || '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase()
+        .split(/[^a-z0-9]+/).filter(word => word.length >= 3 && !MATCH_STOPWORDS.has(word)));
+}
+
+// Share of the shorter name's words found in the other text, 0..1
+function nameSimilarity(name, text) {
+    const nameWords = matchWords(name);
+    const textWords = matchWords(text);
+    if (nameWords.size === 0 || textWords.size === 0) {
+        return 0;
+    }
+    const common = [...nameWords].filter(word => textWords.has(word)).length;
+    return common / Math.min(nameWords.size, textWords.size);
+}
+
+function amountsAgree(a, b, tolerance = 0.01) {
+    return Math.abs(a - b) <= Math.max(0.01, Math.abs(b) * tolerance);
+}
+
+function convertOrNull(database, amount, from, to, date) {
+    try {
+        return convertAmount(database, amount, from, to, date);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Candidates for an incoming line, best first: { type: 'sponsorship', id, score, ... }
+function sponsorshipCandidates(database, line) {
+    const text = `${line.reference || ''} ${line.counterparty || ''}`;
+    const upperText = text.toUpperCase();
+    const candidates = [];
+    Object.entries(database.sponsorship_registry || {}).forEach(([program, registry]) => {
+        (registry.students || []).forEach(entry => {
+            let score = 0;
+            if (entry.id && upperText.includes(entry.id)) {
+                score = 100;
+            } else {
+                score += 40 * Math.max(nameSimilarity(entry.sponsor, line.counterparty), nameSimilarity(entry.sponsor, line.reference) / 2);
+                if (entry.student_id && upperText.includes(entry.student_id)) {
+                    score += 30;
+                } else {
+                    score += 30 * nameSimilarity(entry.full_name, line.reference);
+                }
+                const pledge = parseFloat(entry.amount) || 0;
+                const received = convertOrNull(database, line.amount, line.currency, entry.currency || DEFAULT_SPONSORSHIP_CURRENCY, line.date);
+                if (pledge > 0 && received !== null) {
+                    const months = Math.round(received / pledge);
+                    if (amountsAgree(received, pledge)) {
+                        score += 30;
+                    } else if (months >= 2 && months <= 12 && amountsAgree(received, pledge * months)) {
+                        score += 20;
+                    }
+                }
+                if (!isPledgedInMonth(entry, monthOf(line.date))) {
+                    score -= 20;
+                }
+            }
+            candidates.push({
+                type: 'sponsorship',
+                id: entry.id,
+                score: Math.max(0, Math.min(100, Math.round(score))),
+                program,
+                sponsor: entry.sponsor,
+                full_name: entry.full_name,
+                amount: entry.amount,
+                currency: entry.currency || DEFAULT_SPONSORSHIP_CURRENCY
+            });
+        });
+    });
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+// Candidates for an outgoing line among expenses not yet linked to a statement line
+function expenseCandidates(database, line) {
+    const upperText = `${line.reference || ''} ${line.counterparty || ''}`.toUpperCase();
+    return (database.daily_expenses || [])
+        .filter(expense => !expense.statement_line_id)
+        .map(expense => {
+            let score = 0;
+            if (expense.id && upperText.includes(expense.id)) {
+                score = 100;
+            } else {
+                const paid = convertOrNull(database, line.amount, line.currency, expense.currency || DEFAULT_EXPENSE_CURRENCY, line.date);
+                const amount = parseFloat(expense.amount) || 0;
+                if (paid !== null && amount > 0) {
+                    score += amountsAgree(paid, amount) ? 50 : amountsAgree(paid, amount, 0.05) ? 25 : 0;
+                }
+                const days = expense.date ? Math.abs(daysBetween(expense.date, line.date)) : Infinity;
+                score += days <= 3 ? 30 : days <= 7 ? 20 : days <= 14 ? 10 : 0;
+                score += 20 * nameSimilarity(`${expense.description || ''} ${expense.studentName || ''} ${expense.category || ''}`,
+                    `${line.reference || ''} ${line.counterparty || ''}`);
+            }
+            return {
+                type: 'expense',
+                id: expense.id,
+                score: Math.min(100, Math.round(score)),
+                date: expense.date,
+                description: expense.description,
+                category: expense.category,
+                amount: expense.amount,
+                currency: expense.currency || DEFAULT_EXPENSE_CURRENCY
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+function statementCandidates(database, line) {
+    return line.direction === 'in' ? sponsorshipCandidates(database, line) : expenseCandidates(database, line);
+}
+
+// Links a line to a sponsorship (recording or reusing a payment), a payment or an expense
+function applyStatementMatch(database, line, target, { method, score = null, matchedBy }) {
+    const match = { type: target.type, id: target.id, method, score, matched_by: matchedBy, matched_at: new Date().toISOString() };
+
+    if (target.type === 'sponsorship' || target.type === 'payment') {
+        let payment = target.type === 'payment' ? (database.payments || []).find(p => p.id === target.id) :
+            (database.payments || []).find(p => p.sponsorship_id === target.id && !p.statement_line_id &&
+                String(p.currency).toUpperCase() === line.currency && amountsAgree(parseFloat(p.amount), line.amount) &&
+                Math.abs(daysBetween(p.date, line.date)) <= 7);
+        if (payment) {
+            payment.statement_line_id = line.id;
+            bumpVersion(payment);
+        } else {
+            payment = linkPaymentToSponsorship(database, {
+                id: nextStableId(database, 'payment'),
+                sponsorship_id: target.id,
+                date: line.date,
+                amount: line.amount,
+                currency: line.currency,
+                method: line.source === 'mobile_money' ? 'mobile_money' : 'bank_transfer',
+                reference: line.reference || line.bank_reference || '',
+                notes: `Recorded from statement ${line.source_file || line.import_id}`,
+                statement_line_id: line.id,
+                account_id: (findAccountByNumber(database, line.account) || {}).id || null,
+                recorded_at: new Date().toISOString(),
+                version: 1
+            });
+            database.payments = database.payments || [];
+            database.payments.push(payment);
+            match.created_payment = true;
+        }
+        match.type = 'payment';
+        match.id = payment.id;
+        match.sponsorship_id = payment.sponsorship_id;
+    } else if (target.type === 'expense') {
+        const expense = database.daily_expenses.find(e => e.id === target.id);
+        expense.statement_line_id = line.id;
+        expense.account_id = expense.account_id || (findAccountByNumber(database, line.account) || {}).id || null;
+        bumpVersion(expense);
+    }
+
+    line.status = 'matched';
+    line.match = match;
+    delete line.suggestions;
+    return match;
+}
+
+// Undoes a match; payments the match recorded go to the trash
+function removeStatementMatch(database, line, deletedBy) {
+    const match = line.match;
+    if (match && match.type === 'payment') {
+        const index = (database.payments || []).findIndex(p => p.id === match.id);
+        if (index !== -1) {
+            const payment = database.payments[index];
+            delete payment.statement_line_id;
+            if (match.created_payment) {
+                database.payments.splice(index, 1);
+                moveToTrash(database, 'payment', payment, { program: payment.program, deletedBy });
+            } else {
+                bumpVersion(payment);
+            }
+        }
+    } else if (match && match.type === 'expense') {
+        const expense = (database.daily_expenses || []).find(e => e.id === match.id);
+        if (expense) {
+            delete expense.statement_line_id;
+            bumpVersion(expense);
+        }
+    }
+    delete line.match;
+    line.status = 'unmatched';
+}
+
+// Auto-matches confident lines; the rest keep their top suggestions. Returns counts.
+function autoMatchStatementLines(database, lines, matchedBy) {
+    const counts = { matched_payments: 0, matched_expenses: 0, unmatched: 0 };
+    lines.filter(line => line.status === 'unmatched').forEach(line => {
+        const candidates = statementCandidates(database, line);
+        const [best, runnerUp] = candidates;
+        if (best && best.score >= AUTO_MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= AUTO_MATCH_MARGIN)) {
+            applyStatementMatch(database, line, best, { method: 'auto', score: best.score, matchedBy });
+            counts[line.direction === 'in' ? 'matched_payments' : 'matched_expenses']++;
+        } else {
+            line.suggestions = candidates.filter(candidate => candidate.score >= SUGGESTION_MIN_SCORE).slice(0, 3);
+            counts.unmatched++;
+        }
+    });
+    return counts;
+}
+
+// A deleted payment or expense sends its statement line back to the review queue
+function releaseStatementLine(database, record) {
+    const line = record.statement_line_id && (database.statement_lines || []).find(l => l.id === record.statement_line_id);
+    if (line) {
+        delete line.match;
+        line.status = 'unmatched';
+    }
+    delete record.statement_line_id;
+}
+
+// ===== ROUTES =====
+
+// Serve main page
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// ===== CORE DATA ROUTES =====
+
+// Get complete database
+app.get('/api/data', (req, res) => {
+    const database = loadDatabase();
+    res.json({
+        success: true,
+        data: database,
+        message: 'Data loaded successfully'
+    });
+});
+
+// Get financial summary
+app.get('/api/financial-summary', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    const summary = calculateFinancialSummary(database, scope.date, req.query.currency);
+    res.json({
+        success: true,
+        data: summary,
+        period: periodSummary(scope.period),
+        message: 'Financial summary loaded successfully'
+    });
+});
+
+// Get funding gap analysis
+app.get('/api/funding-gap', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    const gap = calculateFundingGap(database, scope.date, req.query.currency);
+    res.json({
+        success: true,
+        data: gap,
+        period: periodSummary(scope.period),
+        message: 'Funding gap analysis loaded successfully'
+    });
+});
+
+// Month-by-month forecast: ?from=YYYY-MM (default this month)&months=12 (1-24)&program=
+app.get('/api/funding-gap/forecast', (req, res) => {
+    const database = loadDatabase();
+    const from = req.query.from || monthOf(todayISO());
+    const months = req.query.months === undefined ? 12 : parseInt(req.query.months);
+    
+    if (!isValidMonth(from)) {
+        return res.status(400).json({ success: false, message: 'from must be a month in YYYY-MM format' });
+    }
+    if (!(months >= 1 && months <= MAX_FORECAST_MONTHS)) {
+        return res.status(400).json({ success: false, message: `months must be between 1 and ${MAX_FORECAST_MONTHS}` });
+    }
+    if (req.query.program && !database.sponsorship_programs[req.query.program]) {
+        return res.status(404).json({ success: false, message: `Program ${req.query.program} not found` });
+    }
+    
+    res.json({
+        success: true,
+        data: buildFundingForecast(database, { from, months, program: req.query.program }),
+        message: 'Funding gap forecast loaded successfully'
+    });
+});
+
+// What-if comparison against the live figures; the body is a scenario (see SCENARIOS). Nothing is saved.
+app.post('/api/scenarios/simulate', (req, res) => {
+    const database = loadDatabase();
+    const scenario = req.body || {};
+    
+    const scenarioError = validateScenario(database, scenario);
+    if (scenarioError) {
+        return res.status(400).json({ success: false, message: scenarioError });
+    }
+    
+    res.json({
+        success: true,
+        data: simulateScenario(database, scenario),
+        message: 'Scenario simulated successfully'
+    });
+});
+
+// Get specific program
+app.get('/api/programs/:program', (req, res) => {
+    const program = req.params.program;
+    const database = loadDatabase();
+    const programData = database.sponsorship_programs[program] || {};
+    res.set('ETag', recordEtag(programData));
+    res.json({
+        success: true,
+        data: programData,
+        message: `Program ${program} loaded successfully`
+    });
+});
+
+// Create or update program
+app.post('/api/programs/:program', (req, res) => {
+    const program = req.params.program;
+    const programData = req.body;
+    
+    let database = loadDatabase();
+    const isNewProgram = !database.sponsorship_programs[program];
+    
+    if (isNewProgram) {
+        database.sponsorship_programs[program] = {
+            program_name: programData.program_name || `${program} FINANCIAL ANALYSIS REPORT`,
+            students: [],
+            metadata: { total_students: 0, sponsorship_types: {} }
+        };
+    } else if (!checkIfMatch(req, res, database.sponsorship_programs[program])) {
+        return;
+    }
+    
+    const before = isNewProgram ? null : programAuditFields(database.sponsorship_programs[program]);
+    
+    // Update program data
+    delete programData.version;
     Object.assign(database.sponsorship_programs[program], programData);
+    const version = bumpVersion(database.sponsorship_programs[program]);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'program',
+            entityId: program,
+            program,
+            operation: isNewProgram ? 'create' : 'update',
+            before,
+            after: programAuditFields(updatedDatabase.sponsorship_programs[program])
+        });
+        broadcast({
+            type: 'program_updated',
+            program: program,
+            version: version,
+            data: updatedDatabase.sponsorship_programs[program],
+            database: updatedDatabase,
+            message: `Program ${program} updated successfully`
+        });
+        res.set('ETag', recordEtag(updatedDatabase.sponsorship_programs[program]));
+        res.json({ 
+            success: true, 
+            data: updatedDatabase.sponsorship_programs[program],
+            message: `Program ${program} updated successfully` 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// ===== STUDENT MANAGEMENT ROUTES =====
+
+// Add student to program
+app.post('/api/programs/:program/students', (req, res) => {
+    const program = req.params.program;
+    const studentData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_programs[program]) {
+        return res.status(404).json({ success: false, message: `Program ${program} not found` });
+    }
+    
+    // Generate serial number (display order) if not provided
+    if (!studentData.serial_number) {
+        studentData.serial_number = database.sponsorship_programs[program].students.length + 1;
+    }
+    studentData.id = nextStableId(database, 'student');
+    
+    if (studentData.expected_completion_date && !isValidISODate(studentData.expected_completion_date)) {
+        return res.status(400).json({ success: false, message: 'expected_completion_date must be a date in YYYY-MM-DD format' });
+    }
+    
+    // New students start from their package template, then calculate financial data
+    const costModel = getCostModel(database);
+    const financialData = applyPackageDefaults(studentData.financial_data || {}, costModel, studentData.sponsorship_package);
+    const formulaErrors = resolveFormulaFields(financialData).errors;
+    if (formulaErrors.length > 0) {
+        return res.status(400).json({ success: false, message: describeFormulaErrors(formulaErrors), errors: formulaErrors });
+    }
+    const calculatedFinancials = calculateStudentFinancials(financialData, getExchangeRate(database, 'EUR', 'UGX').rate,
+        costModel, studentData.sponsorship_package);
+    studentData.financial_data = calculatedFinancials;
+    studentData.version = 1;
+    
+    database.sponsorship_programs[program].students.push(studentData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'student',
+            entityId: studentData.id,
+            program,
+            operation: 'create',
+            after: studentData
+        });
+        broadcast({
+            type: 'student_added',
+            program: program,
+            student: studentData,
+            database: updatedDatabase,
+            message: `Student added to ${program} successfully`
+        });
+        res.json({ 
+            success: true, 
+            data: studentData,
+            database: updatedDatabase,
+            message: 'Student added successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// Update student
+app.put('/api/programs/:program/students/:studentId', (req, res) => {
+    const program = req.params.program;
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_programs[program]) {
+        return res.status(404).json({ success: false, message: `Program ${program} not found` });
+    }
+    
+    const studentIndex = findRecordIndex(database.sponsorship_programs[program].students, req.params.studentId);
+    
+    if (studentIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.sponsorship_programs[program].students[studentIndex])) {
+        return;
+    }
+    
+    const before = cloneRecord(database.sponsorship_programs[program].students[studentIndex]);
+    
+    if (updates.expected_completion_date && !isValidISODate(updates.expected_completion_date)) {
+        return res.status(400).json({ success: false, message: 'expected_completion_date must be a date in YYYY-MM-DD format' });
+    }
+    
+    // Update student data and recalculate financials
+    if (updates.financial_data) {
+        const formulaErrors = resolveFormulaFields(updates.financial_data).errors;
+        if (formulaErrors.length > 0) {
+            return res.status(400).json({ success: false, message: describeFormulaErrors(formulaErrors), errors: formulaErrors });
+        }
+        const packageName = updates.sponsorship_package ?? database.sponsorship_programs[program].students[studentIndex].sponsorship_package;
+        updates.financial_data = calculateStudentFinancials(updates.financial_data, getExchangeRate(database, 'EUR', 'UGX').rate,
+            getCostModel(database), packageName);
+    }
+    
+    const studentId = database.sponsorship_programs[program].students[studentIndex].id;
+    delete updates.version;
+    delete updates.id;
+    // Closed-period figures are frozen
+    delete updates.financial_periods;
+    Object.assign(database.sponsorship_programs[program].students[studentIndex], updates);
+    const version = bumpVersion(database.sponsorship_programs[program].students[studentIndex]);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'student',
+            entityId: studentId,
+            program,
+            operation: 'update',
+            before,
+            after: database.sponsorship_programs[program].students[studentIndex]
+        });
+        broadcast({
+            type: 'student_updated',
+            program: program,
+            studentId: studentId,
+            version: version,
+            student: database.sponsorship_programs[program].students[studentIndex],
+            database: updatedDatabase,
+            message: `Student updated successfully`
+        });
+        res.set('ETag', recordEtag(database.sponsorship_programs[program].students[studentIndex]));
+        res.json({ 
+            success: true, 
+            data: database.sponsorship_programs[program].students[studentIndex],
+            message: 'Student updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// Delete student
+app.delete('/api/programs/:program/students/:studentId', (req, res) => {
+    const program = req.params.program;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_programs[program]) {
+        return res.status(404).json({ success: false, message: `Program ${program} not found` });
+    }
+    
+    const studentIndex = findRecordIndex(database.sponsorship_programs[program].students, req.params.studentId);
+    
+    if (studentIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.sponsorship_programs[program].students[studentIndex])) {
+        return;
+    }
+    
+    const deletedStudent = database.sponsorship_programs[program].students.splice(studentIndex, 1)[0];
+    const studentId = deletedStudent.id;
+    const trashEntry = moveToTrash(database, 'student', deletedStudent, { program, deletedBy: getActor(req) });
+    
+    // Compact the display order; the permanent id is unaffected
+    database.sponsorship_programs[program].students.forEach((student, index) => {
+        student.serial_number = index + 1;
+    });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'student',
+            entityId: studentId,
+            program,
+            operation: 'delete',
+            before: deletedStudent,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'student_deleted',
+            program: program,
+            studentId: studentId,
+            database: updatedDatabase,
+            message: `Student deleted successfully`
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            database: updatedDatabase,
+            message: 'Student moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// Get all students for a program (for sponsor dropdown)
+// Students with their sponsor coverage; ?status=funded|partial|unsponsored filters
+app.get('/api/programs/:program/students-list', (req, res) => {
+    const program = req.params.program;
+    const database = loadDatabase();
+    const programData = database.sponsorship_programs[program] || {};
+    
+    if (req.query.status && !FUNDING_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: `Invalid status. Use one of: ${FUNDING_STATUSES.join(', ')}` });
+    }
+    
+    const coverage = programData.students ? calculateStudentCoverage(database, program) : [];
+    const studentsList = programData.students ? programData.students.map((student, index) => ({
+        id: student.id,
+        serial_number: student.serial_number,
+        full_name: student.full_name,
+        sponsorship_package: student.sponsorship_package,
+        monthly_output_euro: coverage[index].monthly_output_euro,
+        allocated_eur: coverage[index].allocated_eur,
+        coverage_percent: coverage[index].coverage_percent,
+        funding_status: coverage[index].funding_status,
+        sponsors: coverage[index].allocations
+    })) : [];
+    
+    res.json({
+        success: true,
+        data: req.query.status ? studentsList.filter(student => student.funding_status === req.query.status) : studentsList,
+        summary: summarizeCoverage(coverage),
+        message: `Students list for ${program} loaded successfully`
+    });
+});
+
+// ===== SPONSORSHIP REGISTRY ROUTES =====
+
+// Sponsors across all programs with their allocations and monthly total in EUR
+app.get('/api/sponsors', (req, res) => {
+    const database = loadDatabase();
+    
+    res.json({
+        success: true,
+        data: buildSponsorList(database),
+        message: 'Sponsors loaded successfully'
+    });
+});
+
+// Get all sponsors for a program
+app.get('/api/registry/:program', (req, res) => {
+    const program = req.params.program;
+    const database = loadDatabase();
+    const registryData = database.sponsorship_registry[program] || {};
+    
+    res.json({
+        success: true,
+        data: registryData,
+        message: `Registry data for ${program} loaded successfully`
+    });
+});
+
+// Add sponsor to registry
+app.post('/api/registry/:program/students', (req, res) => {
+    const program = req.params.program;
+    const sponsorData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_registry[program]) {
+        database.sponsorship_registry[program] = {
+            students: [],
+            metadata: { total_students: 0, active_students: 0, total_monthly_funding: 0 }
+        };
+    }
+    
+    // Generate CID (display order) if not provided
+    if (!sponsorData.cid) {
+        sponsorData.cid = database.sponsorship_registry[program].students.length + 1;
+    }
+    sponsorData.id = nextStableId(database, 'sponsorship');
+    
+    // Validate that the student exists in the program, by id or by name
+    const programStudents = database.sponsorship_programs[program]?.students || [];
+    const linkedStudent = sponsorData.student_id ?
+        programStudents.find(student => student.id === sponsorData.student_id) :
+        findStudentByName(programStudents, sponsorData.full_name);
+    
+    if (!linkedStudent) {
+        return res.status(400).json({ 
+            success: false, 
+            message: `Student "${sponsorData.student_id || sponsorData.full_name}" not found in program ${program}` 
+        });
+    }
+    sponsorData.student_id = linkedStudent.id;
+    sponsorData.full_name = linkedStudent.full_name;
+    
+    // Set default values
+    if (!sponsorData.sponsorship_status) {
+        sponsorData.sponsorship_status = 'active';
+    }
+    if (!sponsorData.category) {
+        sponsorData.category = 'Individual';
+    }
+    sponsorData.currency = String(sponsorData.currency || DEFAULT_SPONSORSHIP_CURRENCY).toUpperCase();
+    const currencyError = validateCurrency(database, sponsorData.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    const allocationError = validateAllocation(database, program, sponsorData);
+    if (allocationError) {
+        return res.status(400).json({ success: false, message: allocationError });
+    }
+    sponsorData.version = 1;
+    
+    database.sponsorship_registry[program].students.push(sponsorData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'sponsorship',
+            entityId: sponsorData.id,
+            program,
+            operation: 'create',
+            after: sponsorData
+        });
+        broadcast({
+            type: 'sponsor_added',
+            program: program,
+            sponsor: sponsorData,
+            database: updatedDatabase,
+            message: `Sponsor added to ${program} registry successfully`
+        });
+        res.json({ 
+            success: true, 
+            data: sponsorData,
+            database: updatedDatabase,
+            message: 'Sponsor added successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// Update sponsor in registry
+app.put('/api/registry/:program/students/:sponsorId', (req, res) => {
+    const program = req.params.program;
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_registry[program]) {
+        return res.status(404).json({ success: false, message: `Program ${program} not found in registry` });
+    }
+    
+    const sponsorIndex = findRecordIndex(database.sponsorship_registry[program].students, req.params.sponsorId);
+    
+    if (sponsorIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Sponsor not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.sponsorship_registry[program].students[sponsorIndex])) {
+        return;
+    }
+    
+    const before = cloneRecord(database.sponsorship_registry[program].students[sponsorIndex]);
+    
+    // If the sponsored student is being changed, validate it exists in the program
+    if (updates.student_id || updates.full_name) {
+        const programStudents = database.sponsorship_programs[program]?.students || [];
+        const linkedStudent = updates.student_id ?
+            programStudents.find(student => student.id === updates.student_id) :
+            findStudentByName(programStudents, updates.full_name);
+        
+        if (!linkedStudent) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Student "${updates.student_id || updates.full_name}" not found in program ${program}` 
+            });
+        }
+        updates.student_id = linkedStudent.id;
+        updates.full_name = linkedStudent.full_name;
+    }
+    
+    if (updates.currency !== undefined) {
+        updates.currency = String(updates.currency).toUpperCase();
+        const currencyError = validateCurrency(database, updates.currency);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+    }
+    
+    const allocationError = validateAllocation(database, program,
+        { ...database.sponsorship_registry[program].students[sponsorIndex], ...updates });
+    if (allocationError) {
+        return res.status(400).json({ success: false, message: allocationError });
+    }
+    
+    // Update sponsor data
+    const sponsorId = database.sponsorship_registry[program].students[sponsorIndex].id;
+    delete updates.version;
+    delete updates.id;
+    Object.assign(database.sponsorship_registry[program].students[sponsorIndex], updates);
+    const version = bumpVersion(database.sponsorship_registry[program].students[sponsorIndex]);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'sponsorship',
+            entityId: sponsorId,
+            program,
+            operation: 'update',
+            before,
+            after: database.sponsorship_registry[program].students[sponsorIndex]
+        });
+        broadcast({
+            type: 'sponsor_updated',
+            program: program,
+            sponsorId: sponsorId,
+            version: version,
+            sponsor: database.sponsorship_registry[program].students[sponsorIndex],
+            database: updatedDatabase,
+            message: `Sponsor updated successfully`
+        });
+        res.set('ETag', recordEtag(database.sponsorship_registry[program].students[sponsorIndex]));
+        res.json({ 
+            success: true, 
+            data: database.sponsorship_registry[program].students[sponsorIndex],
+            database: updatedDatabase,
+            message: 'Sponsor updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// Delete sponsor from registry
+app.delete('/api/registry/:program/students/:sponsorId', (req, res) => {
+    const program = req.params.program;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_registry[program]) {
+        return res.status(404).json({ success: false, message: `Program ${program} not found in registry` });
+    }
+    
+    const sponsorIndex = findRecordIndex(database.sponsorship_registry[program].students, req.params.sponsorId);
+    
+    if (sponsorIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Sponsor not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.sponsorship_registry[program].students[sponsorIndex])) {
+        return;
+    }
+    
+    const deletedSponsor = database.sponsorship_registry[program].students.splice(sponsorIndex, 1)[0];
+    const sponsorId = deletedSponsor.id;
+    const trashEntry = moveToTrash(database, 'sponsorship', deletedSponsor, { program, deletedBy: getActor(req) });
+    
+    // Compact the display order; the permanent id is unaffected
+    database.sponsorship_registry[program].students.forEach((sponsor, index) => {
+        sponsor.cid = index + 1;
+    });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'sponsorship',
+            entityId: sponsorId,
+            program,
+            operation: 'delete',
+            before: deletedSponsor,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'sponsor_deleted',
+            program: program,
+            sponsorId: sponsorId,
+            database: updatedDatabase,
+            message: `Sponsor deleted successfully`
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            database: updatedDatabase,
+            message: 'Sponsor moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save database' });
+    }
+});
+
+// Get all sponsors (across all programs)
+app.get('/api/registry', (req, res) => {
+    const database = loadDatabase();
+    const arrearsSettings = getArrearsSettings(database);
+    const allSponsors = [];
+    
+    Object.entries(database.sponsorship_registry).forEach(([program, registry]) => {
+        if (registry.students) {
+            registry.students.forEach(sponsor => {
+                const arrears = calculateSponsorshipArrears(database, sponsor, todayISO(), arrearsSettings);
+                allSponsors.push({
+                    ...sponsor,
+                    program: program,
+                    in_arrears: arrears.days_overdue > arrearsSettings.flag_after_days,
+                    arrears_outstanding: arrears.outstanding,
+                    arrears_days_overdue: arrears.days_overdue
+                });
+            });
+        }
+    });
+    
+    res.json({
+        success: true,
+        data: allSponsors,
+        message: 'All sponsors loaded successfully'
+    });
+});
+
+// Manual-link queue: sponsorships whose name matched no student in their program
+app.get('/api/registry-unlinked', (req, res) => {
+    const database = loadDatabase();
+    const queue = Object.entries(database.sponsorship_registry).flatMap(([program, registry]) =>
+        (registry.students || [])
+            .filter(entry => !entry.student_id)
+            .map(entry => ({
+                ...entry,
+                program,
+                candidates: findSponsorshipCandidates(database, program, entry).map(candidate => ({
+                    student_id: candidate.student.id,
+                    full_name: candidate.student.full_name,
+                    program: candidate.program
+                }))
+            })));
+    
+    res.json({
+        success: true,
+        data: queue,
+        message: `${queue.length} sponsorship(s) waiting for a student link`
+    });
+});
+
+// Resolve a queued sponsorship: { student_id } links it to a student of the same program
+app.post('/api/registry/:program/students/:sponsorId/link', (req, res) => {
+    const program = req.params.program;
+    
+    let database = loadDatabase();
+    
+    if (!database.sponsorship_registry[program]) {
+        return res.status(404).json({ success: false, message: `Program ${program} not found in registry` });
+    }
+    
+    const sponsorIndex = findRecordIndex(database.sponsorship_registry[program].students, req.params.sponsorId);
+    
+    if (sponsorIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Sponsor not found' });
+    }
+    
+    const sponsor = database.sponsorship_registry[program].students[sponsorIndex];
+    const student = (database.sponsorship_programs[program]?.students || []).find(s => s.id === req.body.student_id);
+    
+    if (!student) {
+        return res.status(400).json({ success: false, message: `Student "${req.body.student_id}" not found in program ${program}` });
+    }
+    
+    const allocationError = validateAllocation(database, program, { ...sponsor, student_id: student.id, full_name: student.full_name });
+    if (allocationError) {
+        return res.status(400).json({ success: false, message: allocationError });
+    }
+    
+    if (!checkIfMatch(req, res, sponsor)) {
+        return;
+    }
+    
+    const before = cloneRecord(sponsor);
+    sponsor.student_id = student.id;
+    sponsor.full_name = student.full_name;
+    const version = bumpVersion(sponsor);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'sponsorship',
+            entityId: sponsor.id,
+            program,
+            operation: 'update',
+            before,
+            after: sponsor,
+            details: { action: 'student_link' }
+        });
+        broadcast({
+            type: 'sponsor_updated',
+            program: program,
+            sponsorId: sponsor.id,
+            version: version,
+            sponsor: sponsor,
+            database: updatedDatabase,
+            message: `Sponsorship linked to ${student.full_name}`
+        });
+        res.set('ETag', recordEtag(sponsor));
+        res.json({
+            success: true,
+            data: sponsor,
+            message: `Sponsorship linked to ${student.full_name}`
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save sponsorship' });
+    }
+});
+
+// Get sponsor statistics
+app.get('/api/registry-stats', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    const stats = calculateSponsorStatistics(database, scope.date, req.query.currency);
+    
+    res.json({
+        success: true,
+        data: stats,
+        period: periodSummary(scope.period),
+        message: 'Sponsor statistics loaded successfully'
+    });
+});
+
+// ===== DAILY EXPENSES ROUTES =====
+
+// Get all daily expenses
+app.get('/api/expenses', (req, res) => {
+    const database = loadDatabase();
+    res.json({
+        success: true,
+        data: database.daily_expenses || [],
+        message: 'Daily expenses loaded successfully'
+    });
+});
+
+// Approval queue for one approver (?approver=, default the X-User making the request)
+app.get('/api/expenses/approvals', (req, res) => {
+    const database = loadDatabase();
+    const approver = req.query.approver || getActor(req);
+    const queue = buildApprovalQueue(database, approver);
+    
+    res.json({
+        success: true,
+        data: queue,
+        approver,
+        message: `${queue.length} expense(s) waiting for approval by ${approver}`
+    });
+});
+
+// Move an expense through the approval workflow: { status, comment, approver },
+// plus account_id when marking it paid from a cash book account
+app.post('/api/expenses/:expenseId/status', (req, res) => {
+    const { status, comment, approver, account_id } = req.body;
+    
+    let database = loadDatabase();
+    
+    const expense = (database.daily_expenses || []).find(e => e.id === req.params.expenseId);
+    
+    if (!expense) {
+        return res.status(404).json({ success: false, message: 'Expense not found' });
+    }
+    
+    if (!checkIfMatch(req, res, expense)) {
+        return;
+    }
+    
+    const before = cloneRecord(expense);
+    const transitionError = transitionExpense(database, expense, status, { by: getActor(req), comment, approver, accountId: account_id });
+    if (transitionError) {
+        return res.status(transitionError.status).json({ success: false, message: transitionError.message });
+    }
+    const version = bumpVersion(expense);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'expense',
+            entityId: expense.id,
+            program: expense.program,
+            operation: 'status_change',
+            before,
+            after: expense,
+            details: { from: before.status, to: expense.status, comment: comment || null }
+        });
+        broadcast({
+            type: 'expense_updated',
+            expenseId: expense.id,
+            version: version,
+            expense: expense,
+            database: updatedDatabase,
+            message: `Expense ${expense.id} ${expense.status}`
+        });
+        notifyExpenseStatus(expense, getActor(req));
+        res.set('ETag', recordEtag(expense));
+        res.json({
+            success: true,
+            data: expense,
+            message: `Expense ${expense.status}`
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save expense' });
+    }
+});
+
+// Manual-match queue: expenses whose student name matched no student or several
+app.get('/api/expenses/unmatched', (req, res) => {
+    const database = loadDatabase();
+    const queue = (database.daily_expenses || [])
+        .filter(expense => expense.student_match === 'pending')
+        .map(expense => ({
+            ...expense,
+            candidates: findStudentCandidates(database, expense.studentName).candidates.map(candidate => ({
+                student_id: candidate.student.id,
+                full_name: candidate.student.full_name,
+                program: candidate.program
+            }))
+        }));
+    
+    res.json({
+        success: true,
+        data: queue,
+        message: `${queue.length} expense(s) waiting for a student match`
+    });
+});
+
+// Resolve a queued expense: { student_id } links it, { student_id: null } marks it as not spent on a student
+app.post('/api/expenses/:expenseId/match', (req, res) => {
+    let database = loadDatabase();
+    
+    const expenseIndex = findRecordIndex(database.daily_expenses || [], req.params.expenseId);
+    
+    if (expenseIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Expense not found' });
+    }
+    
+    const expense = database.daily_expenses[expenseIndex];
+    const studentId = req.body.student_id || null;
+    const match = studentId ? findStudentById(database, studentId) : null;
+    
+    if (studentId && !match) {
+        return res.status(400).json({ success: false, message: `Student "${studentId}" not found` });
+    }
+    
+    if (!checkIfMatch(req, res, expense)) {
+        return;
+    }
+    
+    const before = cloneRecord(expense);
+    expense.studentId = studentId;
+    expense.program = match ? match.program : null;
+    expense.student_match = match ? 'manual' : 'none';
+    const version = bumpVersion(expense);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'expense',
+            entityId: expense.id,
+            program: expense.program,
+            operation: 'update',
+            before,
+            after: expense,
+            details: { action: 'student_match' }
+        });
+        broadcast({
+            type: 'expense_updated',
+            expenseId: expense.id,
+            version: version,
+            expense: expense,
+            database: updatedDatabase,
+            message: match ? `Expense matched to ${match.student.full_name}` : 'Expense marked as not student-specific'
+        });
+        res.set('ETag', recordEtag(expense));
+        res.json({
+            success: true,
+            data: expense,
+            message: match ? `Expense matched to ${match.student.full_name}` : 'Expense marked as not student-specific'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save expense' });
+    }
+});
+
+// Add new expense
+app.post('/api/expenses', (req, res) => {
+    const expenseData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.daily_expenses) {
+        database.daily_expenses = [];
+    }
+    
+    // Ids are always assigned by the server
+    expenseData.id = nextStableId(database, 'expense');
+    
+    if (expenseData.studentId && !findStudentById(database, expenseData.studentId)) {
+        return res.status(400).json({ success: false, message: `Student "${expenseData.studentId}" not found` });
+    }
+    if (expenseData.account_id && !findAccount(database, expenseData.account_id)) {
+        return res.status(400).json({ success: false, message: `Account "${expenseData.account_id}" not found` });
+    }
+    delete expenseData.student_match;
+    delete expenseData.receipts;
+    linkExpenseToStudent(database, expenseData);
+    
+    // New expenses start as drafts; { status: "submitted" } sends them straight for approval
+    const initialStatus = expenseData.status || 'draft';
+    const { approver, comment } = expenseData;
+    ['status', 'status_history', 'approver', 'reviewed_by', 'comment'].forEach(field => delete expenseData[field]);
+    if (!['draft', 'submitted'].includes(initialStatus)) {
+        return res.status(400).json({ success: false, message: 'New expenses must be draft or submitted' });
+    }
+    
+    // Set default currency if not provided
+    expenseData.currency = String(expenseData.currency || DEFAULT_EXPENSE_CURRENCY).toUpperCase();
+    const currencyError = validateCurrency(database, expenseData.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    recordExpenseTransition(expenseData, 'draft', { by: getActor(req) });
+    if (initialStatus === 'submitted') {
+        const transitionError = transitionExpense(database, expenseData, 'submitted', { by: getActor(req), comment, approver });
+        if (transitionError) {
+            return res.status(transitionError.status).json({ success: false, message: transitionError.message });
+        }
+    }
+    expenseData.version = 1;
+    
+    database.daily_expenses.push(expenseData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'expense', entityId: expenseData.id, operation: 'create', after: expenseData });
+        broadcast({
+            type: 'expense_added',
+            expense: expenseData,
+            database: updatedDatabase,
+            message: 'Expense added successfully'
+        });
+        notifyExpenseStatus(expenseData, getActor(req));
+        res.json({ 
+            success: true, 
+            data: expenseData,
+            message: expenseData.student_match === 'pending' ?
+                `Expense added; "${expenseData.studentName}" needs to be matched to a student` :
+                'Expense added successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save expense' });
+    }
+});
+
+// Update expense
+app.put('/api/expenses/:expenseId', (req, res) => {
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.daily_expenses) {
+        return res.status(404).json({ success: false, message: 'No expenses found' });
+    }
+    
+    const expenseIndex = findRecordIndex(database.daily_expenses, req.params.expenseId);
+    
+    if (expenseIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Expense not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.daily_expenses[expenseIndex])) {
+        return;
+    }
+    
+    if (updates.currency !== undefined) {
+        updates.currency = String(updates.currency).toUpperCase();
+        const currencyError = validateCurrency(database, updates.currency);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+    }
+    
+    if (updates.studentId && !findStudentById(database, updates.studentId)) {
+        return res.status(400).json({ success: false, message: `Student "${updates.studentId}" not found` });
+    }
+    if (updates.account_id && !findAccount(database, updates.account_id)) {
+        return res.status(400).json({ success: false, message: `Account "${updates.account_id}" not found` });
+    }
+    
+    const before = cloneRecord(database.daily_expenses[expenseIndex]);
+    const expenseId = database.daily_expenses[expenseIndex].id;
+    delete updates.version;
+    delete updates.id;
+    delete updates.student_match;
+    delete updates.receipts;
+    ['status', 'status_history', 'approver', 'reviewed_by'].forEach(field => delete updates[field]);
+    const lockedFields = APPROVED_EXPENSE_FIELDS.filter(field => updates[field] !== undefined && String(updates[field]) !== String(before[field]));
+    if (!['draft', 'rejected'].includes(before.status) && lockedFields.length > 0) {
+        return res.status(409).json({
+            success: false,
+            message: `${lockedFields.join(', ')} cannot change on a ${before.status} expense; move it back to draft first`
+        });
+    }
+    const studentChanged = (updates.studentId !== undefined && updates.studentId !== before.studentId) ||
+        (updates.studentName !== undefined && updates.studentName !== before.studentName);
+    Object.assign(database.daily_expenses[expenseIndex], updates);
+    if (studentChanged) {
+        if (updates.studentId) {
+            // Picking a student by hand is a manual match
+            database.daily_expenses[expenseIndex].student_match = 'manual';
+        } else if (updates.studentName !== undefined) {
+            delete database.daily_expenses[expenseIndex].program;
+        }
+        linkExpenseToStudent(database, database.daily_expenses[expenseIndex]);
+    }
+    const version = bumpVersion(database.daily_expenses[expenseIndex]);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'expense',
+            entityId: expenseId,
+            operation: 'update',
+            before,
+            after: database.daily_expenses[expenseIndex]
+        });
+        broadcast({
+            type: 'expense_updated',
+            expenseId: expenseId,
+            version: version,
+            expense: database.daily_expenses[expenseIndex],
+            database: updatedDatabase,
+            message: 'Expense updated successfully'
+        });
+        res.set('ETag', recordEtag(database.daily_expenses[expenseIndex]));
+        res.json({ 
+            success: true, 
+            data: database.daily_expenses[expenseIndex],
+            message: 'Expense updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save expense' });
+    }
+});
+
+// Delete expense
+app.delete('/api/expenses/:expenseId', (req, res) => {
+    
+    let database = loadDatabase();
+    
+    if (!database.daily_expenses) {
+        return res.status(404).json({ success: false, message: 'No expenses found' });
+    }
+    
+    const expenseIndex = findRecordIndex(database.daily_expenses, req.params.expenseId);
+    
+    if (expenseIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Expense not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.daily_expenses[expenseIndex])) {
+        return;
+    }
+    
+    const deletedExpense = database.daily_expenses.splice(expenseIndex, 1)[0];
+    const expenseId = deletedExpense.id;
+    releaseStatementLine(database, deletedExpense);
+    const trashEntry = moveToTrash(database, 'expense', deletedExpense, { deletedBy: getActor(req) });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'expense',
+            entityId: expenseId,
+            operation: 'delete',
+            before: deletedExpense,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'expense_deleted',
+            expenseId: expenseId,
+            database: updatedDatabase,
+            message: 'Expense deleted successfully'
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            message: 'Expense moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to delete expense' });
+    }
+});
+
+// Attach one or more receipts (field "receipts": images or PDFs) to an expense
+app.post('/api/expenses/:expenseId/receipts', acceptReceipts, (req, res) => {
+    const files = req.files || [];
+    
+    let database = loadDatabase();
+    
+    const expense = (database.daily_expenses || []).find(e => e.id === req.params.expenseId);
+    
+    if (!expense) {
+        deleteReceiptFiles(files);
+        return res.status(404).json({ success: false, message: 'Expense not found' });
+    }
+    
+    if (!checkIfMatch(req, res, expense)) {
+        deleteReceiptFiles(files);
+        return;
+    }
+    
+    if (files.length === 0) {
+        return res.status(400).json({ success: false, message: 'No receipt files uploaded' });
+    }
+    
+    const before = cloneRecord(expense);
+    const attached = files.map(file => ({
+        id: nextStableId(database, 'receipt'),
+        filename: file.filename,
+        original_name: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploaded_at: new Date().toISOString(),
+        uploaded_by: getActor(req)
+    }));
+    expense.receipts = [...(expense.receipts || []), ...attached];
+    bumpVersion(expense);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'expense',
+            entityId: expense.id,
+            operation: 'attach_receipt',
+            before,
+            after: expense,
+            details: { receipts: attached.map(r => r.id) }
+        });
+        broadcast({
+            type: 'expense_updated',
+            expenseId: expense.id,
+            version: expense.version,
+            database: updatedDatabase,
+            message: `${attached.length} receipt(s) attached to expense ${expense.id}`
+        });
+        res.set('ETag', recordEtag(expense));
+        res.json({
+            success: true,
+            data: attached,
+            version: expense.version,
+            message: `${attached.length} receipt(s) attached`
+        });
+    } else {
+        deleteReceiptFiles(attached);
+        res.status(500).json({ success: false, message: 'Failed to save receipts' });
+    }
+});
+
+// Receipt file, inline (?download=true to save it under its original name)
+app.get('/api/expenses/:expenseId/receipts/:receiptId', (req, res) => {
+    const { receipt } = findExpenseReceipt(loadDatabase(), req.params.expenseId, req.params.receiptId);
+    
+    if (!receipt || !fs.existsSync(receiptFilePath(receipt))) {
+        return res.status(404).json({ success: false, message: 'Receipt not found' });
+    }
+    
+    if (req.query.download === 'true') {
+        res.download(path.resolve(receiptFilePath(receipt)), receipt.original_name);
+    } else {
+        res.type(receipt.mimetype).sendFile(path.resolve(receiptFilePath(receipt)));
+    }
+});
+
+// JPEG thumbnail, ?size=120|240|480 (default 240); PDFs and undecodable images get a document icon
+app.get('/api/expenses/:expenseId/receipts/:receiptId/thumbnail', async (req, res) => {
+    const { receipt } = findExpenseReceipt(loadDatabase(), req.params.expenseId, req.params.receiptId);
+    const size = req.query.size ? parseInt(req.query.size) : 240;
+    
+    if (!receipt || !fs.existsSync(receiptFilePath(receipt))) {
+        return res.status(404).json({ success: false, message: 'Receipt not found' });
+    }
+    if (!THUMBNAIL_SIZES.includes(size)) {
+        return res.status(400).json({ success: false, message: `Size must be one of: ${THUMBNAIL_SIZES.join(', ')}` });
+    }
+    
+    const thumbnailPath = await receiptThumbnail(receipt, size);
+    if (thumbnailPath) {
+        res.type('image/jpeg').sendFile(path.resolve(thumbnailPath));
+    } else {
+        res.type('image/svg+xml').send(documentThumbnailSvg(receipt));
+    }
+});
+
+// Remove one receipt and its files
+app.delete('/api/expenses/:expenseId/receipts/:receiptId', (req, res) => {
+    let database = loadDatabase();
+    
+    const { expense, receipt } = findExpenseReceipt(database, req.params.expenseId, req.params.receiptId);
+    
+    if (!receipt) {
+        return res.status(404).json({ success: false, message: 'Receipt not found' });
+    }
+    
+    if (!checkIfMatch(req, res, expense)) {
+        return;
+    }
+    
+    const before = cloneRecord(expense);
+    expense.receipts = expense.receipts.filter(r => r.id !== receipt.id);
+    bumpVersion(expense);
+    
+    if (saveDatabase(database)) {
+        deleteReceiptFiles([receipt]);
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'expense',
+            entityId: expense.id,
+            operation: 'remove_receipt',
+            before,
+            after: expense,
+            details: { receipt: receipt.id, original_name: receipt.original_name }
+        });
+        broadcast({
+            type: 'expense_updated',
+            expenseId: expense.id,
+            version: expense.version,
+            database: updatedDatabase,
+            message: `Receipt removed from expense ${expense.id}`
+        });
+        res.set('ETag', recordEtag(expense));
+        res.json({ success: true, version: expense.version, message: 'Receipt removed successfully' });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to remove receipt' });
+    }
+});
+
+// ===== PAYMENT LEDGER ROUTES =====
+
+// List payments: ?sponsorship_id=&student_id=&program=&from=&to= (dates inclusive)
+app.get('/api/payments', (req, res) => {
+    const database = loadDatabase();
+    const { sponsorship_id, student_id, program, from, to } = req.query;
+    const payments = (database.payments || [])
+        .filter(p => (!sponsorship_id || p.sponsorship_id === sponsorship_id) &&
+            (!student_id || p.student_id === student_id) &&
+            (!program || p.program === program) &&
+            (!from || p.date >= from) &&
+            (!to || p.date <= to))
+        .sort((a, b) => b.date.localeCompare(a.date));
+    
+    res.json({
+        success: true,
+        data: payments,
+        message: 'Payments loaded successfully'
+    });
+});
+
+// Record a received payment against a sponsorship
+app.post('/api/payments', (req, res) => {
+    const paymentData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.payments) {
+        database.payments = [];
+    }
+    
+    paymentData.date = paymentData.date || todayISO();
+    paymentData.method = paymentData.method || 'bank_transfer';
+    const paymentError = validatePayment(database, {
+        ...paymentData,
+        currency: paymentData.currency ? String(paymentData.currency).toUpperCase() : DEFAULT_SPONSORSHIP_CURRENCY
+    });
+    if (paymentError) {
+        return res.status(400).json({ success: false, message: paymentError });
+    }
+    
+    linkPaymentToSponsorship(database, paymentData);
+    paymentData.amount = parseFloat(paymentData.amount);
+    paymentData.id = nextStableId(database, 'payment');
+    paymentData.recorded_at = new Date().toISOString();
+    paymentData.version = 1;
+    
+    database.payments.push(paymentData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'payment',
+            entityId: paymentData.id,
+            program: paymentData.program,
+            operation: 'create',
+            after: paymentData
+        });
+        broadcast({
+            type: 'payment_added',
+            payment: paymentData,
+            database: updatedDatabase,
+            message: `Payment from ${paymentData.full_name}'s sponsor recorded`
+        });
+        res.json({ 
+            success: true, 
+            data: paymentData,
+            message: 'Payment recorded successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save payment' });
+    }
+});
+
+// Update payment
+app.put('/api/payments/:paymentId', (req, res) => {
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    const paymentIndex = (database.payments || []).findIndex(p => p.id === req.params.paymentId);
+    
+    if (paymentIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.payments[paymentIndex])) {
+        return;
+    }
+    
+    const before = cloneRecord(database.payments[paymentIndex]);
+    delete updates.version;
+    delete updates.id;
+    const updated = { ...database.payments[paymentIndex], ...updates };
+    if (updates.currency !== undefined) {
+        updated.currency = String(updates.currency).toUpperCase();
+    }
+    
+    const paymentError = validatePayment(database, updated);
+    if (paymentError) {
+        return res.status(400).json({ success: false, message: paymentError });
+    }
+    if (updates.sponsorship_id !== undefined) {
+        linkPaymentToSponsorship(database, updated);
+    }
+    updated.amount = parseFloat(updated.amount);
+    database.payments[paymentIndex] = updated;
+    const version = bumpVersion(updated);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'payment',
+            entityId: updated.id,
+            program: updated.program,
+            operation: 'update',
+            before,
+            after: updated
+        });
+        broadcast({
+            type: 'payment_updated',
+            paymentId: updated.id,
+            version: version,
+            payment: updated,
+            database: updatedDatabase,
+            message: 'Payment updated successfully'
+        });
+        res.set('ETag', recordEtag(updated));
+        res.json({ 
+            success: true, 
+            data: updated,
+            message: 'Payment updated successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to update payment' });
+    }
+});
+
+// Delete payment (moves it to the trash)
+app.delete('/api/payments/:paymentId', (req, res) => {
+    let database = loadDatabase();
+    
+    const paymentIndex = (database.payments || []).findIndex(p => p.id === req.params.paymentId);
+    
+    if (paymentIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.payments[paymentIndex])) {
+        return;
+    }
+    
+    const deletedPayment = database.payments.splice(paymentIndex, 1)[0];
+    releaseStatementLine(database, deletedPayment);
+    const trashEntry = moveToTrash(database, 'payment', deletedPayment, { deletedBy: getActor(req) });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'payment',
+            entityId: deletedPayment.id,
+            program: deletedPayment.program,
+            operation: 'delete',
+            before: deletedPayment,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'payment_deleted',
+            paymentId: deletedPayment.id,
+            database: updatedDatabase,
+            message: 'Payment deleted successfully'
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            message: 'Payment moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to delete payment' });
+    }
+});
+
+// ===== CASH BOOK ROUTES =====
+
+// Accounts with their balance on ?date= (default today) and the total in EUR
+app.get('/api/accounts', (req, res) => {
+    const database = loadDatabase();
+    const date = req.query.date || todayISO();
+    const unconverted = new Set();
+    let totalEur = 0;
+    const accounts = (database.accounts || []).map(account => {
+        const balance = accountBalance(database, account, date);
+        const balanceEur = convertOrNull(database, balance, account.currency, DEFAULT_CURRENCY, date);
+        if (balanceEur === null) {
+            unconverted.add(account.currency);
+        } else {
+            totalEur += balanceEur;
+        }
+        return { ...account, balance, balance_eur: balanceEur === null ? null : roundMoney(balanceEur) };
+    });
+    
+    res.json({
+        success: true,
+        data: accounts,
+        date,
+        total_eur: roundMoney(totalEur),
+        unconverted_currencies: [...unconverted],
+        message: 'Accounts loaded successfully'
+    });
+});
+
+// Open an account: { name, type, currency, account_number, opening_balance, opening_date }
+app.post('/api/accounts', (req, res) => {
+    const accountData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.accounts) {
+        database.accounts = [];
+    }
+    
+    accountData.currency = String(accountData.currency || DEFAULT_CURRENCY).toUpperCase();
+    accountData.opening_balance = accountData.opening_balance === undefined ? 0 : accountData.opening_balance;
+    accountData.opening_date = accountData.opening_date || todayISO();
+    delete accountData.reconciliations;
+    const accountError = validateAccount(database, accountData);
+    if (accountError) {
+        return res.status(400).json({ success: false, message: accountError });
+    }
+    
+    accountData.id = nextStableId(database, 'account');
+    accountData.name = accountData.name.trim();
+    accountData.account_number = accountData.account_number || null;
+    accountData.opening_balance = parseFloat(accountData.opening_balance);
+    accountData.active = accountData.active !== false;
+    accountData.reconciliations = [];
+    accountData.version = 1;
+    
+    database.accounts.push(accountData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'account', entityId: accountData.id, operation: 'create', after: accountData });
+        broadcast({
+            type: 'account_added',
+            account: accountData,
+            database: updatedDatabase,
+            message: `Account ${accountData.name} added`
+        });
+        res.json({ 
+            success: true, 
+            data: accountData,
+            message: 'Account added successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save account' });
+    }
+});
+
+// Update account details; close an account with { active: false }
+app.put('/api/accounts/:accountId', (req, res) => {
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    const account = findAccount(database, req.params.accountId);
+    
+    if (!account) {
+        return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    
+    if (!checkIfMatch(req, res, account)) {
+        return;
+    }
+    
+    delete updates.version;
+    delete updates.id;
+    delete updates.reconciliations;
+    if (updates.currency !== undefined) {
+        updates.currency = String(updates.currency).toUpperCase();
+        if (updates.currency !== account.currency && isAccountInUse(database, account.id)) {
+            return res.status(409).json({ success: false, message: 'The currency of an account with entries cannot change' });
+        }
+    }
+    const updated = { ...account, ...updates };
+    const accountError = validateAccount(database, updated);
+    if (accountError) {
+        return res.status(400).json({ success: false, message: accountError });
+    }
+    
+    const before = cloneRecord(account);
+    Object.assign(account, updates, { opening_balance: parseFloat(updated.opening_balance) });
+    const version = bumpVersion(account);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'account', entityId: account.id, operation: 'update', before, after: account });
+        broadcast({
+            type: 'account_updated',
+            accountId: account.id,
+            version: version,
+            account: account,
+            database: updatedDatabase,
+            message: `Account ${account.name} updated`
+        });
+        res.set('ETag', recordEtag(account));
+        res.json({
+            success: true,
+            data: account,
+            message: 'Account updated successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to update account' });
+    }
+});
+
+// Delete an account nothing has been booked to; accounts with history are closed instead
+app.delete('/api/accounts/:accountId', (req, res) => {
+    let database = loadDatabase();
+    
+    const accountIndex = (database.accounts || []).findIndex(a => a.id === req.params.accountId);
+    
+    if (accountIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.accounts[accountIndex])) {
+        return;
+    }
+    
+    if (isAccountInUse(database, req.params.accountId)) {
+        return res.status(409).json({ success: false, message: 'This account has payments, expenses or transfers; close it with active: false instead' });
+    }
+    
+    const deletedAccount = database.accounts.splice(accountIndex, 1)[0];
+    const trashEntry = moveToTrash(database, 'account', deletedAccount, { deletedBy: getActor(req) });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'account',
+            entityId: deletedAccount.id,
+            operation: 'delete',
+            before: deletedAccount,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'account_deleted',
+            accountId: deletedAccount.id,
+            database: updatedDatabase,
+            message: 'Account deleted successfully'
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            message: 'Account moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to delete account' });
+    }
+});
+
+// Running-balance statement: ?from=&to= (default from the opening date to today)
+app.get('/api/accounts/:accountId/statement', (req, res) => {
+    const database = loadDatabase();
+    const account = findAccount(database, req.params.accountId);
+    
+    if (!account) {
+        return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    
+    const from = req.query.from || account.opening_date;
+    const to = req.query.to || todayISO();
+    if (![from, to].every(isValidISODate) || from > to) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates in YYYY-MM-DD format, from before to' });
+    }
+    
+    res.json({
+        success: true,
+        data: buildAccountStatement(database, account, { from, to }),
+        message: 'Account statement generated successfully'
+    });
+});
+
+// Compare the real balance on a date with the books: { date, balance, notes }
+app.post('/api/accounts/:accountId/reconciliations', (req, res) => {
+    const { date = todayISO(), balance, notes } = req.body;
+    
+    let database = loadDatabase();
+    
+    const account = findAccount(database, req.params.accountId);
+    
+    if (!account) {
+        return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    if (!isValidISODate(date) || date < account.opening_date) {
+        return res.status(400).json({ success: false, message: `Reconciliation date must be a YYYY-MM-DD date on or after ${account.opening_date}` });
+    }
+    if (!Number.isFinite(parseFloat(balance))) {
+        return res.status(400).json({ success: false, message: 'balance must be a number' });
+    }
+    
+    const reconciliation = reconcileAccount(database, account, { date, balance, by: getActor(req), notes: notes || null });
+    const version = bumpVersion(account);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'account',
+            entityId: account.id,
+            operation: 'reconcile',
+            details: reconciliation
+        });
+        broadcast({
+            type: 'account_updated',
+            accountId: account.id,
+            version: version,
+            account: account,
+            database: updatedDatabase,
+            message: reconciliation.difference === 0 ?
+                `${account.name} reconciled on ${date}` :
+                `${account.name} is off by ${reconciliation.difference} ${account.currency} on ${date}`
+        });
+        res.json({
+            success: true,
+            data: reconciliation,
+            message: reconciliation.difference === 0 ?
+                'Account balance agrees with the books' :
+                `Account balance differs from the books by ${reconciliation.difference} ${account.currency}`
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save reconciliation' });
+    }
+});
+
+// List transfers: ?account=&from=&to= (dates inclusive)
+app.get('/api/transfers', (req, res) => {
+    const database = loadDatabase();
+    const { account, from, to } = req.query;
+    const transfers = (database.transfers || [])
+        .filter(t => (!account || t.from_account === account || t.to_account === account) &&
+            (!from || t.date >= from) &&
+            (!to || t.date <= to))
+        .sort((a, b) => b.date.localeCompare(a.date));
+    
+    res.json({
+        success: true,
+        data: transfers,
+        message: 'Transfers loaded successfully'
+    });
+});
+
+// Move money between accounts: { from_account, to_account, date, amount, to_amount, reference }.
+// Without to_amount, cross-currency transfers are converted at the stored rate for the date.
+app.post('/api/transfers', (req, res) => {
+    const transferData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.transfers) {
+        database.transfers = [];
+    }
+    
+    transferData.date = transferData.date || todayISO();
+    const fromAccount = findAccount(database, transferData.from_account);
+    const toAccount = findAccount(database, transferData.to_account);
+    if (fromAccount && toAccount && !hasToAmount(transferData) && fromAccount.currency !== toAccount.currency &&
+        convertOrNull(database, 1, fromAccount.currency, toAccount.currency, transferData.date) === null) {
+        return res.status(400).json({ success: false, message: `No ${fromAccount.currency}/${toAccount.currency} rate for ${transferData.date}; give to_amount` });
+    }
+    if (fromAccount && toAccount && parseFloat(transferData.amount) > 0) {
+        completeTransfer(database, transferData);
+    }
+    const transferError = validateTransfer(database, transferData);
+    if (transferError) {
+        return res.status(400).json({ success: false, message: transferError });
+    }
+    
+    transferData.id = nextStableId(database, 'transfer');
+    transferData.recorded_by = getActor(req);
+    transferData.recorded_at = new Date().toISOString();
+    transferData.version = 1;
+    
+    database.transfers.push(transferData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'transfer', entityId: transferData.id, operation: 'create', after: transferData });
+        broadcast({
+            type: 'transfer_added',
+            transfer: transferData,
+            database: updatedDatabase,
+            message: `Transfer of ${transferData.amount} ${transferData.from_currency} from ${fromAccount.name} to ${toAccount.name} recorded`
+        });
+        res.json({ 
+            success: true, 
+            data: transferData,
+            message: 'Transfer recorded successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save transfer' });
+    }
+});
+
+app.delete('/api/transfers/:transferId', (req, res) => {
+    let database = loadDatabase();
+    
+    const transferIndex = (database.transfers || []).findIndex(t => t.id === req.params.transferId);
+    
+    if (transferIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.transfers[transferIndex])) {
+        return;
+    }
+    
+    const deletedTransfer = database.transfers.splice(transferIndex, 1)[0];
+    const trashEntry = moveToTrash(database, 'transfer', deletedTransfer, { deletedBy: getActor(req) });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'transfer',
+            entityId: deletedTransfer.id,
+            operation: 'delete',
+            before: deletedTransfer,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'transfer_deleted',
+            transferId: deletedTransfer.id,
+            database: updatedDatabase,
+            message: 'Transfer deleted successfully'
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            message: 'Transfer moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to delete transfer' });
+    }
+});
+
+// ===== LEDGER ROUTES =====
+
+function ledgerDateRange(req) {
+    const from = req.query.from || null;
+    const to = req.query.to || todayISO();
+    if (![from, to].every(date => date === null || isValidISODate(date)) || (from && from > to)) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format, from before to' };
+    }
+    return { from, to };
+}
+
+// Journal entries: ?from=&to=&format=json|csv|xero|quickbooks (csv is the general ledger,
+// xero and quickbooks the manual journal import files of those packages)
+app.get('/api/ledger/journals', (req, res) => {
+    const database = loadDatabase();
+    const range = ledgerDateRange(req);
+    const format = req.query.format || 'json';
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+    if (format !== 'json' && !LEDGER_EXPORT_HEADERS[format]) {
+        return res.status(400).json({ success: false, message: `Format must be one of: json, ${Object.keys(LEDGER_EXPORT_HEADERS).join(', ')}` });
+    }
+    
+    const ledger = buildJournals(database, range);
+    
+    if (format !== 'json') {
+        const name = format === 'csv' ? 'general_ledger' : `journal_import_${format}`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=${name}_${range.from || 'start'}_${range.to}.csv`);
+        return res.send(ledgerCsv(database, ledger, format));
+    }
+    
+    res.json({
+        success: true,
+        data: ledger,
+        message: `${ledger.journals.length} journal(s) generated` +
+            (ledger.skipped.length > 0 ? `; ${ledger.skipped.length} record(s) skipped for missing exchange rates` : '')
+    });
+});
+
+// Trial balance on ?to= (default today); ?from= closes earlier income and expense
+// into the accumulated surplus. ?format=csv downloads it.
+app.get('/api/ledger/trial-balance', (req, res) => {
+    const database = loadDatabase();
+    const range = ledgerDateRange(req);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+    
+    const trialBalance = buildTrialBalance(database, range);
+    
+    if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=trial_balance_${range.to}.csv`);
+        return res.send(trialBalanceCsv(trialBalance));
+    }
+    
+    res.json({
+        success: true,
+        data: trialBalance,
+        message: trialBalance.balanced ? 'Trial balance generated successfully' : 'Trial balance does not balance'
+    });
+});
+
+// ===== PERIOD ROUTES =====
+
+// List periods, newest first
+app.get('/api/periods', (req, res) => {
+    const database = loadDatabase();
+    
+    res.json({
+        success: true,
+        data: (database.periods || []).map(periodSummary).sort((a, b) => b.start_date.localeCompare(a.start_date)),
+        current_period: database.current_period || null,
+        message: 'Periods loaded successfully'
+    });
+});
+
+// Period details, including the figures frozen when it was closed
+app.get('/api/periods/:periodId', (req, res) => {
+    const database = loadDatabase();
+    const period = findPeriod(database, req.params.periodId);
+    
+    if (!period) {
+        return res.status(404).json({ success: false, message: 'Period not found' });
+    }
+    
+    res.json({
+        success: true,
+        data: period,
+        message: 'Period loaded successfully'
+    });
+});
+
+// Plan a future period; standard "YYYY-Tn" ids fill in their own name and dates
+app.post('/api/periods', (req, res) => {
+    let database = loadDatabase();
+    
+    if (!database.periods) {
+        database.periods = [];
+    }
+    
+    if (findPeriod(database, req.body.id)) {
+        return res.status(400).json({ success: false, message: `Period ${req.body.id} already exists` });
+    }
+    
+    const period = createPeriod(database, { ...req.body, status: 'planned' });
+    const periodError = validatePeriod(database, period);
+    if (periodError) {
+        return res.status(400).json({ success: false, message: periodError });
+    }
+    
+    database.periods.push(period);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'period', entityId: period.id, operation: 'create', after: period });
+        broadcast({
+            type: 'period_added',
+            period: period,
+            database: updatedDatabase,
+            message: `Period ${period.name} planned`
+        });
+        res.json({ success: true, data: period, message: 'Period created successfully' });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save period' });
+    }
+});
+
+// Rename or re-date a period that is not closed yet; fee_increases only while planned
+app.put('/api/periods/:periodId', (req, res) => {
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    const period = findPeriod(database, req.params.periodId);
+    
+    if (!period) {
+        return res.status(404).json({ success: false, message: 'Period not found' });
+    }
+    
+    if (period.status === 'closed') {
+        return res.status(409).json({ success: false, message: `Period ${period.id} is closed and can no longer be changed` });
+    }
+    
+    if (!checkIfMatch(req, res, period)) {
+        return;
+    }
+    
+    if (updates.fee_increases !== undefined && period.status !== 'planned') {
+        return res.status(409).json({ success: false, message: `Fee increases for ${period.id} were applied when it opened and can no longer be changed` });
+    }
+    
+    const before = cloneRecord(period);
+    ['name', 'start_date', 'end_date', 'months', 'fee_increases'].forEach(field => {
+        if (updates[field] !== undefined) {
+            period[field] = field === 'months' ? (updates[field] ? Number(updates[field]) : null) : updates[field];
+        }
+    });
+    
+    const periodError = validatePeriod(database, period);
+    if (periodError) {
+        return res.status(400).json({ success: false, message: periodError });
+    }
+    const version = bumpVersion(period);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'period', entityId: period.id, operation: 'update', before, after: period });
+        broadcast({
+            type: 'period_updated',
+            periodId: period.id,
+            version: version,
+            period: period,
+            database: updatedDatabase,
+            message: 'Period updated successfully'
+        });
+        res.set('ETag', recordEtag(period));
+        res.json({ success: true, data: period, message: 'Period updated successfully' });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to update period' });
+    }
+});
+
+// Close the open period and open the next one: { next: { id, name, start_date, end_date } }.
+// Standard terms default to the following term.
+app.post('/api/periods/:periodId/close', (req, res) => {
+    let database = loadDatabase();
+    
+    const period = findPeriod(database, req.params.periodId);
+    
+    if (!period) {
+        return res.status(404).json({ success: false, message: 'Period not found' });
+    }
+    
+    if (period.id !== database.current_period || period.status !== 'open') {
+        return res.status(409).json({ success: false, message: `Only the open period (${database.current_period}) can be closed` });
+    }
+    
+    if (!checkIfMatch(req, res, period)) {
+        return;
+    }
+    
+    const nextFields = { ...req.body.next };
+    nextFields.id = nextFields.id || nextStandardTermKey(period.id);
+    if (!nextFields.id) {
+        return res.status(400).json({ success: false, message: 'next.id is required for periods that are not standard terms' });
+    }
+    
+    const existingNext = findPeriod(database, nextFields.id);
+    if (existingNext && existingNext.status !== 'planned') {
+        return res.status(400).json({ success: false, message: `Period ${nextFields.id} is already ${existingNext.status}` });
+    }
+    if (!existingNext) {
+        const periodError = validatePeriod(database, createPeriod(database, nextFields));
+        if (periodError) {
+            return res.status(400).json({ success: false, message: periodError });
+        }
+    }
+    
+    createSnapshot(`pre-close-${period.id}`, database);
+    const { closed, opened } = closePeriod(database, period, nextFields, getActor(req));
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'period',
+            entityId: closed.id,
+            operation: 'close',
+            details: { opened: opened.id }
+        });
+        broadcast({
+            type: 'period_closed',
+            closed: periodSummary(closed),
+            opened: periodSummary(opened),
+            database: updatedDatabase,
+            message: `${closed.name} closed, ${opened.name} is now open`
+        });
+        res.json({
+            success: true,
+            data: { closed: periodSummary(closed), opened: periodSummary(opened) },
+            message: `${closed.name} closed, ${opened.name} is now open`
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to close period' });
+    }
+});
+
+// ===== BUDGET ROUTES =====
+
+// List budgets: ?program=&term=
+app.get('/api/budgets', (req, res) => {
+    const database = loadDatabase();
+    const budgets = (database.budgets || []).filter(budget =>
+        (!req.query.program || budget.program === req.query.program) &&
+        (!req.query.term || budget.term === req.query.term)
+    );
+    
+    res.json({
+        success: true,
+        data: budgets,
+        categories: BUDGET_CATEGORIES,
+        message: 'Budgets loaded successfully'
+    });
+});
+
+// Create a budget for one program, term and category
+app.post('/api/budgets', (req, res) => {
+    const budgetData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.budgets) {
+        database.budgets = [];
+    }
+    
+    Object.assign(budgetData, { ...periodDates(database, budgetData.term), ...budgetData });
+    budgetData.currency = String(budgetData.currency || DEFAULT_EXPENSE_CURRENCY).toUpperCase();
+    
+    const budgetError = validateBudget(database, budgetData);
+    if (budgetError) {
+        return res.status(400).json({ success: false, message: budgetError });
+    }
+    
+    budgetData.amount = parseFloat(budgetData.amount);
+    budgetData.id = nextStableId(database, 'budget');
+    budgetData.version = 1;
+    
+    database.budgets.push(budgetData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'budget',
+            entityId: budgetData.id,
+            program: budgetData.program,
+            operation: 'create',
+            after: budgetData
+        });
+        broadcast({
+            type: 'budget_added',
+            budget: budgetData,
+            database: updatedDatabase,
+            message: `${BUDGET_CATEGORIES[budgetData.category]} budget for ${budgetData.program} ${budgetData.term} added`
+        });
+        res.json({ 
+            success: true, 
+            data: budgetData,
+            message: 'Budget added successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save budget' });
+    }
+});
+
+// Update budget
+app.put('/api/budgets/:budgetId', (req, res) => {
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    const budgetIndex = (database.budgets || []).findIndex(b => b.id === req.params.budgetId);
+    
+    if (budgetIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.budgets[budgetIndex])) {
+        return;
+    }
+    
+    const before = cloneRecord(database.budgets[budgetIndex]);
+    delete updates.version;
+    delete updates.id;
+    const updated = { ...database.budgets[budgetIndex], ...updates };
+    if (updates.term !== undefined && updates.start_date === undefined && updates.end_date === undefined) {
+        Object.assign(updated, periodDates(database, updates.term));
+    }
+    updated.currency = String(updated.currency).toUpperCase();
+    
+    const budgetError = validateBudget(database, updated);
+    if (budgetError) {
+        return res.status(400).json({ success: false, message: budgetError });
+    }
+    updated.amount = parseFloat(updated.amount);
+    database.budgets[budgetIndex] = updated;
+    const version = bumpVersion(updated);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'budget',
+            entityId: updated.id,
+            program: updated.program,
+            operation: 'update',
+            before,
+            after: updated
+        });
+        broadcast({
+            type: 'budget_updated',
+            budgetId: updated.id,
+            version: version,
+            budget: updated,
+            database: updatedDatabase,
+            message: 'Budget updated successfully'
+        });
+        res.set('ETag', recordEtag(updated));
+        res.json({ 
+            success: true, 
+            data: updated,
+            message: 'Budget updated successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to update budget' });
+    }
+});
+
+// Delete budget (moves it to the trash)
+app.delete('/api/budgets/:budgetId', (req, res) => {
+    let database = loadDatabase();
+    
+    const budgetIndex = (database.budgets || []).findIndex(b => b.id === req.params.budgetId);
+    
+    if (budgetIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.budgets[budgetIndex])) {
+        return;
+    }
+    
+    const deletedBudget = database.budgets.splice(budgetIndex, 1)[0];
+    const trashEntry = moveToTrash(database, 'budget', deletedBudget, { deletedBy: getActor(req) });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'budget',
+            entityId: deletedBudget.id,
+            program: deletedBudget.program,
+            operation: 'delete',
+            before: deletedBudget,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'budget_deleted',
+            budgetId: deletedBudget.id,
+            database: updatedDatabase,
+            message: 'Budget deleted successfully'
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            message: 'Budget moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to delete budget' });
+    }
+});
+
+// ===== EVENTS MANAGEMENT ROUTES =====
+
+// Get all events
+app.get('/api/events', (req, res) => {
+    const database = loadDatabase();
+    res.json({
+        success: true,
+        data: database.events || [],
+        message: 'Events loaded successfully'
+    });
+});
+
+// Add new event
+app.post('/api/events', (req, res) => {
+    const eventData = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.events) {
+        database.events = [];
+    }
+    
+    // Generate ID if not provided
+    if (!eventData.id) {
+        eventData.id = database.events.length > 0 ? 
+            Math.max(...database.events.map(e => e.id)) + 1 : 1;
+    }
+    eventData.version = 1;
+    
+    database.events.push(eventData);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'event', entityId: eventData.id, operation: 'create', after: eventData });
+        broadcast({
+            type: 'event_added',
+            event: eventData,
+            database: updatedDatabase,
+            message: 'Event added successfully'
+        });
+        res.json({ 
+            success: true, 
+            data: eventData,
+            message: 'Event added successfully'
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save event' });
+    }
+});
+
+// Update event
+app.put('/api/events/:eventId', (req, res) => {
+    const eventId = parseInt(req.params.eventId);
+    const updates = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.events) {
+        return res.status(404).json({ success: false, message: 'No events found' });
+    }
+    
+    const eventIndex = database.events.findIndex(e => e.id === eventId);
+    
+    if (eventIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.events[eventIndex])) {
+        return;
+    }
+    
+    const before = cloneRecord(database.events[eventIndex]);
+    delete updates.version;
+    Object.assign(database.events[eventIndex], updates);
+    const version = bumpVersion(database.events[eventIndex]);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'event',
+            entityId: eventId,
+            operation: 'update',
+            before,
+            after: database.events[eventIndex]
+        });
+        broadcast({
+            type: 'event_updated',
+            eventId: eventId,
+            version: version,
+            event: database.events[eventIndex],
+            database: updatedDatabase,
+            message: 'Event updated successfully'
+        });
+        res.set('ETag', recordEtag(database.events[eventIndex]));
+        res.json({ 
+            success: true, 
+            data: database.events[eventIndex],
+            message: 'Event updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save event' });
+    }
+});
+
+// Delete event
+app.delete('/api/events/:eventId', (req, res) => {
+    const eventId = parseInt(req.params.eventId);
+    
+    let database = loadDatabase();
+    
+    if (!database.events) {
+        return res.status(404).json({ success: false, message: 'No events found' });
+    }
+    
+    const eventIndex = database.events.findIndex(e => e.id === eventId);
+    
+    if (eventIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    
+    if (!checkIfMatch(req, res, database.events[eventIndex])) {
+        return;
+    }
+    
+    const deletedEvent = database.events.splice(eventIndex, 1)[0];
+    const trashEntry = moveToTrash(database, 'event', deletedEvent, { deletedBy: getActor(req) });
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'event',
+            entityId: eventId,
+            operation: 'delete',
+            before: deletedEvent,
+            details: { trash_id: trashEntry.trash_id }
+        });
+        broadcast({
+            type: 'event_deleted',
+            eventId: eventId,
+            database: updatedDatabase,
+            message: 'Event deleted successfully'
+        });
+        res.json({ 
+            success: true, 
+            trash_id: trashEntry.trash_id,
+            message: 'Event moved to trash' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to delete event' });
+    }
+});
+
+// ===== SETTINGS MANAGEMENT ROUTES =====
+
+// Get system settings
+app.get('/api/settings', (req, res) => {
+    const database = loadDatabase();
+    res.set('ETag', recordEtag(database.system_settings));
+    res.json({
+        success: true,
+        data: database.system_settings || {},
+        message: 'Settings loaded successfully'
+    });
+});
+
+// Update system settings
+app.put('/api/settings', (req, res) => {
+    const settings = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.system_settings) {
+        database.system_settings = {};
+    }
+    
+    if (!checkIfMatch(req, res, database.system_settings)) {
+        return;
+    }
+    
+    if (settings.trash !== undefined) {
+        return res.status(400).json({ success: false, message: 'Trash settings are changed through /api/settings/trash' });
+    }
+    
+    if (settings.organization && settings.organization.currency !== undefined) {
+        settings.organization.currency = String(settings.organization.currency).toUpperCase();
+        const currencyError = validateCurrency(database, settings.organization.currency);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+    }
+    
+    const before = cloneRecord(database.system_settings);
+    delete settings.version;
+    Object.assign(database.system_settings, settings);
+    const version = bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'system_settings',
+            operation: 'update',
+            before,
+            after: database.system_settings
+        });
         broadcast({
-            type: 'program_updated',
-            program: program,
-            data: updatedDatabase.sponsorship_programs[program],
+            type: 'settings_updated',
+            version: version,
+            settings: database.system_settings,
             database: updatedDatabase,
-            message: `Program ${program} updated successfully`
+            message: 'Settings updated successfully'
         });
+        res.set('ETag', recordEtag(database.system_settings));
         res.json({ 
             success: true, 
-            data: updatedDatabase.sponsorship_programs[program],
-            message: `Program ${program} updated successfully` 
+            data: database.system_settings,
+            message: 'Settings updated successfully' 
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to save settings' });
     }
 });
 
-// ===== STUDENT MANAGEMENT ROUTES =====
+// Update organization settings
+app.put('/api/settings/organization', (req, res) => {
+    const orgSettings = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.system_settings) {
+        database.system_settings = {};
+    }
+    
+    if (!database.system_settings.organization) {
+        database.system_settings.organization = {};
+    }
+    
+    if (!checkIfMatch(req, res, database.system_settings.organization)) {
+        return;
+    }
+    
+    if (orgSettings.currency !== undefined) {
+        orgSettings.currency = String(orgSettings.currency).toUpperCase();
+        const currencyError = validateCurrency(database, orgSettings.currency);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+    }
+    
+    const before = cloneRecord(database.system_settings.organization);
+    delete orgSettings.version;
+    Object.assign(database.system_settings.organization, orgSettings);
+    const version = bumpVersion(database.system_settings.organization);
+    bumpVersion(database.system_settings);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'organization',
+            operation: 'update',
+            before,
+            after: database.system_settings.organization
+        });
+        broadcast({
+            type: 'organization_settings_updated',
+            version: version,
+            settings: database.system_settings.organization,
+            database: updatedDatabase,
+            message: 'Organization settings updated successfully'
+        });
+        res.set('ETag', recordEtag(database.system_settings.organization));
+        res.json({ 
+            success: true, 
+            data: database.system_settings.organization,
+            message: 'Organization settings updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save organization settings' });
+    }
+});
 
-// Add student to program
-app.post('/api/programs/:program/students', (req, res) => {
-    const program = req.params.program;
-    const studentData = req.body;
+// Update forex settings
+app.put('/api/settings/forex', (req, res) => {
+    const forexSettings = req.body;
     
     let database = loadDatabase();
     
-    if (!database.sponsorship_programs[program]) {
-        return res.status(404).json({ success: false, message: `Program ${program} not found` });
+    if (!database.system_settings) {
+        database.system_settings = {};
     }
     
-    // Generate serial number if not provided
-    if (!studentData.serial_number) {
-        studentData.serial_number = database.sponsorship_programs[program].students.length + 1;
+    if (!database.system_settings.forex) {
+        database.system_settings.forex = {};
     }
     
-    // Calculate financial data
-    const calculatedFinancials = calculateStudentFinancials(studentData.financial_data || {});
-    studentData.financial_data = calculatedFinancials;
+    if (!checkIfMatch(req, res, database.system_settings.forex)) {
+        return;
+    }
     
-    database.sponsorship_programs[program].students.push(studentData);
+    const before = cloneRecord(database.system_settings.forex);
+    delete forexSettings.version;
+    
+    // A new manual rate becomes an entry in the rate table, effective today unless dated
+    if (forexSettings.manual_rate !== undefined && parseFloat(forexSettings.manual_rate) !== parseFloat(before.manual_rate)) {
+        try {
+            upsertExchangeRate(database, {
+                base: 'EUR',
+                quote: 'UGX',
+                rate: forexSettings.manual_rate,
+                effective_date: forexSettings.effective_date || todayISO(),
+                source: 'manual'
+            });
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+    }
+    delete forexSettings.effective_date;
+    Object.assign(database.system_settings.forex, forexSettings);
+    const version = bumpVersion(database.system_settings.forex);
+    bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'forex',
+            operation: 'update',
+            before,
+            after: database.system_settings.forex
+        });
         broadcast({
-            type: 'student_added',
-            program: program,
-            student: studentData,
+            type: 'forex_settings_updated',
+            version: version,
+            settings: database.system_settings.forex,
             database: updatedDatabase,
-            message: `Student added to ${program} successfully`
+            message: 'Forex settings updated successfully'
         });
+        res.set('ETag', recordEtag(database.system_settings.forex));
         res.json({ 
             success: true, 
-            data: studentData,
+            data: database.system_settings.forex,
+            message: 'Forex settings updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save forex settings' });
+    }
+});
+
+// Update notification settings
+app.put('/api/settings/notifications', (req, res) => {
+    const notificationSettings = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.system_settings) {
+        database.system_settings = {};
+    }
+    
+    if (!database.system_settings.notifications) {
+        database.system_settings.notifications = {};
+    }
+    
+    if (!checkIfMatch(req, res, database.system_settings.notifications)) {
+        return;
+    }
+    
+    const before = cloneRecord(database.system_settings.notifications);
+    delete notificationSettings.version;
+    Object.assign(database.system_settings.notifications, notificationSettings);
+    const version = bumpVersion(database.system_settings.notifications);
+    bumpVersion(database.system_settings);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'notifications',
+            operation: 'update',
+            before,
+            after: database.system_settings.notifications
+        });
+        broadcast({
+            type: 'notification_settings_updated',
+            version: version,
+            settings: database.system_settings.notifications,
             database: updatedDatabase,
-            message: 'Student added successfully'
+            message: 'Notification settings updated successfully'
+        });
+        res.set('ETag', recordEtag(database.system_settings.notifications));
+        res.json({ 
+            success: true, 
+            data: database.system_settings.notifications,
+            message: 'Notification settings updated successfully' 
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to save notification settings' });
     }
 });
 
-// Update student
-app.put('/api/programs/:program/students/:studentId', (req, res) => {
-    const program = req.params.program;
-    const studentId = parseInt(req.params.studentId);
-    const updates = req.body;
+// Update backup schedule and retention settings
+app.put('/api/settings/backups', (req, res) => {
+    const backupSettings = req.body;
     
     let database = loadDatabase();
     
-    if (!database.sponsorship_programs[program]) {
-        return res.status(404).json({ success: false, message: `Program ${program} not found` });
+    if (!database.system_settings) {
+        database.system_settings = {};
     }
     
-    const studentIndex = database.sponsorship_programs[program].students.findIndex(
-        s => s.serial_number === studentId
-    );
+    if (!database.system_settings.backups) {
+        database.system_settings.backups = { ...DEFAULT_BACKUP_SETTINGS };
+    }
+    
+    if (!checkIfMatch(req, res, database.system_settings.backups)) {
+        return;
+    }
+    
+    delete backupSettings.version;
+    const validationError = validateBackupSettings({ ...database.system_settings.backups, ...backupSettings });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+    
+    const before = cloneRecord(database.system_settings.backups);
+    Object.assign(database.system_settings.backups, backupSettings);
+    const version = bumpVersion(database.system_settings.backups);
+    bumpVersion(database.system_settings);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'backups',
+            operation: 'update',
+            before,
+            after: database.system_settings.backups
+        });
+        broadcast({
+            type: 'backup_settings_updated',
+            version: version,
+            settings: database.system_settings.backups,
+            database: updatedDatabase,
+            message: 'Backup settings updated successfully'
+        });
+        res.set('ETag', recordEtag(database.system_settings.backups));
+        res.json({ 
+            success: true, 
+            data: database.system_settings.backups,
+            message: 'Backup settings updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save backup settings' });
+    }
+});
+
+// Replace the chart of accounts and/or its mappings; both are checked together
+app.put('/api/settings/chart-of-accounts', (req, res) => {
+    const chartSettings = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.system_settings) {
+        database.system_settings = {};
+    }
+    
+    if (!database.system_settings.chart_of_accounts) {
+        database.system_settings.chart_of_accounts = cloneRecord(DEFAULT_CHART_OF_ACCOUNTS);
+    }
+    
+    if (!checkIfMatch(req, res, database.system_settings.chart_of_accounts)) {
+        return;
+    }
+    
+    delete chartSettings.version;
+    const validationError = validateChartOfAccounts(database, { ...database.system_settings.chart_of_accounts, ...chartSettings });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+    
+    const before = cloneRecord(database.system_settings.chart_of_accounts);
+    Object.assign(database.system_settings.chart_of_accounts, chartSettings);
+    const version = bumpVersion(database.system_settings.chart_of_accounts);
+    bumpVersion(database.system_settings);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'chart_of_accounts',
+            operation: 'update',
+            before,
+            after: database.system_settings.chart_of_accounts
+        });
+        broadcast({
+            type: 'chart_of_accounts_updated',
+            version: version,
+            settings: database.system_settings.chart_of_accounts,
+            database: updatedDatabase,
+            message: 'Chart of accounts updated successfully'
+        });
+        res.set('ETag', recordEtag(database.system_settings.chart_of_accounts));
+        res.json({ 
+            success: true, 
+            data: database.system_settings.chart_of_accounts,
+            message: 'Chart of accounts updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save chart of accounts' });
+    }
+});
+
+// Update the expense approvers
+app.put('/api/settings/expense-approval', (req, res) => {
+    const approvalSettings = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.system_settings) {
+        database.system_settings = {};
+    }
+    
+    if (!database.system_settings.expense_approval) {
+        database.system_settings.expense_approval = cloneRecord(DEFAULT_EXPENSE_APPROVAL_SETTINGS);
+    }
+    
+    if (!checkIfMatch(req, res, database.system_settings.expense_approval)) {
+        return;
+    }
+    
+    delete approvalSettings.version;
+    const validationError = validateExpenseApprovalSettings({ ...database.system_settings.expense_approval, ...approvalSettings });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+    
+    const before = cloneRecord(database.system_settings.expense_approval);
+    Object.assign(database.system_settings.expense_approval, approvalSettings);
+    const version = bumpVersion(database.system_settings.expense_approval);
+    bumpVersion(database.system_settings);
+    
+    if (saveDatabase(database)) {
+        const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'expense_approval',
+            operation: 'update',
+            before,
+            after: database.system_settings.expense_approval
+        });
+        broadcast({
+            type: 'expense_approval_settings_updated',
+            version: version,
+            settings: database.system_settings.expense_approval,
+            database: updatedDatabase,
+            message: 'Expense approval settings updated successfully'
+        });
+        res.set('ETag', recordEtag(database.system_settings.expense_approval));
+        res.json({ 
+            success: true, 
+            data: database.system_settings.expense_approval,
+            message: 'Expense approval settings updated successfully' 
+        });
+    } else {
+        res.status(500).json({ success: false, message: 'Failed to save expense approval settings' });
+    }
+});
+
+// Update arrears settings
+app.put('/api/settings/arrears', (req, res) => {
+    const arrearsSettings = req.body;
+    
+    let database = loadDatabase();
+    
+    if (!database.system_settings) {
+        database.system_settings = {};
+    }
+    
+    if (!database.system_settings.arrears) {
+        database.system_settings.arrears = { ...DEFAULT_ARREARS_SETTINGS };
+    }
     
-    if (studentIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Student not found' });
+    if (!checkIfMatch(req, res, database.system_settings.arrears)) {
+        return;
     }
     
-    // Update student data and recalculate financials
-    if (updates.financial_data) {
-        updates.financial_data = calculateStudentFinancials(updates.financial_data);
+    delete arrearsSettings.version;
+    const validationError = validateArrearsSettings({ ...getArrearsSettings(database), ...arrearsSettings });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
     }
     
-    Object.assign(database.sponsorship_programs[program].students[studentIndex], updates);
+    const before = cloneRecord(database.system_settings.arrears);
+    Object.assign(database.system_settings.arrears, arrearsSettings);
+    const version = bumpVersion(database.system_settings.arrears);
+    bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'arrears',
+            operation: 'update',
+            before,
+            after: database.system_settings.arrears
+        });
         broadcast({
-            type: 'student_updated',
-            program: program,
-            studentId: studentId,
-            student: database.sponsorship_programs[program].students[studentIndex],
+            type: 'arrears_settings_updated',
+            version: version,
+            settings: database.system_settings.arrears,
             database: updatedDatabase,
-            message: `Student updated successfully`
+            message: 'Arrears settings updated successfully'
         });
+        res.set('ETag', recordEtag(database.system_settings.arrears));
         res.json({ 
             success: true, 
-            data: database.sponsorship_programs[program].students[studentIndex],
-            message: 'Student updated successfully' 
+            data: database.system_settings.arrears,
+            message: 'Arrears settings updated successfully' 
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to save arrears settings' });
     }
 });
 
-// Delete student
-app.delete('/api/programs/:program/students/:studentId', (req, res) => {
-    const program = req.params.program;
-    const studentId = parseInt(req.params.studentId);
+// Trash retention. Shortening it purges records sooner, so it needs ALLOW_TRASH_PURGE like emptying the trash.
+app.put('/api/settings/trash', (req, res) => {
+    const trashSettings = req.body;
     
     let database = loadDatabase();
     
-    if (!database.sponsorship_programs[program]) {
-        return res.status(404).json({ success: false, message: `Program ${program} not found` });
+    if (!database.system_settings) {
+        database.system_settings = {};
     }
     
-    const studentIndex = database.sponsorship_programs[program].students.findIndex(
-        s => s.serial_number === studentId
-    );
+    if (!database.system_settings.trash) {
+        database.system_settings.trash = cloneRecord(DEFAULT_TRASH_SETTINGS);
+    }
     
-    if (studentIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Student not found' });
+    if (!checkIfMatch(req, res, database.system_settings.trash)) {
+        return;
     }
     
-    const deletedStudent = database.sponsorship_programs[program].students.splice(studentIndex, 1)[0];
+    delete trashSettings.version;
+    const validationError = validateTrashSettings({ ...getTrashSettings(database), ...trashSettings });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+    if (!isTrashPurgeAllowed() && trashSettings.retention_days < getTrashSettings(database).retention_days) {
+        return res.status(403).json({ success: false, message: TRASH_PURGE_DISABLED_MESSAGE });
+    }
     
-    // Reassign serial numbers
-    database.sponsorship_programs[program].students.forEach((student, index) => {
-        student.serial_number = index + 1;
-    });
+    const before = cloneRecord(database.system_settings.trash);
+    Object.assign(database.system_settings.trash, trashSettings);
+    const version = bumpVersion(database.system_settings.trash);
+    bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'trash',
+            operation: 'update',
+            before,
+            after: database.system_settings.trash
+        });
         broadcast({
-            type: 'student_deleted',
-            program: program,
-            studentId: studentId,
+            type: 'trash_settings_updated',
+            version: version,
+            settings: database.system_settings.trash,
             database: updatedDatabase,
-            message: `Student deleted successfully`
+            message: 'Trash settings updated successfully'
         });
+        res.set('ETag', recordEtag(database.system_settings.trash));
         res.json({ 
             success: true, 
-            database: updatedDatabase,
-            message: 'Student deleted successfully' 
+            data: database.system_settings.trash,
+            message: 'Trash settings updated successfully' 
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to save trash settings' });
     }
 });
 
-// Get all students for a program (for sponsor dropdown)
-app.get('/api/programs/:program/students-list', (req, res) => {
-    const program = req.params.program;
-    const database = loadDatabase();
-    const programData = database.sponsorship_programs[program] || {};
-    
-    const studentsList = programData.students ? programData.students.map(student => ({
-        serial_number: student.serial_number,
-        full_name: student.full_name,
-        sponsorship_package: student.sponsorship_package
-    })) : [];
-    
-    res.json({
-        success: true,
-        data: studentsList,
-        message: `Students list for ${program} loaded successfully`
-    });
-});
-
-// ===== SPONSORSHIP REGISTRY ROUTES =====
-
-// Get all sponsors for a program
-app.get('/api/registry/:program', (req, res) => {
-    const program = req.params.program;
-    const database = loadDatabase();
-    const registryData = database.sponsorship_registry[program] || {};
-    
-    res.json({
-        success: true,
-        data: registryData,
-        message: `Registry data for ${program} loaded successfully`
-    });
-});
-
-// Add sponsor to registry
-app.post('/api/registry/:program/students', (req, res) => {
-    const program = req.params.program;
-    const sponsorData = req.body;
+// Replace the cost model; omitted fields keep their current values.
+// Every student's monthly cost is recalculated on save.
+app.put('/api/settings/cost-model', (req, res) => {
+    const costModelSettings = req.body;
     
     let database = loadDatabase();
     
-    if (!database.sponsorship_registry[program]) {
-        database.sponsorship_registry[program] = {
-            students: [],
-            metadata: { total_students: 0, active_students: 0, total_monthly_funding: 0 }
-        };
+    if (!database.system_settings) {
+        database.system_settings = {};
     }
     
-    // Generate CID if not provided
-    if (!sponsorData.cid) {
-        sponsorData.cid = database.sponsorship_registry[program].students.length + 1;
+    if (!database.system_settings.cost_model) {
+        database.system_settings.cost_model = cloneRecord(DEFAULT_COST_MODEL);
     }
     
-    // Validate that the student exists in the program
-    const programStudents = database.sponsorship_programs[program]?.students || [];
-    const studentExists = programStudents.some(student => 
-        student.full_name === sponsorData.full_name
-    );
-    
-    if (!studentExists) {
-        return res.status(400).json({ 
-            success: false, 
-            message: `Student "${sponsorData.full_name}" not found in program ${program}` 
-        });
+    if (!checkIfMatch(req, res, database.system_settings.cost_model)) {
+        return;
     }
     
-    // Set default values
-    if (!sponsorData.sponsorship_status) {
-        sponsorData.sponsorship_status = 'active';
-    }
-    if (!sponsorData.category) {
-        sponsorData.category = 'Individual';
+    delete costModelSettings.version;
+    const candidate = { ...database.system_settings.cost_model, ...costModelSettings };
+    const validationError = validateCostModel(candidate);
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
     }
+    candidate.months_per_term = Number(candidate.months_per_term);
+    Object.values(candidate.packages || {}).forEach(template => {
+        template.defaults = Object.fromEntries(Object.entries(template.defaults || {})
+            .map(([key, amount]) => [key, Number(amount)]));
+    });
     
-    database.sponsorship_registry[program].students.push(sponsorData);
+    const before = cloneRecord(database.system_settings.cost_model);
+    Object.assign(database.system_settings.cost_model, candidate);
+    const version = bumpVersion(database.system_settings.cost_model);
+    bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'cost_model',
+            operation: 'update',
+            before,
+            after: database.system_settings.cost_model
+        });
         broadcast({
-            type: 'sponsor_added',
-            program: program,
-            sponsor: sponsorData,
+            type: 'cost_model_updated',
+            version: version,
+            settings: database.system_settings.cost_model,
             database: updatedDatabase,
-            message: `Sponsor added to ${program} registry successfully`
+            message: 'Cost model updated successfully'
         });
+        res.set('ETag', recordEtag(database.system_settings.cost_model));
         res.json({ 
             success: true, 
-            data: sponsorData,
-            database: updatedDatabase,
-            message: 'Sponsor added successfully'
+            data: database.system_settings.cost_model,
+            message: 'Cost model updated successfully' 
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to save cost model' });
     }
 });
 
-// Update sponsor in registry
-app.put('/api/registry/:program/students/:sponsorId', (req, res) => {
-    const program = req.params.program;
-    const sponsorId = parseInt(req.params.sponsorId);
-    const updates = req.body;
+// Create or replace one package template: { components?: [keys], defaults?: { key: amount } }
+app.put('/api/settings/cost-model/packages/:packageName', (req, res) => {
+    const packageName = req.params.packageName.trim();
     
     let database = loadDatabase();
     
-    if (!database.sponsorship_registry[program]) {
-        return res.status(404).json({ success: false, message: `Program ${program} not found in registry` });
+    if (!database.system_settings) {
+        database.system_settings = {};
     }
     
-    const sponsorIndex = database.sponsorship_registry[program].students.findIndex(
-        s => s.cid === sponsorId
-    );
+    if (!database.system_settings.cost_model) {
+        database.system_settings.cost_model = cloneRecord(DEFAULT_COST_MODEL);
+    }
     
-    if (sponsorIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Sponsor not found' });
+    if (!checkIfMatch(req, res, database.system_settings.cost_model)) {
+        return;
     }
     
-    // If student name is being updated, validate it exists in the program
-    if (updates.full_name) {
-        const programStudents = database.sponsorship_programs[program]?.students || [];
-        const studentExists = programStudents.some(student => 
-            student.full_name === updates.full_name
-        );
-        
-        if (!studentExists) {
-            return res.status(400).json({ 
-                success: false, 
-                message: `Student "${updates.full_name}" not found in program ${program}` 
-            });
-        }
+    const template = {
+        components: Array.isArray(req.body.components) ? req.body.components : null,
+        defaults: req.body.defaults || {}
+    };
+    const candidate = {
+        ...getCostModel(database),
+        packages: { ...(database.system_settings.cost_model.packages || {}), [packageName]: template }
+    };
+    const validationError = validateCostModel(candidate);
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
     }
+    template.defaults = Object.fromEntries(Object.entries(template.defaults).map(([key, amount]) => [key, Number(amount)]));
     
-    // Update sponsor data
-    Object.assign(database.sponsorship_registry[program].students[sponsorIndex], updates);
+    const before = cloneRecord(database.system_settings.cost_model);
+    database.system_settings.cost_model.packages = candidate.packages;
+    const version = bumpVersion(database.system_settings.cost_model);
+    bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'cost_model',
+            operation: 'update',
+            before,
+            after: database.system_settings.cost_model,
+            details: { package: packageName }
+        });
         broadcast({
-            type: 'sponsor_updated',
-            program: program,
-            sponsorId: sponsorId,
-            sponsor: database.sponsorship_registry[program].students[sponsorIndex],
+            type: 'cost_model_updated',
+            version: version,
+            settings: database.system_settings.cost_model,
             database: updatedDatabase,
-            message: `Sponsor updated successfully`
+            message: `Package template ${packageName} saved`
         });
+        res.set('ETag', recordEtag(database.system_settings.cost_model));
         res.json({ 
             success: true, 
-            data: database.sponsorship_registry[program].students[sponsorIndex],
-            database: updatedDatabase,
-            message: 'Sponsor updated successfully' 
+            data: database.system_settings.cost_model.packages[packageName],
+            message: `Package template ${packageName} saved` 
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to save package template' });
     }
 });
 
-// Delete sponsor from registry
-app.delete('/api/registry/:program/students/:sponsorId', (req, res) => {
-    const program = req.params.program;
-    const sponsorId = parseInt(req.params.sponsorId);
+app.delete('/api/settings/cost-model/packages/:packageName', (req, res) => {
+    const packageName = req.params.packageName.trim();
     
     let database = loadDatabase();
+    const costModel = database.system_settings && database.system_settings.cost_model;
     
-    if (!database.sponsorship_registry[program]) {
-        return res.status(404).json({ success: false, message: `Program ${program} not found in registry` });
+    if (!costModel || !costModel.packages || !costModel.packages[packageName]) {
+        return res.status(404).json({ success: false, message: `Package template ${packageName} not found` });
     }
     
-    const sponsorIndex = database.sponsorship_registry[program].students.findIndex(
-        s => s.cid === sponsorId
-    );
-    
-    if (sponsorIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Sponsor not found' });
+    if (!checkIfMatch(req, res, costModel)) {
+        return;
     }
     
-    const deletedSponsor = database.sponsorship_registry[program].students.splice(sponsorIndex, 1)[0];
-    
-    // Reassign CID numbers
-    database.sponsorship_registry[program].students.forEach((sponsor, index) => {
-        sponsor.cid = index + 1;
-    });
+    const before = cloneRecord(costModel);
+    delete costModel.packages[packageName];
+    const version = bumpVersion(costModel);
+    bumpVersion(database.system_settings);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
-        broadcast({
-            type: 'sponsor_deleted',
-            program: program,
-            sponsorId: sponsorId,
-            database: updatedDatabase,
-            message: `Sponsor deleted successfully`
+        recordAudit(req, {
+            entity: 'settings',
+            entityId: 'cost_model',
+            operation: 'update',
+            before,
+            after: costModel,
+            details: { package: packageName, removed: true }
         });
-        res.json({ 
-            success: true, 
+        broadcast({
+            type: 'cost_model_updated',
+            version: version,
+            settings: costModel,
             database: updatedDatabase,
-            message: 'Sponsor deleted successfully' 
+            message: `Package template ${packageName} removed`
         });
+        res.set('ETag', recordEtag(costModel));
+        res.json({ success: true, message: `Package template ${packageName} removed` });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save database' });
+        res.status(500).json({ success: false, message: 'Failed to remove package template' });
+    }
+});
+
+// Upload logo
+app.post('/api/settings/logo', upload.single('logo'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No logo file provided' });
+        }
+        
+        const logoUrl = `/uploads/${req.file.filename}`;
+        
+        let database = loadDatabase();
+        
+        if (!database.system_settings) {
+            database.system_settings = {};
+        }
+        
+        if (!database.system_settings.organization) {
+            database.system_settings.organization = {};
+        }
+        
+        const before = cloneRecord(database.system_settings.organization);
+        database.system_settings.organization.logo = logoUrl;
+        const version = bumpVersion(database.system_settings.organization);
+        bumpVersion(database.system_settings);
+        
+        if (saveDatabase(database)) {
+            const updatedDatabase = loadDatabase();
+            recordAudit(req, {
+                entity: 'settings',
+                entityId: 'organization',
+                operation: 'update',
+                before,
+                after: database.system_settings.organization
+            });
+            broadcast({
+                type: 'logo_updated',
+                logo: logoUrl,
+                version: version,
+                database: updatedDatabase,
+                message: 'Logo updated successfully'
+            });
+            res.json({ 
+                success: true,
+                logoUrl: logoUrl,
+                message: 'Logo uploaded successfully' 
+            });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to save logo' });
+        }
+    } catch (error) {
+        console.error('Logo upload error:', error);
+        res.status(500).json({ success: false, message: 'Failed to upload logo' });
+    }
+});
+
+// ===== ANALYTICS AND REPORTS =====
+
+// Get analytics data
+app.get('/api/analytics', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const analytics = calculateAnalytics(database);
+    
+    res.json({
+        success: true,
+        data: analytics,
+        period: periodSummary(scope.period),
+        message: 'Analytics data loaded successfully'
+    });
+});
+
+// Generate financial report
+app.get('/api/reports/financial', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    const report = generateFinancialReport(database, scope.date, req.query.currency);
+    
+    res.json({
+        success: true,
+        data: report,
+        period: periodSummary(scope.period),
+        message: 'Financial report generated successfully'
+    });
+});
+
+// Pledged vs received per month: ?group_by=sponsor|student|program|sponsorship&from=YYYY-MM&to=YYYY-MM&currency=
+app.get('/api/reports/reconciliation', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const groupBy = req.query.group_by || 'sponsor';
+    
+    if (!RECONCILIATION_GROUPS.includes(groupBy)) {
+        return res.status(400).json({ success: false, message: `group_by must be one of ${RECONCILIATION_GROUPS.join(', ')}` });
+    }
+    if ([req.query.from, req.query.to].some(month => month && !isValidMonth(month))) {
+        return res.status(400).json({ success: false, message: 'from and to must be months in YYYY-MM format' });
+    }
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    
+    const range = reconciliationRange({
+        from: req.query.from || (scope.period && monthOf(scope.period.start_date)),
+        to: req.query.to || (scope.period && monthOf(scope.period.end_date))
+    });
+    const rangeError = validateReconciliationRange(range);
+    if (rangeError) {
+        return res.status(400).json({ success: false, message: rangeError });
+    }
+    
+    const report = buildReconciliation(database, { ...range, groupBy, currency: req.query.currency });
+    
+    res.json({
+        success: true,
+        data: report,
+        period: periodSummary(scope.period),
+        message: 'Reconciliation report generated successfully'
+    });
+});
+
+// Aged unpaid pledges: ?as_of=YYYY-MM-DD|period=&program=&currency=&format=xlsx
+app.get('/api/reports/arrears', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const asOf = req.query.as_of || scope.date;
+    
+    if (!isValidISODate(asOf)) {
+        return res.status(400).json({ success: false, message: 'as_of must be a date in YYYY-MM-DD format' });
+    }
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    
+    const report = buildArrearsReport(database, { asOf, currency: req.query.currency, program: req.query.program });
+    
+    if (req.query.format === 'xlsx') {
+        const buffer = XLSX.write(arrearsReportWorkbook(report), { type: 'buffer', bookType: 'xlsx' });
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=arrears_${asOf}.xlsx`);
+        return res.send(buffer);
     }
+    
+    res.json({
+        success: true,
+        data: report,
+        period: periodSummary(scope.period),
+        message: 'Arrears report generated successfully'
+    });
 });
 
-// Get all sponsors (across all programs)
-app.get('/api/registry', (req, res) => {
+// Actual spend per student vs planned monthly_output_ugx: ?from=&to=|period=&program=
+// Without dates the report covers the current period up to today.
+app.get('/api/reports/student-costs', (req, res) => {
     const database = loadDatabase();
-    const allSponsors = [];
+    const scope = resolveReportScope(req, database, database.current_period);
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
     
-    Object.entries(database.sponsorship_registry).forEach(([program, registry]) => {
-        if (registry.students) {
-            registry.students.forEach(sponsor => {
-                allSponsors.push({
-                    ...sponsor,
-                    program: program
-                });
-            });
-        }
-    });
+    const from = req.query.from || (scope.period ? scope.period.start_date : `${monthOf(todayISO())}-01`);
+    const to = req.query.to || scope.date;
+    if (![from, to].every(isValidISODate) || from > to) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates in YYYY-MM-DD format, from before to' });
+    }
+    
+    const report = buildStudentCostReport(scope.database, { from, to, program: req.query.program });
     
     res.json({
         success: true,
-        data: allSponsors,
-        message: 'All sponsors loaded successfully'
+        data: report,
+        period: periodSummary(scope.period),
+        message: 'Student cost report generated successfully'
     });
 });
 
-// Get sponsor statistics
-app.get('/api/registry-stats', (req, res) => {
+// Expenses with no receipt attached: ?from=&to=&program=&category=&min_amount= (UGX)
+app.get('/api/reports/missing-receipts', (req, res) => {
     const database = loadDatabase();
-    const stats = calculateSponsorStatistics(database);
+    const { from, to, program, category } = req.query;
+    const minAmount = req.query.min_amount ? parseFloat(req.query.min_amount) : 0;
+    if ([from, to].some(date => date && !isValidISODate(date)) || !Number.isFinite(minAmount)) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates in YYYY-MM-DD format and min_amount a number' });
+    }
+    
+    const report = buildMissingReceiptsReport(database, { from, to, program, category, minAmount });
     
     res.json({
         success: true,
-        data: stats,
-        message: 'Sponsor statistics loaded successfully'
+        data: report,
+        message: `${report.summary.missing} expense(s) without a receipt`
     });
 });
 
-// ===== DAILY EXPENSES ROUTES =====
+// Budget vs actual expenses: ?program=&term=|period=&currency=
+app.get('/api/reports/budget-variance', (req, res) => {
+    const scope = resolveReportScope(req, loadDatabase());
+    if (scope.error) {
+        return res.status(404).json({ success: false, message: scope.error });
+    }
+    const database = scope.database;
+    const currencyError = validateReportCurrency(database, req.query.currency);
+    if (currencyError) {
+        return res.status(400).json({ success: false, message: currencyError });
+    }
+    
+    const report = buildBudgetVariance(database, {
+        program: req.query.program,
+        term: req.query.term || (scope.period && scope.period.id),
+        currency: req.query.currency
+    });
+    
+    res.json({
+        success: true,
+        data: report,
+        period: periodSummary(scope.period),
+        message: 'Budget variance report generated successfully'
+    });
+});
 
-// Get all daily expenses
-app.get('/api/expenses', (req, res) => {
+// Drill-down: the expense records behind one variance row, ?program=&term=&category=
+app.get('/api/reports/budget-variance/expenses', (req, res) => {
     const database = loadDatabase();
+    const { program, term, category } = req.query;
+    const periodBudgets = (database.budgets || []).filter(b => b.program === program && b.term === term);
+    
+    if (periodBudgets.length === 0) {
+        return res.status(404).json({ success: false, message: `No budget defined for ${program} ${term}` });
+    }
+    
+    const budget = periodBudgets.find(b => b.category === category) || null;
+    const scope = budget || { ...periodBudgets[0], category: category || 'other' };
+    
     res.json({
         success: true,
-        data: database.daily_expenses || [],
-        message: 'Daily expenses loaded successfully'
+        data: expensesForBudget(database, scope).sort((a, b) => a.date.localeCompare(b.date)),
+        budget,
+        message: 'Budget expenses loaded successfully'
     });
 });
 
-// Add new expense
-app.post('/api/expenses', (req, res) => {
-    const expenseData = req.body;
-    
-    let database = loadDatabase();
+// ===== ENHANCED IMPORT/EXPORT ROUTES =====
+
+// Export data to JSON
+app.get('/api/export/json', (req, res) => {
+    const database = loadDatabase();
+    const timestamp = new Date().toISOString().split('T')[0];
     
-    if (!database.daily_expenses) {
-        database.daily_expenses = [];
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=sponsorship_data_${timestamp}.json`);
+    res.send(JSON.stringify(database, null, 2));
+});
+
+// Import data from JSON
+app.post('/api/import/json', (req, res) => {
+    try {
+        const importedData = req.body;
+        
+        if (!importedData || typeof importedData !== 'object') {
+            return res.status(400).json({ success: false, message: 'Invalid data format' });
+        }
+        
+        console.log('Processing JSON import:', importedData.type);
+        
+        let database = loadDatabase();
+        createSnapshot('pre-import', database);
+        
+        const before = database;
+        
+        // Integrate imported data
+        const mergeStrategy = req.query.merge || 'replace';
+        database = integrateImportedData(database, importedData, importedData.type, mergeStrategy);
+        
+        if (saveDatabase(database)) {
+            const updatedDatabase = loadDatabase();
+            recordAudit(req, {
+                entity: 'import',
+                operation: 'import',
+                details: {
+                    source: 'json',
+                    import_type: importedData.type,
+                    merge_strategy: mergeStrategy,
+                    records: importedData.metadata.total_records,
+                    summary: diffDatabases(before, updatedDatabase).summary
+                }
+            });
+            broadcast({
+                type: 'database_imported',
+                database: updatedDatabase,
+                message: 'Data imported successfully'
+            });
+            res.json({ 
+                success: true, 
+                message: 'Data imported successfully',
+                records: importedData.metadata.total_records
+            });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to save imported data' });
+        }
+    } catch (error) {
+        console.error('Import error:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
-    
-    // Generate ID if not provided
-    if (!expenseData.id) {
-        expenseData.id = database.daily_expenses.length > 0 ? 
-            Math.max(...database.daily_expenses.map(e => e.id)) + 1 : 1;
+});
+
+// Enhanced Excel import endpoint
+app.post('/api/import/excel', upload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+        
+        const importType = req.body.type || 'all';
+        const mergeStrategy = req.body.merge || 'replace';
+        
+        console.log(`Processing Excel import: ${importType} with ${mergeStrategy} strategy`);
+        
+        // Read the uploaded file
+        const fileBuffer = fs.readFileSync(req.file.path);
+        
+        // Process Excel file
+        const importedData = processExcelImport(fileBuffer, importType);
+        
+        // Load current database
+        let database = loadDatabase();
+        createSnapshot('pre-import', database);
+        
+        const before = database;
+        
+        // Integrate imported data
+        database = integrateImportedData(database, importedData, importType, mergeStrategy);
+        
+        // Clean up uploaded file
+        fs.unlinkSync(req.file.path);
+        
+        // Save updated database
+        if (saveDatabase(database)) {
+            const updatedDatabase = loadDatabase();
+            recordAudit(req, {
+                entity: 'import',
+                operation: 'import',
+                details: {
+                    source: 'excel',
+                    filename: req.file.originalname,
+                    import_type: importType,
+                    merge_strategy: mergeStrategy,
+                    records: importedData.metadata.total_records,
+                    formula_errors: importedData.metadata.formula_errors.length,
+                    summary: diffDatabases(before, updatedDatabase).summary
+                }
+            });
+            broadcast({
+                type: 'database_imported',
+                database: updatedDatabase,
+                message: 'Excel data imported successfully'
+            });
+            
+            const formulaErrors = importedData.metadata.formula_errors;
+            res.json({
+                success: true,
+                message: formulaErrors.length > 0 ?
+                    `Excel file imported with ${formulaErrors.length} formula error(s); those cells were set to 0` :
+                    'Excel file imported successfully',
+                records: importedData.metadata.total_records,
+                type: importType,
+                merge_strategy: mergeStrategy,
+                formula_errors: formulaErrors
+            });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to save imported data' });
+        }
+        
+    } catch (error) {
+        console.error('Excel import error:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
-    
-    // Set default currency if not provided
-    if (!expenseData.currency) {
-        expenseData.currency = 'UGX';
+});
+
+// Generate sample Excel templates
+app.get('/api/export/template/:type', (req, res) => {
+    try {
+        const type = req.params.type;
+        const wb = XLSX.utils.book_new();
+        
+        switch (type) {
+            case 'students':
+                generateStudentsTemplate(wb);
+                break;
+            case 'sponsors':
+                generateSponsorsTemplate(wb);
+                break;
+            case 'expenses':
+                generateExpensesTemplate(wb);
+                break;
+            case 'all':
+                generateStudentsTemplate(wb);
+                generateSponsorsTemplate(wb);
+                generateExpensesTemplate(wb);
+                break;
+            default:
+                return res.status(400).json({ success: false, message: 'Invalid template type' });
+        }
+        
+        const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=sponsorship_${type}_template.xlsx`);
+        res.send(buffer);
+        
+    } catch (error) {
+        console.error('Template generation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate template' });
     }
-    
-    database.daily_expenses.push(expenseData);
-    
-    if (saveDatabase(database)) {
-        const updatedDatabase = loadDatabase();
-        broadcast({
-            type: 'expense_added',
-            expense: expenseData,
-            database: updatedDatabase,
-            message: 'Expense added successfully'
-        });
-        res.json({ 
-            success: true, 
-            data: expenseData,
-            message: 'Expense added successfully'
+});
+
+// ===== STATEMENT ROUTES =====
+
+// Import a bank (CSV, CAMT.053, MT940) or mobile-money (CSV) statement and
+// auto-match its lines. Form fields: format (detected when omitted), source
+// (bank | mobile_money), currency (CSV lines without a currency column), account.
+app.post('/api/import/statement', upload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+        
+        const fileBuffer = fs.readFileSync(req.file.path);
+        fs.unlinkSync(req.file.path);
+        
+        const source = req.body.source || 'bank';
+        if (!STATEMENT_SOURCES.includes(source)) {
+            return res.status(400).json({ success: false, message: `Source must be one of: ${STATEMENT_SOURCES.join(', ')}` });
+        }
+        const format = req.body.format || detectStatementFormat(fileBuffer, req.file.originalname);
+        if (!STATEMENT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Format must be one of: ${STATEMENT_FORMATS.join(', ')}` });
+        }
+        
+        let database = loadDatabase();
+        const defaultCurrency = String(req.body.currency || (source === 'mobile_money' ? DEFAULT_EXPENSE_CURRENCY : DEFAULT_SPONSORSHIP_CURRENCY)).toUpperCase();
+        const currencyError = validateCurrency(database, defaultCurrency);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+        
+        const { lines, errors } = parseStatementFile(fileBuffer, format, { currency: defaultCurrency, account: req.body.account || null });
+        if (lines.length === 0) {
+            return res.status(400).json({ success: false, errors, message: 'No statement lines found in file' });
+        }
+        
+        database.statement_lines = database.statement_lines || [];
+        const known = new Set(database.statement_lines.map(line => line.fingerprint));
+        const importId = `IMP-${Date.now()}`;
+        const importedAt = new Date().toISOString();
+        const added = [];
+        let duplicates = 0;
+        
+        lines.forEach(parsed => {
+            const lineCurrencyError = validateCurrency(database, parsed.currency);
+            if (lineCurrencyError) {
+                errors.push({ line: parsed.line, message: lineCurrencyError });
+                return;
+            }
+            const line = {
+                id: nextStableId(database, 'statement_line'),
+                import_id: importId,
+                source_file: req.file.originalname,
+                format,
+                source,
+                account: parsed.account,
+                date: parsed.date,
+                direction: parsed.direction,
+                amount: Math.round(parsed.amount * 100) / 100,
+                currency: parsed.currency,
+                counterparty: parsed.counterparty,
+                reference: parsed.reference,
+                bank_reference: parsed.bank_reference,
+                status: 'unmatched',
+                imported_at: importedAt
+            };
+            line.fingerprint = statementFingerprint(line);
+            // Overlapping statement downloads repeat lines already imported
+            if (known.has(line.fingerprint)) {
+                duplicates++;
+                return;
+            }
+            known.add(line.fingerprint);
+            database.statement_lines.push(line);
+            added.push(line);
         });
-    } else {
-        res.status(500).json({ success: false, message: 'Failed to save expense' });
+        
+        const counts = autoMatchStatementLines(database, added, getActor(req));
+        const summary = {
+            import_id: importId,
+            format,
+            source,
+            lines: added.length,
+            ...counts,
+            duplicates,
+            errors
+        };
+        
+        if (saveDatabase(database)) {
+            const updatedDatabase = loadDatabase();
+            recordAudit(req, {
+                entity: 'statement_line',
+                entityId: importId,
+                operation: 'import',
+                details: { filename: req.file.originalname, ...summary, errors: errors.length }
+            });
+            broadcast({
+                type: 'statement_imported',
+                import_id: importId,
+                database: updatedDatabase,
+                message: `${added.length} statement line(s) imported, ${counts.matched_payments + counts.matched_expenses} matched`
+            });
+            res.json({
+                success: true,
+                data: summary,
+                message: `${added.length} statement line(s) imported: ${counts.matched_payments} payment(s) and ${counts.matched_expenses} expense(s) matched, ${counts.unmatched} left for review` +
+                    (duplicates > 0 ? `, ${duplicates} duplicate(s) skipped` : '')
+            });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to save statement' });
+        }
+    } catch (error) {
+        console.error('Statement import error:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Update expense
-app.put('/api/expenses/:expenseId', (req, res) => {
-    const expenseId = parseInt(req.params.expenseId);
-    const updates = req.body;
-    
-    let database = loadDatabase();
-    
-    if (!database.daily_expenses) {
-        return res.status(404).json({ success: false, message: 'No expenses found' });
-    }
-    
-    const expenseIndex = database.daily_expenses.findIndex(e => e.id === expenseId);
+// List statement lines: ?status=&direction=&import_id=&from=&to= (dates inclusive)
+app.get('/api/statements/lines', (req, res) => {
+    const database = loadDatabase();
+    const { status, direction, import_id, from, to } = req.query;
+    const lines = (database.statement_lines || [])
+        .filter(line => (!status || line.status === status) &&
+            (!direction || line.direction === direction) &&
+            (!import_id || line.import_id === import_id) &&
+            (!from || line.date >= from) &&
+            (!to || line.date <= to))
+        .sort((a, b) => b.date.localeCompare(a.date));
     
-    if (expenseIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Expense not found' });
-    }
+    res.json({
+        success: true,
+        data: lines,
+        message: 'Statement lines loaded successfully'
+    });
+});
+
+// Review queue: unmatched lines with freshly scored suggestions
+app.get('/api/statements/review', (req, res) => {
+    const database = loadDatabase();
+    const lines = (database.statement_lines || [])
+        .filter(line => line.status === 'unmatched')
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(line => ({
+            ...line,
+            suggestions: statementCandidates(database, line).filter(candidate => candidate.score >= SUGGESTION_MIN_SCORE).slice(0, 3)
+        }));
     
-    Object.assign(database.daily_expenses[expenseIndex], updates);
+    res.json({
+        success: true,
+        data: lines,
+        count: lines.length,
+        message: `${lines.length} statement line(s) awaiting review`
+    });
+});
+
+// Re-run automatic matching over the review queue, e.g. after adding sponsorships or expenses
+app.post('/api/statements/auto-match', (req, res) => {
+    let database = loadDatabase();
+    const counts = autoMatchStatementLines(database, database.statement_lines || [], getActor(req));
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'statement_line',
+            operation: 'auto_match',
+            details: counts
+        });
         broadcast({
-            type: 'expense_updated',
-            expenseId: expenseId,
-            expense: database.daily_expenses[expenseIndex],
+            type: 'statement_lines_updated',
             database: updatedDatabase,
-            message: 'Expense updated successfully'
+            message: `${counts.matched_payments + counts.matched_expenses} statement line(s) matched`
         });
-        res.json({ 
-            success: true, 
-            data: database.daily_expenses[expenseIndex],
-            message: 'Expense updated successfully' 
+        res.json({
+            success: true,
+            data: counts,
+            message: `${counts.matched_payments + counts.matched_expenses} statement line(s) matched, ${counts.unmatched} left for review`
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save expense' });
+        res.status(500).json({ success: false, message: 'Failed to save statement lines' });
     }
 });
 
-// Delete expense
-app.delete('/api/expenses/:expenseId', (req, res) => {
-    const expenseId = parseInt(req.params.expenseId);
+// Resolve a line by hand: { type: "sponsorship" | "payment" | "expense", id },
+// { type: "ignore" } for bank fees and transfers, or { type: null } to unmatch
+app.post('/api/statements/lines/:lineId/match', (req, res) => {
+    const { type, id } = req.body;
     
     let database = loadDatabase();
     
-    if (!database.daily_expenses) {
-        return res.status(404).json({ success: false, message: 'No expenses found' });
+    const line = (database.statement_lines || []).find(l => l.id === req.params.lineId);
+    if (!line) {
+        return res.status(404).json({ success: false, message: 'Statement line not found' });
     }
     
-    const expenseIndex = database.daily_expenses.findIndex(e => e.id === expenseId);
-    
-    if (expenseIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Expense not found' });
+    const before = cloneRecord(line);
+    if (type === 'sponsorship' || type === 'payment') {
+        if (line.direction !== 'in') {
+            return res.status(400).json({ success: false, message: 'Only incoming lines can be matched to sponsor payments' });
+        }
+        if (type === 'sponsorship' && !findSponsorship(database, id)) {
+            return res.status(400).json({ success: false, message: `Sponsorship ${id} not found` });
+        }
+        const payment = type === 'payment' ? (database.payments || []).find(p => p.id === id) : null;
+        if (type === 'payment' && !payment) {
+            return res.status(400).json({ success: false, message: `Payment ${id} not found` });
+        }
+        if (payment && payment.statement_line_id && payment.statement_line_id !== line.id) {
+            return res.status(409).json({ success: false, message: `Payment ${id} is already matched to statement line ${payment.statement_line_id}` });
+        }
+    } else if (type === 'expense') {
+        if (line.direction !== 'out') {
+            return res.status(400).json({ success: false, message: 'Only outgoing lines can be matched to expenses' });
+        }
+        const expense = (database.daily_expenses || []).find(e => e.id === id);
+        if (!expense) {
+            return res.status(400).json({ success: false, message: `Expense ${id} not found` });
+        }
+        if (expense.statement_line_id && expense.statement_line_id !== line.id) {
+            return res.status(409).json({ success: false, message: `Expense ${id} is already matched to statement line ${expense.statement_line_id}` });
+        }
+    } else if (type !== 'ignore' && type !== null) {
+        return res.status(400).json({ success: false, message: 'Type must be sponsorship, payment, expense, ignore or null' });
     }
     
-    const deletedExpense = database.daily_expenses.splice(expenseIndex, 1)[0];
+    removeStatementMatch(database, line, getActor(req));
+    delete line.suggestions;
+    if (type === 'ignore') {
+        line.status = 'ignored';
+    } else if (type) {
+        applyStatementMatch(database, line, { type, id }, { method: 'manual', matchedBy: getActor(req) });
+    }
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'statement_line',
+            entityId: line.id,
+            operation: type ? 'match' : 'unmatch',
+            before,
+            after: line
+        });
         broadcast({
-            type: 'expense_deleted',
-            expenseId: expenseId,
+            type: 'statement_lines_updated',
             database: updatedDatabase,
-            message: 'Expense deleted successfully'
+            message: `Statement line ${line.id} ${line.status}`
         });
-        res.json({ 
-            success: true, 
-            message: 'Expense deleted successfully' 
+        res.json({
+            success: true,
+            data: line,
+            message: `Statement line ${line.status}`
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to delete expense' });
+        res.status(500).json({ success: false, message: 'Failed to save statement line' });
     }
 });
 
-// ===== EVENTS MANAGEMENT ROUTES =====
+// ===== EXCHANGE RATE ROUTES =====
 
-// Get all events
-app.get('/api/events', (req, res) => {
+// List stored rates: ?base=&quote=
+app.get('/api/exchange-rates', (req, res) => {
     const database = loadDatabase();
+    const rates = (database.exchange_rates || [])
+        .filter(r => (!req.query.base || r.base === req.query.base.toUpperCase()) &&
+            (!req.query.quote || r.quote === req.query.quote.toUpperCase()))
+        .sort((a, b) => `${a.base}${a.quote}${a.effective_date}`.localeCompare(`${b.base}${b.quote}${b.effective_date}`));
+    
     res.json({
         success: true,
-        data: database.events || [],
-        message: 'Events loaded successfully'
+        data: rates,
+        current: getExchangeRate(database, 'EUR', 'UGX'),
+        message: 'Exchange rates loaded successfully'
     });
 });
 
-// Add new event
-app.post('/api/events', (req, res) => {
-    const eventData = req.body;
-    
-    let database = loadDatabase();
+// Rate in force for a pair on a date: ?from=EUR&to=UGX&date=YYYY-MM-DD[&amount=]
+app.get('/api/exchange-rates/convert', (req, res) => {
+    const database = loadDatabase();
     
-    if (!database.events) {
-        database.events = [];
+    if (req.query.date !== undefined && !isValidISODate(req.query.date)) {
+        return res.status(400).json({ success: false, message: 'date must be a date in YYYY-MM-DD format' });
     }
     
-    // Generate ID if not provided
-    if (!eventData.id) {
-        eventData.id = database.events.length > 0 ? 
-            Math.max(...database.events.map(e => e.id)) + 1 : 1;
+    try {
+        const rate = getExchangeRate(database, req.query.from, req.query.to, req.query.date || todayISO());
+        res.json({
+            success: true,
+            data: {
+                ...rate,
+                amount: req.query.amount !== undefined ? parseFloat(req.query.amount) || 0 : undefined,
+                converted: req.query.amount !== undefined ? (parseFloat(req.query.amount) || 0) * rate.rate : undefined
+            },
+            message: 'Exchange rate found'
+        });
+    } catch (error) {
+        res.status(404).json({ success: false, message: error.message });
     }
+});
+
+// Add (or replace) the rate for a pair on a date
+app.post('/api/exchange-rates', (req, res) => {
+    let database = loadDatabase();
     
-    database.events.push(eventData);
+    let entry;
+    try {
+        entry = upsertExchangeRate(database, {
+            base: req.body.base || 'EUR',
+            quote: req.body.quote || 'UGX',
+            rate: req.body.rate,
+            effective_date: req.body.effective_date || todayISO(),
+            source: 'manual'
+        });
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'exchange_rate', entityId: entry.id, operation: 'create', after: entry });
         broadcast({
-            type: 'event_added',
-            event: eventData,
+            type: 'exchange_rates_updated',
+            rate: entry,
             database: updatedDatabase,
-            message: 'Event added successfully'
-        });
-        res.json({ 
-            success: true, 
-            data: eventData,
-            message: 'Event added successfully'
+            message: `Exchange rate ${entry.base}/${entry.quote} saved`
         });
+        res.json({ success: true, data: entry, message: 'Exchange rate saved successfully' });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save event' });
+        res.status(500).json({ success: false, message: 'Failed to save exchange rate' });
     }
 });
 
-// Update event
-app.put('/api/events/:eventId', (req, res) => {
-    const eventId = parseInt(req.params.eventId);
-    const updates = req.body;
+// Remove a rate entry
+app.delete('/api/exchange-rates/:rateId', (req, res) => {
+    const rateId = parseInt(req.params.rateId);
     
     let database = loadDatabase();
     
-    if (!database.events) {
-        return res.status(404).json({ success: false, message: 'No events found' });
-    }
-    
-    const eventIndex = database.events.findIndex(e => e.id === eventId);
+    const rateIndex = (database.exchange_rates || []).findIndex(r => r.id === rateId);
     
-    if (eventIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Event not found' });
+    if (rateIndex === -1) {
+        return res.status(404).json({ success: false, message: 'Exchange rate not found' });
     }
     
-    Object.assign(database.events[eventIndex], updates);
+    const deletedRate = database.exchange_rates.splice(rateIndex, 1)[0];
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'exchange_rate', entityId: rateId, operation: 'delete', before: deletedRate });
         broadcast({
-            type: 'event_updated',
-            eventId: eventId,
-            event: database.events[eventIndex],
+            type: 'exchange_rates_updated',
             database: updatedDatabase,
-            message: 'Event updated successfully'
-        });
-        res.json({ 
-            success: true, 
-            data: database.events[eventIndex],
-            message: 'Event updated successfully' 
+            message: 'Exchange rate deleted'
         });
+        res.json({ success: true, message: 'Exchange rate deleted successfully' });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save event' });
+        res.status(500).json({ success: false, message: 'Failed to delete exchange rate' });
     }
 });
 
-// Delete event
-app.delete('/api/events/:eventId', (req, res) => {
-    const eventId = parseInt(req.params.eventId);
-    
-    let database = loadDatabase();
+// Import rates from a CSV file (date,base,quote,rate)
+app.post('/api/import/exchange-rates', upload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+        
+        const fileBuffer = fs.readFileSync(req.file.path);
+        fs.unlinkSync(req.file.path);
+        
+        const rows = parseExchangeRatesCsv(fileBuffer);
+        let database = loadDatabase();
+        const imported = [];
+        const errors = [];
+        
+        rows.forEach(row => {
+            try {
+                imported.push(upsertExchangeRate(database, { ...row, source: 'csv' }));
+            } catch (error) {
+                errors.push({ line: row.line, message: error.message });
+            }
+        });
+        
+        if (imported.length === 0) {
+            return res.status(400).json({ success: false, errors, message: 'No valid exchange rates found in file' });
+        }
+        
+        if (saveDatabase(database)) {
+            const updatedDatabase = loadDatabase();
+            recordAudit(req, {
+                entity: 'exchange_rate',
+                operation: 'import',
+                details: { filename: req.file.originalname, imported: imported.length, errors: errors.length }
+            });
+            broadcast({
+                type: 'exchange_rates_updated',
+                database: updatedDatabase,
+                message: `${imported.length} exchange rate(s) imported`
+            });
+            res.json({
+                success: true,
+                imported: imported.length,
+                errors,
+                message: `${imported.length} exchange rate(s) imported`
+            });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to save exchange rates' });
+        }
+    } catch (error) {
+        console.error('Exchange rate import error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ===== BACKUP ROUTES =====
+
+// List server-side snapshots (newest first)
+app.get('/api/backups', (req, res) => {
+    const database = loadDatabase();
+    res.json({
+        success: true,
+        data: listSnapshots(),
+        settings: getBackupSettings(database),
+        message: 'Backups loaded successfully'
+    });
+});
+
+// Take a snapshot now
+app.post('/api/backups', (req, res) => {
+    try {
+        const snapshot = createSnapshot('manual');
+        res.json({
+            success: true,
+            data: snapshot,
+            message: 'Backup created successfully'
+        });
+    } catch (error) {
+        console.error('Backup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create backup' });
+    }
+});
+
+// Differences between a snapshot and the live data
+app.get('/api/backups/:id/diff', (req, res) => {
+    const snapshot = readSnapshot(req.params.id);
     
-    if (!database.events) {
-        return res.status(404).json({ success: false, message: 'No events found' });
+    if (!snapshot) {
+        return res.status(404).json({ success: false, message: 'Backup not found' });
     }
     
-    const eventIndex = database.events.findIndex(e => e.id === eventId);
+    // Recalculate the snapshot so derived figures don't show up as changes
+    const database = loadDatabase();
+    res.json({
+        success: true,
+        data: {
+            backup: parseSnapshotId(req.params.id),
+            ...diffDatabases(recalculateAllMetadata(snapshot), database)
+        },
+        message: 'Backup diff generated successfully'
+    });
+});
+
+// Restore a snapshot over the live data
+app.post('/api/backups/:id/restore', (req, res) => {
+    const snapshot = readSnapshot(req.params.id);
     
-    if (eventIndex === -1) {
-        return res.status(404).json({ success: false, message: 'Event not found' });
+    if (!snapshot) {
+        return res.status(404).json({ success: false, message: 'Backup not found' });
     }
     
-    const deletedEvent = database.events.splice(eventIndex, 1)[0];
+    // Keep the current state so the restore itself can be undone
+    const safetySnapshot = createSnapshot('pre-restore');
+    migrateDatabaseDocument(snapshot);
     
-    if (saveDatabase(database)) {
+    const before = loadDatabase();
+    
+    if (saveDatabase(snapshot)) {
         const updatedDatabase = loadDatabase();
+        recordAudit(req, {
+            entity: 'backup',
+            entityId: req.params.id,
+            operation: 'restore',
+            details: { safety_backup: safetySnapshot.id, summary: diffDatabases(before, updatedDatabase).summary }
+        });
         broadcast({
-            type: 'event_deleted',
-            eventId: eventId,
+            type: 'database_imported',
             database: updatedDatabase,
-            message: 'Event deleted successfully'
+            message: `Backup ${req.params.id} restored successfully`
         });
-        res.json({ 
-            success: true, 
-            message: 'Event deleted successfully' 
+        res.json({
+            success: true,
+            restored: parseSnapshotId(req.params.id),
+            safety_backup: safetySnapshot,
+            message: 'Backup restored successfully'
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to delete event' });
+        res.status(500).json({ success: false, message: 'Failed to restore backup' });
     }
 });
 
-// ===== SETTINGS MANAGEMENT ROUTES =====
+// ===== SCHEMA ROUTES =====
 
-// Get system settings
-app.get('/api/settings', (req, res) => {
+// Report how the stored document deviates from the current schema
+app.get('/api/schema/validate', (req, res) => {
     const database = loadDatabase();
+    const issues = validateDatabaseDocument(database);
+    
     res.json({
         success: true,
-        data: database.system_settings || {},
-        message: 'Settings loaded successfully'
+        data: {
+            schema_version: database.schema_version || 0,
+            current_schema_version: CURRENT_SCHEMA_VERSION,
+            valid: issues.length === 0,
+            issues: serializeIssues(issues)
+        },
+        message: issues.length === 0 ? 'Database matches the current schema' : `${issues.length} schema issue(s) found`
     });
 });
 
-// Update system settings
-app.put('/api/settings', (req, res) => {
-    const settings = req.body;
-    
+// Apply all automatic repairs
+app.post('/api/schema/repair', (req, res) => {
     let database = loadDatabase();
-    
-    if (!database.system_settings) {
-        database.system_settings = {};
-    }
-    
-    Object.assign(database.system_settings, settings);
+    createSnapshot('pre-repair', database);
+    const { repaired, remaining } = repairDatabaseDocument(database);
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
-        broadcast({
-            type: 'settings_updated',
-            settings: database.system_settings,
-            database: updatedDatabase,
-            message: 'Settings updated successfully'
-        });
-        res.json({ 
-            success: true, 
-            data: database.system_settings,
-            message: 'Settings updated successfully' 
+        recordAudit(req, { entity: 'schema', operation: 'repair', details: { repaired: serializeIssues(repaired) } });
+        if (repaired.length > 0) {
+            broadcast({
+                type: 'database_imported',
+                database: updatedDatabase,
+                message: `Repaired ${repaired.length} schema issue(s)`
+            });
+        }
+        res.json({
+            success: true,
+            data: {
+                repaired: serializeIssues(repaired),
+                remaining: serializeIssues(remaining)
+            },
+            message: `Repaired ${repaired.length} schema issue(s)`
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save settings' });
+        res.status(500).json({ success: false, message: 'Failed to save repaired database' });
     }
 });
 
-// Update organization settings
-app.put('/api/settings/organization', (req, res) => {
-    const orgSettings = req.body;
+// ===== TRASH ROUTES =====
+
+// List trashed records: ?entity=&program=
+app.get('/api/trash', (req, res) => {
+    const database = loadDatabase();
+    const items = (database.trash || []).filter(entry => (
+        (!req.query.entity || entry.entity === req.query.entity) &&
+        (!req.query.program || entry.program === req.query.program)
+    ));
+    
+    res.json({
+        success: true,
+        data: items,
+        message: 'Trash loaded successfully'
+    });
+});
+
+// Restore a trashed record into its collection
+app.post('/api/trash/:trashId/restore', (req, res) => {
+    const trashId = parseInt(req.params.trashId);
     
     let database = loadDatabase();
     
-    if (!database.system_settings) {
-        database.system_settings = {};
-    }
+    const entry = (database.trash || []).find(t => t.trash_id === trashId);
     
-    if (!database.system_settings.organization) {
-        database.system_settings.organization = {};
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Trash item not found' });
     }
     
-    Object.assign(database.system_settings.organization, orgSettings);
+    let restored;
+    try {
+        restored = restoreFromTrash(database, entry);
+    } catch (error) {
+        return res.status(409).json({ success: false, message: error.message });
+    }
     
     if (saveDatabase(database)) {
         const updatedDatabase = loadDatabase();
-        broadcast({
-            type: 'organization_settings_updated',
-            settings: database.system_settings.organization,
-            database: updatedDatabase,
-            message: 'Organization settings updated successfully'
+        recordAudit(req, {
+            entity: entry.entity,
+            entityId: restored[TRASH_COLLECTIONS[entry.entity].key],
+            program: entry.program,
+            operation: 'restore',
+            after: restored,
+            details: { trash_id: trashId }
         });
-        res.json({ 
-            success: true, 
-            data: database.system_settings.organization,
-            message: 'Organization settings updated successfully' 
+        broadcast({
+            type: 'trash_restored',
+            entity: entry.entity,
+            program: entry.program,
+            record: restored,
+            database: updatedDatabase,
+            message: `Restored ${entry.entity} from trash`
+        });
+        res.json({
+            success: true,
+            data: restored,
+            message: `Restored ${entry.entity} from trash`
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save organization settings' });
+        res.status(500).json({ success: false, message: 'Failed to restore from trash' });
     }
 });
 
-// Update forex settings
-app.put('/api/settings/forex', (req, res) => {
-    const forexSettings = req.body;
+// Permanently delete one trashed record
+app.delete('/api/trash/:trashId', (req, res) => {
+    const trashId = parseInt(req.params.trashId);
+    
+    if (!isTrashPurgeAllowed()) {
+        return res.status(403).json({ success: false, message: TRASH_PURGE_DISABLED_MESSAGE });
+    }
     
     let database = loadDatabase();
     
-    if (!database.system_settings) {
-        database.system_settings = {};
-    }
+    const entry = (database.trash || []).find(t => t.trash_id === trashId);
     
-    if (!database.system_settings.forex) {
-        database.system_settings.forex = {};
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Trash item not found' });
     }
     
-    Object.assign(database.system_settings.forex, forexSettings);
+    database.trash = database.trash.filter(t => t.trash_id !== trashId);
     
     if (saveDatabase(database)) {
+        deletePurgedReceiptFiles([entry]);
         const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'trash', operation: 'purge', details: { reason: 'manual', trash_ids: [trashId] } });
         broadcast({
-            type: 'forex_settings_updated',
-            settings: database.system_settings.forex,
+            type: 'trash_purged',
+            trash_ids: [trashId],
             database: updatedDatabase,
-            message: 'Forex settings updated successfully'
-        });
-        res.json({ 
-            success: true, 
-            data: database.system_settings.forex,
-            message: 'Forex settings updated successfully' 
+            message: 'Trash item permanently deleted'
         });
+        res.json({ success: true, message: 'Trash item permanently deleted' });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save forex settings' });
+        res.status(500).json({ success: false, message: 'Failed to purge trash item' });
     }
 });
 
-// Update notification settings
-app.put('/api/settings/notifications', (req, res) => {
-    const notificationSettings = req.body;
-    
-    let database = loadDatabase();
-    
-    if (!database.system_settings) {
-        database.system_settings = {};
+// Empty the trash (?expired=true only removes items past the retention period)
+app.delete('/api/trash', (req, res) => {
+    if (!isTrashPurgeAllowed()) {
+        return res.status(403).json({ success: false, message: TRASH_PURGE_DISABLED_MESSAGE });
     }
     
-    if (!database.system_settings.notifications) {
-        database.system_settings.notifications = {};
-    }
+    let database = loadDatabase();
     
-    Object.assign(database.system_settings.notifications, notificationSettings);
+    const purged = req.query.expired === 'true' ? findExpiredTrash(database) : (database.trash || []);
+    const purgedIds = purged.map(entry => entry.trash_id);
+    database.trash = (database.trash || []).filter(entry => !purgedIds.includes(entry.trash_id));
     
     if (saveDatabase(database)) {
+        deletePurgedReceiptFiles(purged);
         const updatedDatabase = loadDatabase();
+        recordAudit(req, { entity: 'trash', operation: 'purge', details: { reason: 'manual', trash_ids: purgedIds } });
         broadcast({
-            type: 'notification_settings_updated',
-            settings: database.system_settings.notifications,
+            type: 'trash_purged',
+            trash_ids: purgedIds,
             database: updatedDatabase,
-            message: 'Notification settings updated successfully'
+            message: `${purgedIds.length} trash item(s) permanently deleted`
         });
-        res.json({ 
-            success: true, 
-            data: database.system_settings.notifications,
-            message: 'Notification settings updated successfully' 
+        res.json({
+            success: true,
+            purged: purgedIds.length,
+            message: `${purgedIds.length} trash item(s) permanently deleted`
         });
     } else {
-        res.status(500).json({ success: false, message: 'Failed to save notification settings' });
-    }
-});
-
-// Upload logo
-app.post('/api/settings/logo', upload.single('logo'), (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'No logo file provided' });
-        }
-        
-        const logoUrl = `/uploads/${req.file.filename}`;
-        
-        let database = loadDatabase();
-        
-        if (!database.system_settings) {
-            database.system_settings = {};
-        }
-        
-        if (!database.system_settings.organization) {
-            database.system_settings.organization = {};
-        }
-        
-        database.system_settings.organization.logo = logoUrl;
-        
-        if (saveDatabase(database)) {
-            const updatedDatabase = loadDatabase();
-            broadcast({
-                type: 'logo_updated',
-                logo: logoUrl,
-                database: updatedDatabase,
-                message: 'Logo updated successfully'
-            });
-            res.json({ 
-                success: true,
-                logoUrl: logoUrl,
-                message: 'Logo uploaded successfully' 
-            });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to save logo' });
-        }
-    } catch (error) {
-        console.error('Logo upload error:', error);
-        res.status(500).json({ success: false, message: 'Failed to upload logo' });
+        res.status(500).json({ success: false, message: 'Failed to empty trash' });
     }
 });
 
-// ===== ANALYTICS AND REPORTS =====
+// ===== AUDIT ROUTES =====
 
-// Get analytics data
-app.get('/api/analytics', (req, res) => {
-    const database = loadDatabase();
-    const analytics = calculateAnalytics(database);
+// Query the audit trail: ?entity=&entity_id=&program=&user=&operation=&from=&to=&limit=
+app.get('/api/audit', (req, res) => {
+    const invalidDate = ['from', 'to'].find(key => req.query[key] !== undefined &&
+        (typeof req.query[key] !== 'string' || isNaN(new Date(req.query[key]).getTime())));
+    if (invalidDate) {
+        return res.status(400).json({ success: false, message: `${invalidDate} must be a date or timestamp` });
+    }
+    
+    const limit = parseInt(req.query.limit) || 500;
+    const entries = filterAuditEntries(dataStore.readAudit(), req.query).reverse();
     
     res.json({
         success: true,
-        data: analytics,
-        message: 'Analytics data loaded successfully'
+        data: entries.slice(0, limit),
+        total: entries.length,
+        message: 'Audit trail loaded successfully'
     });
 });
 
-// Generate financial report
-app.get('/api/reports/financial', (req, res) => {
-    const database = loadDatabase();
-    const report = generateFinancialReport(database);
+// Full history of one record, oldest first
+app.get('/api/audit/:entity/:entityId', (req, res) => {
+    const entries = filterAuditEntries(dataStore.readAudit(), {
+        entity: req.params.entity,
+        entity_id: req.params.entityId,
+        program: req.query.program
+    });
     
     res.json({
         success: true,
-        data: report,
-        message: 'Financial report generated successfully'
+        data: entries,
+        message: `History for ${req.params.entity} ${req.params.entityId} loaded successfully`
     });
 });
 
-// ===== ENHANCED IMPORT/EXPORT ROUTES =====
-
-// Export data to JSON
-app.get('/api/export/json', (req, res) => {
-    const database = loadDatabase();
-    const timestamp = new Date().toISOString().split('T')[0];
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename=sponsorship_data_${timestamp}.json`);
-    res.send(JSON.stringify(database, null, 2));
-});
-
-// Import data from JSON
-app.post('/api/import/json', (req, res) => {
-    try {
-        const importedData = req.body;
-        
-        if (!importedData || typeof importedData !== 'object') {
-            return res.status(400).json({ success: false, message: 'Invalid data format' });
-        }
-        
-        console.log('Processing JSON import:', importedData.type);
-        
-        let database = loadDatabase();
-        
-        // Integrate imported data
-        const mergeStrategy = req.query.merge || 'replace';
-        database = integrateImportedData(database, importedData, importedData.type, mergeStrategy);
-        
-        if (saveDatabase(database)) {
-            const updatedDatabase = loadDatabase();
-            broadcast({
-                type: 'database_imported',
-                database: updatedDatabase,
-                message: 'Data imported successfully'
-            });
-            res.json({ 
-                success: true, 
-                message: 'Data imported successfully',
-                records: importedData.metadata.total_records
-            });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to save imported data' });
-        }
-    } catch (error) {
-        console.error('Import error:', error);
-        res.status(500).json({ success: false, message: error.message });
-    }
-});
-
-// Enhanced Excel import endpoint
-app.post('/api/import/excel', upload.single('file'), (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'No file uploaded' });
-        }
-        
-        const importType = req.body.type || 'all';
-        const mergeStrategy = req.body.merge || 'replace';
-        
-        console.log(`Processing Excel import: ${importType} with ${mergeStrategy} strategy`);
-        
-        // Read the uploaded file
-        const fileBuffer = fs.readFileSync(req.file.path);
-        
-        // Process Excel file
-        const importedData = processExcelImport(fileBuffer, importType);
-        
-        // Load current database
-        let database = loadDatabase();
-        
-        // Integrate imported data
-        database = integrateImportedData(database, importedData, importType, mergeStrategy);
-        
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
-        
-        // Save updated database
-        if (saveDatabase(database)) {
-            const updatedDatabase = loadDatabase();
-            broadcast({
-                type: 'database_imported',
-                database: updatedDatabase,
-                message: 'Excel data imported successfully'
-            });
-            
-            res.json({
-                success: true,
-                message: 'Excel file imported successfully',
-                records: importedData.metadata.total_records,
-                type: importType,
-                merge_strategy: mergeStrategy
-            });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to save imported data' });
-        }
-        
-    } catch (error) {
-        console.error('Excel import error:', error);
-        res.status(500).json({ success: false, message: error.message });
-    }
-});
-
-// Generate sample Excel templates
-app.get('/api/export/template/:type', (req, res) => {
-    try {
-        const type = req.params.type;
-        const wb = XLSX.utils.book_new();
-        
-        switch (type) {
-            case 'students':
-                generateStudentsTemplate(wb);
-                break;
-            case 'sponsors':
-                generateSponsorsTemplate(wb);
-                break;
-            case 'expenses':
-                generateExpensesTemplate(wb);
-                break;
-            case 'all':
-                generateStudentsTemplate(wb);
-                generateSponsorsTemplate(wb);
-                generateExpensesTemplate(wb);
-                break;
-            default:
-                return res.status(400).json({ success: false, message: 'Invalid template type' });
-        }
-        
-        const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
-        
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', `attachment; filename=sponsorship_${type}_template.xlsx`);
-        res.send(buffer);
-        
-    } catch (error) {
-        console.error('Template generation error:', error);
-        res.status(500).json({ success: false, message: 'Failed to generate template' });
-    }
-});
-
 // ===== HELPER FUNCTIONS =====
 
-function calculateSponsorStatistics(database) {
+function calculateSponsorStatistics(database, date = todayISO(), currency) {
+    const reportingCurrency = getReportingCurrency(database, currency);
     let totalSponsors = 0;
     let activeSponsors = 0;
     let totalMonthlyFunding = 0;
+    const fundingByCurrency = {};
+    const unconverted = new Set();
     const programStats = {};
     
     Object.entries(database.sponsorship_registry).forEach(([program, registry]) => {
@@ -1860,15 +10655,20 @@ function calculateSponsorStatistics(database) {
             ).length;
             activeSponsors += programActiveSponsors;
             
-            const programFunding = registry.students
-                .filter(s => s.sponsorship_status === 'active' || !s.sponsorship_status)
-                .reduce((sum, student) => sum + (parseFloat(student.amount) || 0), 0);
-            totalMonthlyFunding += programFunding;
+            const programFunding = sumInCurrency(database,
+                registry.students.filter(s => s.sponsorship_status === 'active' || !s.sponsorship_status),
+                reportingCurrency, date);
+            totalMonthlyFunding += programFunding.total;
+            Object.entries(programFunding.by_currency).forEach(([code, amount]) => {
+                fundingByCurrency[code] = (fundingByCurrency[code] || 0) + amount;
+            });
+            programFunding.unconverted.forEach(code => unconverted.add(code));
             
             programStats[program] = {
                 total_sponsors: programSponsors,
                 active_sponsors: programActiveSponsors,
-                monthly_funding: programFunding
+                monthly_funding: programFunding.total,
+                monthly_funding_by_currency: programFunding.by_currency
             };
         }
     });
@@ -1877,23 +10677,36 @@ function calculateSponsorStatistics(database) {
         total_sponsors: totalSponsors,
         active_sponsors: activeSponsors,
         total_monthly_funding: totalMonthlyFunding,
+        monthly_funding_by_currency: fundingByCurrency,
+        reporting_currency: reportingCurrency,
+        unconverted_currencies: [...unconverted],
         program_stats: programStats
     };
 }
 
-function calculateFinancialSummary(db) {
-    const totalIncomeEUR = db.metadata.programs_summary?.total_monthly_funding_euros || 0;
-    const totalIncomeUGX = totalIncomeEUR * EXCHANGE_RATE;
+function calculateFinancialSummary(db, date = todayISO(), currency) {
+    const exchangeRate = getExchangeRate(db, 'EUR', 'UGX', date);
+    const reportingCurrency = getReportingCurrency(db, currency);
+    const activeSponsorships = Object.values(db.sponsorship_registry).flatMap(registry =>
+        (registry.students || []).filter(s => s.sponsorship_status === 'active' || !s.sponsorship_status)
+    );
+    const pledged = sumInCurrency(db, activeSponsorships, 'EUR', date);
+    // Income is the money actually received in the report month, not what was pledged
+    const incomePeriod = monthOf(date);
+    const income = sumReceivedInMonth(db, incomePeriod, 'EUR');
+    const totalIncomeEUR = income.total;
+    const totalIncomeUGX = totalIncomeEUR * exchangeRate.rate;
     
     // Calculate total costs from all programs
     let totalCostsUGX = 0;
     Object.values(db.sponsorship_programs).forEach(program => {
         totalCostsUGX += program.metadata?.monthly_costs_ugx || 0;
     });
-    const totalCostsEUR = totalCostsUGX / EXCHANGE_RATE;
+    const totalCostsEUR = totalCostsUGX / exchangeRate.rate;
     
     const totalDeficitUGX = totalIncomeUGX - totalCostsUGX;
-    const totalDeficitEUR = totalDeficitUGX / EXCHANGE_RATE;
+    const totalDeficitEUR = totalDeficitUGX / exchangeRate.rate;
+    const toReporting = convertAmount(db, 1, 'EUR', reportingCurrency, date);
     
     return {
         totalStudents: db.metadata.programs_summary?.total_students_across_all_programs || 0,
@@ -1902,11 +10715,26 @@ function calculateFinancialSummary(db) {
         totalCostsEUR,
         totalCostsUGX,
         totalDeficitEUR,
-        totalDeficitUGX
+        totalDeficitUGX,
+        reportingCurrency,
+        totalIncome: totalIncomeEUR * toReporting,
+        totalCosts: totalCostsEUR * toReporting,
+        totalDeficit: totalDeficitEUR * toReporting,
+        incomeBasis: 'received',
+        incomePeriod,
+        incomeByCurrency: income.by_currency,
+        pledgedIncomeEUR: pledged.total,
+        pledgedIncome: pledged.total * toReporting,
+        pledgedByCurrency: pledged.by_currency,
+        unconvertedCurrencies: [...new Set([...income.unconverted, ...pledged.unconverted])],
+        exchangeRate
     };
 }
 
-function calculateFundingGap(db) {
+function calculateFundingGap(db, date = todayISO(), currency) {
+    const exchangeRate = getExchangeRate(db, 'EUR', 'UGX', date);
+    const reportingCurrency = getReportingCurrency(db, currency);
+    const toReporting = convertAmount(db, 1, 'EUR', reportingCurrency, date);
     const programs = Object.keys(db.sponsorship_programs);
     const gaps = [];
     
@@ -1915,14 +10743,17 @@ function calculateFundingGap(db) {
         const registryData = db.sponsorship_registry[program];
         
         if (programData) {
-            const incomeEUR = registryData?.metadata?.total_monthly_funding || 0;
-            const incomeUGX = incomeEUR * EXCHANGE_RATE;
+            const income = sumInCurrency(db,
+                (registryData?.students || []).filter(s => s.sponsorship_status === 'active' || !s.sponsorship_status),
+                'EUR', date);
+            const incomeEUR = income.total;
+            const incomeUGX = incomeEUR * exchangeRate.rate;
             
             const costsUGX = programData.metadata?.monthly_costs_ugx || 0;
-            const costsEUR = costsUGX / EXCHANGE_RATE;
+            const costsEUR = costsUGX / exchangeRate.rate;
             
             const deficitUGX = incomeUGX - costsUGX;
-            const deficitEUR = deficitUGX / EXCHANGE_RATE;
+            const deficitEUR = deficitUGX / exchangeRate.rate;
             
             gaps.push({
                 name: program,
@@ -1932,18 +10763,25 @@ function calculateFundingGap(db) {
                 costsUGX,
                 deficitEUR,
                 deficitUGX,
+                income: incomeEUR * toReporting,
+                costs: costsEUR * toReporting,
+                deficit: deficitEUR * toReporting,
+                incomeByCurrency: income.by_currency,
                 studentCount: programData.metadata?.total_students || 0
             });
         }
     });
     
     const totalDeficitUGX = gaps.reduce((sum, gap) => sum + gap.deficitUGX, 0);
-    const totalDeficitEUR = totalDeficitUGX / EXCHANGE_RATE;
+    const totalDeficitEUR = totalDeficitUGX / exchangeRate.rate;
     
     return {
         programs: gaps,
         totalDeficitEUR,
-        totalDeficitUGX
+        totalDeficitUGX,
+        reportingCurrency,
+        totalDeficit: totalDeficitEUR * toReporting,
+        exchangeRate
     };
 }
 
@@ -1971,9 +10809,10 @@ function calculateAnalytics(db) {
     // Expense breakdown
     if (db.daily_expenses) {
         const categories = {};
-        db.daily_expenses.forEach(expense => {
+        db.daily_expenses.filter(isCountedExpense).forEach(expense => {
             const category = expense.category || 'other';
-            categories[category] = (categories[category] || 0) + (expense.amount || 0);
+            const amount = sumInCurrency(db, [expense], 'UGX', expense.date || todayISO(), DEFAULT_EXPENSE_CURRENCY);
+            categories[category] = (categories[category] || 0) + amount.total;
         });
         analytics.expense_breakdown = categories;
     }
@@ -1991,17 +10830,20 @@ function calculateAnalytics(db) {
     return analytics;
 }
 
-function generateFinancialReport(db) {
-    const financialSummary = calculateFinancialSummary(db);
-    const fundingGap = calculateFundingGap(db);
-    const sponsorStats = calculateSponsorStatistics(db);
+function generateFinancialReport(db, date = todayISO(), currency) {
+    const financialSummary = calculateFinancialSummary(db, date, currency);
+    const fundingGap = calculateFundingGap(db, date, currency);
+    const sponsorStats = calculateSponsorStatistics(db, date, currency);
     
     return {
         summary: financialSummary,
         funding_gap: fundingGap,
         sponsor_statistics: sponsorStats,
         generated_at: new Date().toISOString(),
-        exchange_rate: EXCHANGE_RATE
+        report_date: date,
+        reporting_currency: financialSummary.reportingCurrency,
+        exchange_rate: financialSummary.exchangeRate.rate,
+        exchange_rate_used: financialSummary.exchangeRate
     };
 }
 
@@ -2051,6 +10893,7 @@ function generateSponsorsTemplate(wb) {
                 'Sponsor Name': 'Example Sponsor 1',
                 'Sponsored Student': 'Example Student 1',
                 'Amount (EUR)': 70,
+                'Currency': 'EUR',
                 'Status': 'active',
                 'Category': 'Individual',
                 'Start Date': new Date().toISOString().split('T')[0],
@@ -2060,6 +10903,7 @@ function generateSponsorsTemplate(wb) {
                 'Sponsor Name': 'Example Sponsor 2',
                 'Sponsored Student': 'Example Student 2',
                 'Amount (EUR)': 100,
+                'Currency': 'EUR',
                 'Status': 'active',
                 'Category': 'Organization',
                 'Start Date': new Date().toISOString().split('T')[0],
@@ -2079,21 +10923,24 @@ function generateExpensesTemplate(wb) {
             'Student': 'Example Student 1',
             'Category': 'school',
             'Description': 'School fees payment',
-            'Amount (UGX)': 50000
+            'Amount (UGX)': 50000,
+            'Currency': 'UGX'
         },
         {
             'Date': new Date().toISOString().split('T')[0],
             'Student': 'Example Student 2',
             'Category': 'medical',
             'Description': 'Medical treatment',
-            'Amount (UGX)': 25000
+            'Amount (UGX)': 25000,
+            'Currency': 'UGX'
         },
         {
             'Date': new Date().toISOString().split('T')[0],
             'Student': 'Example Student 1',
             'Category': 'transport',
             'Description': 'Transport to school',
-            'Amount (UGX)': 15000
+            'Amount (UGX)': 15000,
+            'Currency': 'UGX'
         }
     ];
     
@@ -2118,17 +10965,64 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-server.listen(PORT, () => {
-    console.log('🚀 Sponsorship Management System with Enhanced Import Functionality');
-    console.log(`📍 Local: http://localhost:${PORT}`);
-    console.log(`💾 Database: ${DB_FILE}`);
-    console.log(`📁 Uploads: ${UPLOADS_DIR}`);
-    console.log(`🔗 WebSockets: Enabled for real-time updates`);
-    console.log(`💰 Exchange Rate: 1 EUR = ${EXCHANGE_RATE} UGX`);
-    console.log(`📊 Import Features: Excel file processing, template generation`);
-    console.log('✅ Server running successfully!');
-    
-    // Initialize database file if it doesn't exist
-    loadDatabase();
-});
+// Started directly (node server.js); tests require the module for its functions
+if (require.main === module) {
+    // Startup integrity check: refuse to start rather than serve an empty database
+    const integrity = dataStore.verify();
+    if (!integrity.ok) {
+        console.error(`❌ ${integrity.error}`);
+        console.error(`Corrupt files are kept in ${QUARANTINE_DIR}; restore a copy by hand before restarting.`);
+        process.exit(1);
+    }
+
+    try {
+        runStartupMigrations();
+        const schemaIssues = validateDatabaseDocument(loadDatabase());
+        if (schemaIssues.length > 0) {
+            console.warn(`⚠️ ${schemaIssues.length} schema issue(s) found; see GET /api/schema/validate`);
+        }
+    } catch (error) {
+        console.error('❌ Schema migration failed:', error.message);
+        process.exit(1);
+    }
+
+    // Start server
+    server.listen(PORT, () => {
+        console.log('🚀 Sponsorship Management System with Enhanced Import Functionality');
+        console.log(`📍 Local: http://localhost:${PORT}`);
+        console.log(`💾 Database: ${dataStore.location} (${dataStore.name} storage)`);
+        console.log(`📁 Uploads: ${UPLOADS_DIR}`);
+        console.log(`🗄️ Snapshots: ${SNAPSHOTS_DIR}`);
+        console.log(`🔗 WebSockets: Enabled for real-time updates`);
+        const currentRate = getExchangeRate(loadDatabase(), 'EUR', 'UGX');
+        console.log(`💰 Exchange Rate: 1 EUR = ${currentRate.rate} UGX (${currentRate.source}${currentRate.effective_date ? `, since ${currentRate.effective_date}` : ''})`);
+        const currentPeriod = getCurrentPeriod(loadDatabase());
+        console.log(`📅 Current Period: ${currentPeriod ? `${currentPeriod.name} (${currentPeriod.start_date} to ${currentPeriod.end_date})` : 'none'}`);
+        console.log(`📊 Import Features: Excel file processing, template generation`);
+        console.log('✅ Server running successfully!');
+        
+        // Initialize database file if it doesn't exist
+        loadDatabase();
+        startSnapshotScheduler();
+        startTrashPurgeScheduler();
+    });
+}
+
+module.exports = {
+    app,
+    loadDatabase,
+    saveDatabase,
+    withWriteLock,
+    migrateDatabaseDocument,
+    CURRENT_SCHEMA_VERSION,
+    parseFormula,
+    evaluateFormula,
+    resolveFormulaFields,
+    parseStatementAmount,
+    parseStatementDate,
+    statementDirection,
+    detectStatementFormat,
+    parseStatementFile,
+    statementCandidates,
+    autoMatchStatementLines
+};
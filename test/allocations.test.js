@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const allocate = allocation => request('POST', '/api/registry/CH/students', allocation);
+
+test.before(() => {
+    const database = loadDatabase();
+    // 205000 UGX a month is 50 EUR at the fallback rate of 4100
+    database.sponsorship_programs.CH.students = [
+        { id: 'STU-00001', serial_number: 1, full_name: 'ATUHIRE ALVIN', financial_data: { food: 205000 } },
+        { id: 'STU-00002', serial_number: 2, full_name: 'NAKIYINGI JOANITAH', financial_data: { food: 205000 } },
+        { id: 'STU-00003', serial_number: 3, full_name: 'OKELLO BRIAN', financial_data: { food: 205000 } }
+    ];
+    saveDatabase(database);
+});
+
+test('shares derive their amount and may not exceed the student cost', async () => {
+    const first = await allocate({ student_id: 'STU-00001', sponsor: 'Anna Berg', currency: 'EUR', share_percent: 60 });
+    assert.strictEqual(first.status, 200, first.body.message);
+    const entry = loadDatabase().sponsorship_registry.CH.students.find(s => s.id === first.body.data.id);
+    assert.strictEqual(entry.amount, 30);
+
+    const tooMuch = await allocate({ student_id: 'STU-00001', sponsor: 'Kirche Leer', currency: 'EUR', share_percent: 50 });
+    assert.strictEqual(tooMuch.status, 400);
+    assert.match(tooMuch.body.message, /110%/);
+    assert.strictEqual((await allocate({ student_id: 'STU-00001', sponsor: 'Kirche Leer', currency: 'EUR', share_percent: 0 })).status, 400);
+
+    const rest = await allocate({ student_id: 'STU-00001', sponsor: 'Kirche Leer', currency: 'EUR', share_percent: 40 });
+    assert.strictEqual(rest.status, 200, rest.body.message);
+
+    const raised = await request('PUT', `/api/registry/CH/students/${first.body.data.id}`, { share_percent: 70 });
+    assert.strictEqual(raised.status, 400);
+});
+
+test('ended shares do not count towards the cap', async () => {
+    const ended = await allocate({ student_id: 'STU-00002', sponsor: 'Kirche Leer', currency: 'EUR', share_percent: 80, sponsorship_status: 'inactive' });
+    assert.strictEqual(ended.status, 200, ended.body.message);
+    const share = await allocate({ student_id: 'STU-00002', sponsor: 'Kirche Leer', currency: 'EUR', share_percent: 50 });
+    assert.strictEqual(share.status, 200, share.body.message);
+});
+
+test('the students list shows coverage and funding status', async () => {
+    const list = await request('GET', '/api/programs/CH/students-list');
+    assert.strictEqual(list.status, 200);
+    const byId = Object.fromEntries(list.body.data.map(student => [student.id, student]));
+    assert.strictEqual(byId['STU-00001'].funding_status, 'funded');
+    assert.strictEqual(byId['STU-00001'].sponsors.length, 2);
+    assert.strictEqual(byId['STU-00002'].funding_status, 'partial');
+    assert.strictEqual(byId['STU-00002'].coverage_percent, 50);
+    assert.strictEqual(byId['STU-00003'].funding_status, 'unsponsored');
+    assert.deepStrictEqual(list.body.summary, { funded: 1, partial: 1, unsponsored: 1 });
+
+    const partial = await request('GET', '/api/programs/CH/students-list?status=partial');
+    assert.deepStrictEqual(partial.body.data.map(student => student.id), ['STU-00002']);
+    assert.strictEqual((await request('GET', '/api/programs/CH/students-list?status=rich')).status, 400);
+});
+
+test('sponsors are listed with all their students', async () => {
+    const sponsors = await request('GET', '/api/sponsors');
+    const kirche = sponsors.body.data.find(sponsor => sponsor.sponsor === 'Kirche Leer');
+    assert.strictEqual(kirche.student_count, 2);
+    assert.strictEqual(kirche.active_allocations, 2);
+    assert.strictEqual(kirche.monthly_total_eur, 45);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body, user = 'Clerk') {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-User': user },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function setStatus(expenseId, status, user, extra = {}) {
+    return request('POST', `/api/expenses/${expenseId}/status`, { status, ...extra }, user);
+}
+
+async function submittedExpense(amount) {
+    const created = await request('POST', '/api/expenses', {
+        date: '2026-02-01', category: 'food', description: 'Beans', amount, currency: 'UGX', status: 'submitted'
+    });
+    assert.strictEqual(created.status, 200, created.body.message);
+    return created.body.data;
+}
+
+test.before(async () => {
+    const saved = await request('PUT', '/api/settings/expense-approval', {
+        approvers: [
+            { name: 'Small', programs: [], max_amount_ugx: 100000 },
+            { name: 'Large', programs: [], max_amount_ugx: null }
+        ]
+    });
+    assert.strictEqual(saved.status, 200, saved.body.message);
+});
+
+test('a submitted expense is assigned to the first approver covering its amount', async () => {
+    assert.strictEqual((await submittedExpense(50000)).approver, 'Small');
+    assert.strictEqual((await submittedExpense(500000)).approver, 'Large');
+});
+
+test('only a covering approver other than the submitter may approve', async () => {
+    const expense = await submittedExpense(500000);
+
+    assert.strictEqual((await setStatus(expense.id, 'approved', 'Small')).status, 403);
+    assert.strictEqual((await setStatus(expense.id, 'approved', 'Someone')).status, 403);
+
+    const approved = await setStatus(expense.id, 'approved', 'Large');
+    assert.strictEqual(approved.status, 200, approved.body.message);
+    assert.strictEqual(approved.body.data.reviewed_by, 'Large');
+    assert.deepStrictEqual(approved.body.data.status_history.map(entry => entry.to), ['draft', 'submitted', 'approved']);
+});
+
+test('an approver cannot approve an expense they submitted', async () => {
+    const created = await request('POST', '/api/expenses', {
+        date: '2026-02-01', category: 'food', description: 'Rice', amount: 20000, currency: 'UGX', status: 'submitted'
+    }, 'Small');
+    const refused = await setStatus(created.body.data.id, 'approved', 'Small');
+    assert.strictEqual(refused.status, 403);
+    assert.match(refused.body.message, /submitted them/);
+});
+
+test('rejection needs a comment and the expense can then be resubmitted', async () => {
+    const expense = await submittedExpense(30000);
+
+    assert.strictEqual((await setStatus(expense.id, 'rejected', 'Small')).status, 400);
+    const rejected = await setStatus(expense.id, 'rejected', 'Small', { comment: 'No receipt' });
+    assert.strictEqual(rejected.status, 200);
+    assert.strictEqual(rejected.body.data.status_history.at(-1).comment, 'No receipt');
+
+    assert.strictEqual((await setStatus(expense.id, 'submitted', 'Clerk')).status, 200);
+});
+
+test('transitions outside the workflow are refused', async () => {
+    const expense = await submittedExpense(40000);
+
+    assert.strictEqual((await setStatus(expense.id, 'paid', 'Small')).status, 409);
+    assert.strictEqual((await setStatus(expense.id, 'approved', 'Small')).status, 200);
+    assert.strictEqual((await setStatus(expense.id, 'submitted', 'Clerk')).status, 409);
+    assert.strictEqual((await setStatus(expense.id, 'paid', 'Clerk')).status, 200);
+    assert.strictEqual((await setStatus(expense.id, 'draft', 'Clerk')).status, 409);
+});
+
+test('the approval queue lists the submitted expenses assigned to an approver', async () => {
+    const queue = (await request('GET', '/api/expenses/approvals?approver=Small')).body.data;
+    const assigned = loadDatabase().daily_expenses.filter(expense => expense.status === 'submitted' && expense.approver === 'Small');
+    assert.deepStrictEqual(queue.map(expense => expense.id).sort(), assigned.map(expense => expense.id).sort());
+    assert.ok(queue.length > 0);
+    assert.ok(queue.some(expense => expense.submitted_by === 'Small'));
+});
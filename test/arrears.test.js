@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_registry.CH = {
+        students: [
+            { id: 'SPN-00001', cid: 1, full_name: 'Alvin', sponsor: 'Krech', amount: 100, currency: 'EUR', start_date: '2026-01-01', sponsorship_status: 'active' },
+            { id: 'SPN-00002', cid: 2, full_name: 'Joanitah', sponsor: 'Lang', amount: 50, currency: 'EUR', start_date: '2026-04-01', sponsorship_status: 'active' },
+            { id: 'SPN-00003', cid: 3, full_name: 'Destiny', sponsor: 'Krech', amount: 10, currency: 'EUR', start_date: '2025-12-01', sponsorship_status: 'active' },
+            { id: 'SPN-00004', cid: 4, full_name: 'Brian', sponsor: 'Okello', amount: 80, currency: 'EUR', start_date: '2026-01-01', sponsorship_status: 'inactive' }
+        ]
+    };
+    database.payments = [
+        { id: 'PAY-00001', sponsorship_id: 'SPN-00001', date: '2026-02-10', amount: 150, currency: 'EUR', method: 'bank_transfer' },
+        { id: 'PAY-00002', sponsorship_id: 'SPN-00002', date: '2026-04-05', amount: 50, currency: 'EUR', method: 'bank_transfer' }
+    ];
+    saveDatabase(database);
+});
+
+test('payments settle the oldest months first and the rest is aged from each due date', async () => {
+    const report = (await request('GET', '/api/reports/arrears?as_of=2026-05-15&currency=EUR')).body.data;
+    const alvin = report.sponsorships.find(item => item.sponsorship_id === 'SPN-00001');
+
+    // January and half of February are paid; February (76 days), March (45) and April (15) are open
+    assert.strictEqual(alvin.outstanding, 250);
+    assert.strictEqual(alvin.months_open, 3);
+    assert.strictEqual(alvin.days_overdue, 76);
+    assert.deepStrictEqual(alvin.buckets, { '0-30': 100, '31-60': 100, '61-90': 50, '90+': 0 });
+    assert.strictEqual(alvin.flagged, true);
+
+    const destiny = report.sponsorships.find(item => item.sponsorship_id === 'SPN-00003');
+    // December and January are both more than 90 days overdue
+    assert.strictEqual(destiny.buckets['90+'], 20);
+    assert.strictEqual(destiny.days_overdue, 135);
+});
+
+test('paid-up and inactive sponsorships are not in arrears', async () => {
+    const report = (await request('GET', '/api/reports/arrears?as_of=2026-05-15&currency=EUR')).body.data;
+    assert.deepStrictEqual(report.sponsorships.map(item => item.sponsorship_id).sort(), ['SPN-00001', 'SPN-00003']);
+    assert.deepStrictEqual(report.totals.buckets, { '0-30': 110, '31-60': 110, '61-90': 60, '90+': 20 });
+    assert.deepStrictEqual(report.by_sponsor.map(group => [group.sponsor, group.sponsorships, group.outstanding]), [['Krech', 2, 300]]);
+});
+
+test('settings limit how far back arrears are chased', async () => {
+    const saved = await request('PUT', '/api/settings/arrears', { lookback_months: 12, flag_after_days: 30, tracking_start: '2026-03-01' });
+    assert.strictEqual(saved.status, 200, saved.body.message);
+    const report = (await request('GET', '/api/reports/arrears?as_of=2026-05-15&currency=EUR')).body.data;
+    // From March on the February payment no longer counts, and the older months are not chased
+    const alvin = report.sponsorships.find(item => item.sponsorship_id === 'SPN-00001');
+    assert.strictEqual(alvin.months_open, 2);
+    assert.strictEqual(report.totals.buckets['90+'], 0);
+});
+
+test('an impossible as_of date is rejected', async () => {
+    assert.strictEqual((await request('GET', '/api/reports/arrears?as_of=2026-02-30')).status, 400);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body, user) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(user ? { 'X-User': user } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+let sponsorshipId;
+
+test.before(async () => {
+    const student = await request('POST', '/api/programs/CH/students', { full_name: 'ATUHIRE ALVIN' }, 'Grace');
+    const created = await request('POST', '/api/registry/CH/students', { student_id: student.body.data.id, sponsor: 'Krech Norbert', amount: 70 }, 'Grace');
+    assert.strictEqual(created.status, 200, created.body.message);
+    sponsorshipId = created.body.data.id;
+    await request('PUT', `/api/registry/CH/students/${sponsorshipId}`, { amount: 40 }, 'Peter');
+    await request('POST', '/api/events', { id: 1, title: 'Sports day', date: '2026-03-01' });
+});
+
+test('an update records who changed which field from what to what', async () => {
+    const history = (await request('GET', `/api/audit/sponsorship/${sponsorshipId}`)).body.data;
+    assert.deepStrictEqual(history.map(entry => [entry.operation, entry.actor]), [['create', 'Grace'], ['update', 'Peter']]);
+    assert.strictEqual(history[0].program, 'CH');
+
+    const amountChange = history[1].changes.find(change => change.field === 'amount');
+    assert.deepStrictEqual(amountChange, { field: 'amount', before: 70, after: 40 });
+    // Version bumps are not reported as changes
+    assert.ok(!history[1].changes.some(change => change.field === 'version'));
+});
+
+test('the trail filters by entity, user and date and lists newest first', async () => {
+    const byUser = (await request('GET', '/api/audit?user=Peter')).body.data;
+    assert.deepStrictEqual(byUser.map(entry => entry.operation), ['update']);
+
+    const events = (await request('GET', '/api/audit?entity=event')).body;
+    assert.strictEqual(events.total, 1);
+    assert.strictEqual(events.data[0].actor, 'anonymous');
+
+    const all = (await request('GET', '/api/audit')).body.data;
+    assert.ok(all[0].id > all[all.length - 1].id);
+
+    assert.strictEqual((await request('GET', '/api/audit?to=2000-01-01')).body.total, 0);
+    assert.strictEqual((await request('GET', '/api/audit?from=not-a-date')).status, 400);
+});
+
+test('entries are only appended', async () => {
+    const before = (await request('GET', '/api/audit')).body.data;
+    await request('PUT', `/api/registry/CH/students/${sponsorshipId}`, { amount: 45 }, 'Peter');
+    const after = (await request('GET', '/api/audit')).body.data;
+    assert.strictEqual(after.length, before.length + 1);
+    assert.deepStrictEqual(after.slice(1), before);
+});
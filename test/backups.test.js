@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Snapshot ids are millisecond timestamps
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+let backupId;
+
+test('a snapshot lists and diffs against the live data', async () => {
+    await request('POST', '/api/events', { id: 1, title: 'Sports day', date: '2026-03-01' });
+    const created = await request('POST', '/api/backups');
+    assert.strictEqual(created.status, 200);
+    backupId = created.body.data.id;
+    assert.strictEqual(created.body.data.reason, 'manual');
+
+    await tick();
+    await request('POST', '/api/events', { id: 2, title: 'Prize giving', date: '2026-04-01' });
+    await request('PUT', '/api/events/1', { title: 'Sports day (moved)' });
+
+    const diff = (await request('GET', `/api/backups/${backupId}/diff`)).body.data;
+    assert.deepStrictEqual(diff.sections.events.added.map(event => event.id), [2]);
+    assert.deepStrictEqual(diff.sections.events.changed.map(change => change.key), ['1']);
+    assert.ok(diff.sections.events.changed[0].changes.some(change => change.field === 'title' && change.after === 'Sports day (moved)'));
+
+    const listed = (await request('GET', '/api/backups')).body.data;
+    assert.ok(listed.some(snapshot => snapshot.id === backupId));
+});
+
+test('restoring a snapshot brings its data back and keeps a safety copy', async () => {
+    await tick();
+    const restored = await request('POST', `/api/backups/${backupId}/restore`);
+    assert.strictEqual(restored.status, 200, restored.body.message);
+    assert.strictEqual(restored.body.safety_backup.reason, 'pre-restore');
+
+    assert.deepStrictEqual(loadDatabase().events.map(event => [event.id, event.title]), [[1, 'Sports day']]);
+
+    // The safety copy undoes the restore
+    const undo = await request('GET', `/api/backups/${restored.body.safety_backup.id}/diff`);
+    assert.deepStrictEqual(undo.body.data.sections.events.removed.map(event => event.id), [2]);
+});
+
+test('unknown and malformed snapshot ids are not found', async () => {
+    assert.strictEqual((await request('POST', '/api/backups/nope/restore')).status, 404);
+    assert.strictEqual((await request('GET', '/api/backups/..%2Fdatabase/diff')).status, 404);
+});
+
+test('retention keeps only the newest keep_last snapshots', async () => {
+    const settings = await request('PUT', '/api/settings/backups', { enabled: true, interval_hours: 24, keep_last: 2, max_age_days: 180 });
+    assert.strictEqual(settings.status, 200, settings.body.message);
+    for (let i = 0; i < 3; i++) {
+        await tick();
+        await request('POST', '/api/backups');
+    }
+    assert.strictEqual((await request('GET', '/api/backups')).body.data.length, 2);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function expense(id, date, category, amount, status = 'approved') {
+    return { id, date, category, description: category, amount, currency: 'UGX', studentId: 'STU-00001', program: 'CH', status };
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_programs.CH = {
+        program_name: 'CH FINANCIAL ANALYSIS REPORT TERM I 2026',
+        students: [{ id: 'STU-00001', serial_number: 1, full_name: 'ATUHIRE ALVIN' }]
+    };
+    database.daily_expenses = [
+        expense('EXP-00001', '2026-02-10', 'food', 30000),
+        expense('EXP-00002', '2026-03-10', 'food', 20000, 'draft'),
+        expense('EXP-00003', '2026-03-15', 'medical', 10000, 'paid'),
+        expense('EXP-00004', '2026-05-02', 'food', 40000)
+    ];
+    saveDatabase(database);
+});
+
+test('a budget takes its dates from the standard term and rejects impossible ones', async () => {
+    const saved = await request('POST', '/api/budgets', { program: 'CH', term: '2026-T1', category: 'food', amount: 100000, currency: 'UGX' });
+    assert.strictEqual(saved.status, 200, saved.body.message);
+    assert.strictEqual(saved.body.data.start_date, '2026-01-01');
+    assert.strictEqual(saved.body.data.end_date, '2026-04-30');
+
+    const impossible = await request('POST', '/api/budgets', {
+        program: 'CH', term: 'Holiday', category: 'transport', amount: 5000, start_date: '2026-02-30', end_date: '2026-03-31'
+    });
+    assert.strictEqual(impossible.status, 400);
+    assert.match(impossible.body.message, /start_date/);
+
+    const duplicate = await request('POST', '/api/budgets', { program: 'CH', term: '2026-T1', category: 'food', amount: 1 });
+    assert.strictEqual(duplicate.status, 400);
+});
+
+test('variance counts approved and paid spending within the term', async () => {
+    const report = (await request('GET', '/api/reports/budget-variance?program=CH&term=2026-T1&currency=UGX')).body.data;
+
+    const food = report.rows.find(row => row.category === 'food');
+    assert.strictEqual(food.budget, 100000);
+    assert.strictEqual(food.actual, 30000);
+    assert.strictEqual(food.difference, 70000);
+    assert.strictEqual(food.percent_used, 30);
+
+    const medical = report.rows.find(row => row.category === 'medical');
+    assert.strictEqual(medical.unbudgeted, true);
+    assert.strictEqual(medical.actual, 10000);
+
+    assert.deepStrictEqual(report.totals.map(total => [total.budget, total.actual, total.difference]), [[100000, 40000, 60000]]);
+});
+
+test('the drill-down lists the expenses behind a row', async () => {
+    const drill = (await request('GET', '/api/reports/budget-variance/expenses?program=CH&term=2026-T1&category=food')).body;
+    assert.deepStrictEqual(drill.data.map(e => e.id), ['EXP-00001']);
+    assert.strictEqual(drill.budget.category, 'food');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+let bank;
+let cash;
+
+test.before(async () => {
+    bank = (await request('POST', '/api/accounts', { name: 'Bank', type: 'bank', currency: 'EUR', opening_balance: 1000, opening_date: '2026-01-01' })).body.data;
+    cash = (await request('POST', '/api/accounts', { name: 'Cash', type: 'petty_cash', currency: 'UGX', opening_balance: 0, opening_date: '2026-01-01' })).body.data;
+
+    const database = loadDatabase();
+    database.payments = [
+        { id: 'PAY-00001', date: '2026-01-10', amount: 200, currency: 'EUR', method: 'bank_transfer', account_id: bank.id, sponsor: 'A', full_name: 'Alvin' }
+    ];
+    database.daily_expenses = [
+        {
+            id: 'EXP-00001', date: '2026-01-18', category: 'food', description: 'Beans', amount: 50000, currency: 'UGX', account_id: cash.id, status: 'paid',
+            status_history: [{ from: 'approved', to: 'paid', by: 'Clerk', at: '2026-01-20T09:00:00.000Z', comment: null }]
+        },
+        { id: 'EXP-00002', date: '2026-01-25', category: 'food', description: 'Rice', amount: 10000, currency: 'UGX', account_id: cash.id, status: 'approved' }
+    ];
+    saveDatabase(database);
+});
+
+test('accounts and transfers need dates that exist', async () => {
+    assert.strictEqual((await request('POST', '/api/accounts', { name: 'Wallet', type: 'mobile_money', currency: 'UGX', opening_date: '2026-02-30' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/transfers', { from_account: bank.id, to_account: cash.id, amount: 10, date: '2026-02-30' })).status, 400);
+    assert.strictEqual((await request('GET', `/api/accounts/${bank.id}/statement?from=2026-02-30`)).status, 400);
+    assert.strictEqual((await request('POST', `/api/accounts/${bank.id}/reconciliations`, { date: '2026-13-01', balance: 0 })).status, 400);
+});
+
+test('a transfer leaves one account in its currency and arrives in the other in its own', async () => {
+    const transfer = await request('POST', '/api/transfers', { from_account: bank.id, to_account: cash.id, amount: 100, to_amount: 390000, date: '2026-01-15' });
+    assert.strictEqual(transfer.status, 200, transfer.body.message);
+    assert.strictEqual(transfer.body.data.rate, 3900);
+
+    const accounts = (await request('GET', '/api/accounts?date=2026-01-31')).body.data;
+    assert.strictEqual(accounts.find(account => account.id === bank.id).balance, 1100);
+    assert.strictEqual(accounts.find(account => account.id === cash.id).balance, 340000);
+});
+
+test('the statement runs the balance from the opening and lists approved expenses as pending', async () => {
+    const bankStatement = (await request('GET', `/api/accounts/${bank.id}/statement?from=2026-01-12&to=2026-01-31`)).body.data;
+    assert.strictEqual(bankStatement.opening_balance, 1200);
+    assert.deepStrictEqual(bankStatement.entries.map(entry => [entry.type, entry.balance]), [['transfer_out', 1100]]);
+    assert.strictEqual(bankStatement.closing_balance, 1100);
+
+    const cashStatement = (await request('GET', `/api/accounts/${cash.id}/statement?from=2026-01-01&to=2026-01-31`)).body.data;
+    // The expense leaves the account on the day it was paid
+    assert.deepStrictEqual(cashStatement.entries.map(entry => [entry.date, entry.type, entry.balance]), [
+        ['2026-01-15', 'transfer_in', 390000],
+        ['2026-01-20', 'expense', 340000]
+    ]);
+    assert.deepStrictEqual(cashStatement.pending_debits.map(expense => expense.id), ['EXP-00002']);
+    assert.strictEqual(cashStatement.balance_after_pending, 330000);
+});
+
+test('a reconciliation records the difference between the real and the book balance', async () => {
+    const agreed = await request('POST', `/api/accounts/${bank.id}/reconciliations`, { date: '2026-01-31', balance: 1100 });
+    assert.strictEqual(agreed.body.data.difference, 0);
+    const off = await request('POST', `/api/accounts/${cash.id}/reconciliations`, { date: '2026-01-31', balance: 339000 });
+    assert.strictEqual(off.body.data.difference, -1000);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, etag: response.headers.get('ETag'), body: await response.json() };
+}
+
+let studentId;
+
+test.before(async () => {
+    const database = loadDatabase();
+    database.sponsorship_programs.CH = { program_name: 'CH FINANCIAL ANALYSIS REPORT TERM I 2026', students: [] };
+    saveDatabase(database);
+    const created = await request('POST', '/api/programs/CH/students', { full_name: 'ATUHIRE ALVIN' });
+    assert.strictEqual(created.status, 200, created.body.message);
+    studentId = created.body.data.id;
+    assert.strictEqual(created.body.data.version, 1);
+});
+
+test('an update with the current tag succeeds and returns the next one', async () => {
+    const updated = await request('PUT', `/api/programs/CH/students/${studentId}`, { class: 'P5' }, { 'If-Match': '"1"' });
+    assert.strictEqual(updated.status, 200, updated.body.message);
+    assert.strictEqual(updated.etag, '"2"');
+    assert.strictEqual(updated.body.data.version, 2);
+});
+
+test('an update with a stale tag gets a 409 with the server copy', async () => {
+    const stale = await request('PUT', `/api/programs/CH/students/${studentId}`, { class: 'P7' }, { 'If-Match': '"1"' });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.conflict, true);
+    assert.strictEqual(stale.etag, '"2"');
+    assert.strictEqual(stale.body.data.class, 'P5');
+    assert.strictEqual(loadDatabase().sponsorship_programs.CH.students[0].class, 'P5');
+});
+
+test('weak tags, lists of tags and * are accepted', async () => {
+    assert.strictEqual((await request('PUT', `/api/programs/CH/students/${studentId}`, { class: 'P6' }, { 'If-Match': 'W/"2"' })).status, 200);
+    assert.strictEqual((await request('PUT', `/api/programs/CH/students/${studentId}`, { class: 'P6' }, { 'If-Match': '"1", "3"' })).status, 200);
+    assert.strictEqual((await request('PUT', `/api/programs/CH/students/${studentId}`, { class: 'P6' }, { 'If-Match': '*' })).status, 200);
+});
+
+test('a client cannot set the version itself', async () => {
+    const updated = await request('PUT', `/api/programs/CH/students/${studentId}`, { class: 'P6', version: 99 });
+    assert.strictEqual(updated.body.data.version, 6);
+});
+
+test('deletes check the tag too', async () => {
+    await request('POST', '/api/events', { id: 7, title: 'Sports day', date: '2026-03-01' });
+    assert.strictEqual((await request('PUT', '/api/events/7', { title: 'Sports day 2' })).body.data.version, 2);
+
+    assert.strictEqual((await request('DELETE', '/api/events/7', undefined, { 'If-Match': '"1"' })).status, 409);
+    assert.ok(loadDatabase().events.some(event => event.id === 7));
+    assert.strictEqual((await request('DELETE', '/api/events/7', undefined, { 'If-Match': '"2"' })).status, 200);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const student = id => loadDatabase().sponsorship_programs.CH.students.find(s => s.id === id);
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_programs.CH.students = [
+        { id: 'STU-00001', serial_number: 1, full_name: 'ATUHIRE ALVIN', financial_data: { termly_school_fees: 300000, food: 50000 } }
+    ];
+    saveDatabase(database);
+});
+
+test('termly components are spread over the configured months per term', async () => {
+    assert.strictEqual(student('STU-00001').financial_data.monthly_output_ugx, 150000);
+
+    const saved = await request('PUT', '/api/settings/cost-model', { months_per_term: 4 });
+    assert.strictEqual(saved.status, 200, saved.body.message);
+    assert.strictEqual(student('STU-00001').financial_data.monthly_output_ugx, 125000);
+});
+
+test('annual components are spread over twelve months', async () => {
+    const components = [
+        ...loadDatabase().system_settings.cost_model.components,
+        { key: 'uniform', label: 'Uniform', frequency: 'annual', category: 'school' }
+    ];
+    assert.strictEqual((await request('PUT', '/api/settings/cost-model', { components })).status, 200);
+    await request('PUT', '/api/programs/CH/students/STU-00001', { financial_data: { termly_school_fees: 300000, food: 50000, uniform: 120000 } });
+    assert.strictEqual(student('STU-00001').financial_data.monthly_output_ugx, 135000);
+});
+
+test('a package template limits the components and fills in defaults for new students', async () => {
+    const template = await request('PUT', '/api/settings/cost-model/packages/Boarding', {
+        components: ['termly_school_fees'],
+        defaults: { termly_school_fees: 400000 }
+    });
+    assert.strictEqual(template.status, 200, template.body.message);
+
+    const created = await request('POST', '/api/programs/CH/students', {
+        full_name: 'NAKIYINGI JOANITAH', sponsorship_package: 'Boarding Rena', financial_data: { food: 50000 }
+    });
+    assert.strictEqual(created.status, 200, created.body.message);
+    assert.strictEqual(created.body.data.financial_data.termly_school_fees, 400000);
+    // Food is not part of the Boarding package
+    assert.strictEqual(created.body.data.financial_data.monthly_output_ugx, 100000);
+});
+
+test('invalid cost models are refused', async () => {
+    assert.strictEqual((await request('PUT', '/api/settings/cost-model', { months_per_term: 0 })).status, 400);
+    assert.strictEqual((await request('PUT', '/api/settings/cost-model', {
+        components: [{ key: 'monthly_output_ugx', label: 'Output', frequency: 'monthly', category: 'admin' }]
+    })).status, 400);
+    assert.strictEqual((await request('PUT', '/api/settings/cost-model/packages/Day', { components: ['bus'] })).status, 400);
+    assert.strictEqual(loadDatabase().system_settings.cost_model.months_per_term, 4);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function sponsorship(cid, sponsor, amount, currency) {
+    return { cid, full_name: `Student ${cid}`, sponsor, amount, currency, sponsorship_status: 'active' };
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.exchange_rates = [
+        { id: 1, base: 'EUR', quote: 'UGX', rate: 4000, effective_date: '2020-01-01', source: 'manual' },
+        { id: 2, base: 'USD', quote: 'EUR', rate: 0.9, effective_date: '2020-01-01', source: 'manual' },
+        { id: 3, base: 'GBP', quote: 'EUR', rate: 1.2, effective_date: '2020-01-01', source: 'manual' }
+    ];
+    database.sponsorship_programs.CH.students = [{ serial_number: 1, full_name: 'ATUHIRE ALVIN' }];
+    database.sponsorship_registry.CH = {
+        students: [
+            sponsorship(1, 'A', 70, 'EUR'),
+            sponsorship(2, 'B', 100, 'USD'),
+            sponsorship(3, 'C', 50, 'GBP'),
+            sponsorship(4, 'D', 10, 'CHF')
+        ]
+    };
+    saveDatabase(database);
+});
+
+test('totals convert to the reporting currency and keep the original amounts', async () => {
+    const stats = (await request('GET', '/api/registry-stats')).body.data;
+    assert.strictEqual(stats.reporting_currency, 'EUR');
+    assert.strictEqual(Math.round(stats.total_monthly_funding * 100) / 100, 220);
+    assert.deepStrictEqual(stats.monthly_funding_by_currency, { EUR: 70, USD: 100, GBP: 50, CHF: 10 });
+    assert.deepStrictEqual(stats.unconverted_currencies, ['CHF']);
+
+    const inUgx = (await request('GET', '/api/registry-stats?currency=UGX')).body.data;
+    assert.strictEqual(inUgx.reporting_currency, 'UGX');
+    assert.strictEqual(Math.round(inUgx.total_monthly_funding), 880000);
+});
+
+test('the organization currency is the default reporting currency', async () => {
+    const saved = await request('PUT', '/api/settings/organization', { currency: 'USD' });
+    assert.strictEqual(saved.status, 200, saved.body.message);
+    const stats = (await request('GET', '/api/registry-stats')).body.data;
+    assert.strictEqual(stats.reporting_currency, 'USD');
+    assert.strictEqual(Math.round(stats.total_monthly_funding * 100) / 100, Math.round(220 / 0.9 * 100) / 100);
+});
+
+test('currencies without a rate are refused on input and in reports', async () => {
+    const chf = await request('POST', '/api/registry/CH/students', { full_name: 'ATUHIRE ALVIN', sponsor: 'E', amount: 10, currency: 'CHF' });
+    assert.strictEqual(chf.status, 400);
+    const usd = await request('POST', '/api/registry/CH/students', { full_name: 'ATUHIRE ALVIN', sponsor: 'E', amount: 10, currency: 'usd' });
+    assert.strictEqual(usd.status, 200, usd.body.message);
+    assert.strictEqual(usd.body.data.currency, 'USD');
+
+    assert.strictEqual((await request('GET', '/api/registry-stats?currency=CHF')).status, 400);
+    assert.strictEqual((await request('GET', '/api/financial-summary?currency=eu')).status, 400);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.exchange_rates = [{ id: 1, base: 'EUR', quote: 'UGX', rate: 4000, effective_date: '2020-01-01', source: 'manual' }];
+    database.sponsorship_programs.CH = {
+        program_name: 'CH FINANCIAL ANALYSIS REPORT TERM I 2027',
+        students: [
+            { id: 'STU-00001', serial_number: 1, full_name: 'ATUHIRE ALVIN', expected_completion_date: '2027-02-15', financial_data: { food: 40000 } },
+            { id: 'STU-00002', serial_number: 2, full_name: 'NAKIYINGI JOANITAH', financial_data: { food: 40000 } }
+        ]
+    };
+    database.sponsorship_registry.CH = {
+        students: [
+            { id: 'SPN-00001', cid: 1, student_id: 'STU-00001', full_name: 'Alvin Atuhire', sponsor: 'A', amount: 100, currency: 'EUR', start_date: '2026-01-01', sponsorship_status: 'active' },
+            { id: 'SPN-00002', cid: 2, student_id: 'STU-00002', full_name: 'Joanitah Nakiyingi', sponsor: 'B', amount: 50, currency: 'EUR', start_date: '2026-01-01', end_date: '2027-03-31', sponsorship_status: 'active' }
+        ]
+    };
+    database.periods.push({
+        id: '2027-T2', name: 'Term II 2027', start_date: '2027-05-01', end_date: '2027-08-31', months: null, status: 'planned',
+        fee_increases: [{ percent: 10, components: ['food'] }], version: 1
+    });
+    saveDatabase(database);
+});
+
+test('expected completion dates must exist', async () => {
+    const created = await request('POST', '/api/programs/CH/students', { full_name: 'NEW STUDENT', expected_completion_date: '2027-02-30' });
+    assert.strictEqual(created.status, 400);
+    const updated = await request('PUT', '/api/programs/CH/students/STU-00002', { expected_completion_date: '2027-13-01' });
+    assert.strictEqual(updated.status, 400);
+});
+
+test('the forecast stops income and costs when students finish and sponsorships end', async () => {
+    const forecast = (await request('GET', '/api/funding-gap/forecast?from=2027-01&months=5')).body.data;
+    const rows = forecast.totals.months;
+
+    assert.deepStrictEqual(rows.map(row => row.month), ['2027-01', '2027-02', '2027-03', '2027-04', '2027-05']);
+    assert.deepStrictEqual(rows.map(row => row.students), [2, 2, 1, 1, 1]);
+    assert.deepStrictEqual(rows.map(row => row.income_eur), [150, 150, 50, 0, 0]);
+    // The planned term raises food by 10% from its first month
+    assert.deepStrictEqual(rows.map(row => Math.round(row.costs_ugx)), [80000, 80000, 40000, 40000, 44000]);
+    assert.strictEqual(forecast.totals.first_deficit_month, '2027-04');
+    assert.strictEqual(Math.round(forecast.totals.cumulative_shortfall_ugx), 84000);
+
+    assert.deepStrictEqual(forecast.events.map(event => [event.month, event.type]), [
+        ['2027-02', 'student_finishes'],
+        ['2027-03', 'sponsorship_ends'],
+        ['2027-05', 'fee_increase']
+    ]);
+});
+
+test('the forecast horizon is limited', async () => {
+    assert.strictEqual((await request('GET', '/api/funding-gap/forecast?from=2027-01&months=25')).status, 400);
+    assert.strictEqual((await request('GET', '/api/funding-gap/forecast?from=2027-13')).status, 400);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { evaluateFormula, resolveFormulaFields } = require('../server');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const row = { termly_school_fees: 300000, food: 60000, average_medical: 10000, admin_utilities: 5000 };
+
+function formulaCode(formula, data = row, options = {}) {
+    try {
+        evaluateFormula(formula, data, options);
+    } catch (error) {
+        return error.code;
+    }
+    return null;
+}
+
+test('operators follow Excel precedence', () => {
+    assert.strictEqual(evaluateFormula('=1+2*3', row), 7);
+    assert.strictEqual(evaluateFormula('=(1+2)*3', row), 9);
+    assert.strictEqual(evaluateFormula('=2^3^2', row), 64);
+    assert.strictEqual(evaluateFormula('=-2^2', row), 4);
+    assert.strictEqual(evaluateFormula('=10-4-3', row), 3);
+    assert.strictEqual(evaluateFormula('=1+2>2', row), 1);
+});
+
+test('postfix % divides by 100', () => {
+    assert.strictEqual(evaluateFormula('=50%', row), 0.5);
+    assert.strictEqual(evaluateFormula('=food*10%', row), 6000);
+    assert.strictEqual(evaluateFormula('=2^200%', row), 4);
+});
+
+test('fields, cell references and SUM ranges resolve from the row', () => {
+    assert.strictEqual(evaluateFormula('=termly_school_fees/3', row), 100000);
+    assert.strictEqual(evaluateFormula('=G5+H5', row), 70000);
+    assert.strictEqual(evaluateFormula('=SUM(G5:J5)', row), 75000);
+    assert.strictEqual(evaluateFormula('=SUM(G5:H5, 5; J5)', row), 75005);
+});
+
+test('ROUND rounds halves away from zero', () => {
+    assert.strictEqual(evaluateFormula('=ROUND(2.5, 0)', row), 3);
+    assert.strictEqual(evaluateFormula('=ROUND(-2.5, 0)', row), -3);
+    assert.strictEqual(evaluateFormula('=ROUND(1.005, 2)', row), 1.01);
+    assert.strictEqual(evaluateFormula('=ROUND(1234.5, -2)', row), 1200);
+});
+
+test('IF picks a branch and defaults the else branch to 0', () => {
+    assert.strictEqual(evaluateFormula('=IF(food>50000, 1, 2)', row), 1);
+    assert.strictEqual(evaluateFormula('=IF(food<>60000, 1, 2)', row), 2);
+    assert.strictEqual(evaluateFormula('=IF(FALSE, 1)', row), 0);
+});
+
+test('failures carry Excel error codes', () => {
+    assert.strictEqual(formulaCode('=food/0'), '#DIV/0!');
+    assert.strictEqual(formulaCode('=VLOOKUP(1, 2)'), '#NAME?');
+    assert.strictEqual(formulaCode('=unknown_field+1'), '#NAME?');
+    assert.strictEqual(formulaCode('=Z5'), '#REF!');
+    assert.strictEqual(formulaCode('=G4', row, { row: 5 }), '#REF!');
+    assert.strictEqual(formulaCode('=G5:H5'), '#VALUE!');
+    assert.strictEqual(formulaCode('="text"'), '#VALUE!');
+    assert.strictEqual(formulaCode('=1+'), '#VALUE!');
+    assert.strictEqual(formulaCode('=10^400'), '#NUM!');
+    assert.strictEqual(formulaCode('=food', { food: '=average_medical', average_medical: '=food' }), '#CIRC!');
+});
+
+test('SUM refuses ranges larger than the cell limit', () => {
+    assert.strictEqual(formulaCode('=SUM(G1:XFD99999999)'), '#REF!');
+});
+
+test('resolveFormulaFields replaces failed formulas with 0 and reports them', () => {
+    const { data, errors } = resolveFormulaFields({ food: '=1/0', average_medical: '=food+5' });
+    assert.strictEqual(data.food, 0);
+    assert.deepStrictEqual(errors.map(error => [error.field, error.code]), [['food', '#DIV/0!'], ['average_medical', '#DIV/0!']]);
+});
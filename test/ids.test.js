@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const students = () => loadDatabase().sponsorship_programs.CH.students;
+
+test('deleting a student keeps every other id and only compacts the display order', async () => {
+    const ids = [];
+    for (const name of ['ATUHIRE ALVIN', 'NAKIYINGI JOANITAH', 'LWANGA DESTINY ADRIAN']) {
+        ids.push((await request('POST', '/api/programs/CH/students', { full_name: name })).body.data.id);
+    }
+    assert.deepStrictEqual(ids, ['STU-00001', 'STU-00002', 'STU-00003']);
+
+    assert.strictEqual((await request('DELETE', `/api/programs/CH/students/${ids[1]}`)).status, 200);
+    assert.deepStrictEqual(students().map(student => [student.id, student.serial_number]), [['STU-00001', 1], ['STU-00003', 2]]);
+
+    // A deleted id is never handed out again
+    assert.strictEqual((await request('POST', '/api/programs/CH/students', { full_name: 'NEW STUDENT' })).body.data.id, 'STU-00004');
+});
+
+test('the registry links to the student by id and follows renames', async () => {
+    const created = await request('POST', '/api/registry/CH/students', { full_name: 'Destiny Adrian Lwanga', sponsor: 'Krech Norbert', amount: 70 });
+    assert.strictEqual(created.status, 200, created.body.message);
+    assert.strictEqual(created.body.data.student_id, 'STU-00003');
+    assert.strictEqual(created.body.data.full_name, 'LWANGA DESTINY ADRIAN');
+
+    await request('PUT', '/api/programs/CH/students/STU-00003', { full_name: 'LWANGA DESTINY' });
+    assert.strictEqual(loadDatabase().sponsorship_registry.CH.students[0].full_name, 'LWANGA DESTINY');
+});
+
+test('records without an id get one and keep the old one as legacy_id', () => {
+    const database = loadDatabase();
+    database.daily_expenses.push({ id: 7, date: '2026-01-01', category: 'food', description: 'Beans', amount: 1000, status: 'approved' });
+    database.sponsorship_programs.CH.students.push({ serial_number: 3, full_name: 'IMPORTED STUDENT' });
+    saveDatabase(database);
+
+    const saved = loadDatabase();
+    assert.deepStrictEqual(saved.daily_expenses.map(expense => [expense.id, expense.legacy_id]), [['EXP-00001', 7]]);
+    assert.strictEqual(saved.sponsorship_programs.CH.students.find(student => student.full_name === 'IMPORTED STUDENT').id, 'STU-00005');
+});
+
+test('routes still find records by their legacy id', async () => {
+    const expense = await request('PUT', '/api/expenses/7', { notes: 'Bought at the market' });
+    assert.strictEqual(expense.status, 200, expense.body.message);
+    assert.strictEqual(expense.body.data.id, 'EXP-00001');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const balances = trialBalance => Object.fromEntries(trialBalance.rows.map(row => [row.code, row.debit - row.credit]));
+
+test.before(() => {
+    const database = loadDatabase();
+    database.payments = [
+        { id: 'PAY-00001', date: '2026-01-10', amount: 300, currency: 'EUR', program: 'CH', sponsor: 'Anna Berg', full_name: 'ATUHIRE ALVIN' }
+    ];
+    // 410000 UGX is 100 EUR at the fallback rate of 4100
+    database.daily_expenses = [
+        { id: 'EXP-00001', date: '2026-01-15', category: 'food', amount: 100, currency: 'EUR', program: 'CH', status: 'approved' },
+        {
+            id: 'EXP-00002', date: '2026-01-20', category: 'transport', amount: 410000, currency: 'UGX', program: 'CH', status: 'paid',
+            status_history: [{ from: 'approved', to: 'paid', at: '2026-02-03T10:00:00.000Z' }]
+        },
+        { id: 'EXP-00003', date: '2026-01-25', category: 'food', amount: 50, currency: 'EUR', program: 'CH', status: 'submitted' }
+    ];
+    saveDatabase(database);
+});
+
+test('journals book approvals against expenses payable and payments against cash', async () => {
+    const ledger = await request('GET', '/api/ledger/journals?to=2026-03-31');
+    assert.strictEqual(ledger.status, 200, ledger.body.message);
+    assert.deepStrictEqual(ledger.body.data.journals.map(journal => journal.journal),
+        ['PAY-00001', 'EXP-00001', 'EXP-00002', 'EXP-00002-PAY']);
+    ledger.body.data.journals.forEach(journal => {
+        const debit = journal.lines.reduce((sum, line) => sum + line.debit, 0);
+        const credit = journal.lines.reduce((sum, line) => sum + line.credit, 0);
+        assert.strictEqual(debit, credit, `${journal.journal} does not balance`);
+    });
+    const payment = ledger.body.data.journals.find(journal => journal.journal === 'EXP-00002-PAY');
+    assert.strictEqual(payment.date, '2026-02-03');
+});
+
+test('the trial balance balances and paid expenses leave nothing payable', async () => {
+    const beforePayment = await request('GET', '/api/ledger/trial-balance?to=2026-01-31');
+    assert.strictEqual(beforePayment.body.data.balanced, true);
+    assert.strictEqual(balances(beforePayment.body.data)['2000'], -200);
+
+    const afterPayment = await request('GET', '/api/ledger/trial-balance?to=2026-03-31');
+    assert.strictEqual(afterPayment.body.data.balanced, true);
+    assert.strictEqual(afterPayment.body.data.total_debit, 400);
+    assert.deepStrictEqual(balances(afterPayment.body.data), { 1090: 200, 2000: -100, 4000: -300, 6100: 100, 6400: 100 });
+});
+
+test('a from date closes earlier income and expense into the accumulated surplus', async () => {
+    const period = await request('GET', '/api/ledger/trial-balance?from=2026-02-01&to=2026-03-31');
+    assert.strictEqual(period.body.data.balanced, true);
+    assert.deepStrictEqual(balances(period.body.data), { 1090: 200, 2000: -100, 3100: -100 });
+});
+
+test('invalid ranges and formats are refused', async () => {
+    assert.strictEqual((await request('GET', '/api/ledger/trial-balance?to=2026-02-30')).status, 400);
+    assert.strictEqual((await request('GET', '/api/ledger/trial-balance?from=2026-03-01&to=2026-02-01')).status, 400);
+    assert.strictEqual((await request('GET', '/api/ledger/journals?format=sage')).status, 400);
+
+    const xero = await fetch(`${baseUrl}/api/ledger/journals?to=2026-03-31&format=xero`);
+    assert.match(xero.headers.get('content-type'), /^text\/csv/);
+    assert.match((await xero.text()).split('\n')[0], /^\*Narration,\*Date/);
+});
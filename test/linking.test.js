@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function addExpense(fields) {
+    return request('POST', '/api/expenses', { date: '2026-02-10', category: 'food', description: 'Food', currency: 'UGX', ...fields });
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_programs.CH.students = [
+        { id: 'STU-00001', serial_number: 1, full_name: 'ATUHIRE ALVIN', financial_data: { food: 60000, average_medical: 15000 } },
+        { id: 'STU-00002', serial_number: 2, full_name: 'NAKIYINGI JOANITAH' },
+        { id: 'STU-00003', serial_number: 3, full_name: 'NAKIYINGI SARAH' }
+    ];
+    saveDatabase(database);
+});
+
+test('a name matching exactly one student links automatically, in any word order', async () => {
+    const expense = (await addExpense({ amount: 10000, studentName: 'Alvin Atuhire' })).body.data;
+    assert.strictEqual(expense.studentId, 'STU-00001');
+    assert.strictEqual(expense.program, 'CH');
+    assert.strictEqual(expense.student_match, 'auto');
+
+    assert.strictEqual((await addExpense({ amount: 10000 })).body.data.student_match, 'none');
+});
+
+test('ambiguous names wait in the manual-match queue with their candidates', async () => {
+    const pending = (await addExpense({ amount: 5000, studentName: 'Nakiyingi' })).body.data;
+    assert.strictEqual(pending.student_match, 'pending');
+    assert.strictEqual(pending.studentId, null);
+
+    const queue = (await request('GET', '/api/expenses/unmatched')).body.data;
+    assert.deepStrictEqual(queue.map(expense => expense.id), [pending.id]);
+    assert.deepStrictEqual(queue[0].candidates.map(candidate => candidate.student_id).sort(), ['STU-00002', 'STU-00003']);
+
+    const matched = await request('POST', `/api/expenses/${pending.id}/match`, { student_id: 'STU-00003' });
+    assert.strictEqual(matched.status, 200, matched.body.message);
+    assert.strictEqual(matched.body.data.student_match, 'manual');
+    assert.deepStrictEqual((await request('GET', '/api/expenses/unmatched')).body.data, []);
+});
+
+test('the cost report compares counted spend with the planned monthly cost', async () => {
+    const database = loadDatabase();
+    database.daily_expenses.forEach(expense => { expense.status = 'approved'; });
+    database.daily_expenses.push({ id: 'EXP-00099', date: '2026-03-05', category: 'medical', description: 'Clinic', amount: 40000,
+        currency: 'UGX', studentId: 'STU-00001', program: 'CH', status: 'draft' });
+    saveDatabase(database);
+
+    const report = (await request('GET', '/api/reports/student-costs?from=2026-02-01&to=2026-03-31&program=CH')).body.data;
+    assert.strictEqual(report.months, 2);
+    const alvin = report.rows.find(row => row.student_id === 'STU-00001');
+    assert.strictEqual(alvin.planned_ugx, 150000);
+    assert.strictEqual(alvin.actual_ugx, 10000);
+    assert.strictEqual(alvin.expense_count, 1);
+    assert.deepStrictEqual(alvin.by_category.food, { planned_ugx: 120000, actual_ugx: 10000 });
+    assert.strictEqual(alvin.difference_ugx, 140000);
+
+    assert.strictEqual((await request('GET', '/api/reports/student-costs?from=2026-02-30&to=2026-03-31')).status, 400);
+});
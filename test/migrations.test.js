@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { migrateDatabaseDocument, CURRENT_SCHEMA_VERSION } = require('../server');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+// A file as written before schema_version existed
+function legacyDocument() {
+    return {
+        sponsorship_programs: {
+            CH: {
+                program_name: 'CH FINANCIAL ANALYSIS REPORT TERM III 2025',
+                students: [
+                    { serial_number: 1, full_name: 'ATUHIRE ALVIN' },
+                    { serial_number: 2, full_name: 'NAKIYINGI JOANITAH' }
+                ]
+            }
+        },
+        sponsorship_registry: {
+            CH: { students: [{ cid: 1, full_name: 'Alvin Atuhire', sponsor: 'Krech Norbert', amount: 70 }] }
+        },
+        daily_expenses: [
+            { id: 1, date: '2025-09-10', category: 'medical', description: 'Clinic', amount: 20000, studentId: 2, studentName: 'Joanitah Nakiyingi' },
+            { id: 2, date: '2025-09-11', category: 'food', description: 'Beans', amount: 5000, studentName: 'Alvin' }
+        ],
+        financial_review: {
+            CH_Financial_Review: { students: [{ full_name: 'ATUHIRE ALVIN', cash_received_aug_2024: 70 }] }
+        },
+        metadata: { source_files: ['old.xlsx'], extraction_date: '2025-09-01' }
+    };
+}
+
+// Timestamps are the only part of a migration that may differ between runs
+function withoutTimestamps(db) {
+    return JSON.parse(JSON.stringify(db, (key, value) => (key === 'at' ? undefined : value)));
+}
+
+test('a legacy file is brought to the current version in order', () => {
+    const db = legacyDocument();
+    const applied = migrateDatabaseDocument(db);
+    assert.deepStrictEqual(applied.map(migration => migration.version), Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, i) => i + 1));
+    assert.strictEqual(db.schema_version, CURRENT_SCHEMA_VERSION);
+    assert.deepStrictEqual(migrateDatabaseDocument(db), []);
+});
+
+test('records get permanent ids and keep their old numbers', () => {
+    const db = legacyDocument();
+    migrateDatabaseDocument(db);
+    const [alvin, joanitah] = db.sponsorship_programs.CH.students;
+    assert.deepStrictEqual([alvin.id, alvin.legacy_id, joanitah.id], ['STU-00001', 1, 'STU-00002']);
+    const [entry] = db.sponsorship_registry.CH.students;
+    assert.deepStrictEqual([entry.id, entry.legacy_id, entry.student_id, entry.full_name, entry.currency],
+        ['SPN-00001', 1, 'STU-00001', 'ATUHIRE ALVIN', 'EUR']);
+    assert.deepStrictEqual(db.daily_expenses.map(expense => expense.id), ['EXP-00001', 'EXP-00002']);
+});
+
+test('expenses are linked by name, partial names wait for review, and all count as approved', () => {
+    const db = legacyDocument();
+    migrateDatabaseDocument(db);
+    const [clinic, beans] = db.daily_expenses;
+    assert.deepStrictEqual([clinic.studentId, clinic.program, clinic.student_match, clinic.currency], ['STU-00002', 'CH', 'auto', 'UGX']);
+    assert.deepStrictEqual([beans.studentId, beans.student_match], [null, 'pending']);
+    assert.ok(db.daily_expenses.every(expense => expense.status === 'approved' && expense.status_history[0].by === 'migration'));
+});
+
+test('the term moves from program names into an open period', () => {
+    const db = legacyDocument();
+    migrateDatabaseDocument(db);
+    assert.strictEqual(db.sponsorship_programs.CH.program_name, 'CH FINANCIAL ANALYSIS REPORT');
+    assert.strictEqual(db.current_period, '2025-T3');
+    assert.deepStrictEqual([db.periods[0].start_date, db.periods[0].end_date, db.periods[0].status], ['2025-09-01', '2025-12-31', 'open']);
+});
+
+test('ledgers and settings are seeded from legacy figures', () => {
+    const db = legacyDocument();
+    migrateDatabaseDocument(db);
+    assert.deepStrictEqual(db.exchange_rates.map(rate => [rate.base, rate.quote, rate.rate, rate.effective_date]), [['EUR', 'UGX', 4100, '2025-09-01']]);
+    assert.deepStrictEqual(db.payments.map(payment => [payment.id, payment.sponsorship_id, payment.amount, payment.date]),
+        [['PAY-00001', 'SPN-00001', 70, '2024-08-31']]);
+    assert.strictEqual(db.system_settings.cost_model.months_per_term, 3);
+    assert.strictEqual(db.system_settings.chart_of_accounts.mappings.expenses_payable, '2000');
+    assert.deepStrictEqual(db.metadata.source_files[0], { filename: 'old.xlsx', import_date: '2025-09-01', type: 'legacy', records: null });
+});
+
+test('replaying the migrations gives the same document', () => {
+    const first = legacyDocument();
+    const second = legacyDocument();
+    migrateDatabaseDocument(first);
+    migrateDatabaseDocument(second);
+    assert.deepStrictEqual(withoutTimestamps(first), withoutTimestamps(second));
+});
+
+test('an expenses payable account gets a free code when 2000 is taken', () => {
+    const db = legacyDocument();
+    migrateDatabaseDocument(db);
+    const chart = db.system_settings.chart_of_accounts;
+    delete chart.mappings.expenses_payable;
+    chart.accounts = chart.accounts.filter(account => account.code !== '2000').concat({ code: '2000', name: 'Loans', type: 'liability' });
+    db.schema_version = 15;
+    migrateDatabaseDocument(db);
+    assert.strictEqual(chart.mappings.expenses_payable, '2010');
+    assert.ok(chart.accounts.some(account => account.code === '2010' && account.type === 'liability'));
+});
+
+test('a file from a newer server is refused', () => {
+    assert.throws(() => migrateDatabaseDocument({ ...legacyDocument(), schema_version: CURRENT_SCHEMA_VERSION + 1 }), /newer than this server supports/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase, migrateDatabaseDocument } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_programs.CH = {
+        program_name: 'CH FINANCIAL ANALYSIS REPORT TERM I 2026',
+        students: [{
+            id: 'STU-00001',
+            serial_number: 1,
+            full_name: 'ATUHIRE ALVIN',
+            // 300,000 a term over 3 months plus 50,000 a month: 150,000 a month
+            financial_data: { termly_school_fees: 300000, food: 50000, balance_brought_forward_ugx: 20000 }
+        }]
+    };
+    database.payments = [
+        { id: 'PAY-00001', student_id: 'STU-00001', program: 'CH', date: '2026-02-01', amount: 400000, currency: 'UGX', method: 'cash' },
+        { id: 'PAY-00002', student_id: 'STU-00001', program: 'CH', date: '2026-05-03', amount: 999999, currency: 'UGX', method: 'cash' }
+    ];
+    database.periods = [{ id: '2026-T1', name: 'Term I 2026', start_date: '2026-01-01', end_date: '2026-04-30', months: null, status: 'open', version: 1 }];
+    database.current_period = '2026-T1';
+    saveDatabase(database);
+});
+
+test('periods reject impossible dates and months that are not whole numbers', async () => {
+    assert.strictEqual((await request('POST', '/api/periods', { id: 'holiday', start_date: '2027-02-30', end_date: '2027-03-31' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/periods', { id: 'holiday', start_date: '2027-02-01', end_date: '2027-03-31', months: 1.5 })).status, 400);
+});
+
+test('closing a term charges the cost model months per term and carries the balance forward', async () => {
+    const closed = await request('POST', '/api/periods/2026-T1/close');
+    assert.strictEqual(closed.status, 200, closed.body.message);
+
+    const database = loadDatabase();
+    const student = database.sponsorship_programs.CH.students[0];
+    const frozen = student.financial_periods['2026-T1'];
+    assert.strictEqual(frozen.financial_data.monthly_output_ugx, 150000);
+    assert.strictEqual(frozen.received_ugx, 400000);
+    // 20,000 brought forward + 400,000 received - 150,000 x 3 months
+    assert.strictEqual(frozen.closing_balance_ugx, -30000);
+    assert.strictEqual(student.financial_data.balance_brought_forward_ugx, -30000);
+
+    const term = database.periods.find(period => period.id === '2026-T1');
+    assert.strictEqual(term.status, 'closed');
+    assert.strictEqual(term.months, 3);
+    assert.strictEqual(database.current_period, '2026-T2');
+    const next = database.periods.find(period => period.id === '2026-T2');
+    assert.deepStrictEqual([next.status, next.start_date, next.end_date, next.months], ['open', '2026-05-01', '2026-08-31', null]);
+});
+
+test('a closed period can no longer be changed or closed again', async () => {
+    assert.strictEqual((await request('PUT', '/api/periods/2026-T1', { name: 'Renamed' })).status, 409);
+    assert.strictEqual((await request('POST', '/api/periods/2026-T1/close')).status, 409);
+});
+
+test('a period that sets its own months is charged for them', async () => {
+    const updated = await request('PUT', '/api/periods/2026-T2', { months: 4 });
+    assert.strictEqual(updated.status, 200, updated.body.message);
+
+    assert.strictEqual((await request('POST', '/api/periods/2026-T2/close')).status, 200);
+    const frozen = loadDatabase().sponsorship_programs.CH.students[0].financial_periods['2026-T2'];
+    // -30,000 brought forward + 999,999 received - 150,000 x 4 months
+    assert.strictEqual(frozen.closing_balance_ugx, 369999);
+});
+
+test('the migration stops open terms charging their calendar months', () => {
+    const db = {
+        schema_version: 16,
+        periods: [
+            { id: '2025-T3', start_date: '2025-09-01', end_date: '2025-12-31', months: 4, status: 'closed' },
+            { id: '2026-T1', start_date: '2026-01-01', end_date: '2026-04-30', months: 4, status: 'open' },
+            { id: 'short', start_date: '2026-05-01', end_date: '2026-08-31', months: 2, status: 'planned' }
+        ]
+    };
+    migrateDatabaseDocument(db);
+    assert.deepStrictEqual(db.periods.map(period => period.months), [4, null, 2]);
+});
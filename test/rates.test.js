@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const convert = async query => (await request('GET', `/api/exchange-rates/convert?${query}`));
+
+test.before(async () => {
+    const database = loadDatabase();
+    database.exchange_rates = [];
+    saveDatabase(database);
+    for (const rate of [
+        { base: 'EUR', quote: 'UGX', rate: 4000, effective_date: '2026-01-01' },
+        { base: 'EUR', quote: 'UGX', rate: 4200, effective_date: '2026-03-01' },
+        { base: 'USD', quote: 'EUR', rate: 0.9, effective_date: '2026-01-01' }
+    ]) {
+        assert.strictEqual((await request('POST', '/api/exchange-rates', rate)).status, 200);
+    }
+});
+
+test('the rate in force on a date is the latest one that took effect by then', async () => {
+    assert.strictEqual((await convert('from=EUR&to=UGX&date=2026-02-28')).body.data.rate, 4000);
+    assert.strictEqual((await convert('from=EUR&to=UGX&date=2026-03-01')).body.data.rate, 4200);
+    assert.strictEqual((await convert('from=EUR&to=UGX&date=2030-01-01')).body.data.rate, 4200);
+    // Before the first entry the earliest known rate is used
+    assert.strictEqual((await convert('from=EUR&to=UGX&date=2020-01-01')).body.data.rate, 4000);
+});
+
+test('inverse and cross rates are derived from the table', async () => {
+    assert.strictEqual((await convert('from=UGX&to=EUR&date=2026-02-01')).body.data.rate, 1 / 4000);
+
+    const cross = (await convert('from=USD&to=UGX&date=2026-03-15&amount=10')).body.data;
+    assert.strictEqual(cross.source, 'cross via EUR');
+    assert.strictEqual(cross.effective_date, '2026-03-01');
+    assert.strictEqual(Math.round(cross.converted), 37800);
+});
+
+test('a second rate for the same pair and date replaces the first', async () => {
+    await request('POST', '/api/exchange-rates', { base: 'EUR', quote: 'UGX', rate: 4100, effective_date: '2026-03-01' });
+    assert.strictEqual((await convert('from=EUR&to=UGX&date=2026-03-02')).body.data.rate, 4100);
+    assert.strictEqual(loadDatabase().exchange_rates.filter(rate => rate.base === 'EUR' && rate.quote === 'UGX').length, 2);
+});
+
+test('impossible dates and unknown pairs are rejected', async () => {
+    assert.strictEqual((await request('POST', '/api/exchange-rates', { base: 'EUR', quote: 'UGX', rate: 4000, effective_date: '2026-02-30' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/exchange-rates', { base: 'EUR', quote: 'UGX', rate: 0 })).status, 400);
+    assert.strictEqual((await convert('from=EUR&to=UGX&date=2026-02-30')).status, 400);
+    assert.strictEqual((await convert('from=GBP&to=CHF')).status, 404);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// files: [{ name, type, content }]
+async function upload(expenseId, files) {
+    const form = new FormData();
+    files.forEach(file => form.append('receipts', new Blob([file.content], { type: file.type }), file.name));
+    const response = await fetch(`${baseUrl}/api/expenses/${expenseId}/receipts`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+const storedReceipts = () => fs.readdirSync(path.join(workDir, 'receipts')).filter(name => name.startsWith('receipt-'));
+const pdf = name => ({ name, type: 'application/pdf', content: '%PDF-1.4\n%%EOF\n' });
+
+test.before(() => {
+    const database = loadDatabase();
+    database.daily_expenses = [
+        { id: 'EXP-00001', date: '2026-03-02', category: 'Food', description: 'Posho and beans', amount: 500000, program: 'CH', version: 1 },
+        { id: 'EXP-00002', date: '2026-03-10', category: 'Transport', description: 'Boda to school', amount: 20000, program: 'CH', version: 1 },
+        { id: 'EXP-00003', date: '2026-04-01', category: 'Food', description: 'Sugar', amount: 300000, program: 'YSP', version: 1 }
+    ];
+    saveDatabase(database);
+});
+
+test('receipts are attached, served and removed with their files', async () => {
+    const attached = await upload('EXP-00001', [pdf('invoice.pdf')]);
+    assert.strictEqual(attached.status, 200, attached.body.message);
+    assert.strictEqual(attached.body.data[0].original_name, 'invoice.pdf');
+    assert.strictEqual(storedReceipts().length, 1);
+
+    const receiptId = attached.body.data[0].id;
+    const file = await fetch(`${baseUrl}/api/expenses/EXP-00001/receipts/${receiptId}`);
+    assert.strictEqual(file.headers.get('content-type'), 'application/pdf');
+    assert.match(await file.text(), /^%PDF/);
+
+    const thumbnail = await fetch(`${baseUrl}/api/expenses/EXP-00001/receipts/${receiptId}/thumbnail`);
+    assert.match(thumbnail.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.strictEqual((await request('GET', `/api/expenses/EXP-00001/receipts/${receiptId}/thumbnail?size=33`)).status, 400);
+
+    assert.strictEqual((await request('DELETE', `/api/expenses/EXP-00001/receipts/${receiptId}`)).status, 200);
+    assert.strictEqual(storedReceipts().length, 0);
+    assert.strictEqual((await request('GET', `/api/expenses/EXP-00001/receipts/${receiptId}`)).status, 404);
+});
+
+test('rejected uploads answer 400 and leave no files behind', async () => {
+    const wrongType = await upload('EXP-00002', [pdf('ok.pdf'), { name: 'notes.txt', type: 'text/plain', content: 'hello' }]);
+    assert.strictEqual(wrongType.status, 400);
+    assert.match(wrongType.body.message, /images .* or PDF/);
+
+    const tooMany = await upload('EXP-00002', Array.from({ length: 11 }, (_, index) => pdf(`page-${index}.pdf`)));
+    assert.strictEqual(tooMany.status, 400);
+    assert.match(tooMany.body.message, /at most 10/);
+
+    assert.strictEqual((await upload('EXP-00002', [])).status, 400);
+    assert.strictEqual((await upload('EXP-09999', [pdf('lost.pdf')])).status, 404);
+    assert.strictEqual(storedReceipts().length, 0);
+    assert.strictEqual(loadDatabase().daily_expenses.find(e => e.id === 'EXP-00002').receipts, undefined);
+});
+
+test('the missing receipts report lists expenses without a receipt, largest first', async () => {
+    assert.strictEqual((await upload('EXP-00003', [pdf('sugar.pdf')])).status, 200);
+
+    const report = await request('GET', '/api/reports/missing-receipts');
+    assert.strictEqual(report.status, 200);
+    assert.deepStrictEqual(report.body.data.expenses.map(row => row.id), ['EXP-00001', 'EXP-00002']);
+    assert.deepStrictEqual(report.body.data.summary, { expense_count: 3, with_receipts: 1, missing: 2, missing_amount_ugx: 520000 });
+
+    const filtered = await request('GET', '/api/reports/missing-receipts?from=2026-03-05&to=2026-03-31');
+    assert.deepStrictEqual(filtered.body.data.expenses.map(row => row.id), ['EXP-00002']);
+    const large = await request('GET', '/api/reports/missing-receipts?min_amount=100000');
+    assert.deepStrictEqual(large.body.data.expenses.map(row => row.id), ['EXP-00001']);
+
+    assert.strictEqual((await request('GET', '/api/reports/missing-receipts?to=2026-02-30')).status, 400);
+    assert.strictEqual((await request('GET', '/api/reports/missing-receipts?min_amount=lots')).status, 400);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_registry = {
+        CH: {
+            students: [
+                { id: 'SPN-00001', cid: 1, full_name: 'Alvin Atuhire', sponsor: 'Krech Norbert', amount: 70, currency: 'EUR', start_date: '2026-01-01', sponsorship_status: 'active' },
+                { id: 'SPN-00002', cid: 2, full_name: 'Joanitah Nakiyingi', sponsor: 'Krech Norbert', amount: 50, currency: 'EUR', start_date: '2026-03-01', sponsorship_status: 'active' }
+            ]
+        }
+    };
+    saveDatabase(database);
+});
+
+test('payments need a date that exists', async () => {
+    const payment = { sponsorship_id: 'SPN-00001', amount: 70, method: 'bank_transfer' };
+    assert.strictEqual((await request('POST', '/api/payments', { ...payment, date: '2026-02-30' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/payments', { ...payment, date: '2026-13-01' })).status, 400);
+
+    const saved = await request('POST', '/api/payments', { ...payment, date: '2026-02-10' });
+    assert.strictEqual(saved.status, 200, saved.body.message);
+    assert.strictEqual(saved.body.data.sponsor, 'Krech Norbert');
+    assert.strictEqual(saved.body.data.currency, 'EUR');
+});
+
+test('pledges and payments are reconciled per month', async () => {
+    const report = (await request('GET', '/api/reports/reconciliation?from=2026-01&to=2026-03&currency=EUR')).body.data;
+    assert.strictEqual(report.rows.length, 1);
+    const row = report.rows[0];
+    assert.deepStrictEqual(row.months['2026-01'], { pledged: 70, received: 0, difference: -70 });
+    assert.deepStrictEqual(row.months['2026-02'], { pledged: 70, received: 70, difference: 0 });
+    assert.deepStrictEqual(row.months['2026-03'], { pledged: 120, received: 0, difference: -120 });
+    assert.strictEqual(report.totals.pledged, 260);
+    assert.strictEqual(report.totals.difference, -190);
+
+    const bySponsorship = (await request('GET', '/api/reports/reconciliation?from=2026-01&to=2026-03&currency=EUR&group_by=sponsorship')).body.data;
+    assert.deepStrictEqual(bySponsorship.rows.map(r => r.pledged).sort((a, b) => a - b), [50, 210]);
+});
+
+test('an inverted or oversized month range is rejected', async () => {
+    assert.strictEqual((await request('GET', '/api/reports/reconciliation?from=2026-03&to=2026-01')).status, 400);
+    assert.strictEqual((await request('GET', '/api/reports/reconciliation?from=0001-01&to=9999-12')).status, 400);
+    assert.strictEqual((await request('GET', '/api/reports/reconciliation?from=2030-01')).status, 400);
+    assert.strictEqual((await request('GET', '/api/reports/reconciliation?from=2017-01&to=2026-12')).status, 200);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { loadDatabase, saveDatabase } = require('../server');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+function recoveryFiles(directory, suffix) {
+    return fs.existsSync(directory) ? fs.readdirSync(directory).filter(name => name.endsWith(suffix)) : [];
+}
+
+test('saving replaces the file in one step and keeps a last-known-good copy', () => {
+    const database = loadDatabase();
+    // The copy of the new empty database is old enough for the next save to keep another
+    const old = new Date(Date.now() - 60 * 60 * 1000);
+    recoveryFiles('recovery', '.good.json').forEach(name => fs.utimesSync(path.join('recovery', name), old, old));
+    database.events.push({ id: 1, title: 'Sports day', date: '2026-03-01' });
+    assert.ok(saveDatabase(database));
+
+    assert.deepStrictEqual(fs.readdirSync(workDir).filter(name => name.endsWith('.tmp')), []);
+    assert.strictEqual(JSON.parse(fs.readFileSync('database.json', 'utf8')).events[0].title, 'Sports day');
+    assert.strictEqual(recoveryFiles('recovery', '.good.json').length, 2);
+});
+
+test('a truncated file is quarantined and recovered from the newest good copy', () => {
+    const contents = fs.readFileSync('database.json', 'utf8');
+    fs.writeFileSync('database.json', contents.slice(0, contents.length / 2));
+
+    const recovered = loadDatabase();
+    assert.strictEqual(recovered.events.length, 1);
+    assert.strictEqual(recovered.events[0].title, 'Sports day');
+    assert.strictEqual(recoveryFiles(path.join('recovery', 'quarantine'), '.corrupt.json').length, 1);
+    assert.doesNotThrow(() => JSON.parse(fs.readFileSync('database.json', 'utf8')));
+});
+
+test('a file that parses but is not a sponsorship database is recovered too', () => {
+    fs.writeFileSync('database.json', JSON.stringify({ hello: 'world' }));
+
+    assert.strictEqual(loadDatabase().events[0].title, 'Sports day');
+    assert.strictEqual(recoveryFiles(path.join('recovery', 'quarantine'), '.corrupt.json').length, 2);
+});
+
+test('with no usable copy loading fails instead of starting empty', () => {
+    recoveryFiles('recovery', '.good.json').forEach(name => fs.writeFileSync(path.join('recovery', name), '{'));
+    fs.writeFileSync('database.json', '{');
+
+    assert.throws(() => loadDatabase(), /could not be loaded/);
+    assert.ok(!fs.existsSync('database.json'));
+    // The next request must not quietly start an empty database either
+    assert.throws(() => loadDatabase(), /could not be loaded/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const simulate = scenario => request('POST', '/api/scenarios/simulate', scenario);
+
+test.before(() => {
+    const database = loadDatabase();
+    database.sponsorship_programs.CH.students = [
+        { id: 'STU-00001', serial_number: 1, full_name: 'ATUHIRE ALVIN', sponsorship_package: 'Day', financial_data: { food: 60000 } },
+        { id: 'STU-00002', serial_number: 2, full_name: 'NAKIYINGI JOANITAH', sponsorship_package: 'Boarding', financial_data: { food: 40000 } }
+    ];
+    database.sponsorship_registry.CH = {
+        students: [
+            { id: 'SPN-00001', student_id: 'STU-00001', full_name: 'ATUHIRE ALVIN', sponsor: 'Anna Berg', amount: 50, currency: 'EUR', sponsorship_status: 'active' }
+        ],
+        metadata: {}
+    };
+    saveDatabase(database);
+});
+
+test('component changes are simulated without touching the live data', async () => {
+    const result = await simulate({ component_changes: [{ component: 'food', percent: 50, packages: ['Day'] }] });
+    assert.strictEqual(result.status, 200, result.body.message);
+    assert.strictEqual(result.body.data.applied.students_changed, 1);
+    const ch = result.body.data.programs.find(entry => entry.program === 'CH');
+    assert.strictEqual(ch.change.costs_ugx, 30000);
+    assert.strictEqual(result.body.data.totals.change.costs_ugx, 30000);
+
+    const live = loadDatabase().sponsorship_programs.CH.students.find(student => student.id === 'STU-00001');
+    assert.strictEqual(live.financial_data.food, 60000);
+});
+
+test('a lost sponsor removes their income and a rate change is applied to it', async () => {
+    const lost = await simulate({ lost_sponsors: ['anna berg'] });
+    assert.strictEqual(lost.body.data.applied.sponsorships_removed, 1);
+    assert.strictEqual(lost.body.data.totals.change.income_eur, -50);
+
+    const cheaper = await simulate({ exchange_rate: 4000 });
+    assert.strictEqual(cheaper.body.data.applied.exchange_rate.scenario, 4000);
+    assert.strictEqual(cheaper.body.data.totals.scenario.income_ugx, 200000);
+});
+
+test('added students are counted in the scenario only', async () => {
+    const result = await simulate({
+        add_students: [{ program: 'CH', sponsorship_package: 'Day', financial_data: { food: 10000 }, count: 3 }]
+    });
+    assert.strictEqual(result.status, 200, result.body.message);
+    assert.strictEqual(result.body.data.applied.students_added, 3);
+    assert.strictEqual(result.body.data.totals.change.students, 3);
+    assert.strictEqual(result.body.data.totals.change.costs_ugx, 30000);
+    assert.strictEqual(loadDatabase().sponsorship_programs.CH.students.length, 2);
+});
+
+test('invalid scenarios are refused', async () => {
+    assert.strictEqual((await simulate({ exchange_rate: 0 })).status, 400);
+    assert.strictEqual((await simulate({ component_changes: [{ component: 'helicopter', percent: 10 }] })).status, 400);
+    assert.strictEqual((await simulate({ component_changes: [{ component: 'food', percent: 10, value: 5 }] })).status, 400);
+    assert.strictEqual((await simulate({ remove_students: ['STU-09999'] })).status, 400);
+    assert.strictEqual((await simulate({ lost_sponsors: ['Nobody'] })).status, 400);
+
+    const tooMany = await simulate({ add_students: [{ program: 'CH', count: 300 }, { program: 'YSP', count: 201 }] });
+    assert.strictEqual(tooMany.status, 400);
+    assert.match(tooMany.body.message, /at most 500/);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+const {
+    parseStatementAmount,
+    parseStatementDate,
+    statementDirection,
+    detectStatementFormat,
+    parseStatementFile,
+    statementCandidates,
+    autoMatchStatementLines
+} = require('../server');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const defaults = { currency: 'UGX', account: null };
+
+function parse(text, filename, encoding = 'utf8') {
+    const buffer = Buffer.from(text, encoding);
+    return parseStatementFile(buffer, detectStatementFormat(buffer, filename), defaults);
+}
+
+test('amounts accept both decimal conventions, thousands separators and negatives', () => {
+    assert.strictEqual(parseStatementAmount('1.234,56'), 1234.56);
+    assert.strictEqual(parseStatementAmount('1,234.56'), 1234.56);
+    assert.strictEqual(parseStatementAmount('-70,00'), -70);
+    assert.strictEqual(parseStatementAmount('(70.00)'), -70);
+    assert.strictEqual(parseStatementAmount('50,000'), 50000);
+    assert.strictEqual(parseStatementAmount('abc'), null);
+});
+
+test('dates are normalized and impossible dates rejected', () => {
+    assert.strictEqual(parseStatementDate('2025-10-05 10:22'), '2025-10-05');
+    assert.strictEqual(parseStatementDate('20251005'), '2025-10-05');
+    assert.strictEqual(parseStatementDate('05.10.2025'), '2025-10-05');
+    assert.strictEqual(parseStatementDate('5/10/25'), '2025-10-05');
+    assert.strictEqual(parseStatementDate('13/45/2026'), null);
+    assert.strictEqual(parseStatementDate('31.02.2026'), null);
+    assert.strictEqual(parseStatementDate('2026-13-01'), null);
+    assert.strictEqual(parseStatementDate(''), null);
+});
+
+test('direction words match whole words only', () => {
+    assert.strictEqual(statementDirection('CRDT'), 'in');
+    assert.strictEqual(statementDirection('H'), 'in');
+    assert.strictEqual(statementDirection('Received'), 'in');
+    assert.strictEqual(statementDirection('DBIT'), 'out');
+    assert.strictEqual(statementDirection('S'), 'out');
+    assert.strictEqual(statementDirection('Withdrawal'), 'out');
+    assert.strictEqual(statementDirection('Spende'), null);
+    assert.strictEqual(statementDirection('Dauerauftrag'), null);
+    assert.strictEqual(statementDirection('SEPA Credit'), null);
+});
+
+test('mobile-money CSV uses the sign of the amount', () => {
+    const { lines, errors } = parse([
+        'Date,Transaction ID,Type,Details,Amount,Currency',
+        '2025-10-05 10:22,MP1,Sent,Payment to Kampala Stationers,"-150,000",UGX',
+        '2025-10-06 08:00,MP2,Received,Deposit from agent,"500,000",UGX',
+        '2025-13-40 08:00,MP3,Received,Broken row,"1,000",UGX'
+    ].join('\n'), 'momo.csv');
+    assert.deepStrictEqual(lines.map(line => [line.date, line.direction, line.amount, line.bank_reference]), [
+        ['2025-10-05', 'out', 150000, 'MP1'],
+        ['2025-10-06', 'in', 500000, 'MP2']
+    ]);
+    assert.deepStrictEqual(errors.map(error => error.line), [4]);
+});
+
+test('German bank CSV in Latin-1 finds the header below the preamble', () => {
+    const { lines, errors } = parse([
+        'Umsaetze Girokonto;;;;',
+        'Buchungstag;Auftraggeber/Empfänger;Verwendungszweck;Betrag;Währung',
+        '02.10.2025;Müller Hans;Patenschaft SPN-00004;70,00;EUR',
+        '03.10.2025;Stadtwerke;Strom;-1.234,50;EUR'
+    ].join('\n'), 'bank.csv', 'latin1');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(lines.map(line => [line.date, line.direction, line.amount, line.currency, line.counterparty]), [
+        ['2025-10-02', 'in', 70, 'EUR', 'Müller Hans'],
+        ['2025-10-03', 'out', 1234.5, 'EUR', 'Stadtwerke']
+    ]);
+});
+
+test('CAMT.053 entries are read and pending entries skipped', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt>
+<Stmt><Acct><Id><IBAN>DE12500105170648489890</IBAN></Id></Acct>
+<Ntry><Amt Ccy="EUR">75.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2025-10-02</Dt></BookgDt>
+<AcctSvcrRef>CAMT-0001</AcctSvcrRef><NtryDtls><TxDtls><RltdPties><Dbtr><Nm>Fuchs Martin &amp; Erika</Nm></Dbtr></RltdPties>
+<RmtInf><Ustrd>Patenschaft Hellen</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+<Ntry><Amt Ccy="EUR">99.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>PDNG</Sts><BookgDt><Dt>2025-10-09</Dt></BookgDt></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+    const { lines, errors } = parse(xml, 'statement.xml');
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(lines.length, 1);
+    assert.deepStrictEqual(
+        [lines[0].date, lines[0].direction, lines[0].amount, lines[0].currency, lines[0].counterparty, lines[0].bank_reference, lines[0].account],
+        ['2025-10-02', 'in', 75, 'EUR', 'Fuchs Martin & Erika', 'CAMT-0001', 'DE12500105170648489890']);
+    assert.match(lines[0].reference, /Patenschaft Hellen/);
+});
+
+test('MT940 :61: lines take their purpose and name from :86:', () => {
+    const { lines, errors } = parse([
+        ':20:STARTUMS',
+        ':25:50010517/0648489890',
+        ':60F:C251001EUR1000,00',
+        ':61:2510040104C70,00NTRFNONREF//BANK-61-1',
+        ':86:166?00GUTSCHRIFT?20SPN-00004 Patenschaft?21Anita?32Jungschar Allendorf',
+        ':61:2510050105D12,50NTRFNONREF',
+        ':86:Kontofuehrung',
+        ':61:2513450105D1,00NTRFNONREF',
+        ':62F:C251005EUR1057,50',
+        '-'
+    ].join('\r\n'), 'stmt.sta');
+    assert.deepStrictEqual(lines.map(line => [line.date, line.direction, line.amount, line.currency, line.counterparty, line.reference]), [
+        ['2025-10-04', 'in', 70, 'EUR', 'Jungschar Allendorf', 'SPN-00004 PatenschaftAnita'],
+        ['2025-10-05', 'out', 12.5, 'EUR', null, 'Kontofuehrung']
+    ]);
+    assert.strictEqual(lines[0].bank_reference, 'BANK-61-1');
+    assert.deepStrictEqual(errors.map(error => error.message.startsWith('Invalid value date')), [true]);
+});
+
+function matchingDatabase() {
+    return {
+        sponsorship_programs: {},
+        sponsorship_registry: {
+            CH: {
+                students: [
+                    { id: 'SPN-00001', student_id: 'STU-00001', full_name: 'ATUHIRE ALVIN', sponsor: 'Krech Norbert und Laura',
+                        amount: 70, currency: 'EUR', sponsorship_status: 'active' },
+                    { id: 'SPN-00002', student_id: 'STU-00002', full_name: 'NAKIYINGI JOANITAH', sponsor: 'Fuchs Martin',
+                        amount: 50, currency: 'EUR', sponsorship_status: 'active' }
+                ]
+            }
+        },
+        daily_expenses: [
+            { id: 'EXP-00001', date: '2025-10-04', category: 'food', description: 'Posho and beans', amount: 150000, currency: 'UGX' },
+            { id: 'EXP-00002', date: '2025-09-01', category: 'medical', description: 'Clinic', amount: 20000, currency: 'UGX' }
+        ],
+        exchange_rates: [{ id: 1, base: 'EUR', quote: 'UGX', rate: 4000, effective_date: '2020-01-01' }]
+    };
+}
+
+test('a sponsorship id in the reference is a certain match', () => {
+    const [best] = statementCandidates(matchingDatabase(), {
+        direction: 'in', date: '2025-10-04', amount: 10, currency: 'EUR', reference: 'Patenschaft SPN-00002', counterparty: null
+    });
+    assert.deepStrictEqual([best.id, best.score], ['SPN-00002', 100]);
+});
+
+test('sponsor name, student name and pledge amount add up', () => {
+    const [best, runnerUp] = statementCandidates(matchingDatabase(), {
+        direction: 'in', date: '2025-10-04', amount: 70, currency: 'EUR', reference: 'Patenschaft Alvin', counterparty: 'Norbert Krech'
+    });
+    assert.strictEqual(best.id, 'SPN-00001');
+    assert.ok(best.score >= 70, `score ${best.score}`);
+    assert.ok(best.score - runnerUp.score >= 15);
+});
+
+test('outgoing lines score expenses by amount and date', () => {
+    const [best] = statementCandidates(matchingDatabase(), {
+        direction: 'out', date: '2025-10-05', amount: 150000, currency: 'UGX', reference: 'Posho', counterparty: 'Kampala Traders'
+    });
+    assert.strictEqual(best.id, 'EXP-00001');
+    assert.ok(best.score >= 80, `score ${best.score}`);
+});
+
+test('auto-match only takes a clear winner and queues the rest with suggestions', () => {
+    const database = matchingDatabase();
+    const clear = { id: 'STL-00001', status: 'unmatched', direction: 'out', date: '2025-10-05', amount: 150000, currency: 'UGX',
+        reference: 'Posho', counterparty: null, source: 'bank' };
+    const unclear = { id: 'STL-00002', status: 'unmatched', direction: 'in', date: '2025-10-04', amount: 60, currency: 'EUR',
+        reference: 'Spende', counterparty: 'Unbekannt', source: 'bank' };
+    const counts = autoMatchStatementLines(database, [clear, unclear], 'test');
+    assert.deepStrictEqual(counts, { matched_payments: 0, matched_expenses: 1, unmatched: 1 });
+    assert.strictEqual(clear.status, 'matched');
+    assert.strictEqual(database.daily_expenses[0].statement_line_id, 'STL-00001');
+    assert.strictEqual(unclear.status, 'unmatched');
+    assert.ok(Array.isArray(unclear.suggestions));
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+process.env.STORAGE_BACKEND = 'sqlite';
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const WRITES = 40;
+
+// A second server process on the same SQLite file, adding events directly;
+// resolves once it is loaded and about to start writing
+function runOtherProcess() {
+    const script = `
+        const { loadDatabase, saveDatabase, withWriteLock } = require(${JSON.stringify(path.resolve(__dirname, '../server.js'))});
+        loadDatabase();
+        console.log('ready');
+        (async () => {
+            for (let i = 0; i < ${WRITES}; i++) {
+                await withWriteLock(() => {
+                    const database = loadDatabase();
+                    database.events.push({ id: 'other-' + i, title: 'Other ' + i, date: '2026-01-01' });
+                    saveDatabase(database);
+                });
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        })();
+    `;
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script], { cwd: workDir, env: { ...process.env, STORAGE_BACKEND: 'sqlite' } });
+        const exited = new Promise((done, failed) => {
+            child.on('error', failed);
+            child.on('exit', code => (code === 0 ? done() : failed(new Error(`child exited with ${code}`))));
+        });
+        child.stderr.pipe(process.stderr);
+        child.stdout.once('data', () => resolve({ exited }));
+        child.on('error', reject);
+    });
+}
+
+test('writes from two processes on one SQLite file are all kept', async () => {
+    // Enough records that a load -> save takes long enough for the processes to overlap
+    const database = loadDatabase();
+    database.daily_expenses = Array.from({ length: 2000 }, (_, i) => ({
+        id: `EXP-${String(i + 1).padStart(5, '0')}`, date: '2026-01-01', category: 'food', description: `Meal ${i}`, amount: 1000, currency: 'UGX', status: 'approved'
+    }));
+    saveDatabase(database);
+    const other = await runOtherProcess();
+    const requests = Array.from({ length: WRITES }, (_, i) => fetch(`${baseUrl}/api/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: `http-${i}`, title: `Request ${i}`, date: '2026-01-01' })
+    }).then(response => response.json()));
+    const results = await Promise.all(requests);
+    await other.exited;
+
+    assert.ok(results.every(result => result.success), JSON.stringify(results.find(result => !result.success)));
+    const ids = loadDatabase().events.map(event => event.id);
+    assert.strictEqual(ids.filter(id => String(id).startsWith('http-')).length, WRITES);
+    assert.strictEqual(ids.filter(id => String(id).startsWith('other-')).length, WRITES);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js creates its data directories in the working directory when loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sponsorship-test-'));
+process.chdir(workDir);
+delete process.env.ALLOW_TRASH_PURGE;
+const { app, loadDatabase, saveDatabase } = require('../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    delete process.env.ALLOW_TRASH_PURGE;
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function trashEvent(id) {
+    await request('POST', '/api/events', { id, title: `Event ${id}`, date: '2026-01-01' });
+    await request('DELETE', `/api/events/${id}`);
+    return loadDatabase().trash.find(entry => entry.entity === 'event' && entry.record.id === id);
+}
+
+test('a deleted event moves to the trash and can be restored', async () => {
+    const entry = await trashEvent(101);
+    assert.ok(entry);
+    assert.ok(!loadDatabase().events.some(event => event.id === 101));
+
+    const restored = await request('POST', `/api/trash/${entry.trash_id}/restore`);
+    assert.strictEqual(restored.status, 200);
+    const database = loadDatabase();
+    assert.ok(database.events.some(event => event.id === 101));
+    assert.ok(!database.trash.some(t => t.trash_id === entry.trash_id));
+});
+
+test('a restored record whose id was taken meanwhile gets a new one', async () => {
+    const entry = await trashEvent(102);
+    await request('POST', '/api/events', { id: 102, title: 'Replacement', date: '2026-01-02' });
+
+    const restored = await request('POST', `/api/trash/${entry.trash_id}/restore`);
+    assert.strictEqual(restored.status, 200);
+    assert.notStrictEqual(restored.body.data.id, 102);
+    assert.strictEqual(loadDatabase().events.filter(event => event.id === 102).length, 1);
+});
+
+test('permanent deletion is refused unless the server allows it', async () => {
+    const entry = await trashEvent(103);
+
+    assert.strictEqual((await request('DELETE', `/api/trash/${entry.trash_id}`)).status, 403);
+    assert.strictEqual((await request('DELETE', '/api/trash')).status, 403);
+    assert.strictEqual((await request('PUT', '/api/settings/trash', { retention_days: 1 })).status, 403);
+    assert.strictEqual((await request('PUT', '/api/settings/trash', { retention_days: 60 })).status, 200);
+    assert.ok(loadDatabase().trash.some(t => t.trash_id === entry.trash_id));
+});
+
+test('only items past the retention period are purged as expired', async () => {
+    process.env.ALLOW_TRASH_PURGE = 'true';
+    const old = await trashEvent(104);
+    const recent = await trashEvent(105);
+    const database = loadDatabase();
+    database.trash.find(t => t.trash_id === old.trash_id).deleted_at = '2000-01-01T00:00:00.000Z';
+    saveDatabase(database);
+
+    const purged = await request('DELETE', '/api/trash?expired=true');
+    assert.strictEqual(purged.status, 200);
+    const trashIds = loadDatabase().trash.map(t => t.trash_id);
+    assert.ok(!trashIds.includes(old.trash_id));
+    assert.ok(trashIds.includes(recent.trash_id));
+
+    assert.strictEqual((await request('DELETE', `/api/trash/${recent.trash_id}`)).status, 200);
+    assert.ok(!loadDatabase().trash.some(t => t.trash_id === recent.trash_id));
+});